@@ -14,7 +14,13 @@ export default [
         document: true,
         window: true,
         test: true,
-        expect: true
+        expect: true,
+        beforeEach: true,
+        afterEach: true,
+        describe: true,
+        jest: true,
+        // CRA replaces process.env.REACT_APP_* at build time.
+        process: "readonly"
       }
     },
     rules: {
@@ -23,6 +29,19 @@ export default [
 
     }
   },
+  {
+    // Build helpers run by npm scripts in Node.
+    files: ["scripts/**"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: {
+        require: "readonly",
+        module: "readonly",
+        __dirname: "readonly",
+        console: "readonly"
+      }
+    }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
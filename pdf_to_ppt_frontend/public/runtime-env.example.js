@@ -4,5 +4,7 @@
  * NOTE: Client-side values are visible to users—use a restricted key.
  */
 window.__RUNTIME_CONFIG__ = {
-  REACT_APP_OPENAI_API_KEY: "your_openai_key_here"
+  REACT_APP_OPENAI_API_KEY: "your_openai_key_here",
+  // Optional provider selection (see .env.example): openai | openai-compatible | ollama | mock
+  REACT_APP_LLM_PROVIDER: "openai"
 };
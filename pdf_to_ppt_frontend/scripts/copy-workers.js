@@ -0,0 +1,28 @@
+/**
+ * Copies the pdf.js worker and the tesseract.js OCR engine (worker script, WASM cores and English data) from
+ * the installed packages into public/, so they are served from the app's own build output and
+ * always match the library versions (run before start/build).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+function copy(request, target, from = __dirname) {
+  const destination = path.join(PUBLIC_DIR, target);
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  fs.copyFileSync(require.resolve(request, { paths: [from] }), destination);
+}
+
+copy('pdfjs-dist/build/pdf.worker.min.js', 'pdf.worker.min.js');
+console.log(`Copied pdf.js worker ${require('pdfjs-dist/package.json').version} to public/pdf.worker.min.js`);
+
+// tesseract.js runs LSTM-only by default and picks the SIMD variant the browser supports.
+// Its core is a dependency of tesseract.js, so resolve it from there.
+const tesseractDir = path.dirname(require.resolve('tesseract.js/package.json'));
+copy('tesseract.js/dist/worker.min.js', 'tesseract/worker.min.js');
+['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js', 'tesseract-core-relaxedsimd-lstm.wasm.js']
+  .forEach(file => copy(`tesseract.js-core/${file}`, `tesseract/${file}`, tesseractDir));
+// English language data for the default LSTM-only engine, so OCR needs no third-party host.
+copy('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', 'tesseract/lang/eng.traineddata.gz');
+console.log(`Copied tesseract.js ${require('tesseract.js/package.json').version} and English language data to public/tesseract/`);
@@ -1,83 +1,573 @@
-import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
-import { pdfToImages, pdfToText } from './utils/pdf';
-import { generatePptxFromOutline, generatePptx } from './services/ppt';
-import { chatWithOpenAI, analyzeImageWithOpenAI, planSlidesWithOpenAI, refineSlidesWithOpenAI, formatOutlineForChat } from './services/openaiClient';
-import { getOpenAIKey } from './config/env';
+import { cropPageImage, openPdfSession } from './utils/pdf';
+import { layoutDeck, layoutImageDeck } from './services/slideLayout';
+import { DECK_EXPORT_FORMATS, exportDeck } from './services/deckExport';
+import {
+  chatWithOpenAI,
+  analyzeImageWithOpenAI,
+  planDeckWithOpenAI,
+  refineSlidesWithOpenAI,
+  rewriteSlideWithOpenAI,
+  writeSpeakerNotesWithOpenAI,
+  formatOutlineForChat,
+  LlmValidationError,
+  SLIDE_REWRITES
+} from './services/openaiClient';
+import { isAbortError } from './services/llm';
+import { getLlmConfig, getOcrSettings, getPresetSettings, getThemeSettings, isLlmConfigured, LLM_PROVIDERS } from './config/env';
+import { DEFAULT_THEME_ID, getTheme, listThemes, loadRuntimeThemes } from './themes';
+import {
+  DEFAULT_PLANNING_SETTINGS,
+  deleteSavedPreset,
+  exportPreset,
+  getPreset,
+  importPreset,
+  listPresets,
+  loadRuntimePresets,
+  savePreset
+} from './presets';
+import { downloadBlob } from './utils/download';
+import { cleanOutline, imageRefKey, isWholePageRef } from './utils/outline';
+import { comparePages, formatPageList, formatPageRef, pageDoc, pageFields, pageKey, pageNumber, pageRef, samePage } from './utils/documents';
+import { currentOutline, recordVersion, redo, restoreVersion, undo } from './utils/outlineHistory';
+import { applyOutlineActions } from './utils/outlineActions';
+import { runJobQueue } from './utils/jobQueue';
+import { createOcrEngine, needsOcr, ocrPageText } from './utils/ocr';
+import { checkSources } from './utils/sources';
+import { exportOutline, importOutline, OUTLINE_FILE_FORMATS } from './services/outlineFormats';
+import { renderSpeakerScript } from './services/speakerScript';
+import { deckTiming, formatDuration } from './utils/speakingTime';
+import {
+  addProjectFiles,
+  createProject,
+  deleteProject,
+  duplicateProject,
+  getActiveProjectId,
+  isProjectStoreAvailable,
+  listProjects,
+  loadProject,
+  renameProject,
+  saveProjectState,
+  setActiveProjectId
+} from './services/projectStore';
+import ChatChanges from './components/ChatChanges';
+import CropEditor from './components/CropEditor';
+import OutlineEditor from './components/OutlineEditor';
+import OutlineFiles from './components/OutlineFiles';
+import OutlineHistory from './components/OutlineHistory';
+import PlanningSettings from './components/PlanningSettings';
+import SpeakerNotes from './components/SpeakerNotes';
+import ProjectList from './components/ProjectList';
+import SlidePreview from './components/SlidePreview';
+
+const DECK_TITLE = 'Generated Presentation';
+const THUMBNAIL_WIDTH = 240;
+const FULL_IMAGE_WIDTH = 1024;
+// Roughly 240 dpi for A4/Letter pages, which tesseract reads well.
+const OCR_IMAGE_WIDTH = 2000;
+const PAGE_TEXT_MAX_CHARS = 4000;
+
+// Scans read with OCR below this confidence are flagged on the page card.
+const LOW_OCR_CONFIDENCE = 0.6;
+
+const PAGE_STATUS_LABELS = {
+  pending: 'Queued',
+  running: 'Analyzing…',
+  error: 'Analysis failed',
+  cancelled: 'Not analyzed (cancelled)'
+};
+
+// Shown after a cited quote on its page card.
+const SOURCE_FOCUS_NOTES = {
+  exact: '',
+  fuzzy: ' (wording differs from the page)',
+  none: ' (not found in this page’s text)'
+};
+
+const INITIAL_CHAT = [
+  { role: 'assistant', content: 'Hi! Upload a PDF and press Analyze. I will extract text and images, propose a slide outline, and show the draft here. You can reply with edits before I generate the final PPT.' }
+];
+
+// Quiet period after the last change before the project is saved.
+const AUTOSAVE_DELAY_MS = 800;
+
+// Talk length the speaker notes are written for until the user picks one.
+const DEFAULT_TALK_MINUTES = 10;
 
 /**
  * App component
  * Provides:
- * - PDF upload
- * - Client-side PDF page rendering as images
- * - Extract text from each page
- * - LLM-based slide planning (group/split pages logically)
- * - Chat UI with OpenAI with preloaded proposed slide content for review
+ * - PDF upload, with several PDFs combined into one deck (pages grouped by document)
+ * - Client-side PDF parsing in one session: pages stream in as text plus thumbnails, and
+ *   full-resolution images are rendered only for analysis and for the pages the deck uses
+ * - In-browser OCR (tesseract.js) for scanned pages without a text layer
+ * - Adjustable figure crops per page
+ * - Concurrent, cancellable per-page analysis with retry/backoff and per-page error states
+ * - LLM-based slide planning (group/split pages logically), steered by planning settings
+ *   (audience, tone, length, density, language) and shareable presets of them
+ * - Chat UI with the configured LLM provider, preloaded with proposed slide content for review
+ * - Visual outline editor for direct slide edits (no LLM round-trip)
+ * - Outline version history (who changed what) with a slide-level diff, undo/redo and restore
+ * - Outline export/import as JSON, Markdown and Marp slide Markdown
+ * - 16:9 slide preview using the same layout rules as the PPTX generator
+ * - Deck themes (fonts, colors, slide masters) picked in the UI
  * - Local PPTX generation and download (from outline) with user feedback incorporated
+ * - Projects saved in IndexedDB (PDF, analysis, outline history, chat), restored after a reload
  */
 function App() {
-  const [pdfFile, setPdfFile] = useState(null);
+  // The deck's PDFs as { doc, file }, document 1 first; pages are referred to per document (utils/documents.js).
+  const [documents, setDocuments] = useState([]);
   const [dragOver, setDragOver] = useState(false);
 
-  const [pageImages, setPageImages] = useState([]); // { page: number, dataUrl: string }
-  const [pageTexts, setPageTexts] = useState([]); // { page: number, text: string }
-  const [analysis, setAnalysis] = useState([]); // per page results for images
-  const [outline, setOutline] = useState(null); // planned slides outline JSON
+  const sessionsRef = useRef(new Map()); // openPdfSession of each analyzed PDF, by document
+  const imageStoreRef = useRef(null); // createDeckImageStore over those sessions
+  // { doc?, page, text (Markdown), blocks (utils/textLayout), textSource?: 'ocr', ocrConfidence?: number }
+  const [pageTexts, setPageTexts] = useState([]);
+  const [analysis, setAnalysis] = useState([]); // per page results ({ doc?, page, ... }), plus each page's thumbnailUrl
+  // Full-resolution images used by the outline, keyed by imageRefKey: the pageKey for a page
+  // (its crop when it has one), "<pageKey>@<bbox>" for explicit crops in the outline.
+  const [deckImages, setDeckImages] = useState({});
+  // Versions of the planned slides outline (utils/outlineHistory); `outline` is the current one.
+  const [outlineHistory, setOutlineHistory] = useState(null);
+  const outline = currentOutline(outlineHistory);
+  const [sourceFocus, setSourceFocus] = useState(null); // cited source shown on its page card: { page, quote, match, bbox? }
+  // Number of user chat messages already reflected in the outline (by planning or refinement).
+  const [appliedFeedbackCount, setAppliedFeedbackCount] = useState(0);
   const [analyzing, setAnalyzing] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [planStatus, setPlanStatus] = useState(''); // outline planning step shown under the progress bar
+  const abortRef = useRef(null); // AbortController of the running analysis
 
-  const [chatHistory, setChatHistory] = useState([
-    { role: 'assistant', content: 'Hi! Upload a PDF and press Analyze. I will extract text and images, propose a slide outline, and show the draft here. You can reply with edits before I generate the final PPT.' }
-  ]);
+  const [chatHistory, setChatHistory] = useState(INITIAL_CHAT);
   const [userMessage, setUserMessage] = useState('');
   const [sending, setSending] = useState(false);
+  const [rewritingSlide, setRewritingSlide] = useState(null); // index of the slide being rewritten by the LLM
+  const [talkMinutes, setTalkMinutes] = useState(DEFAULT_TALK_MINUTES); // target length for the speaker notes
+  const [notesProgress, setNotesProgress] = useState(null); // { done, total } while the speaker notes are written
 
   const [pptBuilding, setPptBuilding] = useState(false);
+  const [refining, setRefining] = useState(false); // chat feedback is being applied before a build
   const [pptReady, setPptReady] = useState(false);
+  const [exportFormat, setExportFormat] = useState('pptx');
   const lastBuildSlidesRef = useRef([]);
 
-  const apiKeyAvailable = !!getOpenAIKey();
+  const projectStoreReady = isProjectStoreAvailable();
+  const [projects, setProjects] = useState([]); // saved project metadata, most recent first
+  const [projectId, setProjectId] = useState(null); // project the current work is saved to
+  const [projectLoading, setProjectLoading] = useState(false);
+
+  const [themes, setThemes] = useState(listThemes);
+  const [themeId, setThemeId] = useState(() => getThemeSettings().defaultThemeId || DEFAULT_THEME_ID);
+  const theme = getTheme(themeId);
+
+  const [presets, setPresets] = useState(listPresets);
+  // Preset the planning settings came from; '' once they are edited (or for the standard settings).
+  const [presetId, setPresetId] = useState(() => (getPreset(getPresetSettings().defaultPresetId) ? getPresetSettings().defaultPresetId : ''));
+  const [planningSettings, setPlanningSettings] = useState(() => getPreset(presetId)?.settings || DEFAULT_PLANNING_SETTINGS);
+  // Set once the user or a restored project picks settings, so a late default preset does not override them.
+  const planningChosenRef = useRef(false);
+
+  const llmConfig = getLlmConfig();
+  const llmReady = isLlmConfigured();
+
+  // Document names for page references in prompts and messages.
+  const documentNames = useMemo(() => documents.map(d => ({ doc: d.doc, name: d.file.name })), [documents]);
 
   // Busy indicator shared across flows: prevents cross-triggering UI actions.
-  const isBusy = analyzing || pptBuilding;
+  const isBusy = analyzing || pptBuilding || projectLoading || rewritingSlide !== null || notesProgress !== null;
 
   useEffect(() => {
     document.title = 'PDF to PPT Converter';
   }, []);
 
+  // Reopen the project that was open before the page was reloaded.
+  useEffect(() => {
+    if (!projectStoreReady) return;
+    listProjects()
+      .then((saved) => {
+        setProjects(saved);
+        const id = getActiveProjectId();
+        if (id && saved.some(p => p.id === id)) return openProjectRef.current(id);
+        return undefined;
+      })
+      .catch(err => window.console.warn('Saved projects are unavailable:', err));
+  }, [projectStoreReady]);
+
+  // Save the current project shortly after the work changes.
+  useEffect(() => {
+    if (!projectId || projectLoading) return undefined;
+    const timer = window.setTimeout(() => {
+      saveProjectState(projectId, { pageTexts, analysis, outline, outlineHistory, chatHistory, appliedFeedbackCount, themeId, talkMinutes, planningSettings, presetId })
+        .then(saved => saved && setProjects(prev => [saved, ...prev.filter(p => p.id !== saved.id)]))
+        .catch(err => window.console.warn('Could not save the project:', err));
+    }, AUTOSAVE_DELAY_MS);
+    return () => window.clearTimeout(timer);
+  }, [projectId, projectLoading, pageTexts, analysis, outline, outlineHistory, chatHistory, appliedFeedbackCount, themeId, talkMinutes, planningSettings, presetId]);
+
+  // Register corporate/custom themes listed in REACT_APP_THEME_URLS.
+  useEffect(() => {
+    let cancelled = false;
+    loadRuntimeThemes().then(({ errors }) => {
+      errors.forEach(e => window.console.warn(`Theme not loaded: ${e}`));
+      if (!cancelled) setThemes(listThemes());
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Register the presets saved in this browser and the team presets listed in REACT_APP_PRESET_URLS.
+  useEffect(() => {
+    let cancelled = false;
+    loadRuntimePresets().then(({ errors }) => {
+      errors.forEach(e => window.console.warn(`Planning preset not loaded: ${e}`));
+      if (cancelled) return;
+      setPresets(listPresets());
+      // A team or saved default preset is only known now.
+      const preset = getPreset(getPresetSettings().defaultPresetId);
+      if (preset && !planningChosenRef.current) {
+        setPresetId(preset.id);
+        setPlanningSettings(preset.settings);
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
   const onFileChange = (e) => {
-    const file = e.target.files?.[0];
-    if (file && file.type === 'application/pdf') {
-      setPdfFile(file);
-      resetWork();
+    const files = pdfFiles(e.target.files);
+    if (files.length) {
+      startProject(files);
+    }
+  };
+
+  const onAddFiles = (e) => {
+    const files = pdfFiles(e.target.files);
+    e.target.value = '';
+    if (files.length) {
+      handleAddDocuments(files);
     }
   };
 
   const onDrop = (e) => {
     e.preventDefault();
     setDragOver(false);
-    const file = e.dataTransfer.files?.[0];
-    if (file && file.type === 'application/pdf') {
-      setPdfFile(file);
+    const files = pdfFiles(e.dataTransfer.files);
+    if (files.length) {
+      startProject(files);
+    }
+  };
+
+  // Newly chosen PDFs start a new saved project; the previous one stays in the project list.
+  const startProject = async (files) => {
+    setDocuments(files.map((file, i) => ({ doc: i + 1, file })));
+    resetWork();
+    if (projectId) setChatHistory(INITIAL_CHAT);
+    setProjectId(null);
+    if (!projectStoreReady) return;
+    try {
+      const project = await createProject(files);
+      setProjectId(project.id);
+      setActiveProjectId(project.id);
+      await refreshProjects();
+    } catch (err) {
+      window.console.warn('Could not save the project:', err);
+    }
+  };
+
+  const refreshProjects = async () => {
+    setProjects(await listProjects());
+  };
+
+  const openProject = async (id) => {
+    setProjectLoading(true);
+    try {
+      const loaded = await loadProject(id);
+      if (!loaded) {
+        setActiveProjectId(null);
+        return;
+      }
+      const docs = loaded.files.map((file, i) => ({ doc: i + 1, file }));
+      const { state } = loaded;
+      resetWork();
+      // Open the PDFs before restoring the outline so its images can be rendered right away.
+      await openSessions(docs);
+      setDocuments(docs);
+      setPageTexts(state.pageTexts || []);
+      setAnalysis(state.analysis || []);
+      // Projects saved before the history was kept only have their last outline.
+      setOutlineHistory(state.outlineHistory
+        || (state.outline ? recordVersion(null, state.outline, { source: 'plan', at: loaded.project.updatedAt }) : null));
+      setAppliedFeedbackCount(state.appliedFeedbackCount || 0);
+      setChatHistory(state.chatHistory?.length ? state.chatHistory : INITIAL_CHAT);
+      if (state.themeId) setThemeId(state.themeId);
+      if (state.talkMinutes) setTalkMinutes(state.talkMinutes);
+      if (state.planningSettings) {
+        planningChosenRef.current = true;
+        setPlanningSettings({ ...DEFAULT_PLANNING_SETTINGS, ...state.planningSettings });
+        setPresetId(getPreset(state.presetId) ? state.presetId : '');
+      }
+      setProjectId(id);
+      setActiveProjectId(id);
+    } catch (err) {
+      window.console.error(err);
+      window.alert('Could not open the saved project. See console for details.');
+    } finally {
+      setProjectLoading(false);
+    }
+  };
+
+  // Lets the mount-time restore effect call the current openProject.
+  const openProjectRef = useRef(openProject);
+  openProjectRef.current = openProject;
+
+  const handleRenameProject = async (id, name) => {
+    await renameProject(id, name);
+    await refreshProjects();
+  };
+
+  const handleDuplicateProject = async (id) => {
+    const copy = await duplicateProject(id);
+    await refreshProjects();
+    if (copy) await openProject(copy.id);
+  };
+
+  const handleDeleteProject = async (id) => {
+    await deleteProject(id);
+    if (id === projectId) {
       resetWork();
+      setDocuments([]);
+      setChatHistory(INITIAL_CHAT);
+      setProjectId(null);
+      setActiveProjectId(null);
     }
+    await refreshProjects();
+  };
+
+  // Makes `next` the current outline as a new version made by `source` ('plan', 'refine', 'edit' or 'import').
+  const commitOutline = (next, source, label) => {
+    setOutlineHistory(prev => recordVersion(prev, next, { source, label }));
+  };
+
+  // The outline as of the last render, so a streamed chat reply can tell whether it changed meanwhile.
+  const outlineRef = useRef(outline);
+  outlineRef.current = outline;
+
+  // Reset starts over without a project, so the autosave cannot overwrite the saved one with the emptied work.
+  const handleReset = () => {
+    setProjectId(null);
+    setActiveProjectId(null);
+    resetWork();
   };
 
   const resetWork = () => {
-    setPageImages([]);
+    abortRef.current?.abort();
+    closeSessions();
     setPageTexts([]);
     setAnalysis([]);
-    setOutline(null);
+    setDeckImages({});
+    setOutlineHistory(null);
+    setSourceFocus(null);
+    setAppliedFeedbackCount(0);
     setProgress(0);
     setAnalyzing(false);
     setPptReady(false);
     lastBuildSlidesRef.current = [];
   };
 
-  const handleAnalyze = useCallback(async () => {
-    if (!pdfFile) return;
-    if (!getOpenAIKey()) {
-      alert('Missing OpenAI API key. Please set REACT_APP_OPENAI_API_KEY in .env or public/runtime-env.js and restart.');
+  // Opens the PDFs of `docs` that are not open yet and returns their sessions; the deck image
+  // store renders from every open session.
+  const openSessions = async (docs) => {
+    for (const { doc, file } of docs) {
+      if (!sessionsRef.current.has(doc)) sessionsRef.current.set(doc, await openPdfSession(file));
+    }
+    if (!imageStoreRef.current) imageStoreRef.current = createDeckImageStore(sessionsRef.current);
+    return docs.map(d => sessionsRef.current.get(d.doc));
+  };
+
+  const closeSessions = () => {
+    sessionsRef.current.forEach(session => session.close().catch(err => window.console.warn('Could not release the PDF:', err)));
+    sessionsRef.current = new Map();
+    imageStoreRef.current = null;
+  };
+
+  // Streams page text and thumbnails from a document's session; each card shows its thumbnail as
+  // soon as it is rendered. Pages with an empty or near-empty text layer (scans) are then read with
+  // OCR, one at a time. Stops early when `signal` aborts, so the result may be partial.
+  const extractPages = async (doc, session, signal) => {
+    const ocrSettings = getOcrSettings();
+    const texts = [];
+    const scanned = [];
+    for await (const { page, text, blocks, thumbnailUrl } of session.pages({ thumbnailWidth: THUMBNAIL_WIDTH, maxCharsPerPage: PAGE_TEXT_MAX_CHARS })) {
+      const ref = pageFields(doc, page);
+      texts.push({ ...ref, text, blocks });
+      updatePage(ref, { thumbnailUrl });
+      if (ocrSettings.enabled && needsOcr(text, ocrSettings.minTextChars)) {
+        scanned.push(ref);
+        updatePage(ref, { ocr: { status: 'pending' } });
+      }
+      if (signal.aborted) break;
+    }
+
+    if (scanned.length > 0) {
+      const ocrTexts = await ocrPages(session, scanned, ocrSettings, signal);
+      return texts.map(t => ocrTexts.find(o => samePage(o, t)) || t);
+    }
+    return texts;
+  };
+
+  // Reads the page texts of `docs`, one document after the other, in place of the texts of
+  // those documents in `known`.
+  const extractDocuments = async (docs, sessions, signal, known = []) => {
+    let texts = known.filter(t => !docs.some(d => d.doc === pageDoc(t)));
+    for (let i = 0; i < docs.length && !signal.aborted; i += 1) {
+      texts = [...texts, ...await extractPages(docs[i].doc, sessions[i], signal)];
+    }
+    texts.sort(comparePages);
+    setPageTexts(texts);
+    return texts;
+  };
+
+  // Reads and analyzes every page of `docs`, adding their page cards after the existing ones.
+  const readAndAnalyze = async (docs, sessions, known, userMessages, signal) => {
+    const pages = docs.flatMap(({ doc }, i) => Array.from({ length: sessions[i].numPages }, (_, k) => pageFields(doc, k + 1)));
+    setAnalysis(prev => [...prev, ...pages.map(p => ({ ...p, thumbnailUrl: null, include: false, status: 'pending', error: null }))]);
+    const [texts, analyzed] = await Promise.all([
+      extractDocuments(docs, sessions, signal, known),
+      analyzePages(pages, userMessages.join('\n'), signal)
+    ]);
+    return { texts, analyzed };
+  };
+
+  // Reads scanned pages with OCR. A page that fails keeps its (empty) text layer; the card says why.
+  const ocrPages = async (session, scanned, ocrSettings, signal) => {
+    const engine = createOcrEngine(ocrSettings);
+    try {
+      const results = await runJobQueue(scanned, async ({ page }) => {
+        const image = await session.renderPage(page, { maxWidth: OCR_IMAGE_WIDTH, maxScale: 4 });
+        return engine.recognize(image);
+      }, {
+        concurrency: 1,
+        signal,
+        onStart: ref => updatePage(ref, { ocr: { status: 'running' } }),
+        onSettled: (result, ref) => {
+          if (result.status === 'error') window.console.warn(`OCR failed for ${formatPageRef(ref, documentNames)}:`, result.error);
+          updatePage(ref, {
+            ocr: result.status === 'done'
+              ? { status: 'done', confidence: result.value.confidence }
+              : { status: result.status }
+          });
+        }
+      });
+      return scanned
+        .map((ref, i) => results[i].status === 'done' && ocrPageText(ref, results[i].value, PAGE_TEXT_MAX_CHARS))
+        .filter(Boolean);
+    } finally {
+      engine.terminate().catch(err => window.console.warn('Could not stop the OCR engine:', err));
+    }
+  };
+
+  // Runs page analysis through the job queue (REACT_APP_LLM_CONCURRENCY pages at a time) and
+  // updates each page card as its job settles. Each job renders its page at full resolution
+  // and drops the image once the model has seen it. Returns the settled entries in `pages` order.
+  const analyzePages = async (pages, userContext, signal) => {
+    const { concurrency } = getLlmConfig();
+    let settled = 0;
+    setProgress(0);
+
+    const results = await runJobQueue(pages, async (ref) => {
+      const dataUrl = await sessionsRef.current.get(pageDoc(ref)).renderPage(ref.page, { maxWidth: FULL_IMAGE_WIDTH });
+      try {
+        // PUBLIC_INTERFACE
+        return await analyzeImageWithOpenAI(dataUrl, userContext, { signal });
+      } catch (err) {
+        // A reply that never validates is an answer ("skip this page"), not a failure worth retrying.
+        if (!(err instanceof LlmValidationError)) throw err;
+        return { include: false, rationale: `Model reply could not be validated: ${err.errors.join(' ')}` };
+      }
+    }, {
+      concurrency,
+      signal,
+      onStart: ref => updatePage(ref, { status: 'running', error: null }),
+      onSettled: (result, ref) => {
+        settled += 1;
+        setProgress(Math.round((settled / pages.length) * 100));
+        updatePage(ref, analysisEntry(ref, result));
+      }
+    });
+
+    return pages.map((ref, i) => analysisEntry(ref, results[i]));
+  };
+
+  const updatePage = (ref, patch) => {
+    setAnalysis(prev => prev.map(s => samePage(s, ref) ? ({ ...s, ...patch }) : s));
+  };
+
+  // Builds a logical slide outline from the page texts and analysis signals, then posts it to chat.
+  // `names` are the documents' names, for when documents were added since the last render.
+  const planOutline = async (texts, analyzed, userMessages, signal, names = documentNames) => {
+    const pagesData = texts.map(t => {
+      const a = analyzed.find(r => samePage(r, t) && r.status === 'done');
+      return {
+        ...pageFields(pageDoc(t), t.page),
+        text: t.text,
+        textSource: t.textSource,
+        ocrConfidence: t.ocrConfidence,
+        include: a?.include,
+        title: a?.title,
+        caption: a?.caption,
+        visual: a?.chart ? 'chart' : a?.table ? 'table' : undefined,
+        figures: a?.figures
+      };
+    });
+
+    let plan;
+    let coverage;
+    try {
+      // PUBLIC_INTERFACE
+      ({ outline: plan, coverage } = await planDeckWithOpenAI(pagesData, userMessages.join('\n'), {
+        signal,
+        settings: planningSettings,
+        documents: names,
+        onProgress: step => setPlanStatus(describePlanProgress(step))
+      }));
+    } catch (err) {
+      if (!(err instanceof LlmValidationError)) throw err;
+      postAssistant(describeValidationFailure(err, 'I could not draft a slide outline.'));
+      return;
+    } finally {
+      setPlanStatus('');
+    }
+    commitOutline(plan, 'plan');
+    setAppliedFeedbackCount(userMessages.length);
+
+    // Preload chat with the proposed outline for user review
+    const coverageNote = describePlanCoverage(coverage, names);
+    setChatHistory(prev => ([
+      ...prev,
+      { role: 'assistant', content: `I analyzed your ${names.length > 1 ? `${names.length} PDFs` : 'PDF'} and drafted the following slide outline:` },
+      ...(coverageNote ? [{ role: 'assistant', content: coverageNote }] : []),
+      { role: 'assistant', content: formatOutlineForChat(plan) }
+    ]));
+  };
+
+  const postAssistant = (content) => {
+    setChatHistory(prev => ([...prev, { role: 'assistant', content }]));
+  };
+
+  const startRun = () => {
+    const controller = new window.AbortController();
+    abortRef.current = controller;
+    setAnalyzing(true);
+    return controller.signal;
+  };
+
+  const handleCancelAnalysis = () => {
+    abortRef.current?.abort();
+  };
+
+  const handleAnalyze = async () => {
+    if (documents.length === 0) return;
+    if (!isLlmConfigured()) {
+      window.alert(missingLlmConfigMessage());
       return;
     }
     if (pptBuilding) {
@@ -85,79 +575,315 @@ function App() {
       return;
     }
 
-    setAnalyzing(true);
+    const signal = startRun();
     setProgress(0);
     setAnalysis([]);
-    setOutline(null);
+    setDeckImages({});
+    // The previous outline stays in the history, so the new plan can be compared with it or undone.
+    setSourceFocus(null);
     try {
-      // 1) Render images and extract texts
-      const [images, texts] = await Promise.all([
-        pdfToImages(pdfFile, 1024),
-        pdfToText(pdfFile, 4000)
-      ]);
-      setPageImages(images);
-      setPageTexts(texts);
-
-      // 2) Per-page light analysis on images for include/title/caption signals
-      const results = [];
-      const userContext = chatHistory
-        .filter(m => m.role === 'user')
-        .map(m => m.content)
-        .join('\n');
-
-      for (let i = 0; i < images.length; i += 1) {
-        const img = images[i];
-        // PUBLIC_INTERFACE
-        const analysisResult = await analyzeImageWithOpenAI(img.dataUrl, userContext);
-        results.push({
-          page: img.page,
-          imageDataUrl: img.dataUrl,
-          ...analysisResult,
-          include: analysisResult?.include ?? false,
-        });
-        setProgress(Math.round(((i + 1) / images.length) * 100));
-        setAnalysis([...results]); // progressive update
+      // 1) Parse each PDF once, then stream texts/thumbnails while the pages are analyzed
+      //    (per-page light analysis on images for include/title/caption signals)
+      closeSessions();
+      const sessions = await openSessions(documents);
+      const userMessages = chatHistory.filter(m => m.role === 'user').map(m => m.content);
+      const { texts, analyzed } = await readAndAnalyze(documents, sessions, [], userMessages, signal);
+
+      if (signal.aborted) {
+        postAssistant(describeIncompleteAnalysis(analyzed, 'Analysis cancelled.', documentNames));
+        return;
+      }
+      if (analyzed.some(a => a.status === 'error')) {
+        postAssistant(describeIncompleteAnalysis(analyzed, 'Some pages could not be analyzed; the outline below is based on the others.', documentNames));
       }
 
       // 3) Build a logical slide outline using texts + image analysis signals
-      const pagesData = texts.map(t => {
-        const a = results.find(r => r.page === t.page);
-        return {
-          page: t.page,
-          text: t.text,
-          include: a?.include,
-          title: a?.title,
-          caption: a?.caption
-        };
-      });
+      await planOutline(texts, analyzed, userMessages, signal);
+    } catch (err) {
+      if (isAbortError(err)) {
+        postAssistant('Analysis cancelled before the outline was drafted. Press Analyze PDF to start again.');
+        return;
+      }
+      window.console.error(err);
+      window.alert('Failed to analyze PDF. See console for details.');
+    } finally {
+      setAnalyzing(false);
+    }
+  };
 
-      // PUBLIC_INTERFACE
-      const plan = await planSlidesWithOpenAI(pagesData, userContext);
-      setOutline(plan);
+  // Added PDFs become the deck's next documents. Once the deck has been analyzed, their pages are
+  // read and analyzed right away; an existing outline is kept, and drafted if there is none yet.
+  const handleAddDocuments = async (files) => {
+    const first = documents.reduce((max, d) => Math.max(max, d.doc), 0) + 1;
+    const added = files.map((file, i) => ({ doc: first + i, file }));
+    const names = [...documentNames, ...added.map(d => ({ doc: d.doc, name: d.file.name }))];
+    setDocuments(prev => [...prev, ...added]);
+    if (projectId) {
+      addProjectFiles(projectId, files)
+        .then(refreshProjects)
+        .catch(err => window.console.warn('Could not save the added PDFs:', err));
+    }
+    // Before the first analysis, Analyze reads every document.
+    if (analysis.length === 0) return;
+    if (!isLlmConfigured()) {
+      window.alert(missingLlmConfigMessage());
+      return;
+    }
 
-      // 4) Preload chat with the proposed outline for user review
-      const outlineText = formatOutlineForChat(plan);
-      setChatHistory(prev => ([
-        ...prev,
-        { role: 'assistant', content: 'I analyzed your PDF and drafted the following slide outline:' },
-        { role: 'assistant', content: outlineText }
-      ]));
+    const signal = startRun();
+    const addedNames = files.map(f => f.name).join(', ');
+    try {
+      const sessions = await openSessions(added);
+      const userMessages = chatHistory.filter(m => m.role === 'user').map(m => m.content);
+      const { texts, analyzed: addedPages } = await readAndAnalyze(added, sessions, pageTexts, userMessages, signal);
+      const analyzed = [...analysis, ...addedPages];
+
+      if (signal.aborted) {
+        postAssistant(describeIncompleteAnalysis(analyzed, `Analysis of ${addedNames} cancelled.`, names));
+        return;
+      }
+      if (addedPages.some(a => a.status === 'error')) {
+        postAssistant(describeIncompleteAnalysis(analyzed, `Some pages of ${addedNames} could not be analyzed.`, names));
+      }
+      if (!outline) {
+        await planOutline(texts, analyzed, userMessages, signal, names);
+      } else {
+        postAssistant(`I added ${addedNames} (${addedPages.length} page(s)). Your outline was kept; ask in chat to use the new pages, or press Analyze to plan the deck again from all ${names.length} PDFs.`);
+      }
+    } catch (err) {
+      if (isAbortError(err)) {
+        postAssistant(`Analysis of ${addedNames} cancelled.`);
+        return;
+      }
+      window.console.error(err);
+      window.alert(`Failed to analyze ${addedNames}. See console for details.`);
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  // Re-runs analysis for failed and cancelled pages only. The outline is drafted if
+  // there is none yet; an existing (possibly edited) outline is left untouched.
+  const handleRetryUnfinished = async () => {
+    const unfinished = analysis.filter(a => a.status === 'error' || a.status === 'cancelled');
+    if (unfinished.length === 0 || isBusy) return;
+
+    if (sessionsRef.current.size === 0) return;
+    const signal = startRun();
+    try {
+      const userMessages = chatHistory.filter(m => m.role === 'user').map(m => m.content);
+      const pages = unfinished.map(a => pageFields(pageDoc(a), a.page));
+      unfinished.forEach(a => updatePage(a, { status: 'pending', error: null }));
+      // A cancelled first run may have stopped before every page's text was read.
+      const unread = documents.filter(d => (
+        pageTexts.filter(t => pageDoc(t) === d.doc).length < (sessionsRef.current.get(d.doc)?.numPages || 0)
+      ));
+      const [texts, retried] = await Promise.all([
+        unread.length ? extractDocuments(unread, unread.map(d => sessionsRef.current.get(d.doc)), signal, pageTexts) : pageTexts,
+        analyzePages(pages, userMessages.join('\n'), signal)
+      ]);
+      const analyzed = analysis.map(a => retried.find(r => samePage(r, a)) || a);
+
+      if (signal.aborted) {
+        postAssistant(describeIncompleteAnalysis(analyzed, 'Retry cancelled.', documentNames));
+        return;
+      }
+      if (analyzed.some(a => a.status === 'error')) {
+        postAssistant(describeIncompleteAnalysis(analyzed, 'Some pages still could not be analyzed.', documentNames));
+      }
+      if (!outline) {
+        await planOutline(texts, analyzed, userMessages, signal);
+      } else {
+        postAssistant(`Re-analyzed ${retried.filter(r => r.status === 'done').length} page(s). Your outline was kept; ask in chat if you want to use the new pages.`);
+      }
     } catch (err) {
+      if (isAbortError(err)) {
+        postAssistant('Retry cancelled.');
+        return;
+      }
       console.error(err);
       alert('Failed to analyze PDF. See console for details.');
     } finally {
       setAnalyzing(false);
     }
-  }, [pdfFile, chatHistory, pptBuilding]);
+  };
+
+  // Bring the page card of a clicked bullet source into view.
+  useEffect(() => {
+    if (!sourceFocus) return;
+    window.document.getElementById(`page-card-${pageKey(sourceFocus)}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [sourceFocus]);
+
+  // Render the outline's images at full resolution in the background for the preview.
+  useEffect(() => {
+    const store = imageStoreRef.current;
+    if (!outline || !store) return undefined;
+    let cancelled = false;
+
+    store.load(deckImageRequests(outline, analysis)).then((next) => {
+      if (cancelled) return;
+      // Keep the previous object when nothing changed so the preview does not re-layout on every outline edit.
+      setDeckImages(prev => (
+        Object.keys(prev).length === Object.keys(next).length && Object.keys(next).every(k => prev[k] === next[k]) ? prev : next
+      ));
+    });
+
+    return () => { cancelled = true; };
+  }, [analysis, outline]);
+
+  // Thumbnails stand in for pages whose full-resolution image is still being rendered.
+  const thumbnails = useMemo(() => analysis
+    .filter(a => a.thumbnailUrl)
+    .map(a => ({ ...pageFields(pageDoc(a), a.page), dataUrl: a.thumbnailUrl })), [analysis]);
+  const imagesByPage = useMemo(() => ({
+    ...Object.fromEntries(thumbnails.map(p => [pageKey(p), p.dataUrl])),
+    ...deckImages
+  }), [thumbnails, deckImages]);
+  // Tables/charts extracted by the page analysis, unless the user chose the page image instead.
+  const visualsByPage = useMemo(() => Object.fromEntries(analysis
+    .filter(a => (a.table || a.chart) && a.nativeVisual !== false)
+    .map(a => [pageKey(a), { table: a.table, chart: a.chart }])), [analysis]);
+  const previewOutline = useMemo(() => (outline ? cleanOutline(outline) : null), [outline]);
+  // Bullet sources checked against the extracted page text (no LLM call), for the editor and the PPTX notes.
+  const sourceCheck = useMemo(() => (outline ? checkSources(outline, pageTexts) : null), [outline, pageTexts]);
+
+  const selectedSlides = useMemo(() => analysis.filter(s => !!s.include), [analysis]);
+  // Page cards per document; one unnamed group for a single PDF.
+  const pageGroups = useMemo(() => (documentNames.length > 1
+    ? documentNames.map(d => ({ ...d, pages: analysis.filter(a => pageDoc(a) === d.doc) })).filter(g => g.pages.length)
+    : [{ doc: 1, name: '', pages: analysis }]), [documentNames, analysis]);
+
+  const unfinishedCount = analysis.filter(a => a.status === 'error' || a.status === 'cancelled').length;
+
+  const toggleInclude = (ref) => {
+    setAnalysis(prev => prev.map(s => samePage(s, ref) ? ({ ...s, include: !s.include }) : s));
+  };
+
+  const setCrop = (ref, crop) => {
+    setAnalysis(prev => prev.map(s => samePage(s, ref) ? ({ ...s, crop }) : s));
+  };
+
+  const toggleNativeVisual = (ref) => {
+    setAnalysis(prev => prev.map(s => samePage(s, ref) ? ({ ...s, nativeVisual: s.nativeVisual === false }) : s));
+  };
+
+  const handleExportOutline = (format) => {
+    const { extension, type } = OUTLINE_FILE_FORMATS[format];
+    const baseName = (documents[0]?.file.name || DECK_TITLE).replace(/\.pdf$/i, '');
+    downloadBlob(new window.Blob([exportOutline(outline, format, { title: DECK_TITLE })], { type }), `${baseName} outline${extension}`);
+  };
+
+  // Speaker-notes pass: a talk track for every slide, sized to the target talk length.
+  const handleWriteNotes = async () => {
+    if (!isLlmConfigured()) {
+      window.alert(missingLlmConfigMessage());
+      return;
+    }
+    const shownOutline = outline;
+    setNotesProgress({ done: 0, total: shownOutline.slides.length });
+    try {
+      // PUBLIC_INTERFACE
+      const next = await writeSpeakerNotesWithOpenAI(pageTexts, shownOutline, {
+        minutes: talkMinutes,
+        settings: planningSettings,
+        documents: documentNames,
+        onProgress: setNotesProgress
+      });
+      if (outlineRef.current !== shownOutline) {
+        window.alert('The outline changed while the speaker notes were being written, so they were not applied. Please try again.');
+        return;
+      }
+      commitOutline(next, 'notes', `${talkMinutes} min talk`);
+      postAssistant(`I wrote speaker notes for a ${talkMinutes}-minute talk; they take about ${formatDuration(deckTiming(next).total)} to say. They are in the PPTX notes and in the script download.`);
+    } catch (err) {
+      window.console.error(err);
+      if (err instanceof LlmValidationError) {
+        postAssistant(describeValidationFailure(err, 'The speaker notes were NOT changed.'));
+      } else {
+        window.alert(`Could not write the speaker notes: ${err.message}`);
+      }
+    } finally {
+      setNotesProgress(null);
+    }
+  };
+
+  const handleDownloadScript = () => {
+    const baseName = (documents[0]?.file.name || DECK_TITLE).replace(/\.pdf$/i, '');
+    const script = renderSpeakerScript(outline, { title: DECK_TITLE, targetMinutes: talkMinutes });
+    downloadBlob(new window.Blob([script], { type: 'text/markdown;charset=utf-8' }), `${baseName} script.md`);
+  };
 
-  const selectedSlides = useMemo(() => {
-    return analysis.filter(s => !!s.include);
-  }, [analysis]);
+  const changePlanningSettings = (next) => {
+    planningChosenRef.current = true;
+    setPresetId('');
+    setPlanningSettings(next);
+  };
 
-  const toggleInclude = (page) => {
-    setAnalysis(prev => prev.map(s => s.page === page ? ({ ...s, include: !s.include }) : s));
+  // '' goes back to the standard settings.
+  const selectPreset = (id) => {
+    planningChosenRef.current = true;
+    setPresetId(id);
+    setPlanningSettings(getPreset(id)?.settings || DEFAULT_PLANNING_SETTINGS);
   };
 
+  const handleSavePreset = (name) => {
+    try {
+      const preset = savePreset(name, planningSettings);
+      setPresets(listPresets());
+      selectPreset(preset.id);
+    } catch (err) {
+      window.alert(`Could not save the preset: ${err.message}`);
+    }
+  };
+
+  const handleDeletePreset = (id) => {
+    deleteSavedPreset(id);
+    setPresets(listPresets());
+    if (id === presetId) setPresetId('');
+  };
+
+  const handleExportPreset = (id) => {
+    const fileName = getPreset(id).name.replace(/[^\w -]+/g, '').trim() || 'preset';
+    downloadBlob(new window.Blob([exportPreset(id)], { type: 'application/json' }), `${fileName}.preset.json`);
+  };
+
+  const handleImportPreset = async (file) => {
+    try {
+      const preset = importPreset(await file.text());
+      setPresets(listPresets());
+      selectPreset(preset.id);
+    } catch (err) {
+      window.alert(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  // An imported file replaces the working outline as a new version; analysis is kept.
+  const handleImportOutline = async (file) => {
+    try {
+      const text = await file.text();
+      const { value, errors, warnings } = importOutline(text, {
+        fileName: file.name,
+        pageCounts: documents.map(d => analysis.filter(a => pageDoc(a) === d.doc).length),
+        previous: outline
+      });
+      if (!value) {
+        window.alert(`Could not import ${file.name}:\n- ${errors.join('\n- ')}`);
+        return;
+      }
+      commitOutline(value, 'import', file.name);
+      postAssistant([
+        `I imported ${file.name} as the outline:`,
+        ...(warnings.length ? [`Note: ${warnings.join(' ')}`] : []),
+        formatOutlineForChat(value)
+      ].join('\n\n'));
+    } catch (err) {
+      window.console.error(err);
+      window.alert('Could not read the outline file. See console for details.');
+    }
+  };
+
+  const exportName = DECK_EXPORT_FORMATS[exportFormat].name;
+
   const handleBuildPPT = async () => {
     if (!outline || !outline.slides || outline.slides.length === 0) {
       // Backward compatibility: if no outline (user didn't analyze), fallback to selected slides image-based PPT
@@ -172,12 +898,14 @@ function App() {
       setPptBuilding(true);
       setPptReady(false);
       try {
-        await generatePptx(selectedSlides, 'Generated Presentation');
-        lastBuildSlidesRef.current = selectedSlides;
+        const images = await imageStoreRef.current.load(deckImageRequests(null, analysis));
+        const slides = selectedSlides.map(s => ({ ...s, imageDataUrl: images[pageKey(s)] })).filter(s => s.imageDataUrl);
+        await exportDeck(layoutImageDeck(slides, DECK_TITLE, theme), exportFormat);
+        lastBuildSlidesRef.current = slides;
         setPptReady(true);
       } catch (e) {
         console.error(e);
-        alert('Failed to generate PPT.');
+        window.alert(`Failed to generate the ${exportName}.`);
       } finally {
         setPptBuilding(false);
       }
@@ -192,30 +920,58 @@ function App() {
     setPptBuilding(true);
     setPptReady(false);
     try {
-      // Gather user feedback (all user messages)
-      const userFeedback = chatHistory.filter(m => m.role === 'user').map(m => m.content).join('\n');
-
-      const pages = pageTexts; // {page,text}
-      // PUBLIC_INTERFACE
-      const refined = await refineSlidesWithOpenAI(pages, outline, userFeedback);
-      setOutline(refined);
+      // Only chat feedback the outline has not seen yet goes to the LLM. Direct edits from the
+      // outline editor are already in `outline`, so with no new feedback we skip refinement.
+      const userMessages = chatHistory.filter(m => m.role === 'user').map(m => m.content);
+      const pendingFeedback = userMessages.slice(appliedFeedbackCount);
 
-      // Map images by page for embedding
-      const imagesByPage = Object.fromEntries(pageImages.map(p => [p.page, p.dataUrl]));
+      const pages = pageTexts; // {doc?,page,text}
+      let refined = outline;
+      let refineFailure = null;
+      if (pendingFeedback.length > 0) {
+        // Cancel aborts the refinement through abortRef, like a running analysis.
+        const controller = new window.AbortController();
+        abortRef.current = controller;
+        setRefining(true);
+        try {
+          // PUBLIC_INTERFACE
+          refined = await refineSlidesWithOpenAI(pages, outline, pendingFeedback.join('\n'), { settings: planningSettings, documents: documentNames, signal: controller.signal });
+          commitOutline(refined, 'refine', pendingFeedback.join(' / '));
+          setAppliedFeedbackCount(userMessages.length);
+        } catch (err) {
+          if (!(err instanceof LlmValidationError)) throw err;
+          refineFailure = err;
+        } finally {
+          setRefining(false);
+        }
+      }
 
-      // PUBLIC_INTERFACE
-      await generatePptxFromOutline(refined, imagesByPage, 'Generated Presentation');
+      const deckOutline = checkSources(cleanOutline(refined), pageTexts).outline;
+      const images = await imageStoreRef.current.load(deckImageRequests(deckOutline, analysis));
+      // Every export format draws the same layout model as the preview
+      await exportDeck(layoutDeck(deckOutline, images, DECK_TITLE, theme, visualsByPage), exportFormat);
       lastBuildSlidesRef.current = refined?.slides || [];
       setPptReady(true);
 
       // Append a confirmation message in chat
       setChatHistory(prev => ([
         ...prev,
-        { role: 'assistant', content: 'Thanks! I applied your feedback and generated the PPT. Feel free to adjust further and regenerate.' }
+        {
+          role: 'assistant',
+          content: refineFailure
+            ? describeValidationFailure(refineFailure, `Your feedback was NOT applied; I generated the ${exportName} from the previous outline.`)
+            : pendingFeedback.length > 0
+              ? `Thanks! I applied your feedback and generated the ${exportName}. Feel free to adjust further and regenerate.`
+              : `Generated the ${exportName} from the current outline. Feel free to adjust further and regenerate.`
+        }
       ]));
     } catch (e) {
+      if (isAbortError(e)) {
+        postAssistant(`Generation cancelled; your feedback was NOT applied. Press Generate ${exportName} to try again.`);
+        return;
+      }
       console.error(e);
-      alert('Failed to generate PPT from outline.');
+      window.alert(`Failed to generate the ${exportName} from the outline.`);
     } finally {
       setPptBuilding(false);
     }
@@ -224,35 +980,112 @@ function App() {
   const sendMessage = async (e) => {
     e?.preventDefault?.();
     if (!userMessage.trim()) return;
-    if (!getOpenAIKey()) {
-      alert('Missing OpenAI API key. Please set REACT_APP_OPENAI_API_KEY in .env or public/runtime-env.js and restart.');
+    if (!isLlmConfigured()) {
+      window.alert(missingLlmConfigMessage());
       return;
     }
 
     const newHistory = [...chatHistory, { role: 'user', content: userMessage }];
-    setChatHistory(newHistory);
+    const shownOutline = outline;
+    setChatHistory([...newHistory, { role: 'assistant', content: '', streaming: true }]);
     setUserMessage('');
     setSending(true);
 
     try {
       // PUBLIC_INTERFACE
-      const assistantReply = await chatWithOpenAI(newHistory);
-      setChatHistory([...newHistory, { role: 'assistant', content: assistantReply }]);
+      const { reply, actions, actionErrors } = await chatWithOpenAI(newHistory, {
+        outline: shownOutline,
+        pages: analysis.map(s => ({ ...pageFields(pageDoc(s), s.page), title: s.title, caption: s.caption })),
+        documents: documentNames,
+        onText: text => setChatHistory([...newHistory, { role: 'assistant', content: text, streaming: true }])
+      });
+
+      const message = { role: 'assistant', content: reply };
+      const problems = [...actionErrors];
+      if (actions.length && outlineRef.current !== shownOutline) {
+        problems.push('The outline was edited while I was replying, so nothing was changed. Ask again to apply this to the current outline.');
+      } else if (actions.length) {
+        const result = applyOutlineActions(shownOutline, actions);
+        problems.push(...result.errors);
+        if (result.applied.length) {
+          commitOutline(result.outline, 'chat', userMessage);
+          message.changes = { before: shownOutline, after: result.outline, applied: result.applied };
+          // The assistant acted on the conversation so far; Generate must not apply it a second time.
+          setAppliedFeedbackCount(newHistory.filter(m => m.role === 'user').length);
+        }
+      }
+      if (problems.length) {
+        message.content = [reply, `Some changes could not be applied:\n${problems.map(p => `- ${p}`).join('\n')}`].filter(Boolean).join('\n\n');
+      }
+      setChatHistory([...newHistory, message]);
     } catch (err) {
       console.error(err);
-      setChatHistory([...newHistory, { role: 'assistant', content: 'Sorry, something went wrong while contacting OpenAI.' }]);
+      setChatHistory([...newHistory, { role: 'assistant', content: 'Sorry, something went wrong while contacting the LLM provider.' }]);
     } finally {
       setSending(false);
     }
   };
 
+  // Rewrites one slide (SLIDE_REWRITES) from its own source pages; no other slide is sent or changed.
+  const rewriteSlide = async (index, kind, language = '') => {
+    if (!isLlmConfigured()) {
+      window.alert(missingLlmConfigMessage());
+      return;
+    }
+    const shownOutline = outline;
+    const label = `${SLIDE_REWRITES[kind].label} slide ${index + 1}${language ? ` (${language})` : ''}`;
+    setRewritingSlide(index);
+    try {
+      const pages = pageTexts.map((p) => {
+        const a = analysis.find(x => samePage(x, p));
+        return { ...pageFields(pageDoc(p), p.page), text: p.text, title: a?.title, caption: a?.caption };
+      });
+      // PUBLIC_INTERFACE
+      const slide = await rewriteSlideWithOpenAI(pages, shownOutline, index, { kind, language, settings: planningSettings, documents: documentNames });
+      if (outlineRef.current !== shownOutline) {
+        window.alert(`The outline changed while slide ${index + 1} was being rewritten, so the rewrite was not applied. Please try again.`);
+        return;
+      }
+      commitOutline({ ...shownOutline, slides: shownOutline.slides.map((s, i) => (i === index ? slide : s)) }, 'rewrite', label);
+    } catch (err) {
+      window.console.error(err);
+      if (err instanceof LlmValidationError) {
+        setChatHistory(prev => [...prev, { role: 'assistant', content: describeValidationFailure(err, `${label}: the slide was NOT changed.`) }]);
+      } else {
+        window.alert(`Could not rewrite slide ${index + 1}: ${err.message}`);
+      }
+    } finally {
+      setRewritingSlide(null);
+    }
+  };
+
+  const revertChatChanges = (index) => {
+    const { changes } = chatHistory[index];
+    commitOutline(changes.before, 'restore', 'chat changes reverted');
+    setChatHistory(prev => prev.map((m, i) => (i === index ? { ...m, changes: { ...m.changes, reverted: true } } : m)));
+  };
+
   return (
     <div className="App">
       <div className="navbar">
         <span className="brand">PDF → PPT</span>
       </div>
 
-      <main className="main">
+      <main className={`main ${projectStoreReady ? 'with-projects' : ''}`}>
+        {projectStoreReady && (
+          <aside className="panel project-sidebar">
+            <ProjectList
+              projects={projects}
+              activeId={projectId}
+              onOpen={openProject}
+              onRename={handleRenameProject}
+              onDuplicate={handleDuplicateProject}
+              onDelete={handleDeleteProject}
+              disabled={isBusy}
+            />
+          </aside>
+        )}
+
         {/* Left: Conversion Panel */}
         <section className="panel">
           <div className="header">
@@ -260,10 +1093,15 @@ function App() {
             <p className="subtitle">Upload a PDF and let AI draft a logical, concise slide deck. Review and give edits in chat before generating.</p>
           </div>
 
-          {!apiKeyAvailable && (
+          {!llmReady && (
+            <div className="key-warning">
+              {missingLlmConfigMessage()}
+              {' '}Client-side keys are visible to users—use a restricted key for demos only, or run pdf_to_ppt_proxy and set REACT_APP_LLM_PROVIDER=proxy.
+            </div>
+          )}
+          {llmReady && llmConfig.provider === 'mock' && (
             <div className="key-warning">
-              OpenAI key not found. Create a .env file with REACT_APP_OPENAI_API_KEY=your_key and restart.
-              Client-side keys are visible to users—use a restricted key for demos only.
+              Using the built-in mock LLM provider: analysis and outlines are deterministic placeholders, no requests leave the browser.
             </div>
           )}
 
@@ -273,18 +1111,49 @@ function App() {
             onDragLeave={() => setDragOver(false)}
             onDrop={onDrop}
           >
-            <input id="pdf-input" type="file" accept="application/pdf" onChange={onFileChange} />
+            <input id="pdf-input" type="file" accept="application/pdf" multiple onChange={onFileChange} />
             <label htmlFor="pdf-input" className="btn secondary">Choose PDF</label>
+            {documents.length > 0 && (
+              <>
+                <input id="pdf-add-input" type="file" accept="application/pdf" multiple onChange={onAddFiles} disabled={isBusy} />
+                <label htmlFor="pdf-add-input" className={`btn secondary ${isBusy ? 'disabled' : ''}`}>Add PDF</label>
+              </>
+            )}
             <div className="hint">
-              {pdfFile ? <>Selected: <strong>{pdfFile.name}</strong></> : 'Drag & drop your PDF here or click to select.'}
+              {documents.length > 0
+                ? <>Selected: <strong>{documents.map(d => d.file.name).join(', ')}</strong></>
+                : 'Drag & drop your PDFs here or click to select. Several PDFs are combined into one deck.'}
             </div>
           </div>
 
+          <PlanningSettings
+            settings={planningSettings}
+            presetId={presetId}
+            presets={presets}
+            onChange={changePlanningSettings}
+            onSelectPreset={selectPreset}
+            onSavePreset={handleSavePreset}
+            onDeletePreset={handleDeletePreset}
+            onExportPreset={handleExportPreset}
+            onImportPreset={handleImportPreset}
+            disabled={isBusy}
+          />
+
           <div className="actions">
-            <button type="button" className="btn" onClick={handleAnalyze} disabled={!pdfFile || isBusy}>
-              {analyzing ? 'Analyzing...' : 'Analyze PDF'}
+            <button type="button" className="btn" onClick={handleAnalyze} disabled={documents.length === 0 || isBusy}>
+              {analyzing ? 'Analyzing...' : `Analyze ${documents.length > 1 ? 'PDFs' : 'PDF'}`}
             </button>
-            <button type="button" className="btn muted" onClick={() => resetWork()} disabled={isBusy || (!pdfFile && pageImages.length === 0 && analysis.length === 0)}>
+            {analyzing && (
+              <button type="button" className="btn secondary" onClick={handleCancelAnalysis}>
+                Cancel
+              </button>
+            )}
+            {!analyzing && unfinishedCount > 0 && (
+              <button type="button" className="btn secondary" onClick={handleRetryUnfinished} disabled={isBusy}>
+                Retry {unfinishedCount} unfinished page{unfinishedCount === 1 ? '' : 's'}
+              </button>
+            )}
+            <button type="button" className="btn muted" onClick={handleReset} disabled={isBusy || (documents.length === 0 && analysis.length === 0)}>
               Reset
             </button>
           </div>
@@ -294,7 +1163,7 @@ function App() {
               <div className="progress" aria-label="analysis progress">
                 <div style={{ width: `${progress}%` }} />
               </div>
-              <div className="small">{progress}%</div>
+              <div className="small">{planStatus || `${progress}%`}</div>
             </>
           )}
 
@@ -302,29 +1171,140 @@ function App() {
             <>
               <div className="footer-actions">
                 <div className="badge">{selectedSlides.length} of {analysis.length} selected</div>
+                <label className="theme-picker">
+                  Theme
+                  <select value={theme.id} onChange={(e) => setThemeId(e.target.value)} disabled={isBusy}>
+                    {themes.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                  </select>
+                </label>
+                <label className="theme-picker">
+                  Format
+                  <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} disabled={isBusy}>
+                    {Object.entries(DECK_EXPORT_FORMATS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                  </select>
+                </label>
                 <button type="button" className="btn" onClick={handleBuildPPT} disabled={isBusy}>
-                  {pptBuilding ? 'Building PPT...' : 'Generate PPT'}
+                  {pptBuilding ? `Building ${exportName}...` : `Generate ${exportName}`}
                 </button>
+                {refining && (
+                  <button type="button" className="btn secondary" onClick={handleCancelAnalysis}>
+                    Cancel
+                  </button>
+                )}
               </div>
 
-              <div className="grid">
-                {analysis.map((s) => (
-                  <div className="card" key={s.page}>
-                    <img className="thumb" src={s.imageDataUrl} alt={`Page ${s.page}`} />
-                    <div className="card-body">
-                      <div className="badge">Page {s.page}</div>
-                      {s.title && <div style={{ fontWeight: 600 }}>{s.title}</div>}
-                      {s.caption && <div className="caption">{s.caption}</div>}
-                      {s.rationale && <div className="caption">Reason: {s.rationale}</div>}
-
-                      <label className="toggle">
-                        <input type="checkbox" checked={!!s.include} onChange={() => toggleInclude(s.page)} />
-                        Include in PPT
-                      </label>
-                    </div>
+              {previewOutline && previewOutline.slides?.length > 0 && (
+                <SlidePreview outline={previewOutline} imagesByPage={imagesByPage} visualsByPage={visualsByPage} deckTitle={DECK_TITLE} theme={theme} />
+              )}
+
+              <OutlineFiles
+                hasOutline={!!outline}
+                onExport={handleExportOutline}
+                onImport={handleImportOutline}
+                disabled={isBusy}
+              />
+
+              {outline && (
+                <SpeakerNotes
+                  outline={outline}
+                  minutes={talkMinutes}
+                  onMinutesChange={setTalkMinutes}
+                  onWrite={handleWriteNotes}
+                  onDownloadScript={handleDownloadScript}
+                  progress={notesProgress}
+                  disabled={isBusy}
+                />
+              )}
+
+              {outlineHistory && (
+                <OutlineHistory
+                  history={outlineHistory}
+                  onUndo={() => setOutlineHistory(undo)}
+                  onRedo={() => setOutlineHistory(redo)}
+                  onRestore={index => setOutlineHistory(prev => restoreVersion(prev, index))}
+                  disabled={isBusy}
+                />
+              )}
+
+              {outline && (
+                <OutlineEditor
+                  outline={outline}
+                  pages={thumbnails}
+                  documents={documentNames}
+                  onChange={next => commitOutline(next, 'edit')}
+                  sourceCheck={sourceCheck}
+                  onShowSource={setSourceFocus}
+                  onRewrite={rewriteSlide}
+                  rewritingIndex={rewritingSlide}
+                  disabled={isBusy}
+                />
+              )}
+
+              {pageGroups.map(group => (
+                <React.Fragment key={group.doc}>
+                  {group.name && (
+                    <h3 className="document-heading">
+                      {group.name} <span className="small">({group.pages.length} page{group.pages.length === 1 ? '' : 's'})</span>
+                    </h3>
+                  )}
+                  <div className="grid">
+                    {group.pages.map((s) => (
+                      <div
+                        className={`card ${s.status === 'error' ? 'card-error' : ''} ${sourceFocus && samePage(sourceFocus, s) ? 'card-source' : ''}`}
+                        key={pageKey(s)}
+                        id={`page-card-${pageKey(s)}`}
+                      >
+                        {s.thumbnailUrl ? (
+                          <CropEditor
+                            src={s.thumbnailUrl}
+                            page={s.page}
+                            bbox={s.crop || null}
+                            detected={s.figures?.[0]?.bbox || null}
+                            highlight={sourceFocus && samePage(sourceFocus, s) ? sourceFocus.bbox : null}
+                            onChange={(crop) => setCrop(s, crop)}
+                            disabled={isBusy}
+                          />
+                        ) : (
+                          <div className="thumb" aria-label={`Rendering page ${s.page}`} />
+                        )}
+                        <div className="card-body">
+                          <div className="badge">Page {s.page}</div>
+                          {sourceFocus && samePage(sourceFocus, s) && (
+                            <div className={`source-quote ${sourceFocus.match}`}>
+                              <span>Cited: “{sourceFocus.quote}”{SOURCE_FOCUS_NOTES[sourceFocus.match]}</span>
+                              <button type="button" className="icon-btn" onClick={() => setSourceFocus(null)} aria-label="Hide cited source">×</button>
+                            </div>
+                          )}
+                          {s.status && s.status !== 'done' && (
+                            <div className={`page-status ${s.status}`} role={s.status === 'error' ? 'alert' : undefined}>
+                              {PAGE_STATUS_LABELS[s.status]}{s.error ? `: ${s.error}` : ''}
+                            </div>
+                          )}
+                          {s.ocr && (
+                            <div className={`page-status ocr ${s.ocr.confidence < LOW_OCR_CONFIDENCE ? 'low-confidence' : ''}`}>
+                              {describeOcr(s.ocr)}
+                            </div>
+                          )}
+                          {s.title && <div style={{ fontWeight: 600 }}>{s.title}</div>}
+                          {s.caption && <div className="caption">{s.caption}</div>}
+                          {s.rationale && <div className="caption">Reason: {s.rationale}</div>}
+
+                          <label className="toggle">
+                            <input type="checkbox" checked={!!s.include} onChange={() => toggleInclude(s)} />
+                            Include in PPT
+                          </label>
+                          {(s.table || s.chart) && (
+                            <label className="toggle">
+                              <input type="checkbox" checked={s.nativeVisual !== false} onChange={() => toggleNativeVisual(s)} />
+                              Editable {s.chart ? `${s.chart.type} chart` : 'table'} instead of image
+                            </label>
+                          )}
+                        </div>
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
+                </React.Fragment>
+              ))}
             </>
           )}
         </section>
@@ -339,8 +1319,16 @@ function App() {
           <div className="chat">
             <div className="chat-log" aria-label="chat log">
               {chatHistory.map((m, idx) => (
-                <div key={idx} className={`msg ${m.role === 'user' ? 'user' : 'assistant'}`}>
+                <div key={idx} className={`msg ${m.role === 'user' ? 'user' : 'assistant'} ${m.streaming ? 'streaming' : ''}`}>
                   {m.content}
+                  {m.changes && (
+                    <ChatChanges
+                      changes={m.changes}
+                      canRevert={outline === m.changes.after}
+                      onRevert={() => revertChatChanges(idx)}
+                      disabled={isBusy || sending}
+                    />
+                  )}
                 </div>
               ))}
             </div>
@@ -358,7 +1346,7 @@ function App() {
               </button>
             </form>
 
-            <div className="help">Tip: Your chat feedback is applied to the outline before generating the PPT.</div>
+            <div className="help">Tip: Ask for changes like merging slides or swapping an image and they are applied to the outline right away; other feedback is applied when you generate.</div>
           </div>
         </section>
       </main>
@@ -366,4 +1354,158 @@ function App() {
   );
 }
 
+/**
+ * Builds a chat diagnostic for an LLM reply that failed schema validation.
+ * @param {LlmValidationError} err
+ * @param {string} lead - what this means for the user
+ * @returns {string}
+ */
+function describeValidationFailure(err, lead) {
+  const MAX_LISTED = 8;
+  const listed = err.errors.slice(0, MAX_LISTED).map(e => ` - ${e}`);
+  if (err.errors.length > MAX_LISTED) {
+    listed.push(` - ...and ${err.errors.length - MAX_LISTED} more`);
+  }
+  return [
+    `${lead} The model's ${err.task} response was still invalid after ${err.attempts} attempt(s):`,
+    ...listed,
+    'Try again, simplify your instructions, or switch to a stronger model.'
+  ].join('\n');
+}
+
+// Chat summary of pages left without an analysis, so the user knows what Retry will do.
+// `documents` names the PDFs in the page lists.
+function describeIncompleteAnalysis(analyzed, lead, documents) {
+  const failed = analyzed.filter(a => a.status === 'error');
+  const cancelled = analyzed.filter(a => a.status === 'cancelled');
+  const done = analyzed.length - failed.length - cancelled.length;
+  const lines = [`${lead} ${done} of ${analyzed.length} page(s) analyzed.`];
+  if (failed.length) lines.push(`Failed: pages ${formatPageList(failed, documents)} (${failed[0].error}).`);
+  if (cancelled.length) lines.push(`Not analyzed: pages ${formatPageList(cancelled, documents)}.`);
+  lines.push('Use "Retry unfinished pages" to analyze only those pages.');
+  return lines.join('\n');
+}
+
+// Progress line for planDeckWithOpenAI's steps.
+function describePlanProgress({ stage, done, total }) {
+  return {
+    plan: 'Drafting the outline…',
+    summarize: `Long document: summarizing part ${Math.min(done + 1, total)} of ${total}…`,
+    sections: 'Long document: organizing the summaries into sections…',
+    expand: `Long document: drafting section ${Math.min(done + 1, total)} of ${total}…`
+  }[stage];
+}
+
+// Chat note on which pages the outline was planned from; null when every page was read in full.
+function describePlanCoverage(coverage, documents) {
+  const { strategy, pageCount, chunks, sections, truncated, unassigned } = coverage;
+  const lines = [];
+  if (strategy === 'map-reduce') {
+    lines.push(`The document was too long for one request, so I summarized all ${pageCount} pages in ${chunks} parts and planned ${sections} section(s) from the summaries.`);
+  }
+  if (truncated.length) lines.push(`Text was shortened to fit the model's input on pages ${formatPageList(truncated, documents)}.`);
+  if (unassigned.length) lines.push(`Pages ${formatPageList(unassigned, documents)} were summarized but not used for any section; ask in chat to cover them.`);
+  return lines.length ? lines.join('\n') : null;
+}
+
+// The PDFs among chosen or dropped files.
+function pdfFiles(fileList) {
+  return Array.from(fileList || []).filter(file => file.type === 'application/pdf');
+}
+
+// Page card line for a scanned page read (or being read) with OCR.
+function describeOcr(ocr) {
+  if (ocr.status === 'done') {
+    const low = ocr.confidence < LOW_OCR_CONFIDENCE ? ' (low; check the text)' : '';
+    return `Scanned page: text from OCR, ${Math.round(ocr.confidence * 100)}% confidence${low}`;
+  }
+  return {
+    pending: 'Scanned page: OCR queued',
+    running: 'Scanned page: reading text (OCR)…',
+    error: 'Scanned page: OCR failed, no text',
+    cancelled: 'Scanned page: OCR cancelled'
+  }[ocr.status];
+}
+
+// Page card state for a settled analysis job (see utils/jobQueue runJobQueue).
+function analysisEntry(ref, result) {
+  const base = pageFields(pageDoc(ref), ref.page);
+  if (result.status !== 'done') {
+    return {
+      ...base,
+      include: false,
+      status: result.status,
+      error: result.status === 'error' ? (result.error?.message || String(result.error)) : null
+    };
+  }
+  const a = result.value;
+  return {
+    ...base,
+    ...a,
+    include: a?.include ?? false,
+    // Crop to the first detected figure by default; adjustable on the page card.
+    crop: a?.figures?.[0]?.bbox || null,
+    status: 'done',
+    error: null
+  };
+}
+
+// Images the deck needs, as imageRefKey → page region. Whole-page references use the page's
+// crop when it has one; without an outline, every page selected on the cards is needed.
+function deckImageRequests(outline, analysis) {
+  const cropOf = ref => analysis.find(a => samePage(a, ref))?.crop || null;
+  const refs = outline
+    ? (outline.slides || []).flatMap(s => s.imagePages || [])
+    : analysis.filter(a => a.include).map(a => pageRef(pageDoc(a), a.page));
+  return refs.map(ref => ({
+    key: imageRefKey(ref),
+    ...pageFields(pageDoc(ref), pageNumber(ref)),
+    bbox: isWholePageRef(ref) ? cropOf(ref) : ref.bbox
+  }));
+}
+
+// Renders full-resolution page images and crops from the documents' PDF sessions (a Map by
+// document) on demand and caches them, so only the pages the deck actually uses are held at full
+// size. Loads one image at a time to keep a single page canvas alive; images that fail to render
+// are left out (and logged).
+function createDeckImageStore(sessions) {
+  const pages = new Map();
+  const crops = new Map();
+  const cached = (cache, key, make) => {
+    if (!cache.has(key)) {
+      const promise = make();
+      promise.catch(() => cache.delete(key));
+      cache.set(key, promise);
+    }
+    return cache.get(key);
+  };
+
+  return {
+    async load(requests) {
+      const images = {};
+      for (const { key, bbox, ...ref } of requests) {
+        try {
+          const full = await cached(pages, pageKey(ref), () => sessions.get(pageDoc(ref)).renderPage(ref.page, { maxWidth: FULL_IMAGE_WIDTH }));
+          images[key] = bbox ? await cached(crops, imageRefKey({ ...ref, bbox }), () => cropPageImage(full, bbox)) : full;
+        } catch (err) {
+          window.console.warn(`Could not render ${formatPageRef(ref)}:`, err);
+        }
+      }
+      return images;
+    }
+  };
+}
+
+/**
+ * Explains what is missing for the configured LLM provider.
+ * @returns {string}
+ */
+function missingLlmConfigMessage() {
+  const { provider } = getLlmConfig();
+  if (provider === 'openai') {
+    return 'Missing OpenAI API key. Please set REACT_APP_OPENAI_API_KEY in .env or public/runtime-env.js and restart.';
+  }
+  return `Unknown LLM provider "${provider}". Set REACT_APP_LLM_PROVIDER to one of: ${LLM_PROVIDERS.join(', ')}.`;
+}
+
 export default App;
@@ -1,8 +1,47 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { createProject, getActiveProjectId, loadProject, saveProjectState, setActiveProjectId } from './services/projectStore';
+import { fakeIndexedDb } from './testing/fakeIndexedDb';
 
-test('renders app title', () => {
-  render(<App />);
+jest.mock('./utils/pdf', () => ({
+  cropPageImage: async () => 'data:image/png;base64,',
+  openPdfSession: async () => ({
+    numPages: 1,
+    renderPage: async () => 'data:image/png;base64,',
+    close: async () => {}
+  })
+}));
+
+afterEach(() => {
+  delete window.indexedDB;
+  window.localStorage.clear();
+});
+
+test('renders app title', async () => {
+  // Let the runtime theme and preset loading settle inside act().
+  await act(async () => {
+    render(<App />);
+  });
   const title = screen.getByText(/PDF to PPT Converter/i);
   expect(title).toBeInTheDocument();
 });
+
+test('Reset leaves the saved project and its analysis untouched', async () => {
+  window.indexedDB = fakeIndexedDb();
+  const project = await createProject([new window.File(['%PDF-1.4'], 'report.pdf', { type: 'application/pdf' })]);
+  const analysis = [{ page: 1, include: true, title: 'Revenue', status: 'done', error: null }];
+  await saveProjectState(project.id, { pageTexts: [{ page: 1, text: 'Revenue grew' }], analysis });
+  setActiveProjectId(project.id);
+
+  await act(async () => {
+    render(<App />);
+  });
+  const reset = screen.getByRole('button', { name: 'Reset' });
+  await waitFor(() => expect(reset).toBeEnabled());
+  fireEvent.click(reset);
+  // Longer than the autosave delay.
+  await act(() => new Promise(resolve => window.setTimeout(resolve, 1200)));
+
+  expect(getActiveProjectId()).toBeNull();
+  expect((await loadProject(project.id)).state.analysis).toEqual(analysis);
+});
@@ -0,0 +1,50 @@
+import React, { useMemo, useState } from 'react';
+import { diffOutlines } from '../utils/outlineHistory';
+import OutlineDiff from './OutlineDiff';
+
+/**
+ * ChatChanges component
+ * Outline changes the chat assistant applied with one reply (utils/outlineActions): the list
+ * of changes, a slide-level diff to review them and a Revert button. Revert is only offered
+ * while the outline is still the one the changes produced; later, the History panel goes back.
+ *
+ * @param {{
+ *   changes: {before: object, after: object, applied: string[], reverted?: boolean},
+ *   canRevert: boolean,
+ *   onRevert: () => void,
+ *   disabled?: boolean
+ * }} props
+ */
+function ChatChanges({ changes, canRevert, onRevert, disabled = false }) {
+  const [open, setOpen] = useState(false);
+  const diff = useMemo(() => (open ? diffOutlines(changes.before, changes.after) : null), [open, changes]);
+
+  return (
+    <div className="chat-changes">
+      <ul>
+        {changes.applied.map((line, i) => <li key={i}>{line}</li>)}
+      </ul>
+      <div className="slide-editor-actions">
+        <button type="button" className="icon-btn" onClick={() => setOpen(!open)} aria-expanded={open}>
+          {open ? 'Hide changes' : 'Review changes'}
+        </button>
+        {changes.reverted ? (
+          <span className="badge">reverted</span>
+        ) : (
+          <button
+            type="button"
+            className="icon-btn"
+            onClick={onRevert}
+            disabled={disabled || !canRevert}
+            title={canRevert ? undefined : 'The outline changed since; use the History panel to go back.'}
+          >
+            Revert
+          </button>
+        )}
+      </div>
+      {diff && <OutlineDiff diff={diff} caption="Changes to the outline" />}
+    </div>
+  );
+}
+
+export default ChatChanges;
@@ -0,0 +1,148 @@
+import React, { useRef, useState } from 'react';
+
+const MIN_SIZE = 0.05;
+const KEY_STEP = 0.01;
+
+/**
+ * CropEditor component
+ * Page thumbnail with an adjustable crop rectangle. Drag the rectangle to move it and
+ * its corner handle to resize it; with the rectangle focused, arrow keys move it and
+ * Shift+arrow keys resize it. The crop is reported through onChange when a drag ends,
+ * so the (comparatively slow) cropping of the full-size image runs once per adjustment.
+ * `bbox` is the current crop as fractions of the page (null for the whole page) and
+ * `detected` the figure region found by page analysis, if any. `highlight` marks a
+ * region of the page that is being inspected, e.g. the text a slide bullet cites.
+ *
+ * @param {{
+ *   src: string,
+ *   page: number,
+ *   bbox: {x:number, y:number, w:number, h:number}|null,
+ *   detected?: {x:number, y:number, w:number, h:number}|null,
+ *   highlight?: {x:number, y:number, w:number, h:number}|null,
+ *   onChange: (bbox: object|null) => void,
+ *   disabled?: boolean
+ * }} props
+ */
+function CropEditor({ src, page, bbox, detected, highlight, onChange, disabled = false }) {
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+  const shown = draft || bbox;
+
+  const onPointerDown = (mode) => (e) => {
+    if (disabled || !bbox) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const rect = frameRef.current.getBoundingClientRect();
+    dragRef.current = { mode, startX: e.clientX, startY: e.clientY, start: bbox, width: rect.width, height: rect.height };
+    setDraft(bbox);
+  };
+
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (e.clientX - drag.startX) / drag.width;
+    const dy = (e.clientY - drag.startY) / drag.height;
+    setDraft(drag.mode === 'move'
+      ? moveBox(drag.start, dx, dy)
+      : resizeBox(drag.start, dx, dy));
+  };
+
+  const onPointerUp = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    if (draft) onChange(draft);
+    setDraft(null);
+  };
+
+  const onKeyDown = (e) => {
+    const delta = { ArrowLeft: [-KEY_STEP, 0], ArrowRight: [KEY_STEP, 0], ArrowUp: [0, -KEY_STEP], ArrowDown: [0, KEY_STEP] }[e.key];
+    if (!delta || disabled || !bbox) return;
+    e.preventDefault();
+    onChange(e.shiftKey ? resizeBox(bbox, ...delta) : moveBox(bbox, ...delta));
+  };
+
+  return (
+    <div className="crop-editor">
+      <div className="crop-frame" ref={frameRef}>
+        <img className="crop-thumb" src={src} alt={`Page ${page}`} draggable={false} />
+        {highlight && <div className="source-rect" style={boxStyle(highlight)} aria-hidden="true" />}
+        {shown && (
+          <div
+            className="crop-rect"
+            style={boxStyle(shown)}
+            tabIndex={disabled ? -1 : 0}
+            role="group"
+            aria-label={`Crop region for page ${page}. Arrow keys move it, Shift plus arrow keys resize it.`}
+            onPointerDown={onPointerDown('move')}
+            onPointerMove={onPointerMove}
+            onPointerUp={onPointerUp}
+            onKeyDown={onKeyDown}
+          >
+            <span
+              className="crop-handle"
+              onPointerDown={onPointerDown('resize')}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              aria-hidden="true"
+            />
+          </div>
+        )}
+      </div>
+      <div className="crop-actions">
+        {bbox ? (
+          <button type="button" className="icon-btn" onClick={() => onChange(null)} disabled={disabled}>Use full page</button>
+        ) : (
+          <button type="button" className="icon-btn" onClick={() => onChange(detected || { x: 0.1, y: 0.1, w: 0.8, h: 0.8 })} disabled={disabled}>
+            Crop{detected ? ' to figure' : ''}
+          </button>
+        )}
+        {bbox && detected && !sameBox(bbox, detected) && (
+          <button type="button" className="icon-btn" onClick={() => onChange(detected)} disabled={disabled}>Reset to figure</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Absolute position of a fractional box inside the page frame.
+function boxStyle(box) {
+  return {
+    left: `${box.x * 100}%`,
+    top: `${box.y * 100}%`,
+    width: `${box.w * 100}%`,
+    height: `${box.h * 100}%`
+  };
+}
+
+function moveBox(box, dx, dy) {
+  return roundBox({
+    ...box,
+    x: clamp(box.x + dx, 0, 1 - box.w),
+    y: clamp(box.y + dy, 0, 1 - box.h)
+  });
+}
+
+function resizeBox(box, dw, dh) {
+  return roundBox({
+    ...box,
+    w: clamp(box.w + dw, MIN_SIZE, 1 - box.x),
+    h: clamp(box.h + dh, MIN_SIZE, 1 - box.y)
+  });
+}
+
+// Same 3-decimal precision as validateBbox, so crop keys stay stable.
+function roundBox(box) {
+  return Object.fromEntries(Object.entries(box).map(([k, v]) => [k, Math.round(v * 1000) / 1000]));
+}
+
+function sameBox(a, b) {
+  return ['x', 'y', 'w', 'h'].every(k => a[k] === b[k]);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+export default CropEditor;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { summarizeDiff } from '../utils/outlineHistory';
+
+/**
+ * OutlineDiff component
+ * Slide-level diff from utils/outlineHistory diffOutlines. Slides that did not change are
+ * left out; bullets of changed slides are shown in full.
+ *
+ * @param {{ diff: Array<object>, caption: string }} props
+ */
+function OutlineDiff({ diff, caption }) {
+  const changed = diff.filter(d => d.status !== 'unchanged');
+  return (
+    <div className="outline-diff">
+      <p className="small">{caption}: {summarizeDiff(diff)}</p>
+      {changed.map((d, n) => (
+        <div key={n} className={`diff-slide diff-${d.status}`}>
+          <div className="diff-slide-title">
+            <span className="badge">{d.status}</span>
+            {d.previousTitle !== undefined && <del>{d.previousTitle || '(untitled)'}</del>}
+            <strong>{d.title || '(untitled)'}</strong>
+          </div>
+          {d.bullets.length > 0 && (
+            <ul className="diff-bullets">
+              {d.bullets.map((b, k) => (
+                <li key={k} className={`diff-${b.status}`}>
+                  {b.status === 'changed' && <del>{b.previous}</del>}
+                  {b.status === 'removed' ? <del>{b.text}</del> : <span>{b.text}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+          {d.fields.filter(f => f !== 'title').length > 0 && (
+            <p className="small">Also changed: {d.fields.filter(f => f !== 'title').join(', ')}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default OutlineDiff;
@@ -0,0 +1,383 @@
+import React, { useState } from 'react';
+import { SLIDE_LAYOUTS } from '../services/outlineSchema';
+import { SLIDE_REWRITES } from '../services/openaiClient';
+import {
+  addBullet,
+  deleteSlide,
+  insertSlide,
+  mergeWithNext,
+  moveSlide,
+  removeBullet,
+  setSlideLayout,
+  splitSlide,
+  isWholePageRef,
+  toggleImagePage,
+  togglePinned,
+  updateSlide
+} from '../utils/outline';
+import { documentName, formatPageLabel, formatPageRef, pageDoc, pageKey, pageNumber, pageRef, samePage } from '../utils/documents';
+import { formatDuration, speakingSeconds } from '../utils/speakingTime';
+
+/**
+ * OutlineEditor component
+ * Slide-by-slide editor for the planned outline:
+ * - Inline editing of titles, bullets and speaker notes
+ * - Choosing each slide's layout and editing its layout-specific fields
+ * - Drag-and-drop reordering (plus up/down buttons for keyboard users)
+ * - Add, delete, split and merge slides
+ * - Picking imagePages from the rendered page thumbnails, grouped by document when the deck
+ *   combines several PDFs (explicit { page, bbox } crops are kept)
+ * - Each bullet's cited sources as page links, with bullets whose quotes were not found flagged
+ * - Pinning slides so whole-deck refinement leaves them alone
+ * - Each slide's estimated speaking time from its notes
+ * Every edit is applied locally through onChange; no LLM call is made. The per-slide Rewrite
+ * menu (SLIDE_REWRITES) is the exception: it asks the parent, through onRewrite, to rewrite that slide.
+ *
+ * @param {{
+ *   outline: {slides: Array<{title:string, bullets:string[], sources?:Array<Array<object>>, imagePages?:number[], notes?:string}>, summary?: string},
+ *   pages: Array<{doc?:number, page:number, dataUrl:string}>,
+ *   documents?: Array<{doc:number, name:string}> - the PDFs the pages come from (utils/documents.js),
+ *   onChange: (outline: object) => void,
+ *   sourceCheck?: {outline: object, support: Array<Array<string|null>>} - result of utils/sources checkSources for `outline`,
+ *   onShowSource?: (source: {doc?:number, page:number, quote:string, match:string, bbox?:object}) => void,
+ *   onRewrite?: (index: number, kind: string, language?: string) => void - omit to hide the Rewrite menu,
+ *   rewritingIndex?: number|null - slide being rewritten,
+ *   disabled?: boolean
+ * }} props
+ */
+function OutlineEditor({ outline, pages, documents = [], onChange, sourceCheck, onShowSource, onRewrite, rewritingIndex = null, disabled = false }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [translateIndex, setTranslateIndex] = useState(null); // slide whose target language is being asked for
+  const [language, setLanguage] = useState('');
+
+  if (!outline || !Array.isArray(outline.slides)) return null;
+
+  const slides = outline.slides;
+  // Picker thumbnails per document; one unnamed group for a single PDF.
+  const pageGroups = documents.length > 1
+    ? documents.map(d => ({ ...d, pages: pages.filter(p => pageDoc(p) === d.doc) })).filter(g => g.pages.length)
+    : [{ doc: 1, name: '', pages }];
+
+  const onDragStart = (index) => (e) => {
+    setDragIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox requires data to be set for a drag to start.
+    e.dataTransfer.setData('text/plain', String(index));
+  };
+
+  const onDragOver = (index) => (e) => {
+    if (dragIndex === null) return;
+    e.preventDefault();
+    setDropIndex(index);
+  };
+
+  const onDropSlide = (index) => (e) => {
+    e.preventDefault();
+    if (dragIndex !== null) onChange(moveSlide(outline, dragIndex, index));
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const onDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const setBullet = (index, bulletIndex, value) => {
+    const bullets = [...(slides[index].bullets || [])];
+    bullets[bulletIndex] = value;
+    onChange(updateSlide(outline, index, { bullets }));
+  };
+
+  const supportOf = (index, bulletIndex) => sourceCheck?.support[index]?.[bulletIndex] || null;
+  const citedOf = (index, bulletIndex) => sourceCheck?.outline.slides[index]?.sources?.[bulletIndex] || [];
+  const unsupportedCount = slides.reduce((count, s, index) => count + (s.bullets || [])
+    .filter((b, bulletIndex) => b.trim() && supportOf(index, bulletIndex) === 'unsupported').length, 0);
+
+  const chooseRewrite = (index, kind) => {
+    if (kind === 'translate') {
+      setTranslateIndex(index);
+    } else if (kind) {
+      onRewrite(index, kind);
+    }
+  };
+
+  const submitTranslation = (index) => (e) => {
+    e.preventDefault();
+    if (!language.trim()) return;
+    setTranslateIndex(null);
+    onRewrite(index, 'translate', language.trim());
+  };
+
+  const setColumn = (index, columnIndex, patch) => {
+    const columns = (slides[index].columns || []).map((c, i) => (i === columnIndex ? { ...c, ...patch } : c));
+    onChange(updateSlide(outline, index, { columns }));
+  };
+
+  return (
+    <div className="outline-editor" aria-label="outline editor">
+      <div className="outline-editor-header">
+        <h2 className="title">Outline</h2>
+        <span className="small">Edits apply immediately. Chat feedback is applied by the LLM when you generate; pinned slides are left as they are.</span>
+        {unsupportedCount > 0 && (
+          <span className="badge source-warning">{unsupportedCount} bullet{unsupportedCount === 1 ? '' : 's'} without a source found in the PDF</span>
+        )}
+      </div>
+
+      {slides.map((s, index) => (
+        <div
+          key={index}
+          className={`slide-editor ${s.pinned ? 'pinned' : ''} ${rewritingIndex === index ? 'rewriting' : ''} ${dragIndex === index ? 'dragging' : ''} ${dropIndex === index && dragIndex !== index ? 'drop-target' : ''}`}
+          onDragOver={onDragOver(index)}
+          onDrop={onDropSlide(index)}
+        >
+          <div className="slide-editor-toolbar">
+            <span
+              className="drag-handle"
+              draggable={!disabled}
+              onDragStart={onDragStart(index)}
+              onDragEnd={onDragEnd}
+              title="Drag to reorder"
+              aria-hidden="true"
+            >
+              ⋮⋮
+            </span>
+            <span className="badge">Slide {index + 1}</span>
+            {(s.notes || '').trim() && (
+              <span className="small slide-time" title="Estimated speaking time of the notes">{formatDuration(speakingSeconds(s.notes))}</span>
+            )}
+            <div className="slide-editor-actions">
+              <button
+                type="button"
+                className={`icon-btn ${s.pinned ? 'active' : ''}`}
+                onClick={() => onChange(togglePinned(outline, index))}
+                disabled={disabled}
+                aria-pressed={Boolean(s.pinned)}
+                title="Pinned slides are not changed when chat feedback refines the whole deck"
+              >
+                {s.pinned ? 'Pinned' : 'Pin'}
+              </button>
+              {onRewrite && (
+                <select
+                  className="rewrite-select"
+                  value=""
+                  onChange={(e) => chooseRewrite(index, e.target.value)}
+                  disabled={disabled || rewritingIndex !== null}
+                  aria-label={`Rewrite slide ${index + 1} with the LLM`}
+                >
+                  <option value="">{rewritingIndex === index ? 'Rewriting…' : 'Rewrite…'}</option>
+                  {Object.entries(SLIDE_REWRITES).map(([kind, r]) => (
+                    <option key={kind} value={kind}>{kind === 'translate' ? `${r.label}…` : r.label}</option>
+                  ))}
+                </select>
+              )}
+              <button type="button" className="icon-btn" onClick={() => onChange(moveSlide(outline, index, index - 1))} disabled={disabled || index === 0} aria-label={`Move slide ${index + 1} up`}>↑</button>
+              <button type="button" className="icon-btn" onClick={() => onChange(moveSlide(outline, index, index + 1))} disabled={disabled || index === slides.length - 1} aria-label={`Move slide ${index + 1} down`}>↓</button>
+              <button type="button" className="icon-btn" onClick={() => onChange(splitSlide(outline, index))} disabled={disabled || (s.bullets || []).length < 2}>Split</button>
+              <button type="button" className="icon-btn" onClick={() => onChange(mergeWithNext(outline, index))} disabled={disabled || index === slides.length - 1}>Merge ↓</button>
+              <button type="button" className="icon-btn" onClick={() => onChange(insertSlide(outline, index + 1))} disabled={disabled}>+ After</button>
+              <button type="button" className="icon-btn danger" onClick={() => onChange(deleteSlide(outline, index))} disabled={disabled} aria-label={`Delete slide ${index + 1}`}>Delete</button>
+            </div>
+          </div>
+
+          {translateIndex === index && (
+            <form className="translate-form" onSubmit={submitTranslation(index)}>
+              <input
+                type="text"
+                value={language}
+                placeholder="Language, e.g. German"
+                aria-label={`Language to translate slide ${index + 1} into`}
+                onChange={(e) => setLanguage(e.target.value)}
+                disabled={disabled}
+                autoFocus
+              />
+              <button type="submit" className="icon-btn" disabled={disabled || !language.trim()}>Translate</button>
+              <button type="button" className="icon-btn" onClick={() => setTranslateIndex(null)}>Cancel</button>
+            </form>
+          )}
+
+          <input
+            type="text"
+            className="slide-title-input"
+            value={s.title || ''}
+            placeholder="Slide title"
+            aria-label={`Slide ${index + 1} title`}
+            onChange={(e) => onChange(updateSlide(outline, index, { title: e.target.value }))}
+            disabled={disabled}
+          />
+
+          <label className="small layout-select">
+            Layout{' '}
+            <select
+              value={s.layout || 'bullets'}
+              onChange={(e) => onChange(setSlideLayout(outline, index, e.target.value))}
+              disabled={disabled}
+              aria-label={`Slide ${index + 1} layout`}
+            >
+              {SLIDE_LAYOUTS.map(l => <option key={l} value={l}>{l}</option>)}
+            </select>
+          </label>
+
+          {s.layout === 'section' && (
+            <input
+              type="text"
+              className="layout-input"
+              value={s.subtitle || ''}
+              placeholder="Subtitle (optional)"
+              aria-label={`Slide ${index + 1} subtitle`}
+              onChange={(e) => onChange(updateSlide(outline, index, { subtitle: e.target.value }))}
+              disabled={disabled}
+            />
+          )}
+
+          {s.layout === 'quote' && (
+            <div className="layout-fields">
+              <textarea
+                value={s.quote || ''}
+                placeholder="Quote"
+                aria-label={`Slide ${index + 1} quote`}
+                rows={2}
+                onChange={(e) => onChange(updateSlide(outline, index, { quote: e.target.value }))}
+                disabled={disabled}
+              />
+              <input
+                type="text"
+                value={s.attribution || ''}
+                placeholder="Attribution (optional)"
+                aria-label={`Slide ${index + 1} attribution`}
+                onChange={(e) => onChange(updateSlide(outline, index, { attribution: e.target.value }))}
+                disabled={disabled}
+              />
+            </div>
+          )}
+
+          {s.layout === 'comparison' && (
+            <div className="comparison-columns">
+              {(s.columns || []).map((c, columnIndex) => (
+                <div key={columnIndex} className="layout-fields">
+                  <input
+                    type="text"
+                    value={c.heading || ''}
+                    placeholder={`Column ${columnIndex + 1} heading`}
+                    aria-label={`Slide ${index + 1} column ${columnIndex + 1} heading`}
+                    onChange={(e) => setColumn(index, columnIndex, { heading: e.target.value })}
+                    disabled={disabled}
+                  />
+                  <textarea
+                    value={(c.bullets || []).join('\n')}
+                    placeholder="One bullet per line"
+                    aria-label={`Slide ${index + 1} column ${columnIndex + 1} bullets`}
+                    rows={4}
+                    onChange={(e) => setColumn(index, columnIndex, { bullets: e.target.value.split('\n') })}
+                    disabled={disabled}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {(!s.layout || s.layout === 'bullets' || s.layout === 'agenda') && (
+            <>
+              <ul className="bullet-list">
+                {(s.bullets || []).map((b, bulletIndex) => {
+                  const support = supportOf(index, bulletIndex);
+                  return (
+                    <li key={bulletIndex} className={support ? `support-${support}` : undefined}>
+                      <input
+                        type="text"
+                        value={b}
+                        placeholder="Bullet point"
+                        aria-label={`Slide ${index + 1} bullet ${bulletIndex + 1}`}
+                        onChange={(e) => setBullet(index, bulletIndex, e.target.value)}
+                        disabled={disabled}
+                      />
+                      {citedOf(index, bulletIndex).map((source, sourceIndex) => (
+                        <button
+                          type="button"
+                          key={sourceIndex}
+                          className={`source-chip ${source.match}`}
+                          onClick={() => onShowSource && onShowSource(source)}
+                          title={`“${source.quote}”${SOURCE_MATCH_LABELS[source.match]}`}
+                          aria-label={`Show source on ${formatPageRef(source, documents)} for bullet ${bulletIndex + 1}`}
+                        >
+                          {formatPageLabel(source)}
+                        </button>
+                      ))}
+                      {support === 'unsupported' && b.trim() && (
+                        <span className="source-flag" title="No cited quote was found in the PDF text. Check this bullet.">unsupported</span>
+                      )}
+                      <button type="button" className="icon-btn" onClick={() => onChange(removeBullet(outline, index, bulletIndex))} disabled={disabled} aria-label={`Remove bullet ${bulletIndex + 1}`}>×</button>
+                    </li>
+                  );
+                })}
+              </ul>
+              <button type="button" className="icon-btn" onClick={() => onChange(addBullet(outline, index))} disabled={disabled}>+ Bullet</button>
+            </>
+          )}
+
+          <textarea
+            className="notes-input"
+            value={s.notes || ''}
+            placeholder="Speaker notes (optional)"
+            aria-label={`Slide ${index + 1} notes`}
+            rows={2}
+            onChange={(e) => onChange(updateSlide(outline, index, { notes: e.target.value }))}
+            disabled={disabled}
+          />
+
+          {pages.length > 0 && (
+            <details className="image-picker">
+              <summary className="small">
+                Images: {(s.imagePages || []).length ? `pages ${(s.imagePages || []).map(r => formatImageRef(r, documents)).join(', ')}` : 'none'}
+              </summary>
+              {pageGroups.map(group => (
+                <React.Fragment key={group.doc}>
+                  {group.name && <div className="image-picker-document small">{group.name}</div>}
+                  <div className="image-picker-grid">
+                    {group.pages.map(p => {
+                      const ref = pageRef(pageDoc(p), p.page);
+                      const selected = (s.imagePages || []).some(r => isWholePageRef(r) && samePage(r, ref));
+                      return (
+                        <button
+                          type="button"
+                          key={pageKey(p)}
+                          className={`image-picker-item ${selected ? 'selected' : ''}`}
+                          onClick={() => onChange(toggleImagePage(outline, index, ref))}
+                          disabled={disabled}
+                          aria-pressed={selected}
+                          aria-label={`Use ${formatPageRef(ref, documents)} image on slide ${index + 1}`}
+                        >
+                          <img src={p.dataUrl} alt="" />
+                          <span>{p.page}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </React.Fragment>
+              ))}
+            </details>
+          )}
+        </div>
+      ))}
+
+      <button type="button" className="btn secondary" onClick={() => onChange(insertSlide(outline, slides.length))} disabled={disabled}>
+        + Add slide
+      </button>
+    </div>
+  );
+}
+
+// "3", "3 (cropped)", "3 of appendix.pdf"
+function formatImageRef(ref, documents) {
+  const page = pageDoc(ref) > 1 ? `${pageNumber(ref)} of ${documentName(pageDoc(ref), documents)}` : String(pageNumber(ref));
+  return isWholePageRef(ref) ? page : `${page} (cropped)`;
+}
+
+const SOURCE_MATCH_LABELS = {
+  exact: '',
+  fuzzy: ' (found approximately)',
+  none: ' (not found on the page)'
+};
+
+export default OutlineEditor;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { OUTLINE_FILE_FORMATS } from '../services/outlineFormats';
+
+/**
+ * OutlineFiles component
+ * Exports the current outline as JSON, Markdown or Marp slides (services/outlineFormats),
+ * and imports an edited file back as the working outline.
+ *
+ * @param {{
+ *   hasOutline: boolean,
+ *   onExport: (format: 'json'|'markdown'|'marp') => void,
+ *   onImport: (file: File) => void,
+ *   disabled?: boolean
+ * }} props
+ */
+function OutlineFiles({ hasOutline, onExport, onImport, disabled = false }) {
+  const onFileChange = (e) => {
+    const file = e.target.files?.[0];
+    // Reset so choosing the same file again after editing it still fires onChange.
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="outline-files">
+      <span className="small">Outline file:</span>
+      {Object.entries(OUTLINE_FILE_FORMATS).map(([format, { label }]) => (
+        <button key={format} type="button" className="icon-btn" onClick={() => onExport(format)} disabled={disabled || !hasOutline}>
+          Export {label}
+        </button>
+      ))}
+      <input
+        id="outline-import"
+        type="file"
+        accept=".json,.md,.markdown,.txt,application/json,text/markdown,text/plain"
+        onChange={onFileChange}
+        disabled={disabled}
+      />
+      <label htmlFor="outline-import" className={`icon-btn ${disabled ? 'disabled' : ''}`}>Import…</label>
+    </div>
+  );
+}
+
+export default OutlineFiles;
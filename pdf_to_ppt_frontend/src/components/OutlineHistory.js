@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from 'react';
+import { OUTLINE_CHANGE_SOURCES, diffOutlines, summarizeDiff } from '../utils/outlineHistory';
+import OutlineDiff from './OutlineDiff';
+
+/**
+ * OutlineHistory component
+ * Version timeline of the outline (utils/outlineHistory), newest first:
+ * - Who made each version (LLM planning, LLM refinement, manual edit, restore) and when
+ * - Undo / redo between versions
+ * - A slide-level diff of what a version changed, or of how it differs from the current outline
+ * - Restore, which adds the chosen version back on top of the timeline
+ *
+ * @param {{
+ *   history: {versions: Array<{id:number, outline:object, source:string, label?:string, at:number}>, index:number},
+ *   onUndo: () => void,
+ *   onRedo: () => void,
+ *   onRestore: (index: number) => void,
+ *   disabled?: boolean
+ * }} props
+ */
+function OutlineHistory({ history, onUndo, onRedo, onRestore, disabled = false }) {
+  // Diff on display: { index, against: 'previous'|'current' }
+  const [shown, setShown] = useState(null);
+
+  const { versions, index: currentIndex } = history;
+  const summaries = useMemo(
+    () => versions.map((v, i) => summarizeDiff(diffOutlines(versions[i - 1]?.outline, v.outline))),
+    [versions]
+  );
+
+  const diff = useMemo(() => {
+    if (!shown || !versions[shown.index]) return null;
+    const version = versions[shown.index];
+    return shown.against === 'current'
+      ? diffOutlines(version.outline, versions[currentIndex].outline)
+      : diffOutlines(versions[shown.index - 1]?.outline, version.outline);
+  }, [shown, versions, currentIndex]);
+
+  const toggle = (index, against) => {
+    setShown(shown?.index === index && shown.against === against ? null : { index, against });
+  };
+
+  return (
+    <section className="outline-history" aria-label="outline history">
+      <div className="outline-editor-header">
+        <h2 className="title">History</h2>
+        <div className="slide-editor-actions">
+          <button type="button" className="icon-btn" onClick={onUndo} disabled={disabled || currentIndex === 0}>Undo</button>
+          <button type="button" className="icon-btn" onClick={onRedo} disabled={disabled || currentIndex === versions.length - 1}>Redo</button>
+        </div>
+      </div>
+
+      <ol className="history-list" reversed>
+        {versions.map((v, i) => ({ v, i })).reverse().map(({ v, i }) => (
+          <li key={v.id} className={i === currentIndex ? 'current' : i > currentIndex ? 'undone' : undefined}>
+            <div className="history-entry">
+              <span className="history-source">
+                {describeVersion(v)}
+                {i === currentIndex && <span className="badge">current</span>}
+              </span>
+              <span className="small">{formatTime(v.at)} · {summaries[i]}</span>
+            </div>
+            <div className="slide-editor-actions">
+              <button type="button" className="icon-btn" onClick={() => toggle(i, 'previous')} aria-pressed={shown?.index === i && shown.against === 'previous'}>
+                Changes
+              </button>
+              {i !== currentIndex && (
+                <>
+                  <button type="button" className="icon-btn" onClick={() => toggle(i, 'current')} aria-pressed={shown?.index === i && shown.against === 'current'}>
+                    Compare with current
+                  </button>
+                  <button type="button" className="icon-btn" onClick={() => { setShown(null); onRestore(i); }} disabled={disabled}>
+                    Restore
+                  </button>
+                </>
+              )}
+            </div>
+            {shown?.index === i && diff && (
+              <OutlineDiff
+                diff={diff}
+                caption={shown.against === 'current'
+                  ? `From version ${v.id} to the current outline`
+                  : `Changes made by version ${v.id}`}
+              />
+            )}
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
+
+function describeVersion(version) {
+  const source = OUTLINE_CHANGE_SOURCES[version.source] || version.source;
+  return version.label ? `${source}: ${version.label}` : source;
+}
+
+function formatTime(time) {
+  const date = new Date(time);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : date.toLocaleString();
+}
+
+export default OutlineHistory;
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { DEFAULT_PLANNING_SETTINGS, PLANNING_AUDIENCES, PLANNING_LIMITS, describePlanningSettings } from '../presets';
+
+const TONE_SUGGESTIONS = ['neutral', 'formal', 'conversational', 'persuasive', 'enthusiastic', 'concise, no jargon'];
+const PRESET_GROUPS = [['builtin', 'Built-in'], ['team', 'Team'], ['saved', 'Saved in this browser']];
+
+/**
+ * PlanningSettings component
+ * Collapsible panel with the planning settings (presets/index.js): audience, tone, slide count,
+ * bullets per slide, words per bullet and output language. A preset fills them all at once;
+ * the current settings can be saved as a preset, and presets exported or imported as files to
+ * share them with the team. Editing a field leaves the preset (presetId becomes '').
+ *
+ * @param {{
+ *   settings: object,
+ *   presetId: string,
+ *   presets: Array<{id: string, name: string, source: 'builtin'|'team'|'saved'}>,
+ *   onChange: (settings: object) => void,
+ *   onSelectPreset: (id: string) => void - '' goes back to the standard settings,
+ *   onSavePreset: (name: string) => void,
+ *   onDeletePreset: (id: string) => void,
+ *   onExportPreset: (id: string) => void,
+ *   onImportPreset: (file: File) => void,
+ *   disabled?: boolean
+ * }} props
+ */
+function PlanningSettings({
+  settings,
+  presetId,
+  presets,
+  onChange,
+  onSelectPreset,
+  onSavePreset,
+  onDeletePreset,
+  onExportPreset,
+  onImportPreset,
+  disabled = false
+}) {
+  const [presetName, setPresetName] = useState('');
+  const selected = presets.find(p => p.id === presetId);
+
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+  // Empty clears an optional number. Values are capped while typing and raised to the
+  // minimum on blur, so typing "12" does not turn into the minimum after the "1".
+  const setNumber = (key, raw) => {
+    if (raw === '') {
+      set(key, key === 'maxBullets' ? DEFAULT_PLANNING_SETTINGS.maxBullets : null);
+      return;
+    }
+    set(key, Math.min(PLANNING_LIMITS[key][1], Math.max(0, Math.round(Number(raw)) || 0)));
+  };
+  const raiseToMin = (key) => {
+    const min = PLANNING_LIMITS[key][0];
+    if (settings[key] !== null && settings[key] < min) set(key, min);
+  };
+
+  const onSave = (e) => {
+    e.preventDefault();
+    if (!presetName.trim()) return;
+    onSavePreset(presetName.trim());
+    setPresetName('');
+  };
+
+  const onFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImportPreset(file);
+  };
+
+  return (
+    <details className="planning-settings">
+      <summary className="small">
+        Planning settings: {selected ? `${selected.name} — ` : ''}{describePlanningSettings(settings)}
+      </summary>
+
+      <div className="planning-settings-grid">
+        <label className="small">
+          Preset
+          <select value={presetId} onChange={(e) => onSelectPreset(e.target.value)} disabled={disabled}>
+            <option value="">{selected || describePlanningSettings(settings) === 'standard' ? 'Standard' : 'Custom'}</option>
+            {PRESET_GROUPS.map(([source, label]) => {
+              const group = presets.filter(p => p.source === source);
+              return group.length > 0 && (
+                <optgroup key={source} label={label}>
+                  {group.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </optgroup>
+              );
+            })}
+          </select>
+        </label>
+        <label className="small">
+          Audience
+          <select value={settings.audience} onChange={(e) => set('audience', e.target.value)} disabled={disabled}>
+            <option value="">Any</option>
+            {Object.entries(PLANNING_AUDIENCES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+        <label className="small">
+          Tone
+          <input
+            type="text"
+            list="planning-tones"
+            value={settings.tone}
+            maxLength={100}
+            placeholder="Any"
+            onChange={(e) => set('tone', e.target.value)}
+            disabled={disabled}
+          />
+          <datalist id="planning-tones">
+            {TONE_SUGGESTIONS.map(t => <option key={t} value={t} />)}
+          </datalist>
+        </label>
+        <label className="small">
+          Slides
+          <input
+            type="number"
+            min={PLANNING_LIMITS.slideCount[0]}
+            max={PLANNING_LIMITS.slideCount[1]}
+            value={settings.slideCount ?? ''}
+            placeholder="5–12"
+            onChange={(e) => setNumber('slideCount', e.target.value)}
+            onBlur={() => raiseToMin('slideCount')}
+            disabled={disabled}
+          />
+        </label>
+        <label className="small">
+          Bullets per slide
+          <input
+            type="number"
+            min={PLANNING_LIMITS.maxBullets[0]}
+            max={PLANNING_LIMITS.maxBullets[1]}
+            value={settings.maxBullets}
+            onChange={(e) => setNumber('maxBullets', e.target.value)}
+            onBlur={() => raiseToMin('maxBullets')}
+            disabled={disabled}
+          />
+        </label>
+        <label className="small">
+          Words per bullet
+          <input
+            type="number"
+            min={PLANNING_LIMITS.wordsPerBullet[0]}
+            max={PLANNING_LIMITS.wordsPerBullet[1]}
+            value={settings.wordsPerBullet ?? ''}
+            placeholder="Any"
+            onChange={(e) => setNumber('wordsPerBullet', e.target.value)}
+            onBlur={() => raiseToMin('wordsPerBullet')}
+            disabled={disabled}
+          />
+        </label>
+        <label className="small">
+          Language
+          <input
+            type="text"
+            value={settings.language}
+            maxLength={100}
+            placeholder="Same as the PDF"
+            onChange={(e) => set('language', e.target.value)}
+            disabled={disabled}
+          />
+        </label>
+      </div>
+
+      <div className="planning-presets">
+        <form className="translate-form" onSubmit={onSave}>
+          <input
+            type="text"
+            value={presetName}
+            maxLength={60}
+            placeholder="Preset name"
+            onChange={(e) => setPresetName(e.target.value)}
+            disabled={disabled}
+            aria-label="Name of the new preset"
+          />
+          <button type="submit" className="icon-btn" disabled={disabled || !presetName.trim()}>Save as preset</button>
+        </form>
+        <button type="button" className="icon-btn" onClick={() => onExportPreset(presetId)} disabled={disabled || !selected}>
+          Export preset
+        </button>
+        {selected?.source === 'saved' && (
+          <button type="button" className="icon-btn" onClick={() => onDeletePreset(presetId)} disabled={disabled}>
+            Delete preset
+          </button>
+        )}
+        <input id="preset-import" type="file" accept=".json,application/json" onChange={onFileChange} disabled={disabled} />
+        <label htmlFor="preset-import" className={`icon-btn ${disabled ? 'disabled' : ''}`}>Import preset…</label>
+      </div>
+      <p className="small">Used when planning, refining and rewriting slides and when writing speaker notes.</p>
+    </details>
+  );
+}
+
+export default PlanningSettings;
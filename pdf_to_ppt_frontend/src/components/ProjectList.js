@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+
+/**
+ * ProjectList component
+ * Sidebar of the projects saved in this browser (services/projectStore), most recent first.
+ * Open switches the app to a project; rename edits the name inline; duplicate and delete
+ * act on the stored copy. Deleting asks for confirmation.
+ *
+ * @param {{
+ *   projects: Array<{id:string, name:string, fileName:string, pageCount:number, updatedAt:number}>,
+ *   activeId: string|null,
+ *   onOpen: (id: string) => void,
+ *   onRename: (id: string, name: string) => void,
+ *   onDuplicate: (id: string) => void,
+ *   onDelete: (id: string) => void,
+ *   disabled?: boolean
+ * }} props
+ */
+function ProjectList({ projects, activeId, onOpen, onRename, onDuplicate, onDelete, disabled = false }) {
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  const commitRename = () => {
+    if (editing && editing.name.trim()) onRename(editing.id, editing.name);
+    setEditing(null);
+  };
+
+  const confirmDelete = (project) => {
+    if (window.confirm(`Delete "${project.name}"? Its analysis, outline and chat will be removed from this browser.`)) {
+      onDelete(project.id);
+    }
+  };
+
+  return (
+    <nav className="project-list" aria-label="saved projects">
+      <h2 className="title">Projects</h2>
+      {projects.length === 0 && <p className="small">Projects are saved in this browser as soon as you choose a PDF.</p>}
+      <ul>
+        {projects.map(p => (
+          <li key={p.id} className={p.id === activeId ? 'active' : undefined}>
+            {editing?.id === p.id ? (
+              <input
+                type="text"
+                value={editing.name}
+                aria-label="Project name"
+                autoFocus
+                onChange={(e) => setEditing({ id: p.id, name: e.target.value })}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setEditing(null);
+                }}
+              />
+            ) : (
+              <button
+                type="button"
+                className="project-open"
+                onClick={() => onOpen(p.id)}
+                disabled={disabled || p.id === activeId}
+                aria-current={p.id === activeId ? 'true' : undefined}
+              >
+                <span className="project-name">{p.name}</span>
+                <span className="small">
+                  {p.pageCount ? `${p.pageCount} page${p.pageCount === 1 ? '' : 's'} · ` : ''}{formatSavedAt(p.updatedAt)}
+                </span>
+              </button>
+            )}
+            <div className="project-actions">
+              <button type="button" className="icon-btn" onClick={() => setEditing({ id: p.id, name: p.name })} disabled={disabled} aria-label={`Rename ${p.name}`}>Rename</button>
+              <button type="button" className="icon-btn" onClick={() => onDuplicate(p.id)} disabled={disabled} aria-label={`Duplicate ${p.name}`}>Duplicate</button>
+              <button type="button" className="icon-btn danger" onClick={() => confirmDelete(p)} disabled={disabled} aria-label={`Delete ${p.name}`}>Delete</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
+
+function formatSavedAt(time) {
+  const date = new Date(time);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+}
+
+export default ProjectList;
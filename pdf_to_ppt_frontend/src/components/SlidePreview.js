@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  chartShapes,
+  estimateTextFit,
+  layoutDeck,
+  slicePath,
+  SLIDE_HEIGHT_IN,
+  SLIDE_WIDTH_IN
+} from '../services/slideLayout';
+
+/**
+ * SlidePreview component
+ * Renders the deck at 16:9 from the same layout model the PPTX generator uses,
+ * including the theme's slide masters, one slide at a time with previous/next
+ * paging. Bullets estimated to overflow their text box are highlighted so they
+ * can be fixed before downloading. Extracted tables and charts are drawn as an
+ * HTML table and a simplified SVG chart.
+ *
+ * @param {{
+ *   outline: {slides: Array<{layout?:string, title:string, bullets:string[], imagePages?:number[], notes?:string}>},
+ *   imagesByPage: Record<string,string>,
+ *   visualsByPage?: Record<string,{table?:object, chart?:object}>,
+ *   deckTitle: string,
+ *   theme: object
+ * }} props
+ */
+function SlidePreview({ outline, imagesByPage, visualsByPage, deckTitle, theme }) {
+  const [index, setIndex] = useState(0);
+
+  const { slides: layouts, masters } = useMemo(
+    () => layoutDeck(outline, imagesByPage, deckTitle, theme, visualsByPage),
+    [outline, imagesByPage, visualsByPage, deckTitle, theme]
+  );
+
+  const overflowing = useMemo(() => layouts.map(l => l.elements.some(el => el.kind === 'text' && !estimateTextFit(el).fits)), [layouts]);
+  const overflowCount = overflowing.filter(Boolean).length;
+
+  // Keep the current page valid when slides are deleted in the editor.
+  useEffect(() => {
+    if (index > layouts.length - 1) setIndex(layouts.length - 1);
+  }, [index, layouts.length]);
+
+  const current = layouts[Math.min(index, layouts.length - 1)];
+  if (!current) return null;
+  const master = masters[current.master];
+
+  return (
+    <div className="slide-preview" aria-label="slide preview">
+      <div className="slide-preview-header">
+        <h2 className="title">Preview</h2>
+        {overflowCount > 0 && (
+          <button
+            type="button"
+            className="badge overflow-badge"
+            onClick={() => setIndex(overflowing.findIndex(Boolean))}
+            title="Go to the first slide with overflowing text"
+          >
+            {overflowCount} slide{overflowCount === 1 ? '' : 's'} with overflowing text
+          </button>
+        )}
+      </div>
+
+      <div
+        className="slide-canvas"
+        style={{ aspectRatio: `${SLIDE_WIDTH_IN} / ${SLIDE_HEIGHT_IN}`, background: `#${master.background}` }}
+      >
+        {master.elements.map((el, i) => (el.kind === 'rect'
+          ? <div key={`m${i}`} className="slide-el" style={{ ...boxStyle(el), background: `#${el.fill}` }} />
+          : <img key={`m${i}`} className="slide-el slide-image" src={el.data} alt="" style={boxStyle(el)} />
+        ))}
+        {master.slideNumber && (
+          <PreviewText element={{ ...master.slideNumber, kind: 'text', role: 'number', lines: [String(index + 1)], align: 'right' }} />
+        )}
+        {current.elements.map((el, i) => {
+          if (el.kind === 'image') {
+            return <img key={i} className="slide-el slide-image" src={el.data} alt={`Page ${el.page}`} style={{ ...boxStyle(el), objectFit: el.fit || 'contain' }} />;
+          }
+          if (el.kind === 'table') {
+            return <PreviewTable key={i} element={el} />;
+          }
+          if (el.kind === 'chart') {
+            return <PreviewChart key={i} element={el} />;
+          }
+          if (el.kind === 'rect') {
+            return <div key={i} className="slide-el" style={{ ...boxStyle(el), background: `#${el.fill}` }} />;
+          }
+          return <PreviewText key={i} element={el} />;
+        })}
+      </div>
+
+      <div className="slide-preview-nav">
+        <button type="button" className="icon-btn" onClick={() => setIndex(i => Math.max(0, i - 1))} disabled={index === 0} aria-label="Previous slide">← Prev</button>
+        <span className="small">
+          {index === 0 ? 'Title slide' : `Slide ${index} of ${layouts.length - 1}`}
+          {overflowing[index] ? ' · text overflows' : ''}
+        </span>
+        <button type="button" className="icon-btn" onClick={() => setIndex(i => Math.min(layouts.length - 1, i + 1))} disabled={index >= layouts.length - 1} aria-label="Next slide">Next →</button>
+      </div>
+
+      {current.notes && <div className="caption">Notes: {current.notes}</div>}
+    </div>
+  );
+}
+
+function PreviewText({ element }) {
+  const fit = estimateTextFit(element);
+  return (
+    <div
+      className={`slide-el slide-text ${element.role} ${fit.fits ? '' : 'overflowing'}`}
+      style={{
+        ...boxStyle(element),
+        fontSize: scaledFontSize(element.fontSize),
+        fontFamily: element.fontFace ? `"${element.fontFace}", sans-serif` : undefined,
+        fontWeight: element.bold ? 700 : 400,
+        fontStyle: element.italic ? 'italic' : undefined,
+        background: element.fill ? hexToRgba(element.fill.color, element.fill.transparency) : undefined,
+        color: element.color ? `#${element.color}` : undefined,
+        textAlign: element.align || 'left'
+      }}
+    >
+      {element.lines.map((line, i) => (
+        <div key={i} className={i >= fit.overflowFrom ? 'overflow-line' : undefined}>{line}</div>
+      ))}
+    </div>
+  );
+}
+
+function PreviewTable({ element }) {
+  return (
+    <div className="slide-el slide-table" style={{ ...boxStyle(element), fontSize: scaledFontSize(element.fontSize), color: `#${element.color}` }}>
+      <table style={{ borderColor: `#${element.borderColor}` }}>
+        {element.header && (
+          <thead>
+            <tr style={{ background: `#${element.headerFill}` }}>
+              {element.header.map((c, i) => <th key={i}>{c}</th>)}
+            </tr>
+          </thead>
+        )}
+        <tbody>
+          {element.rows.map((row, r) => (
+            <tr key={r}>{row.map((c, i) => <td key={i}>{c}</td>)}</tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Simplified rendering of the native chart (slideLayout chartShapes): no axes or gridlines.
+function PreviewChart({ element }) {
+  const { width, height, shapes } = chartShapes(element);
+  return (
+    <svg className="slide-el" style={boxStyle(element)} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={element.title || `Chart from page ${element.page}`}>
+      {shapes.map((shape, i) => {
+        if (shape.type === 'slice') return <path key={i} d={slicePath(shape)} fill={`#${shape.fill}`} />;
+        if (shape.type === 'polyline') {
+          return <polyline key={i} fill="none" stroke={`#${shape.stroke}`} strokeWidth="0.8" points={shape.points.map(p => p.join(',')).join(' ')} />;
+        }
+        if (shape.type === 'rect') return <rect key={i} x={shape.x} y={shape.y} width={shape.w} height={shape.h} fill={`#${shape.fill}`} />;
+        return <text key={i} x={shape.x} y={shape.y} fontSize={shape.size} textAnchor="middle" fill={`#${shape.fill}`}>{shape.text}</text>;
+      })}
+    </svg>
+  );
+}
+
+// 1pt relative to a 10in (720pt) wide slide, so text scales with the preview width.
+function scaledFontSize(points) {
+  return `${(points / (SLIDE_WIDTH_IN * 72)) * 100}cqw`;
+}
+
+// pptxgenjs fill transparency is 0-100 (percent transparent).
+function hexToRgba(hex, transparency = 0) {
+  const n = parseInt(hex, 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${1 - transparency / 100})`;
+}
+
+function boxStyle(el) {
+  return {
+    left: `${(el.x / SLIDE_WIDTH_IN) * 100}%`,
+    top: `${(el.y / SLIDE_HEIGHT_IN) * 100}%`,
+    width: `${(el.w / SLIDE_WIDTH_IN) * 100}%`,
+    height: `${(el.h / SLIDE_HEIGHT_IN) * 100}%`
+  };
+}
+
+export default SlidePreview;
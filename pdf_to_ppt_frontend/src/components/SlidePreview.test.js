@@ -0,0 +1,34 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import SlidePreview from './SlidePreview';
+import { getTheme } from '../themes';
+
+const outline = {
+  slides: [
+    { title: 'Short', layout: 'bullets', bullets: ['Fits easily'], notes: 'Say hello.' },
+    { title: 'Long', layout: 'bullets', bullets: Array.from({ length: 14 }, (_, i) => `Point ${i + 1} with a fairly long explanation that wraps`) }
+  ]
+};
+
+const renderPreview = () => render(
+  <SlidePreview outline={outline} imagesByPage={{}} deckTitle="Q3 review" theme={getTheme('classic')} />
+);
+
+test('pages through the title slide and the outline slides', () => {
+  renderPreview();
+  expect(screen.getByText('Title slide')).toBeInTheDocument();
+  expect(screen.getByText('Q3 review')).toBeInTheDocument();
+  expect(screen.getByLabelText('Previous slide')).toBeDisabled();
+
+  fireEvent.click(screen.getByLabelText('Next slide'));
+  expect(screen.getByText('Slide 1 of 2')).toBeInTheDocument();
+  expect(screen.getByText('Fits easily', { exact: false })).toBeInTheDocument();
+  expect(screen.getByText('Notes: Say hello.')).toBeInTheDocument();
+});
+
+test('highlights overflowing bullets and jumps to the first slide that has them', () => {
+  const { container } = renderPreview();
+  fireEvent.click(screen.getByText('1 slide with overflowing text'));
+  expect(screen.getByText(/Slide 2 of 2/)).toHaveTextContent('text overflows');
+  expect(container.querySelector('.slide-text.bullets.overflowing')).not.toBeNull();
+  expect(screen.getByLabelText('Next slide')).toBeDisabled();
+});
@@ -0,0 +1,56 @@
+import React from 'react';
+import { deckTiming, formatDuration } from '../utils/speakingTime';
+
+// Totals further than this from the target are flagged.
+const TARGET_TOLERANCE = 0.15;
+
+/**
+ * SpeakerNotes component
+ * Speaker-notes pass controls: the target talk length, a button that has the LLM write every
+ * slide's notes for it, the estimated length of the notes as they are now, and the script download.
+ *
+ * @param {{
+ *   outline: {slides: Array<{notes?: string}>},
+ *   minutes: number,
+ *   onMinutesChange: (minutes: number) => void,
+ *   onWrite: () => void,
+ *   onDownloadScript: () => void,
+ *   progress?: {done: number, total: number}|null - set while the notes are being written,
+ *   disabled?: boolean
+ * }} props
+ */
+function SpeakerNotes({ outline, minutes, onMinutesChange, onWrite, onDownloadScript, progress = null, disabled = false }) {
+  const timing = deckTiming(outline);
+  const target = minutes * 60;
+  const offTarget = timing.total > 0 && Math.abs(timing.total - target) > target * TARGET_TOLERANCE;
+
+  return (
+    <div className="speaker-notes">
+      <label className="small">
+        Talk length{' '}
+        <input
+          type="number"
+          min={1}
+          max={180}
+          value={minutes}
+          onChange={(e) => onMinutesChange(Math.min(180, Math.max(1, Number(e.target.value) || 1)))}
+          disabled={disabled}
+          aria-label="Target talk length in minutes"
+        />{' '}
+        min
+      </label>
+      <button type="button" className="icon-btn" onClick={onWrite} disabled={disabled}>
+        {progress ? `Writing notes ${progress.done}/${progress.total}…` : 'Write speaker notes'}
+      </button>
+      <span className={`small ${offTarget ? 'timing-off' : ''}`} title="Estimated from the words in the speaker notes">
+        Estimated talk: {formatDuration(timing.total)} of {formatDuration(target)}
+        {timing.withoutNotes > 0 && ` · ${timing.withoutNotes} slide${timing.withoutNotes === 1 ? '' : 's'} without notes`}
+      </span>
+      <button type="button" className="icon-btn" onClick={onDownloadScript} disabled={disabled || timing.withoutNotes === outline.slides.length}>
+        Download script
+      </button>
+    </div>
+  );
+}
+
+export default SpeakerNotes;
@@ -9,6 +9,59 @@ const BUILD_OPENAI_API_KEY = process.env.REACT_APP_OPENAI_API_KEY ?? undefined;
 // Some environments set a doubly-prefixed variable; support it as a fallback:
 const BUILD_OPENAI_API_KEY_COMPAT = process.env.REACT_APP_REACT_APP_OPENAI_API_KEY ?? undefined;
 
+// LLM provider selection (see getLlmConfig).
+const BUILD_SETTINGS = {
+  REACT_APP_LLM_PROVIDER: process.env.REACT_APP_LLM_PROVIDER ?? undefined,
+  REACT_APP_LLM_BASE_URL: process.env.REACT_APP_LLM_BASE_URL ?? undefined,
+  REACT_APP_LLM_MODEL: process.env.REACT_APP_LLM_MODEL ?? undefined,
+  REACT_APP_LLM_VISION_MODEL: process.env.REACT_APP_LLM_VISION_MODEL ?? undefined,
+  REACT_APP_LLM_API_KEY: process.env.REACT_APP_LLM_API_KEY ?? undefined,
+  REACT_APP_LLM_MAX_REPAIR_ATTEMPTS: process.env.REACT_APP_LLM_MAX_REPAIR_ATTEMPTS ?? undefined,
+  REACT_APP_LLM_CONCURRENCY: process.env.REACT_APP_LLM_CONCURRENCY ?? undefined,
+  REACT_APP_LLM_MAX_RETRIES: process.env.REACT_APP_LLM_MAX_RETRIES ?? undefined,
+  REACT_APP_LLM_MAX_INPUT_TOKENS: process.env.REACT_APP_LLM_MAX_INPUT_TOKENS ?? undefined,
+  REACT_APP_THEME_URLS: process.env.REACT_APP_THEME_URLS ?? undefined,
+  REACT_APP_DEFAULT_THEME: process.env.REACT_APP_DEFAULT_THEME ?? undefined,
+  REACT_APP_PRESET_URLS: process.env.REACT_APP_PRESET_URLS ?? undefined,
+  REACT_APP_DEFAULT_PRESET: process.env.REACT_APP_DEFAULT_PRESET ?? undefined,
+  REACT_APP_OCR_ENABLED: process.env.REACT_APP_OCR_ENABLED ?? undefined,
+  REACT_APP_OCR_LANGUAGE: process.env.REACT_APP_OCR_LANGUAGE ?? undefined,
+  REACT_APP_OCR_LANG_PATH: process.env.REACT_APP_OCR_LANG_PATH ?? undefined,
+  REACT_APP_OCR_MIN_TEXT_CHARS: process.env.REACT_APP_OCR_MIN_TEXT_CHARS ?? undefined
+};
+
+/**
+ * Defaults applied per provider when REACT_APP_LLM_BASE_URL / REACT_APP_LLM_MODEL are not set.
+ * - openai: api.openai.com with the OpenAI key
+ * - openai-compatible: any server exposing /chat/completions (vLLM, LM Studio, llama.cpp server, ...)
+ * - ollama: a local Ollama server using its native /api/chat endpoint
+ * - proxy: the pdf_to_ppt_proxy service, which holds the key server-side
+ * - mock: built-in deterministic responses, no network and no key
+ */
+const PROVIDER_DEFAULTS = {
+  openai: { baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini" },
+  "openai-compatible": { baseUrl: "http://localhost:8080/v1", model: "gpt-4o-mini" },
+  ollama: { baseUrl: "http://localhost:11434", model: "llama3.2-vision" },
+  // The proxy chooses the model; set REACT_APP_LLM_BASE_URL=/ to call same-origin /api routes.
+  proxy: { baseUrl: "http://localhost:8787", model: "server-default" },
+  mock: { baseUrl: "", model: "mock" }
+};
+
+// PUBLIC_INTERFACE
+export const LLM_PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+
+function readSetting(name) {
+  try {
+    if (typeof window !== "undefined" && window.__RUNTIME_CONFIG__) {
+      const value = window.__RUNTIME_CONFIG__[name];
+      if (value) return value;
+    }
+  } catch {
+    // ignore if window isn't available
+  }
+  return BUILD_SETTINGS[name];
+}
+
 // PUBLIC_INTERFACE
 export function getOpenAIKey() {
   /**
@@ -32,3 +85,102 @@ export function getOpenAIKey() {
   }
   return BUILD_OPENAI_API_KEY ?? BUILD_OPENAI_API_KEY_COMPAT;
 }
+
+// PUBLIC_INTERFACE
+export function getLlmConfig() {
+  /**
+   * Returns the active LLM provider configuration.
+   * Each value is read from window.__RUNTIME_CONFIG__ first, then from the build-time .env:
+   *  - REACT_APP_LLM_PROVIDER: one of LLM_PROVIDERS (default "openai")
+   *  - REACT_APP_LLM_BASE_URL: API root, e.g. http://localhost:11434 for Ollama
+   *  - REACT_APP_LLM_MODEL / REACT_APP_LLM_VISION_MODEL: model names (vision falls back to model)
+   *  - REACT_APP_LLM_API_KEY: bearer token for OpenAI-compatible servers (openai uses getOpenAIKey())
+   *  - REACT_APP_LLM_MAX_REPAIR_ATTEMPTS: re-prompts allowed when a JSON reply fails validation (default 2)
+   *  - REACT_APP_LLM_CONCURRENCY: pages analyzed in parallel (default 3)
+   *  - REACT_APP_LLM_MAX_RETRIES: retries with exponential backoff after 429/5xx or network errors (default 3)
+   *  - REACT_APP_LLM_MAX_INPUT_TOKENS: estimated prompt size per planning call (default 12000); longer
+   *    documents are planned in chunks (see planDeckWithOpenAI)
+   *
+   * @returns {{provider: string, baseUrl: string, model: string, visionModel: string, apiKey?: string,
+   *   maxRepairAttempts: number, concurrency: number, maxRetries: number, maxInputTokens: number}}
+   */
+  const provider = String(readSetting("REACT_APP_LLM_PROVIDER") || "openai").trim().toLowerCase();
+  const defaults = PROVIDER_DEFAULTS[provider] || PROVIDER_DEFAULTS.openai;
+  const baseUrl = String(readSetting("REACT_APP_LLM_BASE_URL") || defaults.baseUrl).replace(/\/+$/, "");
+  const model = readSetting("REACT_APP_LLM_MODEL") || defaults.model;
+  const visionModel = readSetting("REACT_APP_LLM_VISION_MODEL") || model;
+  const apiKey = provider === "openai" ? getOpenAIKey() : readSetting("REACT_APP_LLM_API_KEY");
+  const repairs = Number.parseInt(readSetting("REACT_APP_LLM_MAX_REPAIR_ATTEMPTS"), 10);
+  const maxRepairAttempts = Number.isInteger(repairs) && repairs >= 0 ? repairs : 2;
+  const parallel = Number.parseInt(readSetting("REACT_APP_LLM_CONCURRENCY"), 10);
+  const concurrency = Number.isInteger(parallel) && parallel >= 1 ? parallel : 3;
+  const retries = Number.parseInt(readSetting("REACT_APP_LLM_MAX_RETRIES"), 10);
+  const maxRetries = Number.isInteger(retries) && retries >= 0 ? retries : 3;
+  const inputTokens = Number.parseInt(readSetting("REACT_APP_LLM_MAX_INPUT_TOKENS"), 10);
+  // Below ~2000 tokens the instructions alone would not leave room for any page text.
+  const maxInputTokens = Number.isInteger(inputTokens) && inputTokens >= 2000 ? inputTokens : 12000;
+  return { provider, baseUrl, model, visionModel, apiKey, maxRepairAttempts, concurrency, maxRetries, maxInputTokens };
+}
+
+// PUBLIC_INTERFACE
+export function isLlmConfigured() {
+  /**
+   * True when the selected provider has everything it needs to make calls.
+   * Only the hosted OpenAI provider requires a key; proxy, local and mock providers do not.
+   */
+  const { provider, apiKey } = getLlmConfig();
+  if (!PROVIDER_DEFAULTS[provider]) return false;
+  if (provider === "openai") return !!apiKey;
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function getThemeSettings() {
+  /**
+   * Returns deck theme settings:
+   *  - REACT_APP_THEME_URLS: comma-separated URLs of extra theme JSON files (e.g. /themes/acme.json in public/)
+   *  - REACT_APP_DEFAULT_THEME: id of the theme selected on load (default "classic")
+   *
+   * @returns {{themeUrls: string[], defaultThemeId: string|undefined}}
+   */
+  const themeUrls = String(readSetting("REACT_APP_THEME_URLS") || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+  return { themeUrls, defaultThemeId: readSetting("REACT_APP_DEFAULT_THEME") || undefined };
+}
+
+// PUBLIC_INTERFACE
+export function getPresetSettings() {
+  /**
+   * Returns planning preset settings:
+   *  - REACT_APP_PRESET_URLS: comma-separated URLs of team preset JSON files (e.g. /presets/board.json in public/)
+   *  - REACT_APP_DEFAULT_PRESET: id of the preset applied to new work (default: none, the standard settings)
+   *
+   * @returns {{presetUrls: string[], defaultPresetId: string|undefined}}
+   */
+  const presetUrls = String(readSetting("REACT_APP_PRESET_URLS") || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+  return { presetUrls, defaultPresetId: readSetting("REACT_APP_DEFAULT_PRESET") || undefined };
+}
+
+// PUBLIC_INTERFACE
+export function getOcrSettings() {
+  /**
+   * Returns OCR settings for pages without a usable text layer (scans):
+   *  - REACT_APP_OCR_ENABLED: "false" turns OCR off (default on)
+   *  - REACT_APP_OCR_LANGUAGE: tesseract language code(s), e.g. "eng" or "eng+deu" (default "eng")
+   *  - REACT_APP_OCR_LANG_PATH: URL of the *.traineddata.gz files (default: the English data bundled in public/tesseract/lang)
+   *  - REACT_APP_OCR_MIN_TEXT_CHARS: pages whose text layer has fewer non-space characters are OCR'd (default 20)
+   *
+   * @returns {{enabled: boolean, language: string, langPath: string|undefined, minTextChars: number}}
+   */
+  const enabled = String(readSetting("REACT_APP_OCR_ENABLED") ?? "true").trim().toLowerCase() !== "false";
+  const language = String(readSetting("REACT_APP_OCR_LANGUAGE") || "eng").trim();
+  const langPath = readSetting("REACT_APP_OCR_LANG_PATH") || undefined;
+  const minChars = Number.parseInt(readSetting("REACT_APP_OCR_MIN_TEXT_CHARS"), 10);
+  const minTextChars = Number.isInteger(minChars) && minChars >= 0 ? minChars : 20;
+  return { enabled, language, langPath, minTextChars };
+}
@@ -0,0 +1,39 @@
+const BUILD_ENV = {
+  REACT_APP_THEME_URLS: '/themes/acme.json',
+  REACT_APP_DEFAULT_THEME: 'acme',
+  REACT_APP_PRESET_URLS: '/presets/board.json, /presets/sales.json',
+  REACT_APP_DEFAULT_PRESET: 'board-update',
+  REACT_APP_OCR_LANGUAGE: 'eng+deu'
+};
+const originalEnv = { ...process.env };
+
+// Build-time values are captured when the module loads, so load a fresh copy after setting them.
+async function loadEnv() {
+  jest.resetModules();
+  return import('./env');
+}
+
+beforeEach(() => {
+  Object.assign(process.env, BUILD_ENV);
+});
+
+afterEach(() => {
+  Object.keys(BUILD_ENV).forEach((name) => {
+    if (originalEnv[name] === undefined) delete process.env[name];
+    else process.env[name] = originalEnv[name];
+  });
+  delete window.__RUNTIME_CONFIG__;
+});
+
+test('theme, preset and OCR settings are read from the build-time environment', async () => {
+  const { getOcrSettings, getPresetSettings, getThemeSettings } = await loadEnv();
+  expect(getThemeSettings()).toEqual({ themeUrls: ['/themes/acme.json'], defaultThemeId: 'acme' });
+  expect(getPresetSettings()).toEqual({ presetUrls: ['/presets/board.json', '/presets/sales.json'], defaultPresetId: 'board-update' });
+  expect(getOcrSettings().language).toBe('eng+deu');
+});
+
+test('the runtime config overrides build-time preset settings', async () => {
+  const { getPresetSettings } = await loadEnv();
+  window.__RUNTIME_CONFIG__ = { REACT_APP_PRESET_URLS: '/presets/team.json', REACT_APP_DEFAULT_PRESET: 'team' };
+  expect(getPresetSettings()).toEqual({ presetUrls: ['/presets/team.json'], defaultPresetId: 'team' });
+});
@@ -0,0 +1,306 @@
+/**
+ * Planning preset registry.
+ * Planning settings steer the planner, whole-deck refinement, slide rewrites and the speaker
+ * notes: who the deck is for, its tone, how long it is, how dense the slides are and its language.
+ * A preset is a named set of them. Built-in presets live next to this file as JSON. Like themes,
+ * team presets use the same JSON format and are registered at runtime from the URLs in
+ * REACT_APP_PRESET_URLS (see config/env.js getPresetSettings); everyone can also save their own,
+ * which are kept in this browser's localStorage and can be exported as a file for others to import.
+ *
+ * Preset JSON:
+ * {
+ *   "id": "board-update", "name": "Board update",
+ *   "settings": { "audience": "exec", "tone": "formal, no jargon", "slideCount": 6,
+ *                 "maxBullets": 3, "wordsPerBullet": 10, "language": "German" }
+ * }
+ * Every setting is optional; omitted ones take DEFAULT_PLANNING_SETTINGS.
+ */
+import { getPresetSettings } from '../config/env';
+import executive from './executive.json';
+import technical from './technical.json';
+import sales from './sales.json';
+import training from './training.json';
+
+// PUBLIC_INTERFACE
+/**
+ * PLANNING_AUDIENCES
+ * Audiences by id: menu label and what the model is told about them.
+ */
+export const PLANNING_AUDIENCES = {
+  exec: { label: 'Executives', guidance: 'executives. Lead with conclusions, decisions and business impact; leave methodology out.' },
+  technical: { label: 'Technical', guidance: 'a technical audience. Keep precise terms, numbers, methods and caveats.' },
+  sales: { label: 'Sales', guidance: 'a sales audience. Focus on customer value, differentiators and proof points.' },
+  training: { label: 'Training', guidance: 'learners in a training session. Explain step by step, define terms and close sections with key takeaways.' }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * DEFAULT_PLANNING_SETTINGS
+ * The standard settings: no particular audience or tone, 5-12 slides (slideCount null),
+ * 3-6 bullets per slide, any bullet length and the document's own language.
+ */
+export const DEFAULT_PLANNING_SETTINGS = {
+  audience: '',
+  tone: '',
+  slideCount: null,
+  maxBullets: 6,
+  wordsPerBullet: null,
+  language: ''
+};
+
+// PUBLIC_INTERFACE
+/**
+ * PLANNING_LIMITS
+ * Allowed [min, max] of the numeric settings.
+ */
+export const PLANNING_LIMITS = {
+  slideCount: [1, 60],
+  maxBullets: [1, 10],
+  wordsPerBullet: [3, 40]
+};
+
+const SAVED_PRESETS_KEY = 'pdf-to-ppt.planningPresets';
+const SAVED_ID_PREFIX = 'saved-';
+
+const registry = new Map();
+[executive, technical, sales, training].forEach(p => registry.set(p.id, { ...p, settings: { ...DEFAULT_PLANNING_SETTINGS, ...p.settings }, source: 'builtin' }));
+
+// PUBLIC_INTERFACE
+/**
+ * validatePlanningSettings
+ * Fills defaults and checks every field; null or "" clears slideCount and wordsPerBullet.
+ * @param {any} data
+ * @returns {{value: typeof DEFAULT_PLANNING_SETTINGS|null, errors: string[]}}
+ */
+export function validatePlanningSettings(data) {
+  if (data === undefined || data === null) return { value: { ...DEFAULT_PLANNING_SETTINGS }, errors: [] };
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['"settings" must be a JSON object.'] };
+  }
+
+  const errors = [];
+  const value = { ...DEFAULT_PLANNING_SETTINGS };
+
+  if (data.audience !== undefined && data.audience !== null && data.audience !== '') {
+    if (PLANNING_AUDIENCES[data.audience]) {
+      value.audience = data.audience;
+    } else {
+      errors.push(`"audience" must be one of: ${Object.keys(PLANNING_AUDIENCES).join(', ')}.`);
+    }
+  }
+  for (const key of ['tone', 'language']) {
+    if (data[key] === undefined || data[key] === null) continue;
+    if (typeof data[key] !== 'string' || data[key].length > 100) {
+      errors.push(`"${key}" must be a string of at most 100 characters.`);
+    } else {
+      value[key] = data[key].trim();
+    }
+  }
+  for (const [key, [min, max]] of Object.entries(PLANNING_LIMITS)) {
+    if (data[key] === undefined || (data[key] === null && key !== 'maxBullets') || data[key] === '') continue;
+    const n = Number(data[key]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push(`"${key}" must be a whole number from ${min} to ${max}${key === 'maxBullets' ? '' : ', or null'}.`);
+    } else {
+      value[key] = n;
+    }
+  }
+
+  return { value: errors.length ? null : value, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * describePlanningSettings
+ * Short summary for the UI, e.g. "Executives · about 8 slides · up to 4 bullets · German".
+ * @param {object} settings
+ * @returns {string} "standard" for the default settings
+ */
+export function describePlanningSettings(settings) {
+  const s = { ...DEFAULT_PLANNING_SETTINGS, ...settings };
+  const parts = [
+    s.audience ? PLANNING_AUDIENCES[s.audience].label : '',
+    s.tone,
+    s.slideCount ? `about ${s.slideCount} slides` : '',
+    s.maxBullets !== DEFAULT_PLANNING_SETTINGS.maxBullets ? `up to ${s.maxBullets} bullets` : '',
+    s.wordsPerBullet ? `${s.wordsPerBullet} words per bullet` : '',
+    s.language
+  ].filter(Boolean);
+  return parts.length ? parts.join(' · ') : 'standard';
+}
+
+// PUBLIC_INTERFACE
+/**
+ * validatePreset
+ * @param {any} json
+ * @returns {{value: {id: string, name: string, settings: object}|null, errors: string[]}}
+ */
+export function validatePreset(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    return { value: null, errors: ['Preset must be a JSON object.'] };
+  }
+  const errors = [];
+  if (typeof json.id !== 'string' || !/^[\w-]+$/.test(json.id)) {
+    errors.push('"id" must be a non-empty string of letters, digits, "-" or "_".');
+  }
+  if (typeof json.name !== 'string' || !json.name.trim()) {
+    errors.push('"name" must be a non-empty string.');
+  }
+  const settings = validatePlanningSettings(json.settings);
+  errors.push(...settings.errors);
+  return {
+    value: errors.length ? null : { id: json.id, name: json.name.trim(), settings: settings.value },
+    errors
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * registerPreset
+ * Adds or replaces a preset. Throws with the validation errors if the JSON is invalid.
+ * @param {object} json
+ * @param {'builtin'|'team'|'saved'} [source]
+ * @returns {{id: string, name: string, settings: object, source: string}} the normalized preset
+ */
+export function registerPreset(json, source = 'team') {
+  const { value, errors } = validatePreset(json);
+  if (!value) {
+    throw new Error(`Invalid preset${json?.id ? ` "${json.id}"` : ''}: ${errors.join(' ')}`);
+  }
+  const preset = { ...value, source };
+  registry.set(preset.id, preset);
+  return preset;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * listPresets
+ * @returns {Array<{id: string, name: string, source: 'builtin'|'team'|'saved'}>}
+ */
+export function listPresets() {
+  return [...registry.values()].map(p => ({ id: p.id, name: p.name, source: p.source }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getPreset
+ * @param {string} id
+ * @returns {{id: string, name: string, settings: object, source: string}|null}
+ */
+export function getPreset(id) {
+  return registry.get(id) || null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * loadRuntimePresets
+ * Registers the presets saved in this browser, then fetches every team preset listed in
+ * REACT_APP_PRESET_URLS. Failures are collected instead of thrown so one bad file does not
+ * hide the others.
+ * @returns {Promise<{loaded: string[], errors: string[]}>}
+ */
+export async function loadRuntimePresets() {
+  const loaded = [];
+  const errors = [];
+  for (const json of readSavedPresets()) {
+    try {
+      loaded.push(registerPreset(json, 'saved').id);
+    } catch (err) {
+      errors.push(`saved preset: ${err.message}`);
+    }
+  }
+
+  const { presetUrls } = getPresetSettings();
+  for (const url of presetUrls) {
+    try {
+      const res = await window.fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      loaded.push(registerPreset(await res.json(), 'team').id);
+    } catch (err) {
+      errors.push(`${url}: ${err.message}`);
+    }
+  }
+  return { loaded, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * savePreset
+ * Saves settings under `name` in this browser. Saved presets get "saved-" ids, so they never
+ * replace a built-in or team preset; saving under an existing saved name updates it.
+ * @param {string} name
+ * @param {object} settings
+ * @returns {{id: string, name: string, settings: object, source: 'saved'}}
+ */
+export function savePreset(name, settings) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const preset = registerPreset({ id: `${SAVED_ID_PREFIX}${slug || 'preset'}`, name, settings }, 'saved');
+  writeSavedPresets();
+  return preset;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * deleteSavedPreset
+ * Removes a preset saved in this browser; built-in and team presets cannot be deleted.
+ * @param {string} id
+ */
+export function deleteSavedPreset(id) {
+  if (registry.get(id)?.source !== 'saved') return;
+  registry.delete(id);
+  writeSavedPresets();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * exportPreset
+ * @param {string} id
+ * @returns {string} the preset as JSON, ready to share or to deploy as a team preset
+ */
+export function exportPreset(id) {
+  const preset = registry.get(id);
+  if (!preset) throw new Error(`Unknown preset "${id}".`);
+  return `${JSON.stringify(presetJson(preset), null, 2)}\n`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * importPreset
+ * Saves a shared preset file in this browser.
+ * @param {string} text - preset JSON
+ * @returns {{id: string, name: string, settings: object, source: 'saved'}}
+ */
+export function importPreset(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  const { value, errors } = validatePreset(json);
+  if (!value) throw new Error(errors.join(' '));
+  return savePreset(value.name, value.settings);
+}
+
+// The preset as stored and shared, without where it came from.
+function presetJson({ id, name, settings }) {
+  return { id, name, settings };
+}
+
+function readSavedPresets() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SAVED_PRESETS_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeSavedPresets() {
+  const saved = [...registry.values()].filter(p => p.source === 'saved').map(presetJson);
+  try {
+    window.localStorage.setItem(SAVED_PRESETS_KEY, JSON.stringify(saved));
+  } catch (err) {
+    window.console.warn('Could not save the planning presets:', err);
+  }
+}
@@ -0,0 +1,79 @@
+import {
+  DEFAULT_PLANNING_SETTINGS,
+  deleteSavedPreset,
+  describePlanningSettings,
+  exportPreset,
+  getPreset,
+  importPreset,
+  listPresets,
+  loadRuntimePresets,
+  savePreset,
+  validatePlanningSettings
+} from './index';
+
+const SAVED_PRESETS_KEY = 'pdf-to-ppt.planningPresets';
+
+afterEach(() => {
+  listPresets().filter(p => p.source === 'saved').forEach(p => deleteSavedPreset(p.id));
+  window.localStorage.clear();
+  delete window.__RUNTIME_CONFIG__;
+});
+
+test('validatePlanningSettings fills defaults and reports every invalid field', () => {
+  expect(validatePlanningSettings({ audience: 'exec', slideCount: '8' }).value)
+    .toEqual({ ...DEFAULT_PLANNING_SETTINGS, audience: 'exec', slideCount: 8 });
+  expect(validatePlanningSettings({ audience: 'board', maxBullets: 0, wordsPerBullet: 2.5 }).errors).toEqual([
+    '"audience" must be one of: exec, technical, sales, training.',
+    '"maxBullets" must be a whole number from 1 to 10.',
+    '"wordsPerBullet" must be a whole number from 3 to 40, or null.'
+  ]);
+});
+
+test('built-in presets are registered with every setting filled in', () => {
+  expect(listPresets().map(p => p.id)).toEqual(expect.arrayContaining(['executive', 'technical', 'sales', 'training']));
+  expect(getPreset('executive').settings).toMatchObject({ audience: 'exec', maxBullets: 4, language: '' });
+  expect(describePlanningSettings(DEFAULT_PLANNING_SETTINGS)).toBe('standard');
+  expect(describePlanningSettings({ audience: 'sales', maxBullets: 3, language: 'French' })).toBe('Sales · up to 3 bullets · French');
+});
+
+test('saved presets survive a reload and can be shared as files', async () => {
+  const saved = savePreset('Board update', { audience: 'exec', slideCount: 6, language: 'German' });
+  expect(saved).toMatchObject({ id: 'saved-board-update', source: 'saved' });
+  expect(JSON.parse(window.localStorage.getItem(SAVED_PRESETS_KEY))).toHaveLength(1);
+
+  const file = exportPreset(saved.id);
+  deleteSavedPreset(saved.id);
+  expect(getPreset(saved.id)).toBeNull();
+
+  const imported = importPreset(file);
+  expect(imported.settings).toEqual(saved.settings);
+
+  window.localStorage.setItem(SAVED_PRESETS_KEY, JSON.stringify([{ id: 'saved-demo', name: 'Demo', settings: { tone: 'playful' } }]));
+  const { loaded, errors } = await loadRuntimePresets();
+  expect(errors).toEqual([]);
+  expect(loaded).toContain('saved-demo');
+  expect(getPreset('saved-demo').settings.tone).toBe('playful');
+});
+
+test('importPreset rejects invalid files and built-in presets cannot be deleted', () => {
+  expect(() => importPreset('not json')).toThrow('The file is not valid JSON.');
+  expect(() => importPreset('{"id":"x","name":"X","settings":{"slideCount":500}}')).toThrow(/slideCount/);
+  deleteSavedPreset('executive');
+  expect(getPreset('executive')).not.toBeNull();
+});
+
+test('team presets that fail to load are reported without hiding the others', async () => {
+  window.__RUNTIME_CONFIG__ = { REACT_APP_PRESET_URLS: '/presets/team.json,/presets/missing.json' };
+  const originalFetch = window.fetch;
+  window.fetch = jest.fn()
+    .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 'team-board', name: 'Board', settings: { audience: 'exec' } }) })
+    .mockResolvedValueOnce({ ok: false, status: 404 });
+  try {
+    const { loaded, errors } = await loadRuntimePresets();
+    expect(loaded).toEqual(['team-board']);
+    expect(errors).toEqual(['/presets/missing.json: HTTP 404']);
+    expect(getPreset('team-board').source).toBe('team');
+  } finally {
+    window.fetch = originalFetch;
+  }
+});
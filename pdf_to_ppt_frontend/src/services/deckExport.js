@@ -0,0 +1,101 @@
+/**
+ * Deck export: writes a laid-out deck (services/slideLayout.js layoutDeck) in one of the
+ * supported file formats. Every format draws the same layout model, so the PPTX, the
+ * handout, the HTML slideshow and the ODP file show the same slides.
+ */
+import { renderHtmlSlideshow } from './htmlSlideshow';
+import { renderOdp } from './odp';
+import { writePptx } from './ppt';
+import { downloadBlob, safeFileName } from '../utils/download';
+
+// PUBLIC_INTERFACE
+/**
+ * DECK_EXPORT_FORMATS
+ * Export formats by id: menu label, short name for buttons and messages, file extension.
+ */
+export const DECK_EXPORT_FORMATS = {
+  pptx: { label: 'PowerPoint (.pptx)', name: 'PPT', extension: '.pptx' },
+  pdf: { label: 'PDF handout (.pdf)', name: 'PDF handout', extension: '.pdf' },
+  html: { label: 'HTML slideshow (.html)', name: 'HTML slideshow', extension: '.html' },
+  odp: { label: 'OpenDocument (.odp)', name: 'ODP', extension: '.odp' }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * exportDeck
+ * Renders the deck in `format` and downloads it.
+ * @param {import('./slideLayout').DeckLayout} deck
+ * @param {'pptx'|'pdf'|'html'|'odp'} format
+ * @param {string} [fileNameTitle] - defaults to the deck title
+ * @returns {Promise<void>}
+ */
+export async function exportDeck(deck, format, fileNameTitle = deck.title) {
+  const target = DECK_EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unknown export format "${format}".`);
+  }
+  if (format === 'pptx') {
+    await writePptx(deck, fileNameTitle);
+    return;
+  }
+  const blob = await renderDeck(await inlineImages(deck), format);
+  downloadBlob(blob, `${safeFileName(fileNameTitle)}${target.extension}`);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * renderDeck
+ * Renders the deck to a file without downloading it. Images must already be data URLs.
+ * @param {import('./slideLayout').DeckLayout} deck
+ * @param {'pdf'|'html'|'odp'} format
+ * @returns {Promise<Blob>}
+ */
+export async function renderDeck(deck, format) {
+  if (format === 'pdf') {
+    // jsPDF is large and only needed for handouts, so it is loaded on first use.
+    const { renderHandoutPdf } = await import('./handoutPdf');
+    return renderHandoutPdf(deck);
+  }
+  if (format === 'html') return new window.Blob([renderHtmlSlideshow(deck)], { type: 'text/html;charset=utf-8' });
+  if (format === 'odp') return renderOdp(deck);
+  throw new Error(`Cannot render "${format}" in the browser.`);
+}
+
+/**
+ * inlineImages
+ * The self-contained formats need image bytes, but a theme logo may be a URL: fetch each
+ * such image once and swap in a data URL. Images that fail to load are kept as URLs.
+ * @param {import('./slideLayout').DeckLayout} deck
+ * @returns {Promise<import('./slideLayout').DeckLayout>}
+ */
+async function inlineImages(deck) {
+  const elements = [...Object.values(deck.masters).flatMap(m => m.elements), ...deck.slides.flatMap(s => s.elements)];
+  const urls = [...new Set(elements.filter(el => el.kind === 'image' && el.data && !el.data.startsWith('data:')).map(el => el.data))];
+  if (!urls.length) return deck;
+
+  const dataUrls = new Map();
+  for (const url of urls) {
+    try {
+      const res = await window.fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      dataUrls.set(url, await blobToDataUrl(await res.blob()));
+    } catch (err) {
+      window.console.warn(`Could not embed image ${url}: ${err.message}`);
+    }
+  }
+  const inline = el => (el.kind === 'image' && dataUrls.has(el.data) ? { ...el, data: dataUrls.get(el.data) } : el);
+  return {
+    ...deck,
+    masters: Object.fromEntries(Object.entries(deck.masters).map(([name, m]) => [name, { ...m, elements: m.elements.map(inline) }])),
+    slides: deck.slides.map(s => ({ ...s, elements: s.elements.map(inline) }))
+  };
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
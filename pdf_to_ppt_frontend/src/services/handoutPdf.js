@@ -0,0 +1,234 @@
+/**
+ * Printable PDF handout from the slide layout model (services/slideLayout.js): three slide
+ * thumbnails per A4 page with the speaker notes next to each, or ruled lines for writing
+ * when a slide has none. Slides are drawn as vector shapes and text with the standard PDF
+ * fonts, so the handout stays small and sharp when printed.
+ */
+import { GState, jsPDF } from 'jspdf';
+import { chartShapes, placeImage, SLIDE_HEIGHT_IN, SLIDE_WIDTH_IN, tableCells } from './slideLayout';
+
+// A4 portrait in inches.
+const PAGE = { w: 8.27, h: 11.69, margin: 0.6 };
+const SLIDES_PER_PAGE = 3;
+const THUMB_W = 4;
+const THUMB_SCALE = THUMB_W / SLIDE_WIDTH_IN;
+const NOTES_FONT_SIZE = 9;
+const LINE_HEIGHT_EM = 1.2;
+
+// PUBLIC_INTERFACE
+/**
+ * renderHandoutPdf
+ * @param {import('./slideLayout').DeckLayout} deck
+ * @returns {Blob} application/pdf
+ */
+export function renderHandoutPdf(deck) {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'in', format: 'a4' });
+  doc.setProperties({ title: deck.title });
+
+  const top = PAGE.margin + 0.4;
+  const rowHeight = (PAGE.h - top - PAGE.margin - 0.2) / SLIDES_PER_PAGE;
+  const notesX = PAGE.margin + THUMB_W + 0.3;
+  const notesW = PAGE.w - PAGE.margin - notesX;
+
+  deck.slides.forEach((layout, i) => {
+    const row = i % SLIDES_PER_PAGE;
+    if (i > 0 && row === 0) doc.addPage();
+    if (row === 0) pageHeader(doc, deck.title);
+
+    const y = top + row * rowHeight;
+    setFont(doc, 'helvetica', { bold: true }, 9, '555555');
+    doc.text(`Slide ${i + 1}`, PAGE.margin, y, { baseline: 'top' });
+
+    const frame = { x: PAGE.margin, y: y + 0.2, scale: THUMB_SCALE };
+    drawSlide(doc, layout, deck.masters[layout.master], i, frame);
+    doc.setDrawColor('#BBBBBB');
+    doc.setLineWidth(0.01);
+    doc.rect(frame.x, frame.y, THUMB_W, SLIDE_HEIGHT_IN * THUMB_SCALE, 'S');
+
+    drawNotes(doc, layout.notes, { x: notesX, y: y + 0.2, w: notesW, h: rowHeight - 0.45 });
+  });
+
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page += 1) {
+    doc.setPage(page);
+    setFont(doc, 'helvetica', {}, 8, '888888');
+    doc.text(`Page ${page} of ${pageCount}`, PAGE.w / 2, PAGE.h - PAGE.margin + 0.2, { align: 'center', baseline: 'top' });
+  }
+  return doc.output('blob');
+}
+
+function pageHeader(doc, title) {
+  setFont(doc, 'helvetica', { bold: true }, 14, '222222');
+  doc.text(truncate(doc, title, PAGE.w - 2 * PAGE.margin), PAGE.margin, PAGE.margin, { baseline: 'top' });
+  doc.setDrawColor('#DDDDDD');
+  doc.setLineWidth(0.01);
+  doc.line(PAGE.margin, PAGE.margin + 0.3, PAGE.w - PAGE.margin, PAGE.margin + 0.3);
+}
+
+// Notes wrap into the box and end with "…" when they do not fit; no notes gives ruled lines.
+function drawNotes(doc, notes, box) {
+  const lineHeight = (NOTES_FONT_SIZE * LINE_HEIGHT_EM) / 72;
+  if (!notes || !notes.trim()) {
+    doc.setDrawColor('#CCCCCC');
+    doc.setLineWidth(0.005);
+    for (let y = box.y + 0.3; y <= box.y + box.h; y += 0.3) doc.line(box.x, y, box.x + box.w, y);
+    return;
+  }
+  setFont(doc, 'helvetica', {}, NOTES_FONT_SIZE, '222222');
+  const lines = doc.splitTextToSize(notes, box.w);
+  const capacity = Math.max(1, Math.floor(box.h / lineHeight));
+  const shown = lines.slice(0, capacity);
+  if (lines.length > capacity) shown[capacity - 1] = truncate(doc, `${shown[capacity - 1]}…`, box.w);
+  doc.text(shown, box.x, box.y, { baseline: 'top', lineHeightFactor: LINE_HEIGHT_EM });
+}
+
+/**
+ * drawSlide
+ * Draws one slide of the layout model at `frame` (page position of the slide's top-left
+ * corner and page inches per slide inch).
+ */
+function drawSlide(doc, layout, master, index, frame) {
+  const box = el => ({
+    x: frame.x + el.x * frame.scale,
+    y: frame.y + el.y * frame.scale,
+    w: el.w * frame.scale,
+    h: el.h * frame.scale
+  });
+
+  doc.saveGraphicsState();
+  clipTo(doc, box({ x: 0, y: 0, w: SLIDE_WIDTH_IN, h: SLIDE_HEIGHT_IN }));
+  if (master) fillRect(doc, box({ x: 0, y: 0, w: SLIDE_WIDTH_IN, h: SLIDE_HEIGHT_IN }), master.background);
+
+  const elements = [
+    ...(master?.elements || []),
+    ...(master?.slideNumber ? [{ kind: 'text', ...master.slideNumber, lines: [String(index + 1)], align: 'right' }] : []),
+    ...layout.elements
+  ];
+  elements.forEach((el) => {
+    if (el.kind === 'rect') fillRect(doc, box(el), el.fill);
+    else if (el.kind === 'image') drawImage(doc, el, box);
+    else if (el.kind === 'table') drawTable(doc, el, box, frame.scale);
+    else if (el.kind === 'chart') drawChart(doc, el, box(el));
+    else drawText(doc, el, box(el), frame.scale);
+  });
+  doc.restoreGraphicsState();
+}
+
+// jsPDF embeds PNG and JPEG; other images (e.g. an SVG or WebP theme logo) are left out.
+function drawImage(doc, el, box) {
+  const format = /^data:image\/(png|jpe?g);/i.exec(String(el.data || ''));
+  if (!format) return;
+  const placed = placeImage(el);
+  const rect = box(placed);
+  doc.saveGraphicsState();
+  if (placed.crop) clipTo(doc, box(placed.crop));
+  doc.addImage(el.data, format[1].toLowerCase() === 'png' ? 'PNG' : 'JPEG', rect.x, rect.y, rect.w, rect.h, undefined, 'FAST');
+  doc.restoreGraphicsState();
+}
+
+function drawText(doc, el, rect, scale) {
+  if (el.fill) {
+    doc.saveGraphicsState();
+    doc.setGState(new GState({ opacity: 1 - (el.fill.transparency || 0) / 100 }));
+    fillRect(doc, rect, el.fill.color);
+    doc.restoreGraphicsState();
+  }
+  const size = el.fontSize * scale;
+  setFont(doc, pdfFont(el.fontFace), el, size, el.color || '000000');
+  const lines = el.lines.flatMap(line => doc.splitTextToSize(line, rect.w));
+  const lineHeight = (size * LINE_HEIGHT_EM) / 72;
+  // Vertically centered like the preview; lines past the bottom are clipped away.
+  const y = rect.y + Math.max(0, (rect.h - lines.length * lineHeight) / 2);
+  const x = el.align === 'center' ? rect.x + rect.w / 2 : el.align === 'right' ? rect.x + rect.w : rect.x;
+  doc.saveGraphicsState();
+  clipTo(doc, rect);
+  doc.text(lines, x, y, { baseline: 'top', align: el.align || 'left', lineHeightFactor: LINE_HEIGHT_EM });
+  doc.restoreGraphicsState();
+}
+
+function drawTable(doc, el, box, scale) {
+  const size = el.fontSize * scale;
+  const padding = 0.05 * scale;
+  tableCells(el).forEach((cell) => {
+    const rect = box(cell);
+    if (cell.header) fillRect(doc, rect, el.headerFill);
+    doc.setDrawColor(`#${el.borderColor}`);
+    doc.setLineWidth(0.005);
+    doc.rect(rect.x, rect.y, rect.w, rect.h, 'S');
+    setFont(doc, pdfFont(el.fontFace), { bold: cell.header }, size, cell.header ? 'FFFFFF' : el.color);
+    doc.text(truncate(doc, cell.text, rect.w - 2 * padding), rect.x + padding, rect.y + rect.h / 2, { baseline: 'middle' });
+  });
+}
+
+function drawChart(doc, el, rect) {
+  const { width, shapes } = chartShapes(el);
+  const k = rect.w / width;
+  const at = ([x, y]) => [rect.x + x * k, rect.y + y * k];
+  shapes.forEach((shape) => {
+    if (shape.type === 'rect') {
+      fillRect(doc, { x: rect.x + shape.x * k, y: rect.y + shape.y * k, w: shape.w * k, h: shape.h * k }, shape.fill);
+    } else if (shape.type === 'slice') {
+      doc.setFillColor(`#${shape.fill}`);
+      path(doc, slicePoints(shape).map(at), 'F', true);
+    } else if (shape.type === 'polyline') {
+      doc.setDrawColor(`#${shape.stroke}`);
+      doc.setLineWidth(0.8 * k);
+      path(doc, shape.points.map(at), 'S', false);
+    } else {
+      setFont(doc, pdfFont(el.fontFace), {}, shape.size * k * 72, shape.fill);
+      const [x, y] = at([shape.x, shape.y]);
+      doc.text(shape.text, x, y, { align: 'center' });
+    }
+  });
+}
+
+// Pie slices as polygons: the center plus points along the arc, at most 5° apart.
+function slicePoints({ cx, cy, r, start, end }) {
+  const full = end - start >= Math.PI * 2 - 1e-9;
+  const steps = Math.max(2, Math.ceil((end - start) / (Math.PI / 36)));
+  const arc = Array.from({ length: steps + 1 }, (_, i) => {
+    const angle = start + ((end - start) * i) / steps;
+    return [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+  });
+  return full ? arc : [[cx, cy], ...arc];
+}
+
+// jsPDF draws paths from relative segments.
+function path(doc, points, style, closed) {
+  if (points.length < 2) return;
+  const segments = points.slice(1).map(([x, y], i) => [x - points[i][0], y - points[i][1]]);
+  doc.lines(segments, points[0][0], points[0][1], [1, 1], style, closed);
+}
+
+function fillRect(doc, rect, hex) {
+  doc.setFillColor(`#${hex}`);
+  doc.rect(rect.x, rect.y, rect.w, rect.h, 'F');
+}
+
+function clipTo(doc, rect) {
+  doc.rect(rect.x, rect.y, rect.w, rect.h, null);
+  doc.clip();
+  doc.discardPath();
+}
+
+function setFont(doc, family, { bold, italic } = {}, size, hex) {
+  const style = bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal';
+  doc.setFont(family, style);
+  doc.setFontSize(size);
+  doc.setTextColor(`#${hex}`);
+}
+
+// Closest of the standard PDF fonts to a theme font name.
+function pdfFont(face = '') {
+  if (/mono|courier|consolas/i.test(face)) return 'courier';
+  if (/georgia|times|garamond|serif/i.test(face) && !/sans/i.test(face)) return 'times';
+  return 'helvetica';
+}
+
+function truncate(doc, text, width) {
+  const value = String(text ?? '');
+  if (doc.getTextWidth(value) <= width) return value;
+  let end = value.length;
+  while (end > 0 && doc.getTextWidth(`${value.slice(0, end)}…`) > width) end -= 1;
+  return `${value.slice(0, end).trimEnd()}…`;
+}
@@ -0,0 +1,43 @@
+import { renderHandoutPdf } from './handoutPdf';
+import { layoutDeck } from './slideLayout';
+
+const readText = blob => new Promise((resolve, reject) => {
+  const reader = new window.FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+const outline = {
+  slides: [
+    { title: 'Revenue', layout: 'bullets', bullets: ['Revenue grew 12%'], notes: 'Mention the one-off deal.' },
+    { title: 'Costs', layout: 'bullets', bullets: ['Costs were flat'] },
+    { title: 'Split', layout: 'bullets', bullets: ['By region'] }
+  ]
+};
+
+// Text runs drawn on each page, with their position in points from the bottom-left corner.
+function textRuns(pdf) {
+  return pdf.split('<</Type /Page\n').slice(1).map(page => (
+    [...page.matchAll(/([\d.]+) ([\d.]+) Td\n\((.*)\) Tj/g)].map(([, x, y, text]) => ({ x: Number(x), y: Number(y), text }))
+  ));
+}
+
+test('handout puts three slides per page with their notes beside the thumbnails', async () => {
+  const deck = layoutDeck(outline, {}, 'Q3 review');
+  const pages = textRuns(await readText(renderHandoutPdf(deck)));
+  expect(pages).toHaveLength(2);
+  expect(pages.map(runs => runs.filter(r => /^Slide \d$/.test(r.text)).map(r => r.text)))
+    .toEqual([['Slide 1', 'Slide 2', 'Slide 3'], ['Slide 4']]);
+  expect(pages.map(runs => runs[runs.length - 1].text)).toEqual(['Page 1 of 2', 'Page 2 of 2']);
+  expect(pages[1].map(r => r.text)).toContain('Split');
+  expect(pages[1].some(r => r.text.endsWith(' By region'))).toBe(true);
+
+  // The notes start right of the 4in thumbnail (0.6in margin + 0.3in gap), in the slide's row.
+  const find = text => pages[0].find(r => r.text === text);
+  const notes = find('Mention the one-off deal.');
+  expect(notes.x).toBeCloseTo((0.6 + 4 + 0.3) * 72);
+  expect(notes.y).toBeLessThan(find('Slide 2').y);
+  expect(notes.y).toBeGreaterThan(find('Slide 3').y);
+  expect(pages.flat().filter(r => r.x === notes.x)).toEqual([notes]);
+});
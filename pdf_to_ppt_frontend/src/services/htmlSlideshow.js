@@ -0,0 +1,188 @@
+/**
+ * Single-file HTML slideshow from the slide layout model (services/slideLayout.js).
+ * Images are inlined as data URLs and the styles and the small navigation script are
+ * embedded, so the file opens offline in any modern browser. Elements are positioned
+ * in percent of the 16:9 slide and text is sized in container units, like the preview.
+ */
+import { chartShapes, slicePath, SLIDE_HEIGHT_IN, SLIDE_WIDTH_IN, tableCells } from './slideLayout';
+
+const STYLES = `
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; background: #111; font-family: system-ui, sans-serif; }
+.deck { height: 100%; display: flex; align-items: center; justify-content: center; }
+.slide { display: none; position: relative; width: min(100vw, calc(100vh * ${SLIDE_WIDTH_IN} / ${SLIDE_HEIGHT_IN}));
+  aspect-ratio: ${SLIDE_WIDTH_IN} / ${SLIDE_HEIGHT_IN}; overflow: hidden; container-type: inline-size; }
+.slide.active { display: block; }
+.el { position: absolute; margin: 0; }
+.text { display: flex; flex-direction: column; justify-content: center; line-height: 1.2; white-space: pre-wrap; overflow-wrap: break-word; overflow: hidden; }
+.text p { margin: 0; }
+img.el { object-fit: contain; }
+.cell { display: flex; align-items: center; padding: 0 0.4em; border: 1px solid; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+.notes { display: none; position: fixed; left: 0; right: 0; bottom: 3rem; max-height: 30vh; overflow: auto; margin: 0 auto; width: min(90vw, 60rem);
+  padding: 0.75rem 1rem; background: rgba(255, 255, 255, 0.95); color: #111; border-radius: 8px; white-space: pre-wrap; font-size: 14px; }
+body.show-notes .notes.active { display: block; }
+.controls { position: fixed; bottom: 0.5rem; left: 50%; transform: translateX(-50%); display: flex; gap: 0.5rem; align-items: center;
+  color: #ddd; font-size: 13px; opacity: 0.35; transition: opacity 0.2s; }
+.controls:hover, .controls:focus-within { opacity: 1; }
+.controls button { background: #333; color: #eee; border: 1px solid #555; border-radius: 6px; padding: 0.25rem 0.6rem; cursor: pointer; }
+@media print {
+  html, body { background: #fff; height: auto; }
+  .deck { display: block; }
+  .slide { display: block; width: 100%; page-break-after: always; break-after: page; }
+  .controls, .notes { display: none !important; }
+}
+`;
+
+// Arrow keys, Page Up/Down, Space, Home/End and clicks on the buttons page through the slides;
+// "n" shows the speaker notes. The slide number is kept in the URL hash.
+const SCRIPT = `
+(function () {
+  var slides = document.querySelectorAll('.slide');
+  var notes = document.querySelectorAll('.notes');
+  var counter = document.getElementById('counter');
+  var current = 0;
+  function show(n) {
+    current = Math.max(0, Math.min(slides.length - 1, n));
+    slides.forEach(function (s, i) { s.classList.toggle('active', i === current); });
+    notes.forEach(function (s, i) { s.classList.toggle('active', i === current); });
+    counter.textContent = (current + 1) + ' / ' + slides.length;
+    history.replaceState(null, '', '#' + (current + 1));
+  }
+  document.addEventListener('keydown', function (e) {
+    if (['ArrowRight', 'ArrowDown', 'PageDown', ' '].indexOf(e.key) !== -1) show(current + 1);
+    else if (['ArrowLeft', 'ArrowUp', 'PageUp'].indexOf(e.key) !== -1) show(current - 1);
+    else if (e.key === 'Home') show(0);
+    else if (e.key === 'End') show(slides.length - 1);
+    else if (e.key === 'n') document.body.classList.toggle('show-notes');
+    else return;
+    e.preventDefault();
+  });
+  document.getElementById('prev').onclick = function () { show(current - 1); };
+  document.getElementById('next').onclick = function () { show(current + 1); };
+  document.getElementById('notes').onclick = function () { document.body.classList.toggle('show-notes'); };
+  show((parseInt(location.hash.slice(1), 10) || 1) - 1);
+})();
+`;
+
+// PUBLIC_INTERFACE
+/**
+ * renderHtmlSlideshow
+ * @param {import('./slideLayout').DeckLayout} deck
+ * @returns {string} a complete HTML document
+ */
+export function renderHtmlSlideshow(deck) {
+  const slides = deck.slides.map((layout, i) => renderSlide(layout, deck.masters[layout.master], i)).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(deck.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main class="deck">
+${slides}
+</main>
+<nav class="controls" aria-label="slide controls">
+<button type="button" id="prev" aria-label="Previous slide">&larr;</button>
+<span id="counter"></span>
+<button type="button" id="next" aria-label="Next slide">&rarr;</button>
+<button type="button" id="notes" title="Speaker notes (n)">Notes</button>
+</nav>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function renderSlide(layout, master, index) {
+  const parts = [];
+  (master?.elements || []).forEach(el => parts.push(renderElement(el)));
+  if (master?.slideNumber) {
+    parts.push(renderText({ ...master.slideNumber, lines: [String(index + 1)], align: 'right' }));
+  }
+  layout.elements.forEach(el => parts.push(renderElement(el)));
+  const background = master ? ` style="background:#${master.background}"` : '';
+  // Notes sit next to the slide: the slide's container sizing would clip a fixed panel inside it.
+  return [
+    `<section class="slide" aria-label="Slide ${index + 1}"${background}>\n${parts.join('\n')}\n</section>`,
+    `<aside class="notes" aria-label="Notes for slide ${index + 1}">${escapeHtml(layout.notes || 'No notes for this slide.')}</aside>`
+  ].join('\n');
+}
+
+function renderElement(el) {
+  if (el.kind === 'rect') return `<div class="el" style="${boxStyle(el)}background:#${el.fill}"></div>`;
+  if (el.kind === 'image') {
+    const fit = el.fit === 'cover' ? 'object-fit:cover;' : '';
+    return el.data ? `<img class="el" src="${escapeHtml(el.data)}" alt="${el.page ? `Page ${el.page}` : ''}" style="${boxStyle(el)}${fit}">` : '';
+  }
+  if (el.kind === 'table') return renderTable(el);
+  if (el.kind === 'chart') return renderChart(el);
+  return renderText(el);
+}
+
+function renderText(el) {
+  const style = [
+    boxStyle(el),
+    `font-size:${fontSize(el.fontSize)};`,
+    el.fontFace ? `font-family:'${el.fontFace.replace(/'/g, '')}',sans-serif;` : '',
+    el.bold ? 'font-weight:700;' : '',
+    el.italic ? 'font-style:italic;' : '',
+    el.color ? `color:#${el.color};` : '',
+    el.fill ? `background:${rgba(el.fill.color, el.fill.transparency)};` : '',
+    `text-align:${el.align || 'left'};`
+  ].join('');
+  const lines = el.lines.map(line => `<p>${escapeHtml(line)}</p>`).join('');
+  return `<div class="el text" style="${style}">${lines}</div>`;
+}
+
+function renderTable(el) {
+  const cells = tableCells(el).map(cell => {
+    const style = [
+      boxStyle(cell),
+      `font-size:${fontSize(el.fontSize)};font-family:'${el.fontFace.replace(/'/g, '')}',sans-serif;`,
+      `border-color:#${el.borderColor};`,
+      cell.header ? `background:#${el.headerFill};color:#fff;font-weight:700;` : `color:#${el.color};`
+    ].join('');
+    return `<div class="el cell" style="${style}">${escapeHtml(cell.text)}</div>`;
+  });
+  return cells.join('');
+}
+
+function renderChart(el) {
+  const { width, height, shapes } = chartShapes(el);
+  const body = shapes.map((shape) => {
+    if (shape.type === 'slice') return `<path d="${slicePath(shape)}" fill="#${shape.fill}"/>`;
+    if (shape.type === 'polyline') {
+      return `<polyline fill="none" stroke="#${shape.stroke}" stroke-width="0.8" points="${shape.points.map(p => p.join(',')).join(' ')}"/>`;
+    }
+    if (shape.type === 'rect') return `<rect x="${shape.x}" y="${shape.y}" width="${shape.w}" height="${shape.h}" fill="#${shape.fill}"/>`;
+    return `<text x="${shape.x}" y="${shape.y}" font-size="${shape.size}" text-anchor="middle" fill="#${shape.fill}">${escapeHtml(shape.text)}</text>`;
+  }).join('');
+  const label = escapeHtml(el.title || `Chart from page ${el.page}`);
+  return `<svg class="el" style="${boxStyle(el)}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">${body}</svg>`;
+}
+
+function boxStyle(el) {
+  const pct = (value, total) => `${((value / total) * 100).toFixed(3)}%`;
+  return `left:${pct(el.x, SLIDE_WIDTH_IN)};top:${pct(el.y, SLIDE_HEIGHT_IN)};width:${pct(el.w, SLIDE_WIDTH_IN)};height:${pct(el.h, SLIDE_HEIGHT_IN)};`;
+}
+
+// 1pt relative to a 10in (720pt) wide slide, so text scales with the window.
+function fontSize(points) {
+  return `${((points / (SLIDE_WIDTH_IN * 72)) * 100).toFixed(3)}cqw`;
+}
+
+function rgba(hex, transparency = 0) {
+  const n = parseInt(hex, 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${1 - transparency / 100})`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,29 @@
+import { renderHtmlSlideshow } from './htmlSlideshow';
+import { layoutDeck } from './slideLayout';
+
+// 1x1 transparent PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const outline = {
+  slides: [
+    { title: 'Revenue & costs', layout: 'bullets', bullets: ['Revenue grew <12%>', 'Costs were flat'], imagePages: [2], notes: 'Mention the one-off deal.' },
+    { title: 'Split', layout: 'bullets', bullets: ['By region'], imagePages: [3] }
+  ]
+};
+const visualsByPage = {
+  3: { chart: { type: 'pie', title: 'Regions', categories: ['EU', 'US'], series: [{ name: 'Share', values: [40, 60] }] } }
+};
+const deck = layoutDeck(outline, { 2: PIXEL }, 'Q3 review', undefined, visualsByPage);
+
+test('HTML slideshow is one self-contained file with every slide and its notes', () => {
+  const html = renderHtmlSlideshow(deck);
+  expect(html).toMatch(/^<!DOCTYPE html>/);
+  expect(html.match(/<section class="slide"/g)).toHaveLength(3);
+  expect(html).toContain('<title>Q3 review</title>');
+  expect(html).toContain('Revenue &amp; costs');
+  expect(html).toContain('Revenue grew &lt;12%&gt;');
+  expect(html).toContain(`src="${PIXEL}"`);
+  expect(html).toContain('<aside class="notes" aria-label="Notes for slide 2">Mention the one-off deal.</aside>');
+  expect(html).toMatch(/<svg class="el"[^>]*aria-label="Regions"/);
+  expect(html).not.toMatch(/<(script|link)[^>]+src=/);
+});
@@ -0,0 +1,59 @@
+/**
+ * Errors shared by the LLM providers.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * LlmHttpError
+ * Non-2xx response from an LLM endpoint. `status` is the HTTP status and
+ * `retryAfterMs` the server's Retry-After hint, when it sent one.
+ */
+export class LlmHttpError extends Error {
+  constructor(message, status, retryAfterMs = null) {
+    super(message);
+    this.name = 'LlmHttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * isRetryableLlmError
+ * True for rate limits (429), server errors (5xx) and network failures; false for
+ * cancellation and for other client errors, which will not succeed on retry.
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isRetryableLlmError(err) {
+  if (isAbortError(err)) return false;
+  if (err instanceof LlmHttpError) return err.status === 429 || err.status >= 500;
+  // fetch rejects with a TypeError when the request never got a response.
+  return err instanceof TypeError;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * isAbortError
+ * @param {any} err
+ * @returns {boolean} whether the error comes from an aborted AbortSignal
+ */
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+// PUBLIC_INTERFACE
+/**
+ * readRetryAfter
+ * Parses a Retry-After header (seconds or an HTTP date) into milliseconds.
+ * @param {{headers?: {get: (name: string) => string|null}}} res - fetch Response
+ * @returns {number|null}
+ */
+export function readRetryAfter(res) {
+  const value = res?.headers?.get?.('Retry-After');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
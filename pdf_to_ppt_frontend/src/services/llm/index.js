@@ -0,0 +1,54 @@
+/**
+ * LLM provider registry.
+ * Picks the backend configured in config/env.js (getLlmConfig) and exposes a
+ * single `complete(request)` call so prompt-building code never depends on a
+ * particular vendor's URL, model name or response shape.
+ */
+import { getLlmConfig, LLM_PROVIDERS } from '../../config/env';
+import { createOpenAICompatibleProvider } from './openaiCompatible';
+import { createOllamaProvider } from './ollama';
+import { createMockProvider } from './mock';
+import { createProxyProvider } from './proxy';
+
+export { isAbortError, isRetryableLlmError, LlmHttpError } from './errors';
+
+/**
+ * @typedef {Object} LlmRequest
+ * @property {'chat'|'analyze'|'plan'|'summarize'|'sections'|'refine'|'rewrite'|'notes'} task - which app flow is calling (used for errors and by the mock)
+ * @property {Array<{role: 'system'|'user'|'assistant', content: string|Array<object>}>} messages - OpenAI-style messages
+ * @property {number} [temperature]
+ * @property {boolean} [json] - the caller expects a single JSON object back
+ * @property {boolean} [vision] - messages contain image parts; use the vision model
+ * @property {object} [input] - structured task input; network providers ignore it, the mock builds its reply from it
+ * @property {AbortSignal} [signal] - aborts the request (providers reject with an AbortError)
+ * @property {(delta: string) => void} [onToken] - streams the reply: called with each piece of text as it
+ *   arrives; `complete` still resolves with the whole text
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * getLlmProvider
+ * Returns a provider for the current configuration. Providers are cheap to create,
+ * so runtime config changes (window.__RUNTIME_CONFIG__) take effect on the next call.
+ * @returns {{name: string, complete: (request: LlmRequest) => Promise<string>}}
+ */
+export function getLlmProvider() {
+  const cfg = getLlmConfig();
+  switch (cfg.provider) {
+    case 'openai':
+      if (!cfg.apiKey) {
+        throw new Error('Missing REACT_APP_OPENAI_API_KEY');
+      }
+      return createOpenAICompatibleProvider({ ...cfg, label: 'OpenAI' });
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider({ ...cfg, label: 'LLM' });
+    case 'ollama':
+      return createOllamaProvider(cfg);
+    case 'proxy':
+      return createProxyProvider(cfg);
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown REACT_APP_LLM_PROVIDER "${cfg.provider}". Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Deterministic mock provider for offline demos and tests.
+ * Never touches the network. Responses are derived only from the structured
+ * `input` each task passes alongside its prompt, so the same PDF always yields
+ * the same analysis and outline.
+ */
+
+const MAX_MOCK_SLIDES = 12;
+// Rendered pages below this data URL length are almost always blank or near-blank.
+const BLANK_PAGE_DATA_URL_LENGTH = 12000;
+// Pause between streamed words, so streaming is visible in demos.
+const STREAM_DELAY_MS = 15;
+
+// PUBLIC_INTERFACE
+/**
+ * createMockProvider
+ * @returns {{name: string, complete: (request: import('./index').LlmRequest) => Promise<string>}}
+ */
+export function createMockProvider() {
+  async function complete({ task, messages = [], input = {}, signal, onToken }) {
+    if (signal?.aborted) {
+      throw abortError();
+    }
+    switch (task) {
+      case 'analyze':
+        return JSON.stringify(mockAnalyze(input));
+      case 'plan':
+        return JSON.stringify(mockPlan(input));
+      case 'summarize':
+        return JSON.stringify(mockSummarize(input));
+      case 'sections':
+        return JSON.stringify(mockSections(input));
+      case 'refine':
+        return JSON.stringify(mockRefine(input));
+      case 'rewrite':
+        return JSON.stringify(mockRewrite(input));
+      case 'notes':
+        return JSON.stringify(mockNotes(input));
+      case 'chat':
+      default: {
+        const reply = mockChat(messages, input);
+        return onToken ? streamWords(reply, onToken, signal) : reply;
+      }
+    }
+  }
+
+  return { name: 'Mock', complete };
+}
+
+// Understands "merge slides 2 and 3" and "delete slide 4" when the chat sends the outline
+// (see chatWithOpenAI); anything else is noted for the next refinement.
+function mockChat(messages, { outline } = {}) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  if (!lastUser) {
+    return 'Mock assistant ready. Upload a PDF and press Analyze.';
+  }
+  const text = String(lastUser.content);
+  const slideCount = outline?.slides?.length || 0;
+  const merge = /merge slides?\s+(\d+)\s*(?:and|&|-|–|to)\s*(\d+)/i.exec(text);
+  const remove = /(?:delete|remove) slide\s+(\d+)/i.exec(text);
+  if (merge && Math.max(merge[1], merge[2]) <= slideCount) {
+    const slides = [Number(merge[1]), Number(merge[2])].sort((a, b) => a - b);
+    return withActions(`Mock assistant: merging slides ${slides[0]} and ${slides[1]}.`, [{ type: 'merge_slides', slides }]);
+  }
+  if (remove && Number(remove[1]) <= slideCount) {
+    return withActions(`Mock assistant: deleting slide ${remove[1]}.`, [{ type: 'delete_slide', slide: Number(remove[1]) }]);
+  }
+  return `Mock assistant: noted "${text.slice(0, 200)}". It will be applied to the outline when you click Generate PPT.`;
+}
+
+function withActions(text, actions) {
+  return `${text}\n\n\`\`\`actions\n${JSON.stringify({ actions })}\n\`\`\``;
+}
+
+async function streamWords(text, onToken, signal) {
+  for (const piece of text.match(/\s*\S+/g) || []) {
+    await new Promise(resolve => window.setTimeout(resolve, STREAM_DELAY_MS));
+    if (signal?.aborted) throw abortError();
+    onToken(piece);
+  }
+  return text;
+}
+
+function abortError() {
+  return new window.DOMException('The request was aborted.', 'AbortError');
+}
+
+function mockAnalyze({ imageDataUrl = '' }) {
+  const include = imageDataUrl.length >= BLANK_PAGE_DATA_URL_LENGTH;
+  return include
+    ? { include: true, title: 'Page highlights', caption: 'Mock caption for a content-rich page.', rationale: 'Mock: page has visible content.' }
+    : { include: false, title: 'Mostly blank page', caption: '', rationale: 'Mock: page looks blank.' };
+}
+
+// Follows the slide count and bullet limit of the planning settings, like a real planner would.
+function mockPlan({ pages = [], section, settings = {} }) {
+  const withContent = pages.filter(p => p.include !== false && ((p.text || '').trim() || p.title));
+  const source = (withContent.length ? withContent : pages).slice(0, section ? section.slides : settings.slideCount || MAX_MOCK_SLIDES);
+
+  const slides = source.map(p => {
+    const { heading, listItems, body } = readMarkdown(p.text);
+    const points = (listItems.length ? listItems : splitSentences(body)).slice(0, Math.min(4, settings.maxBullets || 4));
+    const bullets = points.map(s => truncate(s, 100));
+    return {
+      layout: 'bullets',
+      title: p.title || heading || truncate(firstWords(body, 8), 60) || `Page ${p.page}`,
+      bullets: bullets.length ? bullets : [p.caption || `Key points from page ${p.page}`],
+      // Each bullet quotes the start of the text it came from; the fallback bullet cites nothing.
+      sources: points.length ? points.map(s => [{ page: p.page, quote: firstWords(s, 20) }]) : [[]],
+      imagePages: p.include ? [p.page] : [],
+      notes: `Mock notes for page ${p.page}.`
+    };
+  });
+
+  // Longer decks open with an agenda of the slide titles, like a real planner would.
+  // A section of a long deck gets its agenda from the caller instead.
+  if (slides.length >= 3 && !section) {
+    slides.unshift({ layout: 'agenda', title: 'Agenda', bullets: slides.map(s => s.title), imagePages: [] });
+  }
+
+  return { slides, summary: `Mock outline built from ${source.length} of ${pages.length} page(s).` };
+}
+
+// One topic per page with text, titled by its heading or first words.
+function mockSummarize({ pages = [] }) {
+  const topics = pages
+    .filter(p => (p.text || '').trim())
+    .map(p => {
+      const { heading, listItems, body } = readMarkdown(p.text);
+      const points = (listItems.length ? listItems : splitSentences(body)).slice(0, 2).map(s => truncate(s, 100));
+      return { title: heading || truncate(firstWords(body, 6), 60) || `Page ${p.page}`, pages: [p.page], points };
+    });
+  const first = pages[0]?.page;
+  const last = pages[pages.length - 1]?.page;
+  return { summary: `Mock summary of pages ${first}-${last} with ${topics.length} topic(s).`, topics };
+}
+
+// One section per chunk, named after the chunk's first topic.
+function mockSections({ chunks = [] }) {
+  const sections = chunks.map(c => {
+    const pages = [...new Set(c.topics.flatMap(t => t.pages))];
+    return {
+      title: c.topics[0]?.title || `Pages ${c.firstPage}-${c.lastPage}`,
+      goal: c.summary,
+      pages: pages.length ? pages : [c.firstPage],
+      slides: Math.min(4, Math.max(1, c.topics.length))
+    };
+  });
+  return { sections, summary: `Mock deck in ${sections.length} section(s).` };
+}
+
+function mockRefine({ outline }) {
+  const slides = Array.isArray(outline?.slides) ? outline.slides : [];
+  return { ...outline, slides, summary: outline?.summary || `Mock refinement of ${slides.length} slide(s).` };
+}
+
+// Single-slide rewrites: visible but deterministic changes to the one slide it gets.
+function mockRewrite({ slide = {}, pages = [], kind, language }) {
+  const bullets = slide.bullets || [];
+  const sources = bullets.map((_, i) => slide.sources?.[i] || []);
+  switch (kind) {
+    case 'regenerate': {
+      const planned = mockPlan({ pages }).slides.find(s => s.layout !== 'agenda');
+      return { slides: [planned ? { ...planned, title: slide.title || planned.title } : slide] };
+    }
+    case 'shorten':
+      return { slides: [{ ...slide, bullets: bullets.slice(0, 3).map(b => truncate(firstWords(b, 8), 60)), sources: sources.slice(0, 3) }] };
+    case 'expand': {
+      const extra = pages.flatMap(p => splitSentences(readMarkdown(p.text).body).map(s => ({ page: p.page, text: truncate(s, 100) })))
+        .filter(s => !bullets.includes(s.text))
+        .slice(0, Math.max(0, 6 - bullets.length));
+      return {
+        slides: [{
+          ...slide,
+          bullets: [...bullets, ...extra.map(s => s.text)],
+          sources: [...sources, ...extra.map(s => [{ page: s.page, quote: firstWords(s.text, 20) }])],
+          notes: [slide.notes, 'Mock: expanded with more detail from the source pages.'].filter(Boolean).join('\n')
+        }]
+      };
+    }
+    case 'visual': {
+      const imagePages = slide.imagePages?.length ? slide.imagePages : pages.slice(0, 2).map(p => p.page);
+      const layout = imagePages.length > 1 ? 'image-grid' : imagePages.length ? 'image' : slide.layout;
+      return { slides: [{ ...slide, layout, imagePages }] };
+    }
+    case 'translate':
+      return {
+        slides: [{
+          ...slide,
+          title: `[${language}] ${slide.title || ''}`.trim(),
+          bullets: bullets.map(b => `[${language}] ${b}`),
+          sources
+        }]
+      };
+    default:
+      return { slides: [slide] };
+  }
+}
+
+// Talk track read off the slide's points, padded or cut to the word target.
+function mockNotes({ slide = {}, target = { words: 60 }, index = 0 }) {
+  const points = [...(slide.bullets || []), ...(slide.columns || []).flatMap(c => c.bullets || [])];
+  const sentences = [
+    index === 0 ? `Welcome. Let us start with ${slide.title}.` : `Next, ${slide.title}.`,
+    ...points.map(p => `${p.replace(/[.…]+$/, '')}.`)
+  ];
+  const words = [];
+  for (let i = 0; words.length < target.words; i += 1) {
+    words.push(...(sentences[i] || 'Mock notes continue here.').split(/\s+/));
+  }
+  return { notes: words.slice(0, Math.max(1, target.words)).join(' ') };
+}
+
+// Page text is Markdown (see utils/textLayout): the first heading, the list items and the rest as prose.
+function readMarkdown(text) {
+  const lines = String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const headingLine = lines.find(l => /^#+\s/.test(l));
+  const listItems = lines.filter(l => l.startsWith('- ')).map(l => l.slice(2));
+  const body = lines
+    .filter(l => l !== headingLine && !l.startsWith('- '))
+    .map(l => (l.startsWith('|') ? l.replace(/^\||\|$/g, '').split('|').map(c => c.trim()).join(', ') : l.replace(/^#+\s+/, '')))
+    .join(' ');
+  return { heading: headingLine ? truncate(headingLine.replace(/^#+\s+/, ''), 60) : '', listItems, body };
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(s => s.length > 3);
+}
+
+function firstWords(text, count) {
+  return String(text || '').trim().split(/\s+/).slice(0, count).join(' ');
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
@@ -0,0 +1,80 @@
+/**
+ * Ollama provider using the native POST {baseUrl}/api/chat endpoint.
+ * Converts OpenAI-style multi-part content (text + image_url) into Ollama's
+ * `content` string plus base64 `images` array.
+ */
+import { LlmHttpError, readRetryAfter } from './errors';
+import { readLines } from './stream';
+
+// PUBLIC_INTERFACE
+/**
+ * createOllamaProvider
+ * @param {{baseUrl: string, model: string, visionModel?: string}} options
+ * @returns {{name: string, complete: (request: import('./index').LlmRequest) => Promise<string>}}
+ */
+export function createOllamaProvider({ baseUrl, model, visionModel }) {
+  const url = `${baseUrl}/api/chat`;
+
+  async function complete({ task, messages, temperature = 0.3, json = false, vision = false, signal, onToken }) {
+    const payload = {
+      model: vision ? (visionModel || model) : model,
+      messages: messages.map(toOllamaMessage),
+      stream: Boolean(onToken),
+      options: { temperature }
+    };
+    if (json) {
+      payload.format = 'json';
+    }
+
+    const res = await window.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new LlmHttpError(`Ollama ${task} error: ${res.status} ${text}`, res.status, readRetryAfter(res));
+    }
+
+    if (onToken) {
+      // Streamed replies are one JSON object per line, each with the next piece of the message.
+      let text = '';
+      await readLines(res, (line) => {
+        const data = JSON.parse(line);
+        if (data?.error) throw new LlmHttpError(`Ollama ${task} error: ${data.error}`, 500);
+        const delta = data?.message?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      });
+      return text;
+    }
+
+    const data = await res.json();
+    return data?.message?.content ?? '';
+  }
+
+  return { name: 'Ollama', complete };
+}
+
+function toOllamaMessage(m) {
+  if (!Array.isArray(m.content)) {
+    return { role: m.role, content: m.content };
+  }
+  const text = m.content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+  const images = m.content
+    .filter(part => part.type === 'image_url' && part.image_url?.url)
+    .map(part => stripDataUrlPrefix(part.image_url.url));
+  return images.length ? { role: m.role, content: text, images } : { role: m.role, content: text };
+}
+
+function stripDataUrlPrefix(url) {
+  const comma = url.indexOf(',');
+  return url.startsWith('data:') && comma !== -1 ? url.slice(comma + 1) : url;
+}
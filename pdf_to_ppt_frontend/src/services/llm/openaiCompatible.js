@@ -0,0 +1,60 @@
+/**
+ * OpenAI-compatible Chat Completions provider.
+ * Works with api.openai.com and any server exposing POST {baseUrl}/chat/completions
+ * (vLLM, LM Studio, llama.cpp server, Ollama's /v1 shim, ...).
+ */
+import { LlmHttpError, readRetryAfter } from './errors';
+import { readServerSentEvents } from './stream';
+
+// PUBLIC_INTERFACE
+/**
+ * createOpenAICompatibleProvider
+ * @param {{baseUrl: string, model: string, visionModel?: string, apiKey?: string, label?: string}} options
+ * @returns {{name: string, complete: (request: import('./index').LlmRequest) => Promise<string>}}
+ */
+export function createOpenAICompatibleProvider({ baseUrl, model, visionModel, apiKey, label = 'LLM' }) {
+  const url = `${baseUrl}/chat/completions`;
+
+  async function complete({ task, messages, temperature = 0.3, vision = false, signal, onToken }) {
+    const payload = {
+      model: vision ? (visionModel || model) : model,
+      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      temperature,
+      ...(onToken ? { stream: true } : {})
+    };
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const res = await window.fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new LlmHttpError(`${label} ${task} error: ${res.status} ${text}`, res.status, readRetryAfter(res));
+    }
+
+    if (onToken) {
+      // Streamed completions arrive as server-sent events with a text delta per chunk.
+      let text = '';
+      await readServerSentEvents(res, (data) => {
+        const delta = data?.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      });
+      return text;
+    }
+
+    const data = await res.json();
+    return data?.choices?.[0]?.message?.content ?? '';
+  }
+
+  return { name: label, complete };
+}
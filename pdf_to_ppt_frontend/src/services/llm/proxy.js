@@ -0,0 +1,91 @@
+/**
+ * Provider that calls the pdf_to_ppt_proxy service instead of an LLM API directly.
+ * The proxy holds the API key and picks the model, so nothing secret ships in the bundle.
+ */
+import { LlmHttpError, readRetryAfter } from './errors';
+import { readServerSentEvents } from './stream';
+
+const ENDPOINTS = {
+  chat: '/api/chat',
+  analyze: '/api/analyze-page',
+  plan: '/api/plan',
+  // The steps of planning a long document (see openaiClient planDeckWithOpenAI) have their own rate limit.
+  summarize: '/api/summarize',
+  sections: '/api/sections',
+  refine: '/api/refine',
+  // Single-slide rewrites and speaker notes are small refinements; they share that endpoint and its rate limit.
+  rewrite: '/api/refine',
+  notes: '/api/refine'
+};
+
+const SESSION_STORAGE_KEY = 'pdf2ppt.proxySessionId';
+
+// PUBLIC_INTERFACE
+/**
+ * createProxyProvider
+ * @param {{baseUrl: string}} options - proxy origin, or '' for same-origin /api routes
+ * @returns {{name: string, complete: (request: import('./index').LlmRequest) => Promise<string>}}
+ */
+export function createProxyProvider({ baseUrl }) {
+  async function complete({ task, messages, temperature = 0.3, signal, onToken }) {
+    const endpoint = ENDPOINTS[task] || ENDPOINTS.chat;
+    // Only the chat endpoint streams; other tasks wait for the whole JSON reply.
+    const stream = Boolean(onToken) && endpoint === ENDPOINTS.chat;
+    const res = await window.fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Session-Id': getSessionId()
+      },
+      body: JSON.stringify({ messages, temperature, ...(stream ? { stream: true } : {}) }),
+      signal
+    });
+
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      const detail = data?.error || res.statusText || '';
+      throw new LlmHttpError(`Proxy ${task} error: ${res.status} ${detail}`, res.status, readRetryAfter(res));
+    }
+
+    if (stream) {
+      let text = '';
+      await readServerSentEvents(res, (data) => {
+        if (data?.error) throw new LlmHttpError(`Proxy ${task} error: ${data.error}`, 502);
+        if (data?.delta) {
+          text += data.delta;
+          onToken(data.delta);
+        }
+      });
+      return text;
+    }
+
+    const data = await res.json();
+    return data?.content ?? '';
+  }
+
+  return { name: 'Proxy', complete };
+}
+
+/**
+ * Per-tab session id used by the proxy for rate limiting.
+ * Falls back to an in-memory id when sessionStorage is unavailable.
+ */
+let memorySessionId = null;
+function getSessionId() {
+  try {
+    let id = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (!id) {
+      id = randomId();
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    if (!memorySessionId) memorySessionId = randomId();
+    return memorySessionId;
+  }
+}
+
+function randomId() {
+  if (typeof window !== 'undefined' && window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
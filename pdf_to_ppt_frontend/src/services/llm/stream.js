@@ -0,0 +1,63 @@
+/**
+ * Line readers for streamed LLM responses: server-sent events (OpenAI-compatible APIs
+ * and the proxy) and newline-delimited JSON (Ollama).
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * readLines
+ * Calls `onLine` for every non-empty line of a fetch Response body as it arrives.
+ * Falls back to reading the whole body when the environment has no streaming reader.
+ * @param {Response} res
+ * @param {(line: string) => void} onLine
+ * @returns {Promise<void>}
+ */
+export async function readLines(res, onLine) {
+  const emit = text => text.split(/\r?\n/).forEach(line => line.trim() && onLine(line));
+  const reader = res.body?.getReader?.();
+  if (!reader) {
+    emit(await res.text());
+    return;
+  }
+
+  const decoder = new window.TextDecoder();
+  let buffered = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const end = buffered.lastIndexOf('\n');
+    if (end !== -1) {
+      emit(buffered.slice(0, end));
+      buffered = buffered.slice(end + 1);
+    }
+  }
+  emit(buffered + decoder.decode());
+}
+
+// PUBLIC_INTERFACE
+/**
+ * readServerSentEvents
+ * Parses the JSON `data:` payloads of a server-sent events stream, up to the "[DONE]" marker.
+ * @param {Response} res
+ * @param {(data: any) => void} onData
+ * @returns {Promise<void>}
+ */
+export async function readServerSentEvents(res, onData) {
+  let finished = false;
+  await readLines(res, (line) => {
+    if (finished || !line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') {
+      finished = true;
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      return; // not JSON: a vendor extra we do not need
+    }
+    onData(data);
+  });
+}
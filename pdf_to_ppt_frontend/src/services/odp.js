@@ -0,0 +1,281 @@
+/**
+ * OpenDocument presentation (.odp) from the slide layout model (services/slideLayout.js),
+ * for LibreOffice Impress and other ODF apps. The package is zipped in the browser with
+ * JSZip: slide masters (background, decorations, page number) go to styles.xml, slides
+ * and speaker notes to content.xml, and images to Pictures/. Text stays editable; tables
+ * and charts are drawn as plain shapes since ODF has no simple native equivalent.
+ */
+import JSZip from 'jszip';
+import { chartShapes, placeImage, SLIDE_HEIGHT_IN, SLIDE_WIDTH_IN, tableCells } from './slideLayout';
+
+const MIME_TYPE = 'application/vnd.oasis.opendocument.presentation';
+
+const NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+  'xmlns:presentation="urn:oasis:names:tc:opendocument:xmlns:presentation:1.0"',
+  'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+  'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+  'xmlns:xlink="http://www.w3.org/1999/xlink"',
+  'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+  'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"',
+  'office:version="1.3"'
+].join(' ');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+// PUBLIC_INTERFACE
+/**
+ * renderOdp
+ * @param {import('./slideLayout').DeckLayout} deck
+ * @returns {Promise<Blob>} application/vnd.oasis.opendocument.presentation
+ */
+export async function renderOdp(deck) {
+  const pictures = createPictures();
+  const masterStyles = createStyles('m');
+  const contentStyles = createStyles('a');
+
+  const masters = Object.values(deck.masters).map(master => masterPageXml(master, masterStyles, pictures)).join('');
+  const pages = deck.slides.map((layout, i) => slidePageXml(layout, i, contentStyles, pictures)).join('');
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and uncompressed so tools can sniff the format.
+  zip.file('mimetype', MIME_TYPE, { compression: 'STORE' });
+  zip.file('META-INF/manifest.xml', manifestXml(pictures.files));
+  zip.file('meta.xml', metaXml(deck.title));
+  zip.file('styles.xml', stylesXml(masterStyles, masters));
+  zip.file('content.xml', contentXml(contentStyles, pages));
+  pictures.files.forEach(({ path, base64 }) => zip.file(path, base64, { base64: true }));
+  return zip.generateAsync({ type: 'blob', mimeType: MIME_TYPE, compression: 'DEFLATE' });
+}
+
+function masterPageXml(master, styles, pictures) {
+  const background = styles.add('drawing-page',
+    `<style:drawing-page-properties draw:fill="solid" draw:fill-color="#${master.background}" draw:background-size="full"/>`);
+  const elements = master.elements.map(el => elementXml(el, styles, pictures));
+  if (master.slideNumber) {
+    const number = '<text:page-number>1</text:page-number>';
+    elements.push(textFrameXml({ ...master.slideNumber, align: 'right' }, [number], styles, { raw: true }));
+  }
+  return `<style:master-page style:name="${escapeXml(master.name)}" style:page-layout-name="PM1" draw:style-name="${background}">${elements.join('')}</style:master-page>`;
+}
+
+function slidePageXml(layout, index, styles, pictures) {
+  const elements = layout.elements.map(el => elementXml(el, styles, pictures)).join('');
+  const notes = layout.notes
+    ? `<presentation:notes>${textFrameXml({ x: 0.5, y: 0.5, w: SLIDE_WIDTH_IN - 1, h: SLIDE_HEIGHT_IN - 1, fontSize: 12, align: 'left' },
+      layout.notes.split('\n'), styles, { className: 'notes' })}</presentation:notes>`
+    : '';
+  return `<draw:page draw:name="Slide ${index + 1}" draw:master-page-name="${escapeXml(layout.master)}">${elements}${notes}</draw:page>`;
+}
+
+function elementXml(el, styles, pictures) {
+  if (el.kind === 'rect') return rectXml(el, styles.add('graphic', fillProperties(el.fill)));
+  if (el.kind === 'image') return imageXml(el, styles, pictures);
+  if (el.kind === 'table') return tableXml(el, styles);
+  if (el.kind === 'chart') return chartXml(el, styles);
+  return textFrameXml(el, el.lines, styles);
+}
+
+// Cover images are placed at their oversized rectangle: the only cover image is the
+// full-bleed picture layout, so the overflow falls outside the slide.
+function imageXml(el, styles, pictures) {
+  const path = pictures.add(el.data);
+  if (!path) return '';
+  const rect = placeImage(el);
+  const style = styles.add('graphic', '<style:graphic-properties draw:fill="none" draw:stroke="none"/>');
+  return `<draw:frame draw:style-name="${style}" ${box(rect)}><draw:image xlink:href="${path}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/></draw:frame>`;
+}
+
+/**
+ * textFrameXml
+ * A text box with one paragraph per line, vertically centered like the preview.
+ * `raw` lines are already XML (the master's page number field).
+ */
+function textFrameXml(el, lines, styles, { raw = false, className } = {}) {
+  const fill = el.fill
+    ? `draw:fill="solid" draw:fill-color="#${el.fill.color}" draw:opacity="${100 - (el.fill.transparency || 0)}%"`
+    : 'draw:fill="none"';
+  const frameStyle = styles.add('graphic',
+    `<style:graphic-properties ${fill} draw:stroke="none" draw:textarea-vertical-align="middle" draw:auto-grow-height="false" fo:padding="0.05in"/>`);
+  const paragraph = styles.add('paragraph', paragraphProperties(el));
+  const body = lines.map(line => `<text:p text:style-name="${paragraph}">${raw ? line : textXml(line)}</text:p>`).join('');
+  const classAttr = className ? ` presentation:class="${className}"` : '';
+  return `<draw:frame draw:style-name="${frameStyle}"${classAttr} ${box(el)}><draw:text-box>${body}</draw:text-box></draw:frame>`;
+}
+
+function tableXml(el, styles) {
+  const stroke = `draw:stroke="solid" svg:stroke-color="#${el.borderColor}" svg:stroke-width="0.01in"`;
+  const cellProps = fill => `<style:graphic-properties ${fill} ${stroke} draw:textarea-vertical-align="middle" draw:textarea-horizontal-align="left" fo:padding="0.05in"/>`;
+  const headerStyle = styles.add('graphic', cellProps(`draw:fill="solid" draw:fill-color="#${el.headerFill}"`));
+  const bodyStyle = styles.add('graphic', cellProps('draw:fill="none"'));
+  const headerText = styles.add('paragraph', paragraphProperties({ ...el, bold: true, color: 'FFFFFF' }));
+  const bodyText = styles.add('paragraph', paragraphProperties(el));
+  return tableCells(el).map(cell => (
+    `<draw:rect draw:style-name="${cell.header ? headerStyle : bodyStyle}" ${box(cell)}>`
+    + `<text:p text:style-name="${cell.header ? headerText : bodyText}">${textXml(cell.text)}</text:p></draw:rect>`
+  )).join('');
+}
+
+function chartXml(el, styles) {
+  const { width, shapes } = chartShapes(el);
+  const k = el.w / width;
+  const at = (x, y) => ({ x: el.x + x * k, y: el.y + y * k });
+  return shapes.map((shape) => {
+    if (shape.type === 'rect') {
+      return rectXml({ ...at(shape.x, shape.y), w: shape.w * k, h: shape.h * k }, styles.add('graphic', fillProperties(shape.fill)));
+    }
+    if (shape.type === 'slice') {
+      const style = styles.add('graphic', fillProperties(shape.fill));
+      const r = shape.r * k;
+      const center = at(shape.cx, shape.cy);
+      const bounds = box({ x: center.x - r, y: center.y - r, w: 2 * r, h: 2 * r });
+      if (shape.end - shape.start >= Math.PI * 2 - 1e-9) return `<draw:circle draw:style-name="${style}" ${bounds} draw:kind="full"/>`;
+      // ODF angles run counterclockwise with y up; chartShapes angles run clockwise with y down.
+      const degrees = angle => round((((-angle * 180) / Math.PI) % 360 + 360) % 360);
+      return `<draw:circle draw:style-name="${style}" ${bounds} draw:kind="section" draw:start-angle="${degrees(shape.end)}" draw:end-angle="${degrees(shape.start)}"/>`;
+    }
+    if (shape.type === 'polyline') {
+      const style = styles.add('graphic',
+        `<style:graphic-properties draw:fill="none" draw:stroke="solid" svg:stroke-color="#${shape.stroke}" svg:stroke-width="${round(0.8 * k)}in"/>`);
+      return polylineXml(shape.points.map(([x, y]) => at(x, y)), style);
+    }
+    // Labels are centered on x with the baseline at y.
+    const size = shape.size * k;
+    const label = { ...at(shape.x - 15, shape.y - size), w: 30 * k, h: size * 1.4, fontSize: size * 72, fontFace: el.fontFace, color: shape.fill, align: 'center' };
+    const frameStyle = styles.add('graphic', '<style:graphic-properties draw:fill="none" draw:stroke="none" fo:padding="0in"/>');
+    const paragraph = styles.add('paragraph', paragraphProperties(label));
+    return `<draw:frame draw:style-name="${frameStyle}" ${box(label)}><draw:text-box><text:p text:style-name="${paragraph}">${textXml(shape.text)}</text:p></draw:text-box></draw:frame>`;
+  }).join('');
+}
+
+// Polyline points are given in a viewBox over the shape's bounds, in thousandths of an inch.
+function polylineXml(points, style) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const bounds = { x: Math.min(...xs), y: Math.min(...ys) };
+  bounds.w = Math.max(...xs) - bounds.x || 0.001;
+  bounds.h = Math.max(...ys) - bounds.y || 0.001;
+  const units = v => Math.round(v * 1000);
+  const pointList = points.map(p => `${units(p.x - bounds.x)},${units(p.y - bounds.y)}`).join(' ');
+  return `<draw:polyline draw:style-name="${style}" ${box(bounds)} svg:viewBox="0 0 ${units(bounds.w)} ${units(bounds.h)}" draw:points="${pointList}"/>`;
+}
+
+function rectXml(rect, style) {
+  return `<draw:rect draw:style-name="${style}" ${box(rect)}/>`;
+}
+
+function fillProperties(hex) {
+  return `<style:graphic-properties draw:fill="solid" draw:fill-color="#${hex}" draw:stroke="none"/>`;
+}
+
+function paragraphProperties(el) {
+  const align = { center: 'center', right: 'end' }[el.align] || 'start';
+  const text = [
+    `fo:font-size="${round(el.fontSize)}pt"`,
+    el.fontFace ? `fo:font-family="${escapeXml(`'${el.fontFace.replace(/'/g, '')}'`)}"` : '',
+    el.bold ? 'fo:font-weight="bold"' : '',
+    el.italic ? 'fo:font-style="italic"' : '',
+    el.color ? `fo:color="#${el.color}"` : ''
+  ].filter(Boolean).join(' ');
+  return `<style:paragraph-properties fo:text-align="${align}"/><style:text-properties ${text}/>`;
+}
+
+/**
+ * createStyles
+ * Automatic styles of one XML part, shared between elements with identical properties.
+ * @param {string} prefix - keeps style names unique across styles.xml and content.xml
+ */
+function createStyles(prefix) {
+  const byBody = new Map();
+  return {
+    add(family, body) {
+      const key = `${family}|${body}`;
+      if (!byBody.has(key)) {
+        const name = `${prefix}${byBody.size + 1}`;
+        byBody.set(key, { name, xml: `<style:style style:name="${name}" style:family="${family}">${body}</style:style>` });
+      }
+      return byBody.get(key).name;
+    },
+    xml() {
+      return [...byBody.values()].map(s => s.xml).join('');
+    }
+  };
+}
+
+// Data URL images, stored once each under Pictures/ however often they are used.
+function createPictures() {
+  const byData = new Map();
+  return {
+    files: [],
+    add(data) {
+      const match = /^data:(image\/(png|jpeg|gif|svg\+xml|webp));base64,(.*)$/i.exec(String(data || ''));
+      if (!match) return null;
+      if (!byData.has(data)) {
+        const extension = { jpeg: 'jpg', 'svg+xml': 'svg' }[match[2].toLowerCase()] || match[2].toLowerCase();
+        const path = `Pictures/image${byData.size + 1}.${extension}`;
+        byData.set(data, path);
+        this.files.push({ path, mediaType: match[1].toLowerCase(), base64: match[3] });
+      }
+      return byData.get(data);
+    }
+  };
+}
+
+function stylesXml(styles, masters) {
+  const pageLayout = '<style:page-layout style:name="PM1"><style:page-layout-properties fo:margin-top="0in" fo:margin-bottom="0in" '
+    + `fo:margin-left="0in" fo:margin-right="0in" fo:page-width="${SLIDE_WIDTH_IN}in" fo:page-height="${SLIDE_HEIGHT_IN}in" style:print-orientation="landscape"/></style:page-layout>`;
+  return `${XML_HEADER}<office:document-styles ${NAMESPACES}><office:styles/>`
+    + `<office:automatic-styles>${pageLayout}${styles.xml()}</office:automatic-styles>`
+    + `<office:master-styles>${masters}</office:master-styles></office:document-styles>`;
+}
+
+function contentXml(styles, pages) {
+  return `${XML_HEADER}<office:document-content ${NAMESPACES}><office:automatic-styles>${styles.xml()}</office:automatic-styles>`
+    + `<office:body><office:presentation>${pages}</office:presentation></office:body></office:document-content>`;
+}
+
+function metaXml(title) {
+  return `${XML_HEADER}<office:document-meta ${NAMESPACES}><office:meta><dc:title>${escapeXml(title)}</dc:title>`
+    + `<meta:generator>PDF to PPT</meta:generator><dc:date>${new Date().toISOString()}</dc:date></office:meta></office:document-meta>`;
+}
+
+function manifestXml(pictureFiles) {
+  const entries = [
+    { path: '/', mediaType: MIME_TYPE },
+    { path: 'content.xml', mediaType: 'text/xml' },
+    { path: 'styles.xml', mediaType: 'text/xml' },
+    { path: 'meta.xml', mediaType: 'text/xml' },
+    ...pictureFiles
+  ];
+  const version = ' manifest:version="1.3"';
+  return `${XML_HEADER}<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0"${version}>`
+    + entries.map(e => `<manifest:file-entry manifest:full-path="${e.path}" manifest:media-type="${e.mediaType}"${e.path === '/' ? version : ''}/>`).join('')
+    + '</manifest:manifest>';
+}
+
+function box(el) {
+  return `svg:x="${round(el.x)}in" svg:y="${round(el.y)}in" svg:width="${round(el.w)}in" svg:height="${round(el.h)}in"`;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Line breaks inside a paragraph and runs of spaces need their own ODF elements.
+function textXml(text) {
+  return escapeXml(text)
+    .replace(/\n/g, '<text:line-break/>')
+    .replace(/ {2,}/g, spaces => ` <text:s text:c="${spaces.length - 1}"/>`);
+}
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,38 @@
+import JSZip from 'jszip';
+import { renderOdp } from './odp';
+import { layoutDeck } from './slideLayout';
+import { getTheme } from '../themes';
+
+// 1x1 transparent PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const outline = {
+  slides: [
+    { title: 'Revenue & costs', layout: 'bullets', bullets: ['Revenue grew <12%>', 'Costs were flat'], imagePages: [2], notes: 'Mention the one-off deal.' },
+    { title: 'Split', layout: 'bullets', bullets: ['By region'], imagePages: [3] }
+  ]
+};
+const visualsByPage = {
+  3: { chart: { type: 'pie', title: 'Regions', categories: ['EU', 'US'], series: [{ name: 'Share', values: [40, 60] }] } }
+};
+const deck = layoutDeck(outline, { 2: PIXEL }, 'Q3 review', getTheme('ocean'), visualsByPage);
+
+test('ODP package has the ODF parts, slides on their masters and embedded pictures', async () => {
+  const zip = await JSZip.loadAsync(await renderOdp(deck));
+  expect(Object.keys(zip.files)[0]).toBe('mimetype');
+  expect(await zip.file('mimetype').async('string')).toBe('application/vnd.oasis.opendocument.presentation');
+  expect(await zip.file('META-INF/manifest.xml').async('string')).toContain('manifest:full-path="Pictures/image1.png"');
+
+  const styles = await zip.file('styles.xml').async('string');
+  expect(styles).toContain('fo:page-width="10in" fo:page-height="5.625in"');
+  expect(styles).toContain('<style:master-page style:name="ocean-content"');
+  expect(styles).toContain('<text:page-number>');
+
+  const content = await zip.file('content.xml').async('string');
+  expect(content.match(/<draw:page /g)).toHaveLength(3);
+  expect(content).toContain('draw:master-page-name="ocean-title"');
+  expect(content).toContain('Revenue &amp; costs');
+  expect(content).toContain('xlink:href="Pictures/image1.png"');
+  expect(content).toContain('<presentation:notes>');
+  expect(content.match(/draw:kind="section"/g)).toHaveLength(2);
+});
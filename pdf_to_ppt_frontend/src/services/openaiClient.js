@@ -1,56 +1,145 @@
 /**
- * OpenAI client utilities for browser-only usage (no SDK).
- * Uses fetch() to call Chat Completions API.
+ * LLM client utilities for browser-only usage (no SDK).
+ * Builds the prompts for each app flow and sends them through the configured
+ * provider (see services/llm and config/env.js getLlmConfig).
  */
 
-import { getOpenAIKey } from "../config/env";
+import { getLlmProvider, isRetryableLlmError } from './llm';
+import { getLlmConfig } from '../config/env';
+import {
+  OUTLINE_ACTIONS,
+  SLIDE_LAYOUTS,
+  parseJsonObject,
+  validateChunkSummary,
+  validateOutline,
+  validateOutlineActions,
+  validatePageAnalysis,
+  validateSectionPlan,
+  validateSpeakerNotes
+} from './outlineSchema';
+import { retryWithBackoff, runJobQueue } from '../utils/jobQueue';
+import { chunkByTokens, estimateTokens, fitTextsToBudget } from '../utils/tokenBudget';
+import { isWholePageRef, keepPinnedSlides, slideSourcePages } from '../utils/outline';
+import { createDeckNumbering, pageDoc, pageNumber } from '../utils/documents';
+import { formatDuration, planTalkTime } from '../utils/speakingTime';
+import { DEFAULT_PLANNING_SETTINGS, PLANNING_AUDIENCES } from '../presets';
 
-const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+// PUBLIC_INTERFACE
+/**
+ * LlmValidationError
+ * Thrown when the model keeps returning JSON that fails schema validation after all repair attempts.
+ * `errors` lists the field-level problems from the last attempt; `attempts` counts model calls made.
+ */
+export class LlmValidationError extends Error {
+  constructor(task, errors, attempts) {
+    super(`The model returned an invalid ${task} response after ${attempts} attempt(s): ${errors.join(' ')}`);
+    this.name = 'LlmValidationError';
+    this.task = task;
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+// The assistant ends a reply with this fenced block when it changes the outline.
+const ACTIONS_FENCE = '```actions';
 
 // PUBLIC_INTERFACE
 /**
  * chatWithOpenAI
- * Sends the chat history to OpenAI and returns assistant message text.
+ * Sends the chat history to the configured LLM provider and streams the assistant's reply.
+ * When `outline` is given the assistant sees it and may change it: it ends its reply with an
+ * ```actions block (OUTLINE_ACTIONS in services/outlineSchema.js), which is validated and
+ * returned separately; the caller applies it (utils/outlineActions.js).
  * @param {Array<{role: 'system'|'user'|'assistant', content: string}>} messages
- * @returns {Promise<string>}
+ * @param {{
+ *   outline?: {slides: Array<object>, summary?: string}|null,
+ *   pages?: Array<{doc?: number, page: number, title?: string, caption?: string}>,
+ *   documents?: Array<{doc: number, name: string}>,
+ *   onText?: (text: string) => void,
+ *   signal?: AbortSignal
+ * }} [options] - `pages` describes the documents for image changes and `documents` names them
+ *   (utils/documents.js); `onText` receives the reply so far (without the actions block) as it streams in
+ * @returns {Promise<{reply: string, actions: Array<object>, actionErrors: string[]}>}
  */
-export async function chatWithOpenAI(messages) {
-  const apiKey = ensureApiKey();
-  const payload = {
-    model: 'gpt-4o-mini',
-    messages: messages.map(m => ({ role: m.role, content: m.content })),
-    temperature: 0.3
-  };
-  const res = await fetch(OPENAI_CHAT_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
+export async function chatWithOpenAI(messages, { outline = null, pages = [], documents = [], onText, signal } = {}) {
+  const provider = getLlmProvider();
+  const numbering = createDeckNumbering(pages, documents);
+  const system = outline ? [{ role: 'system', content: chatSystemPrompt(numbering.outlineToDeck(outline), numbering.pages) }] : [];
+
+  let streamed = '';
+  const content = await provider.complete({
+    task: 'chat',
+    temperature: 0.3,
+    signal,
+    input: { outline },
+    messages: [...system, ...messages.map(m => ({ role: m.role, content: m.content }))],
+    ...(onText ? {
+      onToken: (delta) => {
+        streamed += delta;
+        // Hide the actions block, including a fence that has only partly arrived.
+        onText(splitChatReply(streamed).reply.replace(/`{1,3}[a-z]*$/i, '').trimEnd());
+      }
+    } : {})
   });
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`OpenAI chat error: ${res.status} ${text}`);
-  }
+  const { reply, block } = splitChatReply(String(content ?? ''));
+  if (block === null || !outline) return { reply, actions: [], actionErrors: [] };
 
-  const data = await res.json();
-  const content = data?.choices?.[0]?.message?.content ?? '';
-  return content;
+  const parsed = parseJsonObject(block);
+  const result = parsed.error
+    ? { value: null, errors: [parsed.error] }
+    : validateOutlineActions(parsed.value, { slideCount: outline.slides.length, pageCount: maxPageNumber(numbering.pages) });
+  return { reply, actions: numbering.actionsFromDeck(result.value || []), actionErrors: result.errors };
+}
+
+function chatSystemPrompt(outline, pages) {
+  // Citations are left out: they are long and the assistant cannot change them.
+  const slides = outline.slides.map((slide, i) => ({ slide: i + 1, ...slide, sources: undefined }));
+  const outlineStr = JSON.stringify({ summary: outline.summary, slides }).slice(0, 15000); // safeguard
+  const pageLines = pages
+    .map(p => `${pageLabel(p)}: ${[p.title, p.caption].filter(Boolean).join(' — ') || '(no description)'}`)
+    .join('\n')
+    .slice(0, 6000);
+  return [
+    'You help the user improve a slide outline generated from a PDF. Reply briefly in plain text.',
+    `The current outline (slide numbers are 1-based):\n${outlineStr}`,
+    pageLines ? `The document pages, usable as slide images:\n${pageLines}` : '',
+    pages.some(p => p.origin) ? DECK_PAGES_NOTE : '',
+    'When the user asks for a change you can make to the outline, say in one or two sentences what you changed,',
+    `then end your reply with a single block:\n${ACTIONS_FENCE}\n{ "actions": [ ... ] }\n\`\`\``,
+    'Available actions:',
+    ...Object.values(OUTLINE_ACTIONS).map(shape => `- ${shape}`),
+    'Slide numbers in all actions refer to the outline above, before any of your changes.',
+    'Leave the block out for questions, for requests you cannot express with these actions, and when unsure;',
+    'the user can then click Generate to have the whole outline refined from the conversation.'
+  ].filter(Boolean).join('\n');
+}
+
+// Splits a chat reply into the text shown to the user and the JSON of its actions block (or null).
+function splitChatReply(text) {
+  const at = text.indexOf(ACTIONS_FENCE);
+  if (at === -1) return { reply: text.trim(), block: null };
+  const block = text.slice(at + ACTIONS_FENCE.length);
+  const end = block.indexOf('```');
+  return { reply: text.slice(0, at).trim(), block: end === -1 ? block : block.slice(0, end) };
 }
 
 // PUBLIC_INTERFACE
 /**
  * analyzeImageWithOpenAI
- * Sends an image and user context to OpenAI Vision model to decide inclusion and caption/title.
- * Returns a JSON object: { include: boolean, title?: string, caption?: string, rationale?: string }
+ * Sends an image and user context to the provider's vision model to decide inclusion and caption/title.
+ * Returns a JSON object: { include: boolean, title?: string, caption?: string, rationale?: string, figures?: Array, table?: object, chart?: object }
+ * `figures` are bounding boxes of the page's figures, used to crop them instead of embedding the whole page.
+ * When the page's main content is a table or chart, its data is extracted as `table` / `chart`
+ * (see validatePageAnalysis) so the PPTX can contain an editable object instead of a screenshot.
+ * Throws LlmValidationError if the model cannot produce a valid object after repair attempts.
  * @param {string} imageDataUrl - base64 data URL
  * @param {string} userContext - optional user guidance from chat
- * @returns {Promise<{ include: boolean, title?: string, caption?: string, rationale?: string }>}
+ * @param {{signal?: AbortSignal}} [options] - abort to cancel the request (rejects with an AbortError)
+ * @returns {Promise<{ include: boolean, title?: string, caption?: string, rationale?: string, figures?: Array<{bbox: object, label?: string}>, table?: object, chart?: object }>}
  */
-export async function analyzeImageWithOpenAI(imageDataUrl, userContext = '') {
-  const apiKey = ensureApiKey();
+export async function analyzeImageWithOpenAI(imageDataUrl, userContext = '', { signal } = {}) {
+  const provider = getLlmProvider();
 
   const systemPrompt = [
     'You are selecting which PDF page images are useful to include in a slide deck.',
@@ -58,13 +147,25 @@ export async function analyzeImageWithOpenAI(imageDataUrl, userContext = '') {
     'You MUST return a single JSON object with these keys:',
     '{ "include": true|false, "title": "short title", "caption": "1-2 sentence summary", "rationale": "brief reason" }',
     'Keep captions concise and useful.',
+    'If the page contains figures (charts, diagrams, photos, tables), also return their regions as',
+    '"figures": [{ "bbox": { "x": 0.1, "y": 0.3, "w": 0.8, "h": 0.4 }, "label": "short label" }]',
+    '(fractions of the page width/height from the top-left corner, most important figure first; exclude headers, footers and body text).',
+    'If the main content of the page is a data table, also return its data as',
+    '"table": { "header": ["col", ...], "rows": [["cell", ...], ...] } (at most 12 rows; copy values exactly).',
+    'If the main content is a bar, line or pie chart whose values you can read, also return',
+    '"chart": { "type": "bar"|"line"|"pie", "title": "...", "categories": ["label", ...], "series": [{ "name": "...", "values": [<number>, ...] }] }',
+    '(one value per category; pie charts have exactly one series). Omit "table" and "chart" when unsure.',
     'If content is low-value (e.g., cover pages, blank pages, page numbers only), set include=false.',
     userContext ? `User guidance: ${userContext}` : '',
   ].filter(Boolean).join('\n');
 
-  const payload = {
-    model: 'gpt-4o-mini',
+  return completeValidated(provider, validatePageAnalysis, {
+    task: 'analyze',
     temperature: 0.2,
+    json: true,
+    vision: true,
+    signal,
+    input: { imageDataUrl, userContext },
     messages: [
       { role: 'system', content: systemPrompt },
       {
@@ -75,25 +176,7 @@ export async function analyzeImageWithOpenAI(imageDataUrl, userContext = '') {
         ]
       }
     ]
-  };
-
-  const res = await fetch(OPENAI_CHAT_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
   });
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`OpenAI vision error: ${res.status} ${text}`);
-  }
-
-  const data = await res.json();
-  const content = data?.choices?.[0]?.message?.content ?? '{}';
-  return safeParseJson(content);
 }
 
 // PUBLIC_INTERFACE
@@ -101,75 +184,342 @@ export async function analyzeImageWithOpenAI(imageDataUrl, userContext = '') {
  * planSlidesWithOpenAI
  * Builds a logical slide outline using extracted per-page text and (optionally) per-page analysis.
  * The model should group related pages into slides, split dense content, and propose titles and bullets.
- * Returns JSON: { slides: [ { title: string, bullets: string[], imagePages?: number[], notes?: string } ], summary?: string }
- * @param {Array<{page:number, text:string, include?:boolean, title?:string, caption?:string}>} pages
+ * Returns JSON: { slides: [ { layout?: string, title: string, bullets: string[], sources?: Array<Array<{page, quote}>>, imagePages?: number[], notes?: string, ...layout fields } ], summary?: string }
+ * `sources` cites the page text behind each bullet (check it with utils/sources checkSources).
+ * See SLIDE_LAYOUTS in outlineSchema.js for the layout types and their fields.
+ * Page texts are shortened to fit REACT_APP_LLM_MAX_INPUT_TOKENS; use planDeckWithOpenAI for documents that may not fit.
+ * Pages may come from several documents (utils/documents.js); slides then mix them as the content demands.
+ * Invalid replies are re-prompted with the validation errors; throws LlmValidationError when repair fails.
+ * @param {Array<{doc?:number, page:number, text:string, textSource?:'ocr', ocrConfidence?:number, include?:boolean, title?:string, caption?:string, visual?:'table'|'chart', figures?:Array<object>}>} pages
  * @param {string} userGuidance - concatenated user guidance from chat
+ * @param {{signal?: AbortSignal, settings?: object, documents?: Array<{doc: number, name: string}>}} [options] - abort to cancel
+ *   the request (rejects with an AbortError); `settings` are the planning settings (presets/index.js
+ *   DEFAULT_PLANNING_SETTINGS); `documents` names the documents in the prompt
  * @returns {Promise<{slides: Array<{title:string, bullets:string[], imagePages?: number[], notes?: string}>, summary?: string}>}
  */
-export async function planSlidesWithOpenAI(pages, userGuidance = '') {
-  const apiKey = ensureApiKey();
-
-  // Compress the pages into a compact textual representation to reduce token usage.
-  // Limit text per page and number of pages in prompt if needed.
-  const MAX_PAGES = 30;
-  const compact = pages
-    .slice(0, MAX_PAGES)
-    .map(p => {
-      const t = (p.text || '').slice(0, 800);
-      const meta = [
-        p.include !== undefined ? `include_hint=${!!p.include}` : null,
-        p.title ? `img_title="${p.title}"` : null,
-        p.caption ? `img_caption="${p.caption}"` : null
-      ].filter(Boolean).join(', ');
-      return `Page ${p.page}${meta ? ` (${meta})` : ''}: ${t}`;
-    })
-    .join('\n---\n');
+export async function planSlidesWithOpenAI(pages, userGuidance = '', { signal, settings, documents } = {}) {
+  const numbering = createDeckNumbering(pages, documents);
+  const { outline } = await planSlides(numbering.pages, userGuidance, { signal, settings });
+  return numbering.outlineFromDeck(outline);
+}
 
-  const system = [
+// PUBLIC_INTERFACE
+/**
+ * planDeckWithOpenAI
+ * Plans an outline from every page of the document, however long it is. When all page texts
+ * fit in REACT_APP_LLM_MAX_INPUT_TOKENS this is a single planSlidesWithOpenAI call. Otherwise:
+ *  1. map: consecutive chunks of pages are summarized into topics with their page numbers;
+ *  2. reduce: the chunk summaries are turned into a section-level outline;
+ *  3. expand: each section is planned into slides from its own pages.
+ * `coverage` tells the user what the model actually saw: pages whose text had to be shortened,
+ * and pages that were summarized but not assigned to any section.
+ * Pages of several documents are planned as one deck, in the order of their documents.
+ * @param {Array<object>} pages - same shape as planSlidesWithOpenAI
+ * @param {string} userGuidance
+ * @param {{signal?: AbortSignal, settings?: object, documents?: Array<{doc: number, name: string}>, onProgress?: (progress: {stage: 'plan'|'summarize'|'sections'|'expand', done: number, total: number}) => void}} [options]
+ *   `settings` and `documents` as for planSlidesWithOpenAI; the slide count is shared out over the sections
+ * @returns {Promise<{outline: {slides: Array<object>, summary?: string},
+ *   coverage: {strategy: 'single'|'map-reduce', pageCount: number, chunks: number, sections: number, truncated: Array<number|object>, unassigned: Array<number|object>}}>}
+ *   `truncated` and `unassigned` are page references (utils/documents.js)
+ */
+export async function planDeckWithOpenAI(pages, userGuidance = '', { documents, ...options } = {}) {
+  const numbering = createDeckNumbering(pages, documents);
+  const { outline, coverage } = await planDeck(numbering.pages, userGuidance, options);
+  return {
+    outline: numbering.outlineFromDeck(outline),
+    coverage: { ...coverage, truncated: coverage.truncated.map(numbering.fromDeck), unassigned: coverage.unassigned.map(numbering.fromDeck) }
+  };
+}
+
+// planDeckWithOpenAI on deck-numbered pages.
+async function planDeck(pages, userGuidance, { signal, settings, onProgress } = {}) {
+  const { maxInputTokens, concurrency } = getLlmConfig();
+  const report = (stage, done, total) => onProgress && onProgress({ stage, done, total });
+  const coverage = { strategy: 'single', pageCount: pages.length, chunks: 1, sections: 0, truncated: [], unassigned: [] };
+
+  const planBudget = maxInputTokens - estimateTokens(planSystemPrompt(userGuidance, undefined, settings, pages));
+  if (pages.reduce((sum, p) => sum + pagePromptTokens(p), 0) <= planBudget) {
+    report('plan', 0, 1);
+    const { outline, truncated } = await planSlides(pages, userGuidance, { signal, settings });
+    return { outline, coverage: { ...coverage, truncated } };
+  }
+
+  // 1) Map: summarize chunks of consecutive pages.
+  const chunkBudget = maxInputTokens - estimateTokens(summarizeSystemPrompt(userGuidance, pages));
+  const chunks = chunkByTokens(pages, chunkBudget, pagePromptTokens);
+  let summarized = 0;
+  report('summarize', 0, chunks.length);
+  const summaries = settledValues(await runJobQueue(chunks, chunk => summarizeChunk(chunk, userGuidance, signal), {
+    concurrency,
+    signal,
+    onSettled: () => {
+      summarized += 1;
+      report('summarize', summarized, chunks.length);
+    }
+  }));
+
+  // 2) Reduce: a section-level outline from the chunk summaries.
+  report('sections', 0, 1);
+  const plan = await planSections(summaries, maxPageNumber(pages), userGuidance, signal, settings);
+
+  // 3) Expand: each section into slides, from its own pages only.
+  const sections = plan.sections;
+  let expanded = 0;
+  report('expand', 0, sections.length);
+  const sectionOutlines = settledValues(await runJobQueue(sections, (section, i) => planSlides(
+    pages.filter(p => section.pages.includes(p.page)),
+    userGuidance,
+    { signal, settings, section: { ...section, index: i + 1, count: sections.length, deckSummary: plan.summary } }
+  ), {
+    concurrency,
+    signal,
+    onSettled: () => {
+      expanded += 1;
+      report('expand', expanded, sections.length);
+    }
+  }));
+
+  // Dividers and an agenda only help once there are a few parts to the deck.
+  const withDividers = sections.length >= 3;
+  const slides = withDividers
+    ? [{ layout: 'agenda', title: 'Agenda', bullets: sections.map(s => s.title), imagePages: [] }]
+    : [];
+  sectionOutlines.forEach(({ outline }, i) => {
+    if (withDividers) {
+      slides.push({ layout: 'section', title: sections[i].title, ...(sections[i].goal ? { subtitle: sections[i].goal } : {}), bullets: [], imagePages: [] });
+    }
+    slides.push(...outline.slides.filter(s => s.layout !== 'agenda'));
+  });
+
+  const assigned = new Set(sections.flatMap(s => s.pages));
+  const truncated = new Set([...summaries, ...sectionOutlines].flatMap(r => r.truncated));
+  return {
+    outline: { slides, ...(plan.summary ? { summary: plan.summary } : {}) },
+    coverage: {
+      ...coverage,
+      strategy: 'map-reduce',
+      chunks: chunks.length,
+      sections: sections.length,
+      truncated: [...truncated].sort((a, b) => a - b),
+      unassigned: pages.map(p => p.page).filter(n => !assigned.has(n))
+    }
+  };
+}
+
+// Plans slides for `pages` (the whole document, or one section of it) within the token budget.
+async function planSlides(pages, userGuidance, { signal, section, settings } = {}) {
+  const provider = getLlmProvider();
+  const system = planSystemPrompt(userGuidance, section, settings, pages);
+  const { items, truncated } = fitPagesToPrompt(pages, system);
+
+  const pageCount = maxPageNumber(pages);
+  const outline = await completeValidated(provider, data => validateOutline(data, { pageCount }), {
+    task: 'plan',
+    temperature: 0.3,
+    json: true,
+    signal,
+    input: { pages, userGuidance, section, settings: planningSettings(settings) },
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: `Build an outline from these pages:\n${formatPages(items)}\nReturn only JSON.` }
+    ]
+  });
+  return { outline, truncated: truncated.map(p => p.page) };
+}
+
+function planSystemPrompt(userGuidance, section, settings, pages) {
+  const { slideCount, maxBullets } = planningSettings(settings);
+  return [
     'You are a presentation strategist.',
-    'From the provided document pages, propose a slide deck outline:',
+    ...(section ? [
+      `The document is long, so the deck is planned one section at a time. Plan only section ${section.index} of ${section.count}: "${section.title}".`,
+      section.goal ? `Section goal: ${section.goal}` : '',
+      section.deckSummary ? `The whole document: ${section.deckSummary}` : '',
+      `- Produce about ${section.slides} slide(s) for this section only. Do not add an agenda, section divider or closing slide; they are added separately.`
+    ] : [
+      'From the provided document pages, propose a slide deck outline:',
+      slideCount
+        ? `- Produce about ${slideCount} slides in total, counting any agenda and section dividers.`
+        : '- Prefer 5-12 slides unless the content demands more.'
+    ]),
     '- Group related pages into logical slides.',
     '- Split dense content into multiple slides if appropriate.',
-    '- Prefer 5-12 slides unless the content demands more.',
     '- Create concise, informative titles.',
-    '- Provide 3-6 bullet points per slide (concise and action-oriented).',
+    `- Provide ${maxBullets > 3 ? `3-${maxBullets}` : `at most ${maxBullets}`} bullet points per slide (concise and action-oriented).`,
+    ...settingsLines(settings, { bulletCount: false }),
+    '- Cite the evidence for every bullet in "sources": one list per bullet, in the same order, of { "page": <pageNumber>, "quote": "..." }.',
+    '  Quotes are short (5-25 words) and copied exactly from that page\'s text; use [] for a bullet with no direct evidence.',
     '- If a figure/chart is helpful, reference imagePages with page numbers to consider for that slide.',
+    '- An imagePages page number shows that page\'s first figure (or the whole page if it has none).',
+    '  To show a different figure, use { "page": <pageNumber>, "bbox": <that figure\'s bbox> } instead of the number.',
+    PAGE_TEXT_NOTES,
+    pages.some(p => p.origin) ? DECK_PAGES_NOTE : '',
+    '- Pages marked editable_table or editable_chart are rendered as native, editable PowerPoint objects; prefer them over screenshots of similar data.',
+    '- Pick a "layout" per slide (default "bullets"):',
+    '  - "bullets": title, bullets and optionally the first imagePages entry beside them.',
+    '  - "section": divider between parts of the deck; title plus optional "subtitle", no bullets.',
+    '  - "comparison": two "columns": [{ "heading": "...", "bullets": ["..."] }, { "heading": "...", "bullets": ["..."] }].',
+    '  - "image": full-bleed image of the first imagePages entry with the title overlaid; use for a key figure.',
+    '  - "image-grid": every imagePages entry side by side under the title (2-6 pages).',
+    '  - "quote": a notable "quote" with optional "attribution".',
+    '  - "agenda": numbered bullets listing the deck\'s parts; at most one, near the start.',
     '- Output ONLY a JSON object with the following shape:',
-    '{ "slides": [ { "title": "...", "bullets": ["..."], "imagePages": [<pageNumber>], "notes": "optional presenter notes" } ], "summary": "1-3 sentence narrative" }',
+    '{ "slides": [ { "layout": "bullets", "title": "...", "bullets": ["..."], "sources": [[{ "page": <pageNumber>, "quote": "..." }]], "imagePages": [<pageNumber>], "notes": "optional presenter notes" } ], "summary": "1-3 sentence narrative" }',
+    'Layout-specific fields ("subtitle", "columns", "quote", "attribution") go on the same slide object.',
     userGuidance ? `User guidance: ${userGuidance}` : ''
   ].filter(Boolean).join('\n');
+}
 
-  const payload = {
-    model: 'gpt-4o-mini',
-    temperature: 0.3,
+// Planning settings (presets/index.js) with the defaults filled in.
+function planningSettings(settings) {
+  return { ...DEFAULT_PLANNING_SETTINGS, ...settings };
+}
+
+// The planning settings as prompt lines; the slide count is stated where each prompt plans it.
+function settingsLines(settings, { bulletCount = true, bulletLength = true } = {}) {
+  const { audience, tone, maxBullets, wordsPerBullet, language } = planningSettings(settings);
+  return [
+    audience ? `- The audience is ${PLANNING_AUDIENCES[audience].guidance}` : '',
+    tone ? `- Tone: ${tone}.` : '',
+    bulletCount ? `- Use at most ${maxBullets} bullets per slide.` : '',
+    bulletLength && wordsPerBullet ? `- Keep each bullet to at most ${wordsPerBullet} words.` : '',
+    language ? `- Write all slide text and notes in ${language}, whatever the document's language; source quotes stay exactly as they are in the document.` : ''
+  ].filter(Boolean);
+}
+
+const PAGE_TEXT_NOTES = [
+  '- Page text is structured as Markdown in reading order: "#" headings (fewer # = larger), "- " list items, "| a | b |" table rows.',
+  '  Use headings to find topics and section breaks. Text ending in "…" was shortened to fit the prompt.',
+  '- Text of pages marked ocr_confidence was read from a scan by OCR (confidence 0-1): fix obvious misreadings,',
+  '  and do not quote numbers or names from low-confidence pages (below 0.6) without hedging.'
+].join('\n');
+
+// For pages from several documents (utils/documents.js createDeckNumbering).
+const DECK_PAGES_NOTE = [
+  '- The pages come from several documents. Page numbers run on from one document to the next; the "from" label',
+  '  names each page\'s document and its page there. Always cite the running page number. Combine related content',
+  '  across documents, and say which document a fact comes from when they disagree.'
+].join('\n');
+
+// Map step: summarizes a run of consecutive pages into topics with page references.
+async function summarizeChunk(pages, userGuidance, signal) {
+  const provider = getLlmProvider();
+  const system = summarizeSystemPrompt(userGuidance, pages);
+  const { items, truncated } = fitPagesToPrompt(pages, system);
+  const firstPage = pages[0].page;
+  const lastPage = pages[pages.length - 1].page;
+
+  const summary = await completeValidated(provider, data => validateChunkSummary(data, { firstPage, lastPage }), {
+    task: 'summarize',
+    temperature: 0.2,
+    json: true,
+    signal,
+    input: { pages, userGuidance },
     messages: [
       { role: 'system', content: system },
-      { role: 'user', content: `Build an outline from these pages:\n${compact}\nReturn only JSON.` }
+      { role: 'user', content: `Summarize pages ${firstPage}-${lastPage}:\n${formatPages(items)}\nReturn only JSON.` }
     ]
-  };
+  });
+  return { firstPage, lastPage, ...summary, truncated: truncated.map(p => p.page) };
+}
+
+function summarizeSystemPrompt(userGuidance, pages) {
+  return [
+    'You summarize one part of a long document so that a slide deck can be planned from the summaries of all parts.',
+    '- List the main topics in reading order, each with the page numbers that cover it.',
+    '- Give 1-4 key points per topic; copy numbers, names and dates exactly.',
+    '- Mention figures, tables and charts worth showing (img_title, editable_table, editable_chart) in the points.',
+    PAGE_TEXT_NOTES,
+    pages.some(p => p.origin) ? DECK_PAGES_NOTE : '',
+    '- Output ONLY a JSON object with the following shape:',
+    '{ "summary": "2-4 sentences", "topics": [ { "title": "...", "pages": [<pageNumber>], "points": ["..."] } ] }',
+    userGuidance ? `User guidance: ${userGuidance}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+// Reduce step: turns the chunk summaries into sections, each with its pages and slide count.
+async function planSections(summaries, pageCount, userGuidance, signal, settings) {
+  const { slideCount } = planningSettings(settings);
+  const provider = getLlmProvider();
+  const system = [
+    'You are a presentation strategist planning a deck for a long document.',
+    'You get summaries of consecutive parts of the document. Organize the deck into 3-8 sections that tell a coherent story:',
+    '- Each section lists the pages its slides will be built from; every important page should belong to a section.',
+    '- Keep each section to the pages it needs (at most about 15); a page may belong to more than one section.',
+    `- Set "slides" to the number of slides the section deserves (1-10); aim for ${slideCount ? `about ${slideCount}` : '8-25'} slides in total.`,
+    ...settingsLines(settings, { bulletCount: false, bulletLength: false }),
+    '- Output ONLY a JSON object with the following shape:',
+    '{ "sections": [ { "title": "...", "goal": "what the audience should take away", "pages": [<pageNumber>], "slides": 3 } ], "summary": "1-3 sentence narrative" }',
+    userGuidance ? `User guidance: ${userGuidance}` : ''
+  ].filter(Boolean).join('\n');
 
-  const res = await fetch(OPENAI_CHAT_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
+  const { maxInputTokens } = getLlmConfig();
+  const parts = summaries.map(s => ({
+    header: `Pages ${s.firstPage}-${s.lastPage}: `,
+    text: [s.summary, ...s.topics.map(t => `- ${t.title} (pages ${t.pages.join(', ')}): ${t.points.join('; ')}`)].join('\n')
+  }));
+  const { items } = fitTextsToBudget(parts, maxInputTokens - estimateTokens(system) - PROMPT_FRAME_TOKENS, {
+    overheadOf: part => estimateTokens(part.header) + 2
   });
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`OpenAI plan error: ${res.status} ${text}`);
-  }
+  return completeValidated(provider, data => validateSectionPlan(data, { pageCount }), {
+    task: 'sections',
+    temperature: 0.3,
+    json: true,
+    signal,
+    input: { chunks: summaries, pageCount, userGuidance },
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: `Plan the sections from these summaries:\n${items.map(i => `${i.header}${i.text}`).join('\n---\n')}\nReturn only JSON.` }
+    ]
+  });
+}
 
-  const data = await res.json();
-  const content = data?.choices?.[0]?.message?.content ?? '{}';
-  const parsed = safeParseJson(content);
-  // Ensure structure
-  if (!parsed || !Array.isArray(parsed.slides)) {
-    return { slides: [] };
+// Tokens reserved for the instructions wrapped around the page list in the user message.
+const PROMPT_FRAME_TOKENS = 50;
+
+function pageHeader(p) {
+  const meta = [
+    p.origin ? `from="${p.origin}"` : null,
+    p.textSource === 'ocr' ? `ocr_confidence=${p.ocrConfidence}` : null,
+    p.include !== undefined ? `include_hint=${!!p.include}` : null,
+    p.title ? `img_title="${p.title}"` : null,
+    p.caption ? `img_caption="${p.caption}"` : null,
+    p.visual ? `editable_${p.visual}=true` : null,
+    p.figures?.length ? `figures=${JSON.stringify(p.figures)}` : null
+  ].filter(Boolean).join(', ');
+  return `Page ${p.page}${meta ? ` (${meta})` : ''}: `;
+}
+
+// "Page 12", or "Page 12 (from="appendix.pdf, page 2")" when the pages come from several documents.
+function pageLabel(p) {
+  return `Page ${p.page}${p.origin ? ` (from="${p.origin}")` : ''}`;
+}
+
+function formatPages(pages) {
+  return pages.map(p => `${pageHeader(p)}${p.text || ''}`).join('\n---\n');
+}
+
+// Tokens a page costs in formatPages: header, text and separator.
+function pagePromptTokens(p) {
+  return estimateTokens(pageHeader(p)) + estimateTokens(p.text) + 2;
+}
+
+// Shortens page texts so the pages fit next to `fixedText` (the system prompt) in the input budget.
+function fitPagesToPrompt(pages, fixedText) {
+  const { maxInputTokens } = getLlmConfig();
+  return fitTextsToBudget(pages, maxInputTokens - estimateTokens(fixedText) - PROMPT_FRAME_TOKENS, {
+    overheadOf: p => estimateTokens(pageHeader(p)) + 2
+  });
+}
+
+// Values of runJobQueue results; rethrows the first failure so the whole plan fails or is cancelled as one.
+function settledValues(results) {
+  const failed = results.find(r => r.status !== 'done');
+  if (failed) {
+    throw failed.error || new window.DOMException('The request was aborted.', 'AbortError');
   }
-  return parsed;
+  return results.map(r => r.value);
 }
 
 // PUBLIC_INTERFACE
@@ -177,84 +527,346 @@ export async function planSlidesWithOpenAI(pages, userGuidance = '') {
  * refineSlidesWithOpenAI
  * Given the original pages and an initial outline, apply user feedback/modifications to produce a refined outline.
  * Returns the same JSON shape as planSlidesWithOpenAI.
- * @param {Array<{page:number, text:string}>} pages
- * @param {{slides:Array<{title:string, bullets:string[], imagePages?: number[], notes?: string}>}} existingOutline
+ * Page texts share whatever input budget the outline and instructions leave.
+ * Pinned slides (slide.pinned) are sent as placeholders and come back exactly as they were
+ * (utils/outline.js keepPinnedSlides); the model may only choose where they go.
+ * Throws LlmValidationError when repair fails, so callers can keep the existing outline and explain why.
+ * @param {Array<{doc?:number, page:number, text:string}>} pages
+ * @param {{slides:Array<{title:string, bullets:string[], imagePages?: number[], notes?: string, pinned?: boolean}>}} existingOutline
  * @param {string} userFeedback - freeform instructions from user chat
+ * @param {{settings?: object, documents?: Array<{doc: number, name: string}>, signal?: AbortSignal}} [options] - planning settings
+ *   (presets/index.js), kept while refining, the names of the documents, and a signal to cancel the request
  * @returns {Promise<{slides: Array<{title:string, bullets:string[], imagePages?: number[], notes?: string}>, summary?: string}>}
  */
-export async function refineSlidesWithOpenAI(pages, existingOutline, userFeedback = '') {
-  const apiKey = ensureApiKey();
+export async function refineSlidesWithOpenAI(pages, existingOutline, userFeedback = '', { settings, documents, signal } = {}) {
+  const numbering = createDeckNumbering(pages, documents);
+  const refined = await refineSlides(numbering.pages, numbering.outlineToDeck(existingOutline), userFeedback, settings, signal);
+  return numbering.outlineFromDeck(refined);
+}
 
-  const MAX_PAGES = 30;
-  const compact = pages
-    .slice(0, MAX_PAGES)
-    .map(p => `Page ${p.page}: ${(p.text || '').slice(0, 500)}`)
-    .join('\n');
+// refineSlidesWithOpenAI on deck-numbered pages and outline.
+async function refineSlides(pages, existingOutline, userFeedback, settings, signal) {
+  const provider = getLlmProvider();
 
-  const outlineStr = JSON.stringify(existingOutline).slice(0, 15000); // safeguard
+  const sentOutline = {
+    ...existingOutline,
+    slides: existingOutline.slides.map((s, i) => (s.pinned ? { pinnedSlide: i + 1, title: s.title } : s))
+  };
+  const hasPinned = existingOutline.slides.some(s => s.pinned);
+  const outlineStr = JSON.stringify(sentOutline).slice(0, 15000); // safeguard
+  const feedback = userFeedback || 'No additional feedback. Improve clarity and concision.';
 
   const system = [
     'You refine slide outlines according to user feedback.',
-    'Adjust titles, bullet density, ordering, and image references.',
+    'Adjust titles, bullet density, ordering, layouts, and image references.',
+    'Keep "sources" aligned with "bullets" (one list per bullet); cite { "page", "quote" } copied exactly from the page text for new bullets.',
+    ...settingsLines(settings),
+    pages.some(p => p.origin) ? DECK_PAGES_NOTE : '',
+    hasPinned ? 'Slides written as { "pinnedSlide": <n>, "title": "..." } are pinned by the user: output each one as { "pinnedSlide": <n> } where it belongs in the order, and never change, merge, split or drop it.' : '',
     'Output ONLY the full revised outline JSON with the same schema as before.'
-  ].join('\n');
+  ].filter(Boolean).join('\n');
 
-  const payload = {
-    model: 'gpt-4o-mini',
+  const { items } = fitPagesToPrompt(pages.map(p => ({ page: p.page, origin: p.origin, text: p.text })), [system, outlineStr, feedback].join('\n'));
+  const compact = items.map(p => `${pageLabel(p)}: ${p.text || ''}`).join('\n');
+
+  const pageCount = maxPageNumber(pages);
+  return completeValidated(provider, data => validateRefinedOutline(data, existingOutline, pageCount), {
+    task: 'refine',
     temperature: 0.3,
+    json: true,
+    signal,
+    input: { pages, outline: sentOutline, feedback: userFeedback },
     messages: [
       { role: 'system', content: system },
       { role: 'user', content: `Here is the current outline JSON:\n${outlineStr}` },
       { role: 'user', content: `Here are the document page texts for context:\n${compact}` },
-      { role: 'user', content: `Apply the following feedback and return ONLY JSON:\n${userFeedback || 'No additional feedback. Improve clarity and concision.'}` }
+      { role: 'user', content: `Apply the following feedback and return ONLY JSON:\n${feedback}` }
     ]
-  };
-
-  const res = await fetch(OPENAI_CHAT_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
   });
+}
+
+// Validates a refinement with each { pinnedSlide } placeholder standing in for its pinned slide,
+// so error paths keep their indexes, then swaps the original slides back in.
+function validateRefinedOutline(data, existingOutline, pageCount) {
+  const pinnedAt = new Map();
+  const slides = Array.isArray(data?.slides)
+    ? data.slides.map((s, i) => {
+      const original = existingOutline.slides[Number(s?.pinnedSlide) - 1];
+      if (!original?.pinned) return s;
+      pinnedAt.set(i, original);
+      return { layout: 'section', title: 'Pinned slide' };
+    })
+    : data?.slides;
+  const result = validateOutline(Array.isArray(slides) ? { ...data, slides } : data, { pageCount });
+  if (!result.value) return result;
+  const refined = { ...result.value, slides: result.value.slides.map((s, i) => pinnedAt.get(i) || s) };
+  return { value: keepPinnedSlides(existingOutline, refined), errors: [] };
+}
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`OpenAI refine error: ${res.status} ${text}`);
+// PUBLIC_INTERFACE
+/**
+ * SLIDE_REWRITES
+ * Single-slide rewrites offered in the outline editor, by id: menu label and the instruction
+ * the model gets. "translate" also needs a target language.
+ */
+export const SLIDE_REWRITES = {
+  regenerate: {
+    label: 'Regenerate',
+    instruction: 'Write this slide again from its source pages: a clear title and 3-6 concise bullets covering what the pages say.'
+  },
+  shorten: {
+    label: 'Shorten',
+    instruction: 'Make this slide shorter: at most 4 bullets of about 10 words each. Keep the key facts and numbers; drop the rest.'
+  },
+  expand: {
+    label: 'Expand',
+    instruction: 'Add detail from the source pages: more bullets, as far as the bullet limit allows, with the facts, numbers and examples the pages support, and fuller speaker notes.'
+  },
+  visual: {
+    label: 'Make more visual',
+    instruction: 'Make this slide more visual: show the most relevant figures in imagePages, prefer the "image", "image-grid" or "comparison" layout where it fits, and keep the text to a few short bullets.'
+  },
+  translate: {
+    label: 'Translate',
+    instruction: 'Translate the title, bullets, layout fields and speaker notes into the target language. Keep the layout, the images and the meaning; keep source quotes exactly as they are in the document.'
   }
+};
 
-  const data = await res.json();
-  const content = data?.choices?.[0]?.message?.content ?? '{}';
-  const parsed = safeParseJson(content);
-  if (!parsed || !Array.isArray(parsed.slides)) {
-    return existingOutline;
+// PUBLIC_INTERFACE
+/**
+ * rewriteSlideWithOpenAI
+ * Rewrites one slide (see SLIDE_REWRITES) instead of refining the whole deck. The model gets only
+ * that slide and the pages it cites or shows (utils/outline.js slideSourcePages), plus the page
+ * descriptions when asked for visuals, and returns just the one slide, so no other slide can change.
+ * A pinned slide stays pinned.
+ * Throws LlmValidationError when repair fails.
+ * @param {Array<{doc?:number, page:number, text:string, title?:string, caption?:string}>} pages - every page; title/caption from page analysis
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index - slide to rewrite
+ * @param {{kind: keyof typeof SLIDE_REWRITES, language?: string, settings?: object, documents?: Array<{doc: number, name: string}>, signal?: AbortSignal}} options
+ *   `settings` are the planning settings (presets/index.js); a translation's language wins over theirs.
+ *   `documents` names the documents the pages come from.
+ * @returns {Promise<object>} the rewritten slide
+ */
+export async function rewriteSlideWithOpenAI(pages, outline, index, { kind, language = '', settings, documents, signal } = {}) {
+  const rewrite = SLIDE_REWRITES[kind];
+  const numbering = createDeckNumbering(pages, documents);
+  const slide = outline.slides[index] && numbering.outlineToDeck({ slides: [outline.slides[index]] }).slides[0];
+  if (!rewrite || !slide) {
+    throw new Error(`Cannot ${kind || 'rewrite'} slide ${index + 1}.`);
+  }
+  if (kind === 'translate' && !language.trim()) {
+    throw new Error('Choose a language to translate the slide into.');
   }
-  return parsed;
+
+  const provider = getLlmProvider();
+  const { pinned, ...sentSlide } = slide;
+  const sourcePages = slideSourcePages(slide);
+  const slideStr = JSON.stringify(sentSlide);
+  const descriptions = kind === 'visual'
+    ? numbering.pages
+      .filter(p => p.title || p.caption)
+      .map(p => `${pageLabel(p)}: ${[p.title, p.caption].filter(Boolean).join(' — ')}`)
+      .join('\n')
+      .slice(0, 6000)
+    : '';
+
+  const system = [
+    'You rewrite one slide of a presentation. Only this slide is shown to you; the rest of the deck is not changed.',
+    rewrite.instruction,
+    ...settingsLines(kind === 'translate' ? { ...settings, language: '' } : settings),
+    kind === 'translate' ? `Target language: ${language.trim()}` : '',
+    numbering.multiple ? DECK_PAGES_NOTE : '',
+    'Keep "sources" aligned with "bullets" (one list per bullet); cite { "page", "quote" } copied exactly from the page text, or [] when no page supports a bullet.',
+    `"layout" is one of: ${SLIDE_LAYOUTS.join(', ')}. Layout-specific fields ("subtitle", "columns", "quote", "attribution") go on the slide object.`,
+    '- Output ONLY a JSON object with exactly one slide:',
+    '{ "slides": [ { "layout": "bullets", "title": "...", "bullets": ["..."], "sources": [[{ "page": <pageNumber>, "quote": "..." }]], "imagePages": [<pageNumber>], "notes": "..." } ] }'
+  ].filter(Boolean).join('\n');
+
+  const { items } = fitPagesToPrompt(
+    numbering.pages.filter(p => sourcePages.includes(p.page)).map(p => ({ page: p.page, origin: p.origin, text: p.text })),
+    [system, slideStr, descriptions].join('\n')
+  );
+
+  const pageCount = maxPageNumber(numbering.pages);
+  const rewritten = await completeValidated(provider, data => validateSingleSlide(data, pageCount), {
+    task: 'rewrite',
+    temperature: 0.3,
+    json: true,
+    signal,
+    input: { slide: sentSlide, pages: items, kind, language },
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: `Here is the slide JSON:\n${slideStr}` },
+      {
+        role: 'user',
+        content: items.length
+          ? `Here are its source pages:\n${items.map(p => `${pageLabel(p)}: ${p.text || ''}`).join('\n---\n')}`
+          : 'The slide cites no pages; work from its current content only.'
+      },
+      ...(descriptions ? [{ role: 'user', content: `Figures available in the document:\n${descriptions}` }] : []),
+      { role: 'user', content: 'Return ONLY JSON.' }
+    ]
+  });
+
+  // Only the user pins slides.
+  const result = numbering.slideFromDeck({ ...rewritten.slides[0] });
+  delete result.pinned;
+  return pinned ? { ...result, pinned: true } : result;
 }
 
-function ensureApiKey() {
-  const key = getOpenAIKey();
-  if (!key) {
-    throw new Error('Missing REACT_APP_OPENAI_API_KEY');
+function validateSingleSlide(data, pageCount) {
+  const result = validateOutline(data, { pageCount });
+  if (result.value && result.value.slides.length !== 1) {
+    return { value: null, errors: [`"slides" must contain exactly one slide, not ${result.value.slides.length}.`] };
   }
-  return key;
-}
-
-function safeParseJson(text) {
-  // Attempt direct JSON.parse, else extract between first { and last }
-  try {
-    return JSON.parse(text);
-  } catch {
-    const start = text.indexOf('{');
-    const end = text.lastIndexOf('}');
-    if (start !== -1 && end !== -1) {
-      try {
-        return JSON.parse(text.slice(start, end + 1));
-      } catch { /* ignore */ }
+  return result;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * writeSpeakerNotesWithOpenAI
+ * Speaker-notes pass: writes a talk track into every slide's notes so the whole talk takes about
+ * `minutes` (utils/speakingTime.js planTalkTime gives each slide its word target). Each slide is
+ * written from its own source pages, with the neighbouring titles for transitions; the requests
+ * run in parallel up to REACT_APP_LLM_CONCURRENCY. Pinned slides that already have notes keep them.
+ * The pass fails as a whole (nothing is returned) if any slide fails; throws LlmValidationError
+ * when a slide's repair fails.
+ * @param {Array<{doc?:number, page:number, text:string}>} pages
+ * @param {{slides: Array<object>, summary?: string}} outline
+ * @param {{minutes: number, settings?: object, documents?: Array<{doc: number, name: string}>, signal?: AbortSignal, onProgress?: (progress: {done: number, total: number}) => void}} options
+ *   `settings` are the planning settings (presets/index.js): audience, tone and language apply to the notes;
+ *   `documents` names the documents the pages come from
+ * @returns {Promise<{slides: Array<object>, summary?: string}>} the outline with the new notes
+ */
+export async function writeSpeakerNotesWithOpenAI(pages, outline, { minutes, settings, documents, signal, onProgress } = {}) {
+  const { concurrency } = getLlmConfig();
+  const numbering = createDeckNumbering(pages, documents);
+  const deckOutline = numbering.outlineToDeck(outline);
+  const targets = planTalkTime(outline, minutes);
+  const indexes = outline.slides
+    .map((s, i) => i)
+    .filter(i => !(outline.slides[i].pinned && (outline.slides[i].notes || '').trim()));
+
+  let done = 0;
+  if (onProgress) onProgress({ done, total: indexes.length });
+  const notes = settledValues(await runJobQueue(indexes, index => writeSlideNotes(numbering.pages, deckOutline, index, targets[index], settings, signal), {
+    concurrency,
+    signal,
+    onSettled: () => {
+      done += 1;
+      if (onProgress) onProgress({ done, total: indexes.length });
     }
+  }));
+
+  const byIndex = new Map(indexes.map((index, k) => [index, notes[k]]));
+  return { ...outline, slides: outline.slides.map((s, i) => (byIndex.has(i) ? { ...s, notes: byIndex.get(i) } : s)) };
+}
+
+async function writeSlideNotes(pages, outline, index, target, settings, signal) {
+  const provider = getLlmProvider();
+  const slide = outline.slides[index];
+  const sourcePages = slideSourcePages(slide);
+  const shown = {
+    title: slide.title,
+    layout: slide.layout || 'bullets',
+    ...['subtitle', 'bullets', 'columns', 'quote', 'attribution'].reduce((acc, key) => (slide[key] ? { ...acc, [key]: slide[key] } : acc), {})
+  };
+  const slideStr = JSON.stringify(shown);
+
+  const system = [
+    'You write the speaker notes for one slide of a presentation: what the presenter says while the slide is shown.',
+    `- Aim for about ${target.words} words (${formatDuration(target.seconds)} at a normal speaking pace).`,
+    '- Talk to the audience in full sentences. Explain and connect the points on the slide instead of reading them out.',
+    '- Use only facts from the slide and its source pages; never invent numbers or names.',
+    '- Where it helps, open with a short transition from the previous slide.',
+    ...settingsLines(settings, { bulletCount: false, bulletLength: false }),
+    '- Output ONLY a JSON object: { "notes": "..." }'
+  ].join('\n');
+
+  const { items } = fitPagesToPrompt(
+    pages.filter(p => sourcePages.includes(p.page)).map(p => ({ page: p.page, origin: p.origin, text: p.text })),
+    [system, slideStr, slide.notes || ''].join('\n')
+  );
+  const context = [
+    outline.summary ? `The deck: ${outline.summary}` : '',
+    `This is slide ${index + 1} of ${outline.slides.length}.`,
+    index > 0 ? `Previous slide: "${outline.slides[index - 1].title}".` : 'This slide opens the talk.',
+    index < outline.slides.length - 1 ? `Next slide: "${outline.slides[index + 1].title}".` : 'This slide closes the talk.'
+  ].filter(Boolean).join('\n');
+
+  return completeValidated(provider, validateSpeakerNotes, {
+    task: 'notes',
+    temperature: 0.4,
+    json: true,
+    signal,
+    input: { slide: shown, pages: items, target, index, count: outline.slides.length },
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: `${context}\nHere is the slide JSON:\n${slideStr}` },
+      ...((slide.notes || '').trim() ? [{ role: 'user', content: `The current notes, to improve on:\n${slide.notes.trim()}` }] : []),
+      {
+        role: 'user',
+        content: items.length
+          ? `Here are its source pages:\n${items.map(p => `${pageLabel(p)}: ${p.text || ''}`).join('\n---\n')}\nReturn only JSON.`
+          : 'The slide cites no pages; talk about its content only. Return only JSON.'
+      }
+    ]
+  });
+}
+
+/**
+ * Calls the provider, parses and validates the JSON reply, and re-prompts with the
+ * validation errors until it passes or the configured repair attempts run out.
+ * Each provider call is retried with exponential backoff on 429/5xx and network errors.
+ * @param {{complete: Function}} provider
+ * @param {(data:any) => {value:any, errors:string[]}} validate
+ * @param {import('./llm').LlmRequest} request
+ * @returns {Promise<any>} the validated, normalized value
+ */
+async function completeValidated(provider, validate, request) {
+  const { maxRepairAttempts, maxRetries } = getLlmConfig();
+  let messages = request.messages;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxRepairAttempts + 1; attempt += 1) {
+    const call = { ...request, messages };
+    const content = await retryWithBackoff(() => provider.complete(call), {
+      retries: maxRetries,
+      signal: request.signal,
+      shouldRetry: isRetryableLlmError
+    });
+    const parsed = parseJsonObject(content);
+    const result = parsed.error ? { value: null, errors: [parsed.error] } : validate(parsed.value);
+    if (!result.errors.length) {
+      return result.value;
+    }
+
+    errors = result.errors;
+    messages = [
+      ...request.messages,
+      { role: 'assistant', content: String(content ?? '') },
+      {
+        role: 'user',
+        content: [
+          'Your previous response did not match the required JSON schema:',
+          ...errors.map(e => `- ${e}`),
+          'Return ONLY the corrected JSON object.'
+        ].join('\n')
+      }
+    ];
   }
-  return { include: false };
+
+  throw new LlmValidationError(request.task, errors, maxRepairAttempts + 1);
+}
+
+function formatImageRef(ref) {
+  const label = pageDoc(ref) > 1 ? `${pageNumber(ref)} of document ${pageDoc(ref)}` : String(pageNumber(ref));
+  return isWholePageRef(ref) ? label : `${label} (cropped)`;
+}
+
+function maxPageNumber(pages) {
+  return pages.reduce((max, p) => Math.max(max, Number(p.page) || 0), 0) || undefined;
 }
 
 // PUBLIC_INTERFACE
@@ -271,12 +883,16 @@ export function formatOutlineForChat(outline) {
     parts.push(`Summary: ${outline.summary}`);
   }
   outline.slides.forEach((s, idx) => {
+    const layout = s.layout && s.layout !== 'bullets' ? ` [${s.layout}]` : '';
     parts.push([
-      `Slide ${idx + 1}: ${s.title || 'Untitled'}`,
+      `Slide ${idx + 1}: ${s.title || 'Untitled'}${layout}`,
+      (s.subtitle ? ` ${s.subtitle}` : null),
+      (s.quote ? ` "${s.quote}"${s.attribution ? ` — ${s.attribution}` : ''}` : null),
+      ...(Array.isArray(s.columns) ? s.columns.flatMap(c => [` ${c.heading || 'Column'}:`, ...(c.bullets || []).map(b => `   - ${b}`)]) : []),
       ...(Array.isArray(s.bullets) ? s.bullets.map(b => ` - ${b}`) : []),
-      (s.imagePages && s.imagePages.length ? ` Images from pages: ${s.imagePages.join(', ')}` : null)
+      (s.imagePages && s.imagePages.length ? ` Images from pages: ${s.imagePages.map(formatImageRef).join(', ')}` : null)
     ].filter(Boolean).join('\n'));
   });
-  parts.push('\nReply with edits, e.g., "Combine slides 2 and 3", "Add a slide on risks", "Use page 7 chart instead".');
+  parts.push('\nReply with edits, e.g., "Combine slides 2 and 3", "Add a slide on risks", "Use page 7 chart instead", "Make slide 4 a comparison".');
   return parts.join('\n\n');
 }
@@ -0,0 +1,329 @@
+import {
+  analyzeImageWithOpenAI,
+  chatWithOpenAI,
+  LlmValidationError,
+  planDeckWithOpenAI,
+  planSlidesWithOpenAI,
+  refineSlidesWithOpenAI,
+  rewriteSlideWithOpenAI,
+  writeSpeakerNotesWithOpenAI
+} from './openaiClient';
+
+const pages = [
+  { page: 1, text: 'Quarterly results. Revenue grew 12% year over year. Margins improved.', include: true, title: 'Q3 Results' },
+  { page: 2, text: '', include: false },
+  { page: 3, text: 'Risks remain in supply chain. Hiring slowed in Europe.', include: false }
+];
+
+beforeEach(() => {
+  window.__RUNTIME_CONFIG__ = { REACT_APP_LLM_PROVIDER: 'mock' };
+});
+
+afterEach(() => {
+  delete window.__RUNTIME_CONFIG__;
+});
+
+test('mock provider plans a deterministic outline without network access', async () => {
+  const first = await planSlidesWithOpenAI(pages, '');
+  const second = await planSlidesWithOpenAI(pages, '');
+
+  expect(second).toEqual(first);
+  expect(first.slides.map(s => s.title)).toEqual(['Q3 Results']);
+  expect(first.slides[0].bullets).toContain('Revenue grew 12% year over year.');
+  expect(first.slides[0].imagePages).toEqual([1]);
+});
+
+test('mock provider reads headings and list items from structured page text', async () => {
+  const outline = await planSlidesWithOpenAI([
+    { page: 1, text: '# Hiring plan\nWe will grow the team.\n- Two engineers\n- One designer', include: true }
+  ], '');
+
+  expect(outline.slides[0].title).toBe('Hiring plan');
+  expect(outline.slides[0].bullets).toEqual(['Two engineers', 'One designer']);
+});
+
+test('mock provider supports analyze, refine, rewrite and chat', async () => {
+  const blank = await analyzeImageWithOpenAI('data:image/png;base64,AAAA');
+  expect(blank.include).toBe(false);
+
+  const outline = { slides: [{ title: 'Intro', bullets: ['One'], imagePages: [], layout: 'bullets' }] };
+  const refined = await refineSlidesWithOpenAI(pages, outline, 'shorter');
+  expect(refined.slides).toEqual(outline.slides);
+
+  const translated = await rewriteSlideWithOpenAI(pages, outline, 0, { kind: 'translate', language: 'French' });
+  expect(translated).toMatchObject({ title: '[French] Intro', bullets: ['[French] One'] });
+
+  const { reply, actions } = await chatWithOpenAI([{ role: 'user', content: 'Add a risks slide' }]);
+  expect(reply).toMatch(/Add a risks slide/);
+  expect(actions).toEqual([]);
+});
+
+test('the speaker-notes pass sizes each slide to the talk length and keeps pinned notes', async () => {
+  const outline = {
+    slides: [
+      { layout: 'bullets', title: 'Results', bullets: ['Revenue grew', 'Margins improved'], imagePages: [] },
+      { layout: 'section', title: 'Outlook', bullets: [], imagePages: [] },
+      { layout: 'bullets', title: 'Risks', bullets: ['Supply'], imagePages: [], pinned: true, notes: 'Keep these words.' }
+    ]
+  };
+  const progress = [];
+
+  const withNotes = await writeSpeakerNotesWithOpenAI(pages, outline, { minutes: 2, onProgress: p => progress.push(p) });
+
+  const wordCounts = withNotes.slides.map(s => s.notes.split(/\s+/).length);
+  expect(wordCounts[0]).toBeGreaterThan(200);
+  expect(wordCounts[1]).toBe(33);
+  expect(withNotes.slides[0].notes).toMatch(/^Welcome\. Let us start with Results\. Revenue grew\./);
+  expect(withNotes.slides[2]).toBe(outline.slides[2]);
+  expect(progress[progress.length - 1]).toEqual({ done: 2, total: 2 });
+});
+
+test('chat streams the reply and returns the outline actions separately', async () => {
+  const outline = { slides: ['A', 'B', 'C'].map(title => ({ title, bullets: [], imagePages: [], layout: 'bullets' })) };
+  const shown = [];
+
+  const result = await chatWithOpenAI([{ role: 'user', content: 'Please merge slides 2 and 3' }], { outline, onText: t => shown.push(t) });
+
+  expect(result).toEqual({
+    reply: 'Mock assistant: merging slides 2 and 3.',
+    actions: [{ type: 'merge_slides', slides: [2, 3] }],
+    actionErrors: []
+  });
+  expect(shown.length).toBeGreaterThan(3);
+  expect(shown[shown.length - 1]).toBe(result.reply);
+  expect(shown.some(t => t.includes('`'))).toBe(false);
+});
+
+test('planDeckWithOpenAI summarizes long documents in chunks and plans them section by section', async () => {
+  window.__RUNTIME_CONFIG__ = { REACT_APP_LLM_PROVIDER: 'mock', REACT_APP_LLM_MAX_INPUT_TOKENS: '2000' };
+  const long = Array.from({ length: 60 }, (_, i) => ({
+    page: i + 1,
+    text: `# Topic ${i + 1}\n${'Findings are described in detail on this page. '.repeat(8)}`
+  }));
+  const stages = [];
+
+  const { outline, coverage } = await planDeckWithOpenAI(long, '', { onProgress: p => stages.push(p.stage) });
+
+  expect(coverage.strategy).toBe('map-reduce');
+  expect(coverage.chunks).toBeGreaterThan(2);
+  expect(coverage.sections).toBe(coverage.chunks);
+  expect(coverage.unassigned).toEqual([]);
+  expect(new Set(stages)).toEqual(new Set(['summarize', 'sections', 'expand']));
+  expect(outline.slides[0].layout).toBe('agenda');
+  expect(outline.slides.filter(s => s.layout === 'section')).toHaveLength(coverage.sections);
+  // Slides are planned from pages past the old 30-page cut-off too.
+  expect(outline.slides.some(s => Number(s.title.replace('Topic ', '')) > 30)).toBe(true);
+
+  const short = await planDeckWithOpenAI(pages, '');
+  expect(short.coverage).toMatchObject({ strategy: 'single', truncated: [], unassigned: [] });
+});
+
+test('mock planning follows the slide count and bullet limit of the planning settings', async () => {
+  const many = [1, 2, 3, 4].map(page => ({ page, text: `Topic ${page}. One. Two. Three. Four.`, include: true }));
+
+  const outline = await planSlidesWithOpenAI(many, '', { settings: { slideCount: 2, maxBullets: 2 } });
+
+  expect(outline.slides).toHaveLength(2);
+  expect(outline.slides.every(s => s.bullets.length <= 2)).toBe(true);
+});
+
+test('unknown providers fail with a clear error', async () => {
+  window.__RUNTIME_CONFIG__ = { REACT_APP_LLM_PROVIDER: 'nope' };
+  await expect(chatWithOpenAI([])).rejects.toThrow(/Unknown REACT_APP_LLM_PROVIDER "nope"/);
+});
+
+describe('JSON repair', () => {
+  const originalFetch = window.fetch;
+  const reply = content => ({ ok: true, json: async () => ({ choices: [{ message: { content } }] }) });
+
+  beforeEach(() => {
+    window.__RUNTIME_CONFIG__ = { REACT_APP_LLM_PROVIDER: 'openai-compatible', REACT_APP_LLM_MAX_REPAIR_ATTEMPTS: '1' };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  test('re-prompts with validation errors and returns the repaired outline', async () => {
+    window.fetch = jest.fn()
+      .mockResolvedValueOnce(reply('{"slides":[{"title":"","bullets":[]}]}'))
+      .mockResolvedValueOnce(reply('{"slides":[{"title":"Fixed","bullets":["ok"]}]}'));
+
+    const outline = await planSlidesWithOpenAI(pages, '');
+
+    expect(outline.slides[0].title).toBe('Fixed');
+    const repairPrompt = JSON.parse(window.fetch.mock.calls[1][1].body).messages.pop().content;
+    expect(repairPrompt).toMatch(/slides\[0\]\.title must be a non-empty string/);
+  });
+
+  test('streams server-sent events and reports invalid actions instead of applying them', async () => {
+    const events = [
+      'Renaming', ' slide 9.\n\n```act', 'ions\n{"actions":[{"type":"set_title","slide":9,"title":"X"}]}\n```'
+    ].map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`).join('') + 'data: [DONE]\n\n';
+    window.fetch = jest.fn().mockResolvedValue({ ok: true, text: async () => events });
+    const outline = { slides: [{ title: 'Only', bullets: [], imagePages: [], layout: 'bullets' }] };
+    const shown = [];
+
+    const result = await chatWithOpenAI([{ role: 'user', content: 'rename' }], { outline, onText: t => shown.push(t) });
+
+    expect(JSON.parse(window.fetch.mock.calls[0][1].body)).toMatchObject({ stream: true, messages: [{ role: 'system' }, { role: 'user' }] });
+    expect(shown).toEqual(['Renaming', 'Renaming slide 9.', 'Renaming slide 9.']);
+    expect(result.reply).toBe('Renaming slide 9.');
+    expect(result.actions).toEqual([]);
+    expect(result.actionErrors).toEqual(['actions[0].slide must be a slide number from 1 to 1.']);
+  });
+
+  test('throws LlmValidationError once repair attempts are exhausted', async () => {
+    window.fetch = jest.fn().mockResolvedValue(reply('not json'));
+
+    await expect(refineSlidesWithOpenAI(pages, { slides: [] }, '')).rejects.toBeInstanceOf(LlmValidationError);
+    expect(window.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('pinned slides and single-slide rewrites', () => {
+  const originalFetch = window.fetch;
+  const reply = content => ({ ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify(content) } }] }) });
+  const outline = {
+    slides: [
+      { layout: 'bullets', title: 'Results', bullets: ['Revenue grew'], sources: [[{ page: 1, quote: 'Revenue grew 12%' }]], imagePages: [] },
+      { layout: 'bullets', title: 'Risks', bullets: ['Supply chain'], imagePages: [3], pinned: true }
+    ]
+  };
+
+  beforeEach(() => {
+    window.__RUNTIME_CONFIG__ = { REACT_APP_LLM_PROVIDER: 'openai-compatible', REACT_APP_LLM_MAX_REPAIR_ATTEMPTS: '0' };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  test('refinement sees pinned slides as placeholders and cannot change or drop them', async () => {
+    window.fetch = jest.fn().mockResolvedValue(reply({ slides: [{ title: 'Results, shorter', bullets: ['Up 12%'], pinned: true }] }));
+
+    const refined = await refineSlidesWithOpenAI(pages, outline, 'shorter please');
+
+    const sent = JSON.parse(window.fetch.mock.calls[0][1].body).messages[1].content;
+    expect(sent).toContain('{"pinnedSlide":2,"title":"Risks"}');
+    expect(sent).not.toContain('Supply chain');
+    expect(refined.slides[0]).not.toHaveProperty('pinned');
+    expect(refined.slides[1]).toBe(outline.slides[1]);
+  });
+
+  test('a refinement request carries the signal that cancels it', async () => {
+    window.fetch = jest.fn().mockResolvedValue(reply({ slides: [{ title: 'Results', bullets: ['Up 12%'] }] }));
+    const controller = new window.AbortController();
+
+    await refineSlidesWithOpenAI(pages, outline, 'shorter please', { signal: controller.signal });
+
+    expect(window.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  test('rewrites one slide from only the pages it cites', async () => {
+    window.fetch = jest.fn().mockResolvedValue(reply({ slides: [{ title: 'Ergebnisse', bullets: ['Umsatz wuchs'], sources: [[{ page: 1, quote: 'Revenue grew 12%' }]] }] }));
+
+    const slide = await rewriteSlideWithOpenAI(pages, outline, 0, { kind: 'translate', language: 'German' });
+
+    const { messages } = JSON.parse(window.fetch.mock.calls[0][1].body);
+    expect(messages[0].content).toContain('Target language: German');
+    expect(messages[2].content).toContain('Page 1: Quarterly results.');
+    expect(messages[2].content).not.toContain('Page 3');
+    expect(slide).toMatchObject({ title: 'Ergebnisse', bullets: ['Umsatz wuchs'], layout: 'bullets' });
+    await expect(rewriteSlideWithOpenAI(pages, outline, 0, { kind: 'translate' })).rejects.toThrow(/language/);
+  });
+
+  test('a rewritten pinned slide stays pinned', async () => {
+    window.fetch = jest.fn().mockResolvedValue(reply({ slides: [{ title: 'Risks', bullets: ['Supply', 'Hiring'] }] }));
+
+    const slide = await rewriteSlideWithOpenAI(pages, outline, 1, { kind: 'expand' });
+
+    expect(slide).toMatchObject({ pinned: true, bullets: ['Supply', 'Hiring'] });
+    expect(JSON.parse(window.fetch.mock.calls[0][1].body).messages[1].content).not.toContain('pinned');
+  });
+});
+
+describe('planning settings', () => {
+  const originalFetch = window.fetch;
+  const reply = content => ({ ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify(content) } }] }) });
+  const settings = { audience: 'exec', tone: 'formal', slideCount: 6, maxBullets: 3, wordsPerBullet: 10, language: 'German' };
+
+  beforeEach(() => {
+    window.__RUNTIME_CONFIG__ = { REACT_APP_LLM_PROVIDER: 'openai-compatible', REACT_APP_LLM_MAX_REPAIR_ATTEMPTS: '0' };
+    window.fetch = jest.fn().mockResolvedValue(reply({ slides: [{ title: 'Ergebnisse', bullets: ['Umsatz +12%'] }] }));
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  test('are sent to planning and refinement as explicit instructions', async () => {
+    await planSlidesWithOpenAI(pages, '', { settings });
+    await refineSlidesWithOpenAI(pages, { slides: [] }, 'tighter', { settings });
+
+    for (const [options] of window.fetch.mock.calls.map(call => call.slice(1))) {
+      const system = JSON.parse(options.body).messages[0].content;
+      expect(system).toContain('The audience is executives.');
+      expect(system).toContain('Tone: formal.');
+      expect(system).toMatch(/at most 3 bullet(s| points) per slide/);
+      expect(system).toContain('at most 10 words');
+      expect(system).toContain('in German');
+    }
+    expect(JSON.parse(window.fetch.mock.calls[0][1].body).messages[0].content).toContain('about 6 slides');
+  });
+
+  test('the standard settings add no audience, tone or language instructions', async () => {
+    await planSlidesWithOpenAI(pages, '');
+
+    const system = JSON.parse(window.fetch.mock.calls[0][1].body).messages[0].content;
+    expect(system).not.toMatch(/audience is|Tone:|Write all slide text/);
+    expect(system).toContain('3-6 bullet points per slide');
+  });
+});
+
+describe('several documents', () => {
+  const originalFetch = window.fetch;
+  const reply = content => ({ ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify(content) } }] }) });
+  const documents = [{ doc: 1, name: 'report.pdf' }, { doc: 2, name: 'appendix.pdf' }];
+  const combined = [...pages, { doc: 2, page: 1, text: 'Appendix: hiring plan for 2025.' }];
+
+  beforeEach(() => {
+    window.__RUNTIME_CONFIG__ = { REACT_APP_LLM_PROVIDER: 'openai-compatible', REACT_APP_LLM_MAX_REPAIR_ATTEMPTS: '0' };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  test('the model sees running page numbers, and its references come back per document', async () => {
+    window.fetch = jest.fn().mockResolvedValue(reply({
+      slides: [{ title: 'Hiring', bullets: ['A plan for 2025'], sources: [[{ page: 4, quote: 'hiring plan for 2025' }]], imagePages: [4, 1] }]
+    }));
+
+    const outline = await planSlidesWithOpenAI(combined, '', { documents });
+
+    const { messages } = JSON.parse(window.fetch.mock.calls[0][1].body);
+    expect(messages[0].content).toContain('come from several documents');
+    expect(messages[1].content).toContain('Page 4 (from="appendix.pdf, page 1"');
+    expect(messages[1].content).toContain('Page 1 (from="report.pdf, page 1"');
+    expect(outline.slides[0].imagePages).toEqual([{ doc: 2, page: 1 }, 1]);
+    expect(outline.slides[0].sources).toEqual([[{ doc: 2, page: 1, quote: 'hiring plan for 2025' }]]);
+  });
+
+  test('a single slide is rewritten from the pages it cites in any document', async () => {
+    window.fetch = jest.fn().mockResolvedValue(reply({
+      slides: [{ title: 'Hiring, shorter', bullets: ['2025 plan'], sources: [[{ page: 4, quote: 'hiring plan' }]], imagePages: [4] }]
+    }));
+    const outline = {
+      slides: [{ layout: 'bullets', title: 'Hiring', bullets: ['A plan'], sources: [[{ doc: 2, page: 1, quote: 'hiring plan' }]], imagePages: [{ doc: 2, page: 1 }] }]
+    };
+
+    const slide = await rewriteSlideWithOpenAI(combined, outline, 0, { kind: 'shorten', documents });
+
+    const { messages } = JSON.parse(window.fetch.mock.calls[0][1].body);
+    expect(messages[1].content).toContain('"imagePages":[4]');
+    expect(messages[2].content).toContain('Page 4 (from="appendix.pdf, page 1"): Appendix');
+    expect(messages[2].content).not.toContain('Quarterly results');
+    expect(slide).toMatchObject({ imagePages: [{ doc: 2, page: 1 }], sources: [[{ doc: 2, page: 1, quote: 'hiring plan' }]] });
+  });
+});
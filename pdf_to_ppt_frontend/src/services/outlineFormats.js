@@ -0,0 +1,347 @@
+/**
+ * Outline files for editing outside the app, and reading them back in:
+ * - json: the outline as the app keeps it (see outlineSchema validateOutline)
+ * - markdown: a document with "# Deck title", the summary, then one "## Title" section per slide
+ * - marp: slide Markdown with "marp: true" front matter and "---" between slides
+ *   (reveal.js uses the same separators)
+ *
+ * Both Markdown flavors share the slide body syntax:
+ *   - bullet / 1. bullet              bullets
+ *   ### Heading, then bullets          the two columns of a comparison slide
+ *   > quote, > — attribution           quote slides
+ *   ![Page 3](page:3)                  an image page; page:3#x=0.1,y=0.2,w=0.5,h=0.4 is a crop,
+ *                                      page:2:3 is page 3 of the second PDF (utils/documents.js)
+ *   <!-- layout: agenda -->            the slide's layout (Marp: <!-- _class: agenda -->)
+ *   Notes: ...                         speaker notes up to the next slide (Marp: any other HTML comment;
+ *                                      reveal.js: "Note:")
+ *   a plain paragraph                  subtitle of a section slide, quote of a quote slide, otherwise a bullet
+ */
+import { parseJsonObject, SLIDE_LAYOUTS, validateOutline } from './outlineSchema';
+import { pageDoc, pageFields, pageKey } from '../utils/documents';
+
+// PUBLIC_INTERFACE
+/**
+ * OUTLINE_FILE_FORMATS
+ * File formats outlines can be exported to and imported from.
+ */
+export const OUTLINE_FILE_FORMATS = {
+  json: { label: 'JSON', extension: '.json', type: 'application/json' },
+  markdown: { label: 'Markdown', extension: '.md', type: 'text/markdown' },
+  marp: { label: 'Marp slides', extension: '.marp.md', type: 'text/markdown' }
+};
+
+// Marp directives that only style the slide; other comments are speaker notes.
+const MARP_DIRECTIVES = /^_?(paginate|header|footer|theme|size|style|math|backgroundColor|backgroundImage|backgroundPosition|backgroundRepeat|backgroundSize|color|headingDivider|lang|title|description|author)\s*:/;
+const HEADING = /^(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const SEPARATOR = /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/;
+const NOTES_LINE = /^(?:speaker\s+)?notes?\s*:\s*(.*)$/i;
+const PAGE_IMAGE = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+// PUBLIC_INTERFACE
+/**
+ * exportOutline
+ * Serializes an outline as a file in `format`.
+ * @param {{slides: Array<object>, summary?: string}} outline
+ * @param {'json'|'markdown'|'marp'} format
+ * @param {{title?: string}} [options] - deck title for the Markdown flavors
+ * @returns {string}
+ */
+export function exportOutline(outline, format, { title = 'Presentation' } = {}) {
+  const slides = outline?.slides || [];
+  if (format === 'json') return `${JSON.stringify(outline, null, 2)}\n`;
+
+  const intro = [`# ${oneLine(title)}`, ...(outline?.summary ? [outline.summary.trim()] : [])];
+  const bodies = slides.map(s => [`## ${oneLine(s.title)}`, ...slideBlocks(s, format)].join('\n\n'));
+  if (format === 'marp') {
+    const pages = [['<!-- _class: lead -->', ...intro].join('\n\n'), ...bodies];
+    return `---\nmarp: true\npaginate: true\n---\n\n${pages.join('\n\n---\n\n')}\n`;
+  }
+  return `${[...intro, ...bodies].join('\n\n')}\n`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * detectOutlineFormat
+ * @param {string} text - file contents
+ * @param {string} [fileName]
+ * @returns {'json'|'markdown'|'marp'}
+ */
+export function detectOutlineFormat(text, fileName = '') {
+  const raw = String(text ?? '').trim();
+  if (/\.json$/i.test(fileName) || raw.startsWith('{')) return 'json';
+  if (/\.marp\.md$/i.test(fileName) || /^marp\s*:\s*true\s*$/m.test(splitFrontMatter(raw).frontMatter)) return 'marp';
+  return 'markdown';
+}
+
+// PUBLIC_INTERFACE
+/**
+ * importOutline
+ * Reads an outline file (JSON, Markdown or Marp) and validates it like a planned outline.
+ * Markdown has no place for citations: bullets whose text is unchanged from `previous`
+ * keep their sources, edited or new bullets have none.
+ * @param {string} text - file contents
+ * @param {{fileName?: string, pageCount?: number, pageCounts?: number[], previous?: object|null}} [options]
+ *   - pageCount: image pages must exist in the analyzed PDF
+ *   - pageCounts: the page count of each analyzed PDF, for decks built from several (allows page:2:3)
+ *   - previous: the outline being replaced
+ * @returns {{value: object|null, errors: string[], warnings: string[], format: 'json'|'markdown'|'marp'}}
+ */
+export function importOutline(text, { fileName, pageCount, pageCounts, previous } = {}) {
+  const format = detectOutlineFormat(text, fileName);
+  if (format === 'json') {
+    const { value, error } = parseJsonObject(text);
+    if (!value) return { value: null, errors: [error], warnings: [], format };
+    return { ...validateOutline(value, { pageCount, pageCounts }), warnings: [], format };
+  }
+
+  const { outline, warnings } = parseMarkdown(text);
+  if (!outline.slides.length) {
+    return { value: null, errors: ['No slides found: start each slide with a "## Title" heading.'], warnings, format };
+  }
+  return { ...validateOutline(withPreviousSources(outline, previous), { pageCount, pageCounts }), warnings, format };
+}
+
+function slideBlocks(slide, format) {
+  const blocks = [];
+  const layout = slide.layout || 'bullets';
+  if (layout !== 'bullets') blocks.push(format === 'marp' ? `<!-- _class: ${layout} -->` : `<!-- layout: ${layout} -->`);
+  if (slide.subtitle) blocks.push(oneLine(slide.subtitle));
+  if (slide.quote) {
+    blocks.push([
+      ...slide.quote.split('\n').map(line => `> ${line}`),
+      ...(slide.attribution ? [`> — ${oneLine(slide.attribution)}`] : [])
+    ].join('\n'));
+  }
+  if ((slide.bullets || []).length) blocks.push(slide.bullets.map(b => `- ${oneLine(b)}`).join('\n'));
+  (slide.columns || []).forEach((c) => {
+    blocks.push(`### ${oneLine(c.heading)}`.trimEnd());
+    if ((c.bullets || []).length) blocks.push(c.bullets.map(b => `- ${oneLine(b)}`).join('\n'));
+  });
+  if ((slide.imagePages || []).length) blocks.push(slide.imagePages.map(formatPageImage).join('\n'));
+  if (slide.notes && slide.notes.trim()) {
+    blocks.push(format === 'marp'
+      ? `<!--\n${slide.notes.trim().replace(/-->/g, '-- >')}\n-->`
+      : `Notes: ${slide.notes.trim()}`);
+  }
+  return blocks;
+}
+
+function formatPageImage(ref) {
+  const doc = pageDoc(ref);
+  const label = `Page ${typeof ref === 'object' ? ref.page : ref}${doc > 1 ? ` of document ${doc}` : ''}`;
+  if (ref && typeof ref === 'object' && ref.bbox) {
+    const { x, y, w, h } = ref.bbox;
+    return `![${label} (crop)](page:${pageKey(ref)}#x=${x},y=${y},w=${w},h=${h})`;
+  }
+  return `![${label}](page:${pageKey(ref)})`;
+}
+
+function oneLine(text) {
+  return String(text ?? '').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function splitFrontMatter(text) {
+  const match = text.match(/^---[ \t]*\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  return match ? { frontMatter: match[1], body: text.slice(match[0].length) } : { frontMatter: '', body: text };
+}
+
+// Splits the document into slides. Slides start at headings of the slide level; a single
+// higher-level heading ("# Deck title") opens the preamble, whose paragraphs are the summary.
+// "---" separators end a slide, and lines before a slide's heading (Marp directives) belong to it.
+function parseMarkdown(text) {
+  const { body } = splitFrontMatter(String(text ?? '').replace(/\r\n?/g, '\n').trim());
+  const lines = body.split('\n');
+  const level = slideHeadingLevel(lines);
+  const preamble = [];
+  const raw = []; // { title, lines }
+  let target = null; // lines of the slide (or the preamble) being read
+  let chunk = []; // lines after a separator, before the next heading
+  let inComment = false;
+  const lastSlideLines = () => (raw.length ? raw[raw.length - 1].lines : preamble);
+
+  lines.forEach((line, i) => {
+    const heading = !inComment && line.match(HEADING);
+    if (!inComment && SEPARATOR.test(line) && (i === 0 || !lines[i - 1].trim())) {
+      lastSlideLines().push(...chunk);
+      chunk = [];
+      target = null;
+    } else if (heading && heading[1].length <= level) {
+      if (heading[1].length < level && !raw.length) {
+        target = preamble;
+      } else {
+        // Text before the first slide is the summary; a lone directive belongs to the slide.
+        if (!raw.length && chunk.some(l => l.trim() && !l.trim().startsWith('<!--'))) {
+          preamble.push(...chunk);
+          chunk = [];
+        }
+        raw.push({ title: heading[2] || '', lines: [] });
+        target = raw[raw.length - 1].lines;
+      }
+      target.push(...chunk);
+      chunk = [];
+    } else {
+      (target || chunk).push(line);
+    }
+    if (line.includes('<!--')) inComment = !line.slice(line.lastIndexOf('<!--')).includes('-->');
+    else if (inComment && line.includes('-->')) inComment = false;
+  });
+  lastSlideLines().push(...chunk);
+
+  const warnings = [];
+  const slides = raw.map((r, i) => parseSlide(r.title, r.lines, `Slide ${i + 1}`, warnings).slide);
+  const summary = parseSlide('', preamble, 'Summary', []).paragraphs.join('\n\n');
+  return {
+    outline: { slides, ...(summary ? { summary } : {}) },
+    warnings
+  };
+}
+
+// "## Title" slides, unless the document only uses "#" headings or "##" never appears.
+function slideHeadingLevel(lines) {
+  const levels = lines.map(line => line.match(HEADING)).filter(Boolean).map(m => m[1].length);
+  if (!levels.length) return 2;
+  const top = Math.min(...levels);
+  const topCount = levels.filter(l => l === top).length;
+  return topCount === 1 && levels.includes(top + 1) ? top + 1 : top;
+}
+
+// One slide from the lines after its heading. Also returns its plain paragraphs (the summary, for the preamble).
+function parseSlide(title, lines, label, warnings) {
+  const items = []; // { kind: 'bullet'|'paragraph', text } in document order
+  const columns = [];
+  const quote = [];
+  const notes = [];
+  const imagePages = [];
+  let layout = null;
+  let attribution = null;
+  let paragraph = [];
+  let comment = null;
+  let inNotes = false;
+  let lastBullet = null;
+
+  const flush = () => {
+    if (paragraph.length) items.push({ kind: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+  const addBullet = (text) => {
+    lastBullet = { kind: 'bullet', text: text.trim() };
+    (columns.length ? columns[columns.length - 1].items : items).push(lastBullet);
+  };
+
+  lines.forEach((line) => {
+    if (comment !== null || line.trim().startsWith('<!--')) {
+      comment = `${comment === null ? '' : `${comment}\n`}${line}`;
+      if (!line.includes('-->')) return;
+      const content = comment.replace(/^\s*<!--/, '').replace(/-->\s*$/, '').trim();
+      comment = null;
+      const directive = content.match(/^(_?class|layout)\s*:\s*(.+)$/);
+      if (directive) {
+        const values = directive[2].trim().split(/\s+/);
+        layout = directive[1] === 'layout' ? values[0] : values.find(v => SLIDE_LAYOUTS.includes(v)) || layout;
+      } else if (content && !MARP_DIRECTIVES.test(content)) {
+        notes.push(content);
+      }
+      return;
+    }
+
+    const notesStart = line.match(NOTES_LINE);
+    if (inNotes || notesStart) {
+      flush();
+      inNotes = true;
+      notes.push(notesStart ? notesStart[1] : line);
+      return;
+    }
+
+    const heading = line.match(HEADING);
+    const item = line.match(LIST_ITEM);
+    const images = [...line.matchAll(PAGE_IMAGE)];
+    if (heading) {
+      flush();
+      lastBullet = null;
+      columns.push({ heading: (heading[2] || '').trim(), items: [] });
+    } else if (item) {
+      flush();
+      addBullet(item[1]);
+    } else if (images.length) {
+      flush();
+      images.forEach(([, url]) => {
+        const ref = parsePageRef(url);
+        if (ref) imagePages.push(ref);
+        else warnings.push(`${label}: image "${url}" is not a page of the PDF (use page:N) and was left out.`);
+      });
+    } else if (/^\s*>/.test(line)) {
+      flush();
+      const text = line.replace(/^\s*>\s?/, '');
+      const credit = text.match(/^\s*(?:—|–|--|-)\s*(.+)$/);
+      if (credit) attribution = credit[1].trim();
+      else if (text.trim()) quote.push(text.trim());
+    } else if (!line.trim()) {
+      flush();
+      lastBullet = null;
+    } else if (lastBullet && /^\s{2,}/.test(line) && !paragraph.length) {
+      // Continuation of a wrapped list item.
+      lastBullet.text = `${lastBullet.text} ${line.trim()}`;
+    } else {
+      lastBullet = null;
+      paragraph.push(line.trim());
+    }
+  });
+  flush();
+
+  const resolved = layout || (columns.length === 2 ? 'comparison' : quote.length ? 'quote' : null);
+  const paragraphs = items.filter(it => it.kind === 'paragraph').map(it => it.text);
+  const slide = { title: title.trim(), bullets: [], imagePages };
+  if (resolved) slide.layout = resolved;
+
+  if (resolved === 'comparison') {
+    slide.columns = columns.map(c => ({ heading: c.heading, bullets: c.items.map(it => it.text) }));
+  } else {
+    columns.forEach((c) => {
+      if (c.heading) items.push({ kind: 'bullet', text: c.heading });
+      items.push(...c.items);
+    });
+  }
+  if (resolved === 'section' && paragraphs.length) {
+    slide.subtitle = paragraphs.join(' ');
+  } else if (resolved === 'quote' && !quote.length && paragraphs.length) {
+    slide.quote = paragraphs.join(' ');
+  }
+  const asBullets = !slide.subtitle && !slide.quote;
+  slide.bullets = items.filter(it => it.kind === 'bullet' || asBullets).map(it => it.text);
+  if (quote.length) slide.quote = quote.join('\n');
+  if (attribution) slide.attribution = attribution;
+  const noteText = notes.join('\n').trim();
+  if (noteText) slide.notes = noteText;
+  return { slide, paragraphs };
+}
+
+function parsePageRef(url) {
+  const match = url.match(/^page:(?:(\d+):)?(\d+)(?:#(.+))?$/i);
+  if (!match) return null;
+  const doc = match[1] ? Number(match[1]) : 1;
+  const page = Number(match[2]);
+  if (!match[3]) return doc > 1 ? { doc, page } : page;
+  const bbox = Object.fromEntries(match[3].split(',').map((pair) => {
+    const [key, value] = pair.split('=');
+    return [key.trim(), Number(value)];
+  }));
+  return { ...pageFields(doc, page), bbox };
+}
+
+function withPreviousSources(outline, previous) {
+  const known = new Map();
+  (previous?.slides || []).forEach((s) => {
+    (s.bullets || []).forEach((b, i) => {
+      const cited = (s.sources || [])[i];
+      if (cited && cited.length && !known.has(b)) known.set(b, cited.map(source => ({ ...pageFields(pageDoc(source), source.page), quote: source.quote })));
+    });
+  });
+  if (!known.size) return outline;
+  return {
+    ...outline,
+    slides: outline.slides.map(s => (
+      s.bullets.some(b => known.has(b)) ? { ...s, sources: s.bullets.map(b => known.get(b) || []) } : s
+    ))
+  };
+}
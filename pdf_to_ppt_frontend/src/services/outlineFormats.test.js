@@ -0,0 +1,97 @@
+import { detectOutlineFormat, exportOutline, importOutline } from './outlineFormats';
+
+const outline = {
+  summary: 'What changed this quarter.',
+  slides: [
+    { title: 'Agenda', layout: 'agenda', bullets: ['Results', 'Outlook'], imagePages: [] },
+    { title: 'Results', layout: 'section', subtitle: 'Q3 in numbers', bullets: [], imagePages: [] },
+    {
+      title: 'Revenue',
+      layout: 'bullets',
+      bullets: ['Revenue grew 12%', 'Costs were flat'],
+      sources: [[{ page: 2, quote: 'Revenue grew 12% year over year' }], []],
+      imagePages: [3, { page: 4, bbox: { x: 0.1, y: 0.2, w: 0.5, h: 0.4 } }],
+      notes: 'Mention the one-off deal.\nPause for questions.'
+    },
+    {
+      title: 'Before and after',
+      layout: 'comparison',
+      bullets: [],
+      columns: [{ heading: 'Before', bullets: ['Manual'] }, { heading: 'After', bullets: ['Automated'] }],
+      imagePages: []
+    },
+    { title: 'Voices', layout: 'quote', quote: 'Best quarter yet.', attribution: 'CEO', bullets: [], imagePages: [] }
+  ]
+};
+
+test.each(['json', 'markdown', 'marp'])('%s export imports back to the same outline', (format) => {
+  const text = exportOutline(outline, format, { title: 'Q3 review' });
+  expect(detectOutlineFormat(text)).toBe(format === 'json' ? 'json' : format);
+  const { value, errors, warnings } = importOutline(text, { pageCount: 5, previous: outline });
+  expect(errors).toEqual([]);
+  expect(warnings).toEqual([]);
+  expect(value).toEqual(outline);
+});
+
+test('pages of other documents round-trip through Markdown', () => {
+  const combined = {
+    slides: [{
+      title: 'Appendix',
+      layout: 'image-grid',
+      bullets: [],
+      imagePages: [1, { doc: 2, page: 3 }, { doc: 2, page: 1, bbox: { x: 0, y: 0, w: 1, h: 0.5 } }]
+    }]
+  };
+  const text = exportOutline(combined, 'markdown');
+  expect(text).toContain('![Page 3 of document 2](page:2:3)');
+  expect(importOutline(text, { pageCounts: [2, 3] }).value).toEqual(combined);
+  expect(importOutline(text, { pageCounts: [2] }).errors).toEqual(['slides[0].imagePages[1].doc must be a document number from 1 to 1.', 'slides[0].imagePages[2].doc must be a document number from 1 to 1.']);
+});
+
+test('Markdown export reads like a document and Marp export like slides', () => {
+  const markdown = exportOutline(outline, 'markdown', { title: 'Q3 review' });
+  expect(markdown).toMatch(/^# Q3 review\n\nWhat changed this quarter\.\n\n## Agenda\n\n<!-- layout: agenda -->\n\n- Results/);
+  expect(markdown).toContain('![Page 4 (crop)](page:4#x=0.1,y=0.2,w=0.5,h=0.4)');
+  expect(markdown).toContain('Notes: Mention the one-off deal.');
+
+  const marp = exportOutline(outline, 'marp', { title: 'Q3 review' });
+  expect(marp).toMatch(/^---\nmarp: true\n/);
+  expect(marp).toContain('---\n\n<!-- _class: lead -->\n\n# Q3 review');
+  expect(marp).toContain('<!--\nMention the one-off deal.\nPause for questions.\n-->');
+});
+
+test('hand-written Markdown becomes an outline; edited bullets lose their citations', () => {
+  const text = [
+    'Intro text for the deck.',
+    '',
+    '## Revenue',
+    '- Revenue grew 12%',
+    '- Costs fell',
+    '  slightly',
+    '![Chart](page:3) ![Logo](https://example.com/logo.png)',
+    '',
+    '## Outlook',
+    'More growth expected.',
+    '',
+    'Note: keep it short'
+  ].join('\n');
+  const { value, errors, warnings, format } = importOutline(text, { pageCount: 5, previous: outline });
+  expect(format).toBe('markdown');
+  expect(errors).toEqual([]);
+  expect(warnings).toEqual(['Slide 1: image "https://example.com/logo.png" is not a page of the PDF (use page:N) and was left out.']);
+  expect(value.summary).toBe('Intro text for the deck.');
+  expect(value.slides[0]).toMatchObject({
+    title: 'Revenue',
+    bullets: ['Revenue grew 12%', 'Costs fell slightly'],
+    sources: [[{ page: 2, quote: 'Revenue grew 12% year over year' }], []],
+    imagePages: [3]
+  });
+  expect(value.slides[1]).toMatchObject({ title: 'Outlook', bullets: ['More growth expected.'], notes: 'keep it short' });
+});
+
+test('import reports what is wrong with the file', () => {
+  expect(importOutline('Just some text').errors).toEqual(['No slides found: start each slide with a "## Title" heading.']);
+  expect(importOutline('## A\n![x](page:9)', { pageCount: 5 }).errors)
+    .toEqual(['slides[0].imagePages[0] refers to page 9, but the document has 5 pages.']);
+  expect(importOutline('{"slides": 3}', { fileName: 'deck.json' }).errors).toEqual(['"slides" must be an array.']);
+});
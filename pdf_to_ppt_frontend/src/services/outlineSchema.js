@@ -0,0 +1,670 @@
+/**
+ * Schemas for the JSON the LLM returns: slide outlines and per-page analysis.
+ * Validators check every field, normalize harmless differences (whitespace,
+ * numeric strings) and return a list of human-readable errors that can be sent
+ * back to the model as repair instructions.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * SLIDE_LAYOUTS
+ * Layout types a slide can use. "bullets" is the default when `layout` is omitted.
+ * - bullets: title, bullets on the left, first image page on the right
+ * - section: section divider with title and optional `subtitle`
+ * - comparison: two `columns` [{ heading, bullets }, { heading, bullets }]
+ * - image: full-bleed first image page with the title overlaid
+ * - image-grid: every entry in imagePages in a grid under the title
+ * - quote: large `quote` with optional `attribution`
+ * - agenda: numbered list of bullets
+ */
+export const SLIDE_LAYOUTS = ['bullets', 'section', 'comparison', 'image', 'image-grid', 'quote', 'agenda'];
+
+// Layouts whose main content is the bullet list; others may omit bullets.
+const BULLET_LAYOUTS = ['bullets', 'agenda'];
+
+// PUBLIC_INTERFACE
+/**
+ * parseJsonObject
+ * Parses a model reply into a JSON object. Accepts plain JSON, JSON wrapped in
+ * ``` fences, or JSON surrounded by prose (first "{" to last "}").
+ * @param {string} text
+ * @returns {{value: object|null, error: string|null}}
+ */
+export function parseJsonObject(text) {
+  const raw = String(text ?? '').trim();
+  if (!raw) return { value: null, error: 'Response was empty; expected a JSON object.' };
+
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [raw];
+  if (fenced) candidates.push(fenced[1].trim());
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+
+  let lastError = 'No JSON object found in the response.';
+  for (const candidate of candidates) {
+    try {
+      const value = JSON.parse(candidate);
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return { value, error: null };
+      }
+      lastError = 'Response must be a JSON object, not an array or primitive.';
+    } catch (err) {
+      lastError = `Response is not valid JSON (${err.message}).`;
+    }
+  }
+  return { value: null, error: lastError };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * validateOutline
+ * Validates { slides: [{ title, bullets, sources?, imagePages?, notes?, layout?, ...layout fields }], summary? }.
+ * sources[i] lists the evidence for bullets[i] as [{ page, quote }] (quote copied from that page).
+ * imagePages entries are page numbers (the whole page, or its crop chosen in the app) or
+ * { page, bbox } crops, with bbox = { x, y, w, h } as fractions of the page size.
+ * With `pageCounts`, sources and imagePages may also name a document (utils/documents.js):
+ * { doc: 2, page: 3, quote }, { doc: 2, page: 3 } and { doc: 2, page: 3, bbox }.
+ * @param {any} data - parsed JSON
+ * @param {{pageCount?: number, pageCounts?: number[]}} [options] - when given, pages must exist:
+ *   within 1..pageCount, or within the page count of their document (pageCounts[doc - 1])
+ * @returns {{value: {slides: Array<{title:string, bullets:string[], sources?:Array<Array<{doc?:number, page:number, quote:string}>>,
+ *   imagePages:Array<number|{doc?:number, page:number, bbox?:object}>, notes?:string}>, summary?: string}|null, errors: string[]}}
+ */
+export function validateOutline(data, { pageCount, pageCounts } = {}) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Root must be a JSON object with a "slides" array.'] };
+  }
+  if (!Array.isArray(data.slides)) {
+    return { value: null, errors: ['"slides" must be an array.'] };
+  }
+  if (data.slides.length === 0) {
+    errors.push('"slides" must contain at least one slide.');
+  }
+
+  const pages = pageCounts || (pageCount ? [pageCount] : []);
+  const slides = data.slides.map((s, i) => validateSlide(s, `slides[${i}]`, errors, pages, !!pageCounts));
+
+  const value = { slides };
+  if (data.summary !== undefined && data.summary !== null) {
+    if (typeof data.summary === 'string') {
+      value.summary = data.summary.trim();
+    } else {
+      errors.push('"summary" must be a string when present.');
+    }
+  }
+  return { value: errors.length ? null : value, errors };
+}
+
+function validateSlide(s, path, errors, pageCounts, withDocs) {
+  if (!s || typeof s !== 'object' || Array.isArray(s)) {
+    errors.push(`${path} must be an object.`);
+    return null;
+  }
+
+  const slide = { ...s };
+
+  if (s.layout === undefined || s.layout === null || s.layout === '') {
+    slide.layout = 'bullets';
+  } else if (!SLIDE_LAYOUTS.includes(s.layout)) {
+    errors.push(`${path}.layout must be one of: ${SLIDE_LAYOUTS.join(', ')}.`);
+  }
+  const layout = slide.layout;
+
+  if (typeof s.title !== 'string' || !s.title.trim()) {
+    errors.push(`${path}.title must be a non-empty string.`);
+  } else {
+    slide.title = s.title.trim();
+  }
+
+  if ((s.bullets === undefined || s.bullets === null) && !BULLET_LAYOUTS.includes(layout)) {
+    slide.bullets = [];
+  } else if (!Array.isArray(s.bullets)) {
+    errors.push(`${path}.bullets must be an array of strings.`);
+  } else {
+    const bad = s.bullets.findIndex(b => typeof b !== 'string');
+    if (bad !== -1) {
+      errors.push(`${path}.bullets[${bad}] must be a string.`);
+    }
+    slide.bullets = s.bullets.filter(b => typeof b === 'string').map(b => b.trim()).filter(Boolean);
+  }
+
+  if (s.sources !== undefined && s.sources !== null) {
+    slide.sources = validateSources(s.sources, s.bullets, `${path}.sources`, errors, pageCounts, withDocs);
+  }
+
+  if (s.imagePages === undefined || s.imagePages === null) {
+    slide.imagePages = [];
+  } else if (!Array.isArray(s.imagePages)) {
+    errors.push(`${path}.imagePages must be an array of page numbers.`);
+  } else {
+    slide.imagePages = s.imagePages.map((p, j) => {
+      const at = `${path}.imagePages[${j}]`;
+      const isObject = p && typeof p === 'object' && !Array.isArray(p);
+      const doc = isObject && withDocs ? validateDoc(p.doc, `${at}.doc`, errors, pageCounts) : 1;
+      const n = toInteger(isObject ? p.page : p);
+      const pageCount = doc && pageCounts[doc - 1];
+      if (!Number.isInteger(n) || n < 1) {
+        errors.push(`${at} must be a positive integer page number or { "page", "bbox" }.`);
+      } else if (pageCount && n > pageCount) {
+        errors.push(`${at} refers to page ${n}, but the document has ${pageCount} pages.`);
+      }
+      // A crop keeps its bbox; a whole page is a plain number in the first document and { doc, page } in the others.
+      if (isObject && p.bbox !== undefined && p.bbox !== null) {
+        return { ...(doc > 1 ? { doc } : {}), page: n, bbox: validateBbox(p.bbox, `${at}.bbox`, errors) };
+      }
+      return doc > 1 ? { doc, page: n } : n;
+    });
+  }
+
+  if (s.notes !== undefined && s.notes !== null && typeof s.notes !== 'string') {
+    errors.push(`${path}.notes must be a string when present.`);
+  }
+
+  for (const key of ['subtitle', 'quote', 'attribution']) {
+    if (s[key] !== undefined && s[key] !== null && typeof s[key] !== 'string') {
+      errors.push(`${path}.${key} must be a string when present.`);
+    }
+  }
+
+  if ((layout === 'image' || layout === 'image-grid') && !(slide.imagePages || []).length) {
+    errors.push(`${path}.imagePages must list at least one page for the ${layout} layout.`);
+  }
+  if (layout === 'quote' && !(typeof s.quote === 'string' && s.quote.trim()) && !(slide.bullets || []).length) {
+    errors.push(`${path}.quote is required for the quote layout.`);
+  }
+  if (s.columns !== undefined && s.columns !== null) {
+    slide.columns = validateColumns(s.columns, `${path}.columns`, errors);
+  }
+
+  return slide;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * validateBbox
+ * Checks a crop rectangle { x, y, w, h } given as fractions (0-1) of the page size.
+ * Values are rounded to 3 decimals so equal crops compare equal.
+ * @param {any} bbox
+ * @param {string} path - field path used in error messages
+ * @param {string[]} errors - collects problems
+ * @returns {{x:number, y:number, w:number, h:number}}
+ */
+export function validateBbox(bbox, path, errors) {
+  const keys = ['x', 'y', 'w', 'h'];
+  if (!bbox || typeof bbox !== 'object' || keys.some(k => typeof bbox[k] !== 'number' || !Number.isFinite(bbox[k]))) {
+    errors.push(`${path} must be { "x", "y", "w", "h" } with numbers between 0 and 1 (fractions of the page).`);
+    return bbox;
+  }
+  const value = Object.fromEntries(keys.map(k => [k, Math.round(bbox[k] * 1000) / 1000]));
+  // Small tolerance for rounding in model output.
+  if (value.x < 0 || value.y < 0 || value.w <= 0 || value.h <= 0 || value.x + value.w > 1.01 || value.y + value.h > 1.01) {
+    errors.push(`${path} must lie within the page: 0 <= x, y and x + w, y + h <= 1, with w, h > 0.`);
+  }
+  return value;
+}
+
+// sources[i] lists the { page, quote } evidence for bullets[i]. Missing trailing entries mean
+// "no source"; entries of bullets dropped as empty are dropped with them.
+function validateSources(sources, bullets, path, errors, pageCounts, withDocs) {
+  const rawBullets = Array.isArray(bullets) ? bullets : [];
+  if (!Array.isArray(sources) || sources.length > rawBullets.length) {
+    errors.push(`${path} must be an array with one list of { "page", "quote" } per bullet.`);
+    return sources;
+  }
+  return rawBullets
+    .map((bullet, i) => {
+      const entry = sources[i] === undefined || sources[i] === null ? [] : sources[i];
+      const list = Array.isArray(entry) ? entry : [entry];
+      const cited = list.map((source, j) => {
+        const at = `${path}[${i}][${j}]`;
+        const doc = withDocs ? validateDoc(source?.doc, `${at}.doc`, errors, pageCounts) : 1;
+        const n = toInteger(source?.page);
+        const pageCount = doc && pageCounts[doc - 1];
+        if (!Number.isInteger(n) || n < 1 || (pageCount && n > pageCount)) {
+          errors.push(`${at}.page must be a page number from 1 to ${pageCount || 'the last page'}.`);
+        }
+        if (typeof source?.quote !== 'string' || !source.quote.trim()) {
+          errors.push(`${at}.quote must be a non-empty string copied from that page.`);
+        }
+        return { ...(doc === 1 ? {} : { doc }), page: n, quote: String(source?.quote ?? '').trim() };
+      });
+      return { keep: typeof bullet === 'string' && bullet.trim() !== '', cited };
+    })
+    .filter(b => b.keep)
+    .map(b => b.cited);
+}
+
+// Document number of a multi-document page reference; omitted means the first document.
+// Null when invalid, so the page is not checked against the wrong document as well.
+function validateDoc(value, path, errors, pageCounts) {
+  if (value === undefined || value === null) return 1;
+  const doc = toInteger(value);
+  if (!Number.isInteger(doc) || doc < 1 || doc > pageCounts.length) {
+    errors.push(`${path} must be a document number from 1 to ${pageCounts.length}.`);
+    return null;
+  }
+  return doc;
+}
+
+// Numbers may arrive as numeric strings from the model or from edited files.
+function toInteger(value) {
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+}
+
+function validateColumns(columns, path, errors) {
+  if (!Array.isArray(columns) || columns.length !== 2) {
+    errors.push(`${path} must be an array of exactly two { heading, bullets } objects.`);
+    return columns;
+  }
+  return columns.map((c, i) => {
+    if (!c || typeof c !== 'object' || !Array.isArray(c.bullets) || c.bullets.some(b => typeof b !== 'string')) {
+      errors.push(`${path}[${i}] must be { "heading": string, "bullets": string[] }.`);
+      return c;
+    }
+    if (c.heading !== undefined && typeof c.heading !== 'string') {
+      errors.push(`${path}[${i}].heading must be a string when present.`);
+    }
+    return { heading: typeof c.heading === 'string' ? c.heading.trim() : '', bullets: c.bullets.map(b => b.trim()).filter(Boolean) };
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * CHART_TYPES
+ * Chart kinds the page analysis may extract and the PPTX writer can emit natively.
+ */
+export const CHART_TYPES = ['bar', 'line', 'pie'];
+
+// PUBLIC_INTERFACE
+/**
+ * validatePageAnalysis
+ * Validates { include, title?, caption?, rationale?, figures?, table?, chart? } from the page vision call.
+ * - figures: [{ bbox: { x, y, w, h }, label?: string }] - figure regions as fractions of the page
+ * - table: { header?: string[], rows: string[][] } - numeric cells become strings, short rows are padded
+ * - chart: { type: 'bar'|'line'|'pie', title?: string, categories: string[], series: [{ name, values: number[] }] }
+ * @param {any} data - parsed JSON
+ * @returns {{value: {include:boolean, title?:string, caption?:string, rationale?:string, figures?:Array<object>, table?:object, chart?:object}|null, errors: string[]}}
+ */
+export function validatePageAnalysis(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Root must be a JSON object.'] };
+  }
+
+  const errors = [];
+  const value = { ...data };
+
+  if (typeof data.include === 'boolean') {
+    value.include = data.include;
+  } else if (data.include === 'true' || data.include === 'false') {
+    value.include = data.include === 'true';
+  } else {
+    errors.push('"include" must be true or false.');
+  }
+
+  for (const key of ['title', 'caption', 'rationale']) {
+    if (data[key] === undefined || data[key] === null) {
+      delete value[key];
+    } else if (typeof data[key] !== 'string') {
+      errors.push(`"${key}" must be a string when present.`);
+    } else {
+      value[key] = data[key].trim();
+    }
+  }
+
+  if (data.figures === undefined || data.figures === null) {
+    delete value.figures;
+  } else if (!Array.isArray(data.figures)) {
+    errors.push('"figures" must be an array of { "bbox": { "x", "y", "w", "h" }, "label" } when present.');
+  } else {
+    value.figures = data.figures.map((f, i) => ({
+      bbox: validateBbox(f?.bbox, `"figures[${i}].bbox"`, errors),
+      ...(typeof f?.label === 'string' && f.label.trim() ? { label: f.label.trim() } : {})
+    }));
+  }
+
+  if (data.table === undefined || data.table === null) {
+    delete value.table;
+  } else {
+    value.table = validateTable(data.table, errors);
+  }
+  if (data.chart === undefined || data.chart === null) {
+    delete value.chart;
+  } else {
+    value.chart = validateChart(data.chart, errors);
+  }
+
+  return { value: errors.length ? null : value, errors };
+}
+
+function validateTable(table, errors) {
+  if (!table || typeof table !== 'object' || !Array.isArray(table.rows) || table.rows.length === 0) {
+    errors.push('"table" must be { "header": string[], "rows": string[][] } with at least one row.');
+    return table;
+  }
+  const cell = (c, path) => {
+    if (typeof c === 'string') return c.trim();
+    if (typeof c === 'number' && Number.isFinite(c)) return String(c);
+    if (c === null || c === undefined) return '';
+    errors.push(`${path} must be a string or number.`);
+    return '';
+  };
+
+  let header;
+  if (table.header !== undefined && table.header !== null) {
+    if (!Array.isArray(table.header)) {
+      errors.push('"table.header" must be an array of strings when present.');
+    } else {
+      header = table.header.map((c, i) => cell(c, `"table.header[${i}]"`));
+    }
+  }
+  const rows = table.rows.map((row, i) => {
+    if (!Array.isArray(row)) {
+      errors.push(`"table.rows[${i}]" must be an array of cells.`);
+      return [];
+    }
+    return row.map((c, j) => cell(c, `"table.rows[${i}][${j}]"`));
+  });
+
+  // Models often drop trailing empty cells; pad so every row has the same width.
+  const width = Math.max(header ? header.length : 0, ...rows.map(r => r.length));
+  const pad = r => [...r, ...Array(width - r.length).fill('')];
+  return { ...(header ? { header: pad(header) } : {}), rows: rows.map(pad) };
+}
+
+function validateChart(chart, errors) {
+  if (!chart || typeof chart !== 'object' || Array.isArray(chart)) {
+    errors.push('"chart" must be an object with "type", "categories" and "series".');
+    return chart;
+  }
+  if (!CHART_TYPES.includes(chart.type)) {
+    errors.push(`"chart.type" must be one of: ${CHART_TYPES.join(', ')}.`);
+  }
+  if (chart.title !== undefined && chart.title !== null && typeof chart.title !== 'string') {
+    errors.push('"chart.title" must be a string when present.');
+  }
+
+  const categories = Array.isArray(chart.categories) ? chart.categories.map(c => String(c ?? '').trim()) : null;
+  if (!categories || categories.length === 0) {
+    errors.push('"chart.categories" must be a non-empty array of labels.');
+  }
+  if (!Array.isArray(chart.series) || chart.series.length === 0) {
+    errors.push('"chart.series" must be a non-empty array of { "name": string, "values": number[] }.');
+    return chart;
+  }
+  if (chart.type === 'pie' && chart.series.length !== 1) {
+    errors.push('"chart.series" must contain exactly one series for a pie chart.');
+  }
+
+  const series = chart.series.map((s, i) => {
+    if (!s || typeof s !== 'object' || !Array.isArray(s.values)) {
+      errors.push(`"chart.series[${i}]" must be { "name": string, "values": number[] }.`);
+      return s;
+    }
+    const values = s.values.map((v, j) => {
+      const n = typeof v === 'string' && v.trim() !== '' ? Number(v.replace(/[,%$]/g, '')) : v;
+      if (typeof n !== 'number' || !Number.isFinite(n)) {
+        errors.push(`"chart.series[${i}].values[${j}]" must be a number.`);
+      }
+      return n;
+    });
+    if (categories && values.length !== categories.length) {
+      errors.push(`"chart.series[${i}].values" has ${values.length} values but there are ${categories.length} categories.`);
+    }
+    return { name: typeof s.name === 'string' && s.name.trim() ? s.name.trim() : `Series ${i + 1}`, values };
+  });
+
+  return {
+    type: chart.type,
+    ...(typeof chart.title === 'string' && chart.title.trim() ? { title: chart.title.trim() } : {}),
+    categories,
+    series
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * validateChunkSummary
+ * Validates the summary of a run of pages used when planning long documents:
+ * { summary: string, topics: [{ title: string, pages: number[], points?: string[] }] }.
+ * @param {any} data - parsed JSON
+ * @param {{firstPage?: number, lastPage?: number}} [options] - when given, topic pages must lie in this range
+ * @returns {{value: {summary: string, topics: Array<{title:string, pages:number[], points:string[]}>}|null, errors: string[]}}
+ */
+export function validateChunkSummary(data, { firstPage = 1, lastPage } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Root must be a JSON object with "summary" and "topics".'] };
+  }
+  const errors = [];
+  if (typeof data.summary !== 'string' || !data.summary.trim()) {
+    errors.push('"summary" must be a non-empty string.');
+  }
+  if (!Array.isArray(data.topics)) {
+    errors.push('"topics" must be an array of { "title", "pages", "points" }.');
+    return { value: null, errors };
+  }
+
+  const topics = data.topics.map((t, i) => {
+    const path = `topics[${i}]`;
+    if (!t || typeof t !== 'object' || Array.isArray(t)) {
+      errors.push(`${path} must be an object.`);
+      return t;
+    }
+    if (typeof t.title !== 'string' || !t.title.trim()) {
+      errors.push(`${path}.title must be a non-empty string.`);
+    }
+    if (t.points !== undefined && t.points !== null && (!Array.isArray(t.points) || t.points.some(p => typeof p !== 'string'))) {
+      errors.push(`${path}.points must be an array of strings when present.`);
+    }
+    return {
+      title: String(t.title ?? '').trim(),
+      pages: validatePageList(t.pages, `${path}.pages`, errors, firstPage, lastPage),
+      points: Array.isArray(t.points) ? t.points.filter(p => typeof p === 'string').map(p => p.trim()).filter(Boolean) : []
+    };
+  });
+
+  return { value: errors.length ? null : { summary: data.summary.trim(), topics }, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * validateSectionPlan
+ * Validates the section-level outline of a long document:
+ * { sections: [{ title: string, goal?: string, pages: number[], slides: number }], summary?: string }.
+ * `slides` is the number of slides to expand the section into (1-10).
+ * @param {any} data - parsed JSON
+ * @param {{pageCount?: number}} [options] - when given, section pages must be within 1..pageCount
+ * @returns {{value: {sections: Array<{title:string, goal:string, pages:number[], slides:number}>, summary?: string}|null, errors: string[]}}
+ */
+export function validateSectionPlan(data, { pageCount } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Root must be a JSON object with a "sections" array.'] };
+  }
+  if (!Array.isArray(data.sections) || data.sections.length === 0) {
+    return { value: null, errors: ['"sections" must be a non-empty array.'] };
+  }
+
+  const errors = [];
+  const sections = data.sections.map((s, i) => {
+    const path = `sections[${i}]`;
+    if (!s || typeof s !== 'object' || Array.isArray(s)) {
+      errors.push(`${path} must be an object.`);
+      return s;
+    }
+    if (typeof s.title !== 'string' || !s.title.trim()) {
+      errors.push(`${path}.title must be a non-empty string.`);
+    }
+    if (s.goal !== undefined && s.goal !== null && typeof s.goal !== 'string') {
+      errors.push(`${path}.goal must be a string when present.`);
+    }
+    const slides = typeof s.slides === 'string' && s.slides.trim() !== '' ? Number(s.slides) : s.slides;
+    if (!Number.isInteger(slides) || slides < 1 || slides > 10) {
+      errors.push(`${path}.slides must be an integer from 1 to 10.`);
+    }
+    const pages = validatePageList(s.pages, `${path}.pages`, errors, 1, pageCount);
+    if (Array.isArray(pages) && pages.length === 0) {
+      errors.push(`${path}.pages must list at least one page.`);
+    }
+    return { title: String(s.title ?? '').trim(), goal: typeof s.goal === 'string' ? s.goal.trim() : '', pages, slides };
+  });
+
+  const value = { sections };
+  if (data.summary !== undefined && data.summary !== null) {
+    if (typeof data.summary === 'string') {
+      value.summary = data.summary.trim();
+    } else {
+      errors.push('"summary" must be a string when present.');
+    }
+  }
+  return { value: errors.length ? null : value, errors };
+}
+
+// Page number lists: integers (or numeric strings) within firstPage..lastPage, de-duplicated and sorted.
+function validatePageList(pages, path, errors, firstPage, lastPage) {
+  if (!Array.isArray(pages)) {
+    errors.push(`${path} must be an array of page numbers.`);
+    return pages;
+  }
+  const numbers = pages.map((p, j) => {
+    const n = typeof p === 'string' && p.trim() !== '' ? Number(p) : p;
+    if (!Number.isInteger(n) || n < firstPage || (lastPage && n > lastPage)) {
+      errors.push(`${path}[${j}] must be a page number from ${firstPage} to ${lastPage || 'the last page'}.`);
+    }
+    return n;
+  });
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * OUTLINE_ACTIONS
+ * Outline changes the chat assistant can make, by type, with the JSON shape shown to the model.
+ * Slide numbers are 1-based positions in the outline the model was shown.
+ */
+export const OUTLINE_ACTIONS = {
+  rewrite_bullets: '{ "type": "rewrite_bullets", "slide": 2, "bullets": ["...", "..."] }',
+  set_title: '{ "type": "set_title", "slide": 2, "title": "..." }',
+  set_notes: '{ "type": "set_notes", "slide": 2, "notes": "..." }',
+  set_layout: `{ "type": "set_layout", "slide": 2, "layout": one of ${SLIDE_LAYOUTS.map(l => `"${l}"`).join(', ')} }`,
+  replace_image: '{ "type": "replace_image", "slide": 2, "page": 3, "with": 7 } (omit "page" to make page 7 the only image)',
+  merge_slides: '{ "type": "merge_slides", "slides": [2, 3], "title": "optional new title" } (consecutive slides)',
+  delete_slide: '{ "type": "delete_slide", "slide": 4 }',
+  move_slide: '{ "type": "move_slide", "slide": 4, "after": 1 } ("after": 0 moves it to the start)',
+  add_slide: '{ "type": "add_slide", "after": 3, "title": "...", "bullets": ["..."], "layout": "bullets", "imagePages": [5], "notes": "..." } (layout, imagePages and notes optional)'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * validateOutlineActions
+ * Validates the chat assistant's outline changes: { actions: [{ type, ...arguments }] } with
+ * the shapes listed in OUTLINE_ACTIONS. Slide and page numbers are checked against the outline
+ * and the document; numeric strings are accepted.
+ * @param {any} data - parsed JSON
+ * @param {{slideCount: number, pageCount?: number}} options
+ * @returns {{value: Array<object>|null, errors: string[]}}
+ */
+export function validateOutlineActions(data, { slideCount, pageCount } = {}) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.actions)) {
+    return { value: null, errors: ['Root must be a JSON object with an "actions" array.'] };
+  }
+
+  const errors = [];
+  const number = (value, path, min, max, what) => {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(n) || n < min || (max && n > max)) {
+      errors.push(`${path} must be a ${what} from ${min} to ${max || `the last ${what}`}.`);
+    }
+    return n;
+  };
+  const slide = (value, path, min = 1) => number(value, path, min, slideCount, 'slide number');
+  const page = (value, path) => number(value, path, 1, pageCount, 'page number');
+  const text = (value, path, required = true) => {
+    if (typeof value !== 'string' || (required && !value.trim())) {
+      errors.push(`${path} must be a ${required ? 'non-empty ' : ''}string.`);
+      return value;
+    }
+    return value.trim();
+  };
+  const textList = (value, path) => {
+    if (!Array.isArray(value) || value.some(b => typeof b !== 'string')) {
+      errors.push(`${path} must be an array of strings.`);
+      return value;
+    }
+    return value.map(b => b.trim()).filter(Boolean);
+  };
+
+  const actions = data.actions.map((a, i) => {
+    const path = `actions[${i}]`;
+    if (!a || typeof a !== 'object' || !OUTLINE_ACTIONS[a.type]) {
+      errors.push(`${path}.type must be one of: ${Object.keys(OUTLINE_ACTIONS).join(', ')}.`);
+      return a;
+    }
+    switch (a.type) {
+      case 'rewrite_bullets':
+        return { type: a.type, slide: slide(a.slide, `${path}.slide`), bullets: textList(a.bullets, `${path}.bullets`) };
+      case 'set_title':
+        return { type: a.type, slide: slide(a.slide, `${path}.slide`), title: text(a.title, `${path}.title`) };
+      case 'set_notes':
+        return { type: a.type, slide: slide(a.slide, `${path}.slide`), notes: text(a.notes, `${path}.notes`, false) };
+      case 'set_layout':
+        if (!SLIDE_LAYOUTS.includes(a.layout)) errors.push(`${path}.layout must be one of: ${SLIDE_LAYOUTS.join(', ')}.`);
+        return { type: a.type, slide: slide(a.slide, `${path}.slide`), layout: a.layout };
+      case 'replace_image':
+        return {
+          type: a.type,
+          slide: slide(a.slide, `${path}.slide`),
+          ...(a.page === undefined || a.page === null ? {} : { page: page(a.page, `${path}.page`) }),
+          with: page(a.with, `${path}.with`)
+        };
+      case 'merge_slides': {
+        const slides = Array.isArray(a.slides) ? a.slides.map((s, j) => slide(s, `${path}.slides[${j}]`)) : [];
+        if (slides.length < 2) errors.push(`${path}.slides must list at least two slide numbers.`);
+        return {
+          type: a.type,
+          slides: [...new Set(slides)].sort((x, y) => x - y),
+          ...(a.title === undefined || a.title === null ? {} : { title: text(a.title, `${path}.title`) })
+        };
+      }
+      case 'delete_slide':
+        return { type: a.type, slide: slide(a.slide, `${path}.slide`) };
+      case 'move_slide':
+        return { type: a.type, slide: slide(a.slide, `${path}.slide`), after: slide(a.after, `${path}.after`, 0) };
+      case 'add_slide':
+      default: {
+        const layout = a.layout === undefined || a.layout === null ? 'bullets' : a.layout;
+        if (!SLIDE_LAYOUTS.includes(layout)) errors.push(`${path}.layout must be one of: ${SLIDE_LAYOUTS.join(', ')}.`);
+        const imagePages = a.imagePages === undefined || a.imagePages === null ? [] : a.imagePages;
+        if (!Array.isArray(imagePages)) errors.push(`${path}.imagePages must be an array of page numbers.`);
+        return {
+          type: a.type,
+          after: slide(a.after, `${path}.after`, 0),
+          title: text(a.title, `${path}.title`),
+          layout,
+          bullets: a.bullets === undefined || a.bullets === null ? [] : textList(a.bullets, `${path}.bullets`),
+          imagePages: Array.isArray(imagePages) ? imagePages.map((p, j) => page(p, `${path}.imagePages[${j}]`)) : imagePages,
+          notes: a.notes === undefined || a.notes === null ? '' : text(a.notes, `${path}.notes`, false)
+        };
+      }
+    }
+  });
+
+  return { value: errors.length ? null : actions, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * validateSpeakerNotes
+ * Validates { notes } from the speaker-notes pass: the talk track for one slide.
+ * @param {any} data - parsed JSON
+ * @returns {{value: string|null, errors: string[]}} the trimmed notes
+ */
+export function validateSpeakerNotes(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Root must be a JSON object with a "notes" string.'] };
+  }
+  if (typeof data.notes !== 'string' || !data.notes.trim()) {
+    return { value: null, errors: ['"notes" must be a non-empty string.'] };
+  }
+  return { value: data.notes.trim(), errors: [] };
+}
@@ -0,0 +1,140 @@
+import { parseJsonObject, validateOutline, validatePageAnalysis } from './outlineSchema';
+
+test('parseJsonObject accepts fenced and prose-wrapped JSON', () => {
+  expect(parseJsonObject('```json\n{"a":1}\n```').value).toEqual({ a: 1 });
+  expect(parseJsonObject('Sure! {"a":2} Hope this helps').value).toEqual({ a: 2 });
+  expect(parseJsonObject('no json here').error).toMatch(/not valid JSON/);
+  expect(parseJsonObject('[1,2]').error).toMatch(/JSON object/);
+});
+
+test('validateOutline reports field-level errors', () => {
+  const { value, errors } = validateOutline({
+    slides: [
+      { title: ' Intro ', bullets: ['a', ' '], imagePages: ['2'] },
+      { title: '', bullets: 'oops', imagePages: [0, 99] }
+    ]
+  }, { pageCount: 10 });
+
+  expect(value).toBeNull();
+  expect(errors).toEqual([
+    'slides[1].title must be a non-empty string.',
+    'slides[1].bullets must be an array of strings.',
+    'slides[1].imagePages[0] must be a positive integer page number or { "page", "bbox" }.',
+    'slides[1].imagePages[1] refers to page 99, but the document has 10 pages.'
+  ]);
+});
+
+test('validateOutline normalizes a valid outline', () => {
+  const { value, errors } = validateOutline({ slides: [{ title: ' Intro ', bullets: ['a', ' '], imagePages: ['2'] }], summary: 'S' });
+  expect(errors).toEqual([]);
+  expect(value).toEqual({ slides: [{ layout: 'bullets', title: 'Intro', bullets: ['a'], imagePages: [2] }], summary: 'S' });
+  expect(validateOutline({ slides: [] }).errors).toEqual(['"slides" must contain at least one slide.']);
+});
+
+test('validatePageAnalysis requires a boolean include', () => {
+  expect(validatePageAnalysis({ include: 'true', title: 'T' }).value).toEqual({ include: true, title: 'T' });
+  expect(validatePageAnalysis({ title: 'T' }).errors).toEqual(['"include" must be true or false.']);
+});
+
+test('validateOutline checks layout-specific fields', () => {
+  const { errors } = validateOutline({
+    slides: [
+      { layout: 'section', title: 'Part 1' },
+      { layout: 'image-grid', title: 'Figures', bullets: [] },
+      { layout: 'quote', title: 'Voice of customer' },
+      { layout: 'comparison', title: 'A vs B', bullets: [], columns: [{ heading: 'A', bullets: ['x'] }] },
+      { layout: 'timeline', title: 'Nope', bullets: [] }
+    ]
+  });
+  expect(errors).toEqual([
+    'slides[1].imagePages must list at least one page for the image-grid layout.',
+    'slides[2].quote is required for the quote layout.',
+    'slides[3].columns must be an array of exactly two { heading, bullets } objects.',
+    'slides[4].layout must be one of: bullets, section, comparison, image, image-grid, quote, agenda.'
+  ]);
+});
+
+test('validatePageAnalysis normalizes extracted tables and charts', () => {
+  const { value, errors } = validatePageAnalysis({
+    include: true,
+    table: { header: ['Region', 'Q1', 'Q2'], rows: [['EU', 10, '12'], ['US', 14]] },
+    chart: { type: 'bar', categories: ['Q1', 'Q2'], series: [{ name: 'Revenue', values: ['1,200', 1500] }] }
+  });
+  expect(errors).toEqual([]);
+  expect(value.table).toEqual({ header: ['Region', 'Q1', 'Q2'], rows: [['EU', '10', '12'], ['US', '14', '']] });
+  expect(value.chart.series).toEqual([{ name: 'Revenue', values: [1200, 1500] }]);
+
+  expect(validatePageAnalysis({
+    include: true,
+    chart: { type: 'pie', categories: ['A', 'B'], series: [{ name: 'x', values: [1] }, { name: 'y', values: [1, 'n/a'] }] }
+  }).errors).toEqual([
+    '"chart.series" must contain exactly one series for a pie chart.',
+    '"chart.series[0].values" has 1 values but there are 2 categories.',
+    '"chart.series[1].values[1]" must be a number.'
+  ]);
+});
+
+test('figure bounding boxes and crop references are validated', () => {
+  const analysis = validatePageAnalysis({ include: true, figures: [{ bbox: { x: 0.1, y: 0.25, w: 0.8, h: 0.4 }, label: ' Revenue ' }] });
+  expect(analysis.value.figures).toEqual([{ bbox: { x: 0.1, y: 0.25, w: 0.8, h: 0.4 }, label: 'Revenue' }]);
+  expect(validatePageAnalysis({ include: true, figures: [{ bbox: { x: 0.5, y: 0, w: 0.8, h: 1 } }] }).errors)
+    .toEqual(['"figures[0].bbox" must lie within the page: 0 <= x, y and x + w, y + h <= 1, with w, h > 0.']);
+
+  const { value, errors } = validateOutline({
+    slides: [{ title: 'Crop', bullets: ['a'], imagePages: [2, { page: '3', bbox: { x: 0, y: 0.5, w: 1, h: 0.5 } }] }]
+  }, { pageCount: 3 });
+  expect(errors).toEqual([]);
+  expect(value.slides[0].imagePages).toEqual([2, { page: 3, bbox: { x: 0, y: 0.5, w: 1, h: 0.5 } }]);
+  expect(validateOutline({ slides: [{ title: 'Whole page', bullets: ['a'], imagePages: [{ page: '3' }] }] }, { pageCount: 3 }).value.slides[0].imagePages)
+    .toEqual([3]);
+  expect(validateOutline({ slides: [{ title: 'Bad', bullets: ['a'], imagePages: [{ page: 1, bbox: { x: 0, y: 0 } }] }] }).errors)
+    .toEqual(['slides[0].imagePages[0].bbox must be { "x", "y", "w", "h" } with numbers between 0 and 1 (fractions of the page).']);
+});
+
+test('validateOutline keeps bullet sources aligned with the bullets it keeps', () => {
+  const { value } = validateOutline({
+    slides: [{
+      title: 'T',
+      bullets: ['a', ' ', 'c'],
+      sources: [[{ page: '2', quote: ' Revenue grew ' }], [{ page: 1, quote: 'x' }], { page: 3, quote: 'y' }]
+    }]
+  }, { pageCount: 5 });
+  expect(value.slides[0].sources).toEqual([[{ page: 2, quote: 'Revenue grew' }], [{ page: 3, quote: 'y' }]]);
+
+  const { errors } = validateOutline({
+    slides: [{ title: 'T', bullets: ['a'], sources: [[{ page: 9, quote: '' }], []] }]
+  }, { pageCount: 5 });
+  expect(errors).toEqual(['slides[0].sources must be an array with one list of { "page", "quote" } per bullet.']);
+  expect(validateOutline({ slides: [{ title: 'T', bullets: ['a'], sources: [[{ page: 9, quote: '' }]] }] }, { pageCount: 5 }).errors).toEqual([
+    'slides[0].sources[0][0].page must be a page number from 1 to 5.',
+    'slides[0].sources[0][0].quote must be a non-empty string copied from that page.'
+  ]);
+});
+
+test('with pageCounts, page references may name their document', () => {
+  const { value, errors } = validateOutline({
+    slides: [{
+      title: 'Two PDFs',
+      bullets: ['a'],
+      sources: [[{ doc: 2, page: 4, quote: 'from the appendix' }]],
+      imagePages: [2, { doc: 2, page: 4 }, { doc: '2', page: 1, bbox: { x: 0, y: 0, w: 1, h: 0.5 } }, { doc: 1, page: 3 }]
+    }]
+  }, { pageCounts: [3, 4] });
+  expect(errors).toEqual([]);
+  expect(value.slides[0].imagePages).toEqual([2, { doc: 2, page: 4 }, { doc: 2, page: 1, bbox: { x: 0, y: 0, w: 1, h: 0.5 } }, 3]);
+  expect(value.slides[0].sources).toEqual([[{ doc: 2, page: 4, quote: 'from the appendix' }]]);
+
+  const firstDoc = validateOutline({
+    slides: [{ title: 'T', bullets: ['a'], imagePages: [{ doc: '1', page: 2 }, { doc: 1, page: 3, bbox: null }] }]
+  }, { pageCounts: [3, 4] });
+  expect(firstDoc.errors).toEqual([]);
+  expect(firstDoc.value.slides[0].imagePages).toEqual([2, 3]);
+  expect(validateOutline({ slides: [{ title: 'T', bullets: ['a'], imagePages: [{ doc: 1, page: 4 }] }] }, { pageCounts: [3, 4] }).errors)
+    .toEqual(['slides[0].imagePages[0] refers to page 4, but the document has 3 pages.']);
+
+  expect(validateOutline({ slides: [{ title: 'T', bullets: ['a'], imagePages: [{ doc: 3, page: 1 }, { doc: 2, page: 5 }] }] }, { pageCounts: [3, 4] }).errors)
+    .toEqual([
+      'slides[0].imagePages[0].doc must be a document number from 1 to 2.',
+      'slides[0].imagePages[1] refers to page 5, but the document has 4 pages.'
+    ]);
+});
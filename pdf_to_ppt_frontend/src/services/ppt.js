@@ -2,72 +2,64 @@
  * PPT generation utilities using pptxgenjs.
  */
 import PptxGenJS from 'pptxgenjs';
-
-/**
- * downloadBlob
- * Creates a temporary object URL and programmatically clicks an anchor to download the blob.
- * This is a robust fallback when pptx.writeFile may be blocked or unavailable in the environment.
- * @param {Blob} blob
- * @param {string} fileName
- */
-function downloadBlob(blob, fileName) {
-  const url = URL.createObjectURL(blob);
-  try {
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = fileName;
-    a.rel = 'noopener';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-  } finally {
-    // Revoke the object URL to avoid memory leaks
-    setTimeout(() => URL.revokeObjectURL(url), 1000);
-  }
-}
+import { layoutDeck, layoutImageDeck, placeImage } from './slideLayout';
+import { DEFAULT_THEME_ID, getTheme } from '../themes';
+import { downloadBlob, safeFileName } from '../utils/download';
 
 // PUBLIC_INTERFACE
 /**
  * generatePptx
  * Creates a PPTX file with one slide per selected item and triggers a download.
  * It attempts pptx.writeFile (built-in save) and falls back to a Blob download if needed.
- * @param {Array<{ imageDataUrl: string, title?: string, caption?: string }>} slides
+ * @param {Array<{ imageDataUrl: string, title?: string, caption?: string, table?: object, chart?: object }>} slides
  * @param {string} fileNameTitle
+ * @param {object} [theme] - deck theme from src/themes (defaults to Classic)
  * @returns {Promise<void>}
  */
-export async function generatePptx(slides, fileNameTitle = 'Presentation') {
+export async function generatePptx(slides, fileNameTitle = 'Presentation', theme = getTheme(DEFAULT_THEME_ID)) {
   if (!Array.isArray(slides) || slides.length === 0) {
     throw new Error('No slides provided to generatePptx.');
   }
+  // One image slide per selected page, with title and caption underneath
+  await writePptx(layoutImageDeck(slides, fileNameTitle, theme), fileNameTitle);
+}
 
-  const pptx = new PptxGenJS();
-
-  // Title slide
-  pptx.addSlide().addText(fileNameTitle, {
-    x: 0.5, y: 1.5, w: 9, h: 1,
-    fontSize: 36, bold: true, align: 'center'
-  });
-
-  for (const s of slides) {
-    const slide = pptx.addSlide();
-
-    // Image sized to fit slide with margins
-    slide.addImage({
-      data: s.imageDataUrl,
-      x: 0.5, y: 0.5, w: 9, h: 5.5,
-      sizing: { type: 'contain', w: 9, h: 5.5 }
-    });
+// PUBLIC_INTERFACE
+/**
+ * generatePptxFromOutline
+ * Creates a PPTX from a structured outline; each slide is rendered according to its `layout`.
+ * Referenced pages with an extracted table or chart become editable PowerPoint tables/charts.
+ * @param {{slides:Array<{layout?:string, title:string, bullets:string[], imagePages?:number[], notes?:string}>}} outline
+ * @param {Record<string,string>} imagesByPage - map of imageRefKey (page number or crop key) -> image dataUrl
+ * @param {string} fileNameTitle
+ * @param {object} [theme] - deck theme from src/themes (defaults to Classic)
+ * @param {Record<string,{table?:object, chart?:object}>} [visualsByPage] - map of page key (utils/documents.js pageKey) -> extracted table/chart
+ * @returns {Promise<void>}
+ */
+export async function generatePptxFromOutline(outline, imagesByPage, fileNameTitle = 'Presentation', theme = getTheme(DEFAULT_THEME_ID), visualsByPage = {}) {
+  if (!outline || !Array.isArray(outline.slides) || outline.slides.length === 0) {
+    throw new Error('Outline is empty. Nothing to generate.');
+  }
+  // Content slides use the same layout model as the in-browser preview and the other export formats
+  await writePptx(layoutDeck(outline, imagesByPage, fileNameTitle, theme, visualsByPage), fileNameTitle);
+}
 
-    // Title and caption if present
-    if (s.title) {
-      slide.addText(s.title, { x: 0.5, y: 6.2, w: 9, h: 0.5, fontSize: 20, bold: true });
-    }
-    if (s.caption) {
-      slide.addText(s.caption, { x: 0.5, y: 6.7, w: 9, h: 1, fontSize: 14, color: '666666' });
-    }
+// PUBLIC_INTERFACE
+/**
+ * writePptx
+ * Writes a laid-out deck (slideLayout layoutDeck) as a PPTX download.
+ * @param {import('./slideLayout').DeckLayout} deck
+ * @param {string} fileNameTitle
+ * @returns {Promise<void>}
+ */
+export async function writePptx(deck, fileNameTitle = 'Presentation') {
+  const pptx = new PptxGenJS();
+  defineMasters(pptx, deck.masters);
+  for (const layout of deck.slides) {
+    addLayout(pptx, layout);
   }
 
-  const fileName = `${sanitize(fileNameTitle)}.pptx`;
+  const fileName = `${safeFileName(fileNameTitle)}.pptx`;
 
   // Try built-in file save first, then fallback to Blob/manual download.
   try {
@@ -85,77 +77,118 @@ export async function generatePptx(slides, fileNameTitle = 'Presentation') {
   }
 }
 
-// PUBLIC_INTERFACE
 /**
- * generatePptxFromOutline
- * Creates a PPTX from a structured outline with titles, bullets, and optional images.
- * @param {{slides:Array<{title:string, bullets:string[], imagePages?:number[], notes?:string}>}} outline
- * @param {Record<number,string>} imagesByPage - map of pageNumber -> image dataUrl
- * @param {string} fileNameTitle
- * @returns {Promise<void>}
+ * defineMasters
+ * Registers the deck's slide masters (background, accent bar, logo, slide number).
+ * @param {PptxGenJS} pptx
+ * @param {Record<string, object>} masters - SlideMaster by name (slideLayout layoutMaster)
  */
-export async function generatePptxFromOutline(outline, imagesByPage, fileNameTitle = 'Presentation') {
-  if (!outline || !Array.isArray(outline.slides) || outline.slides.length === 0) {
-    throw new Error('Outline is empty. Nothing to generate.');
+function defineMasters(pptx, masters) {
+  for (const master of Object.values(masters)) {
+    pptx.defineSlideMaster({
+      title: master.name,
+      background: { color: master.background },
+      objects: master.elements.map(el => (el.kind === 'rect'
+        ? { rect: { x: el.x, y: el.y, w: el.w, h: el.h, fill: { color: el.fill } } }
+        : { image: { x: el.x, y: el.y, w: el.w, h: el.h, ...imageSource(el.data) } }
+      )),
+      ...(master.slideNumber ? { slideNumber: master.slideNumber } : {})
+    });
   }
+}
 
-  const pptx = new PptxGenJS();
-
-  // Title slide
-  pptx.addSlide().addText(fileNameTitle, {
-    x: 0.5, y: 1.5, w: 9, h: 1,
-    fontSize: 36, bold: true, align: 'center'
-  });
-
-  for (const s of outline.slides) {
-    const slide = pptx.addSlide();
-
-    // Title
-    if (s.title) {
-      slide.addText(s.title, { x: 0.5, y: 0.4, w: 9, h: 0.6, fontSize: 26, bold: true });
-    }
-
-    // Bullets
-    if (Array.isArray(s.bullets) && s.bullets.length) {
-      slide.addText(
-        s.bullets.map((b) => `• ${b}`).join('\n'),
-        { x: 0.7, y: 1.2, w: 5.2, h: 4.5, fontSize: 16, color: '363636' }
-      );
-    }
-
-    // Optional image: choose first referenced image page if exists
-    const imgPage = Array.isArray(s.imagePages) && s.imagePages.length ? s.imagePages[0] : null;
-    const imgData = imgPage ? imagesByPage?.[imgPage] : null;
-    if (imgData) {
-      slide.addImage({
-        data: imgData,
-        x: 6.1, y: 1.2, w: 3.2, h: 4.5,
-        sizing: { type: 'contain', w: 3.2, h: 4.5 }
+/**
+ * addLayout
+ * Adds a slide on the layout's master and emits its elements.
+ * @param {PptxGenJS} pptx
+ * @param {{master: string, elements: Array<object>, notes?: string}} layout
+ */
+function addLayout(pptx, layout) {
+  const slide = pptx.addSlide({ masterName: layout.master });
+  for (const el of layout.elements) {
+    if (el.kind === 'image') {
+      slide.addImage({ ...imageSource(el.data), ...imagePlacement(el) });
+    } else if (el.kind === 'table') {
+      slide.addTable(tableRows(el), {
+        x: el.x, y: el.y, w: el.w,
+        fontSize: el.fontSize,
+        fontFace: el.fontFace,
+        color: el.color,
+        valign: 'middle',
+        border: { type: 'solid', pt: 0.5, color: el.borderColor },
+        autoPage: false
+      });
+    } else if (el.kind === 'chart') {
+      const isPie = el.chartType === 'pie';
+      slide.addChart(pptx.ChartType[el.chartType], el.series.map(s => ({ name: s.name, labels: el.categories, values: s.values })), {
+        x: el.x, y: el.y, w: el.w, h: el.h,
+        chartColors: el.colors,
+        showTitle: Boolean(el.title),
+        title: el.title,
+        titleFontFace: el.fontFace,
+        titleFontSize: 14,
+        titleColor: el.color,
+        showLegend: isPie || el.series.length > 1,
+        legendPos: 'b',
+        legendFontFace: el.fontFace,
+        legendColor: el.color,
+        catAxisLabelFontFace: el.fontFace,
+        catAxisLabelColor: el.color,
+        valAxisLabelFontFace: el.fontFace,
+        valAxisLabelColor: el.color,
+        ...(isPie ? { showPercent: true } : {})
+      });
+    } else if (el.kind === 'rect') {
+      slide.addShape(pptx.ShapeType.rect, {
+        x: el.x, y: el.y, w: el.w, h: el.h,
+        fill: { color: el.fill },
+        line: { type: 'none' }
+      });
+    } else {
+      slide.addText(el.lines.join('\n'), {
+        x: el.x, y: el.y, w: el.w, h: el.h,
+        fontSize: el.fontSize,
+        fontFace: el.fontFace,
+        bold: el.bold,
+        italic: el.italic,
+        color: el.color,
+        align: el.align,
+        ...(el.fill ? { fill: el.fill } : {})
       });
-    }
-
-    // Optional notes
-    if (s.notes) {
-      slide.addNotes(s.notes);
     }
   }
+  if (layout.notes) {
+    slide.addNotes(layout.notes);
+  }
+}
 
-  const fileName = `${sanitize(fileNameTitle)}.pptx`;
-
-  // Try built-in file save first, then fallback to Blob/manual download.
-  try {
-    await pptx.writeFile({ fileName });
-  } catch (err) {
-    try {
-      const blob = await pptx.write('blob');
-      downloadBlob(blob, fileName);
-    } catch (inner) {
-      const details = inner?.message || inner?.toString?.() || 'Unknown error';
-      throw new Error(`Failed to generate or download PPTX from outline: ${details}`);
-    }
+/**
+ * imagePlacement
+ * pptxgenjs crops for cover/contain from the w/h it is given, so it needs the image's
+ * real aspect ratio: contain is placed at the letterboxed rectangle directly, cover
+ * passes the oversized rectangle and crops it back to the element box.
+ * @param {object} el - image element from slideLayout
+ */
+function imagePlacement(el) {
+  const placed = placeImage(el);
+  if (placed.crop) {
+    return {
+      x: placed.crop.x, y: placed.crop.y, w: placed.w, h: placed.h,
+      sizing: { type: 'cover', w: placed.crop.w, h: placed.crop.h }
+    };
   }
+  return { x: placed.x, y: placed.y, w: placed.w, h: placed.h };
+}
+
+// Header cells are bold on the accent color; body rows use the table defaults.
+function tableRows(el) {
+  const header = el.header
+    ? [el.header.map(text => ({ text, options: { bold: true, color: 'FFFFFF', fill: { color: el.headerFill } } }))]
+    : [];
+  return [...header, ...el.rows.map(row => row.map(text => ({ text })))];
 }
 
-function sanitize(name) {
-  return String(name).replace(/[^\w\-]+/g, '_');
+// pptxgenjs takes inline images as `data` and fetches URLs from `path`.
+function imageSource(src) {
+  return String(src).startsWith('data:') ? { data: src } : { path: src };
 }
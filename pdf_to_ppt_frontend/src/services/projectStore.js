@@ -0,0 +1,272 @@
+/**
+ * Local project store backed by IndexedDB, so analysis results (which cost LLM calls),
+ * outlines and chat survive reloads. Nothing leaves the browser.
+ * Three object stores keyed by project id keep the project list cheap to read:
+ * - projects: { id, name, fileName, pageCount, createdAt, updatedAt } - fileName lists every PDF's name
+ * - states: { id, pageTexts, analysis, outline, outlineHistory, chatHistory, appliedFeedbackCount, themeId, talkMinutes,
+ *   planningSettings, presetId }
+ * - files: { id, documents: [{ name, type, data: Blob }] } - the PDFs themselves, document 1 first
+ *   (utils/documents.js)
+ */
+
+const DB_NAME = 'pdf-to-ppt';
+const DB_VERSION = 1;
+const PROJECTS = 'projects';
+const STATES = 'states';
+const FILES = 'files';
+const ACTIVE_PROJECT_KEY = 'pdf-to-ppt.activeProject';
+
+let dbPromise = null;
+
+// PUBLIC_INTERFACE
+/**
+ * isProjectStoreAvailable
+ * @returns {boolean} false where IndexedDB is missing (old browsers, some private modes, tests)
+ */
+export function isProjectStoreAvailable() {
+  return typeof window !== 'undefined' && !!window.indexedDB;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * listProjects
+ * @returns {Promise<Array<{id:string, name:string, fileName:string, pageCount:number, createdAt:number, updatedAt:number}>>}
+ *   most recently updated first
+ */
+export async function listProjects() {
+  const projects = await transaction([PROJECTS], 'readonly', stores => request(stores[PROJECTS].getAll()));
+  return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * createProject
+ * Stores a new project for `files` with an empty state.
+ * @param {File[]} files - the PDFs, in document order
+ * @param {{name?: string}} [options] - defaults to the first file name without ".pdf"
+ * @returns {Promise<object>} the project metadata
+ */
+export async function createProject(files, { name } = {}) {
+  const now = Date.now();
+  const documents = files.map(storedDocument);
+  const project = {
+    id: newId(),
+    name: name || files[0].name.replace(/\.pdf$/i, '') || 'Untitled project',
+    fileName: documentNames(documents),
+    pageCount: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  await transaction([PROJECTS, STATES, FILES], 'readwrite', (stores) => {
+    stores[PROJECTS].put(project);
+    stores[STATES].put({ id: project.id });
+    stores[FILES].put({ id: project.id, documents });
+  });
+  return project;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * addProjectFiles
+ * Adds PDFs to a project after the ones it has; they become its next documents.
+ * @param {string} id
+ * @param {File[]} files
+ * @returns {Promise<object|null>} the updated project metadata, or null if the project does not exist
+ */
+export async function addProjectFiles(id, files) {
+  return transaction([PROJECTS, FILES], 'readwrite', async (stores) => {
+    const [project, stored] = await Promise.all([
+      request(stores[PROJECTS].get(id)),
+      request(stores[FILES].get(id))
+    ]);
+    if (!project) return null;
+    const documents = [...storedDocuments(stored), ...files.map(storedDocument)];
+    const updated = { ...project, fileName: documentNames(documents), updatedAt: Date.now() };
+    stores[FILES].put({ id, documents });
+    stores[PROJECTS].put(updated);
+    return updated;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * loadProject
+ * Reads a project with its saved state and PDFs. Pages that were still queued or being
+ * analyzed when the state was saved come back as cancelled, so "Retry unfinished pages" picks them up.
+ * @param {string} id
+ * @returns {Promise<{project: object, state: object, files: File[]}|null>} null when the project does not exist;
+ *   `files` are the PDFs in document order
+ */
+export async function loadProject(id) {
+  const [project, state, stored] = await transaction([PROJECTS, STATES, FILES], 'readonly', stores => Promise.all([
+    request(stores[PROJECTS].get(id)),
+    request(stores[STATES].get(id)),
+    request(stores[FILES].get(id))
+  ]));
+  if (!project) return null;
+
+  const analysis = (state?.analysis || []).map(a => (
+    a.status === 'pending' || a.status === 'running' ? { ...a, status: 'cancelled', error: null } : a
+  ));
+  const files = storedDocuments(stored).map(d => new window.File([d.data], d.name, { type: d.type }));
+  return { project, state: { ...state, analysis }, files };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * saveProjectState
+ * Saves the working state of a project, merged over the previously saved one.
+ * @param {string} id
+ * @param {{pageTexts?: Array<object>, analysis?: Array<object>, outline?: object|null,
+ *   outlineHistory?: {versions: Array<object>, index: number}|null, chatHistory?: Array<object>,
+ *   appliedFeedbackCount?: number, themeId?: string, talkMinutes?: number, planningSettings?: object,
+ *   presetId?: string}} state - outlineHistory as kept by utils/outlineHistory
+ * @returns {Promise<object|null>} the updated project metadata, or null if the project was deleted meanwhile
+ */
+export async function saveProjectState(id, state) {
+  return transaction([PROJECTS, STATES], 'readwrite', async (stores) => {
+    const [project, previous] = await Promise.all([
+      request(stores[PROJECTS].get(id)),
+      request(stores[STATES].get(id))
+    ]);
+    if (!project) return null;
+
+    const updated = { ...project, pageCount: (state.analysis || []).length || project.pageCount, updatedAt: Date.now() };
+    stores[STATES].put({ ...previous, ...state, id });
+    stores[PROJECTS].put(updated);
+    return updated;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * renameProject
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export async function renameProject(id, name) {
+  await transaction([PROJECTS], 'readwrite', async (stores) => {
+    const project = await request(stores[PROJECTS].get(id));
+    if (project) stores[PROJECTS].put({ ...project, name: name.trim() || project.name });
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * duplicateProject
+ * Copies a project (state, outline history and PDFs) under a new id and "<name> (copy)".
+ * @param {string} id
+ * @returns {Promise<object|null>} the new project's metadata
+ */
+export async function duplicateProject(id) {
+  return transaction([PROJECTS, STATES, FILES], 'readwrite', async (stores) => {
+    const [project, state, file] = await Promise.all([
+      request(stores[PROJECTS].get(id)),
+      request(stores[STATES].get(id)),
+      request(stores[FILES].get(id))
+    ]);
+    if (!project) return null;
+    const now = Date.now();
+    const copy = { ...project, id: newId(), name: `${project.name} (copy)`, createdAt: now, updatedAt: now };
+    stores[PROJECTS].put(copy);
+    stores[STATES].put({ ...state, id: copy.id });
+    if (file) stores[FILES].put({ ...file, id: copy.id });
+    return copy;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * deleteProject
+ * Removes a project, its state and its PDFs.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteProject(id) {
+  await transaction([PROJECTS, STATES, FILES], 'readwrite', (stores) => {
+    [PROJECTS, STATES, FILES].forEach(name => stores[name].delete(id));
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getActiveProjectId / setActiveProjectId
+ * The project open in this browser, restored on the next load.
+ */
+export function getActiveProjectId() {
+  try {
+    return window.localStorage.getItem(ACTIVE_PROJECT_KEY);
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function setActiveProjectId(id) {
+  try {
+    if (id) window.localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+    else window.localStorage.removeItem(ACTIVE_PROJECT_KEY);
+  } catch {
+    // Storage disabled: the project just is not reopened automatically.
+  }
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        [PROJECTS, STATES, FILES].forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs `work` with the named object stores of one transaction and resolves with its result
+// once the transaction has committed. `work` may only await requests of this transaction.
+async function transaction(names, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map(name => [name, tx.objectStore(name)]));
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('The storage transaction was aborted.'));
+    Promise.resolve(work(stores)).then((value) => { result = value; }, (err) => {
+      tx.abort();
+      reject(err);
+    });
+  });
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function storedDocument(file) {
+  return { name: file.name, type: file.type || 'application/pdf', data: file };
+}
+
+function storedDocuments(stored) {
+  return stored?.documents || [];
+}
+
+function documentNames(documents) {
+  return documents.map(d => d.name).join(', ');
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
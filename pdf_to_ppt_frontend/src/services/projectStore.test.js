@@ -0,0 +1,97 @@
+import {
+  addProjectFiles,
+  createProject,
+  deleteProject,
+  duplicateProject,
+  getActiveProjectId,
+  listProjects,
+  loadProject,
+  saveProjectState,
+  setActiveProjectId
+} from './projectStore';
+import { fakeIndexedDb } from '../testing/fakeIndexedDb';
+
+const fakeDb = fakeIndexedDb();
+const pdf = name => new window.File(['%PDF-1.4'], name, { type: 'application/pdf' });
+
+beforeEach(() => {
+  window.indexedDB = fakeDb;
+  fakeDb.stores.forEach(rows => rows.clear());
+});
+
+afterEach(() => {
+  delete window.indexedDB;
+  window.localStorage.clear();
+});
+
+test('createProject stores the PDFs and loadProject reads them back in document order', async () => {
+  const project = await createProject([pdf('Report.pdf'), pdf('Appendix.pdf')]);
+  expect(project).toMatchObject({ name: 'Report', fileName: 'Report.pdf, Appendix.pdf', pageCount: 0 });
+  expect(await listProjects()).toEqual([project]);
+
+  const { project: loaded, state, files } = await loadProject(project.id);
+  expect(loaded).toEqual(project);
+  expect(state).toEqual({ id: project.id, analysis: [] });
+  expect(files.map(f => [f.name, f.type])).toEqual([['Report.pdf', 'application/pdf'], ['Appendix.pdf', 'application/pdf']]);
+  expect(await loadProject('missing')).toBeNull();
+});
+
+test('saveProjectState merges over the saved state and updates the page count', async () => {
+  const project = await createProject([pdf('a.pdf')], { name: 'Deck' });
+  await saveProjectState(project.id, { analysis: [{ page: 1, status: 'done' }, { page: 2, status: 'done' }], themeId: 'dark' });
+  const updated = await saveProjectState(project.id, { outline: { slides: [] } });
+  expect(updated).toMatchObject({ name: 'Deck', pageCount: 2 });
+
+  const { state } = await loadProject(project.id);
+  expect(state).toMatchObject({ themeId: 'dark', outline: { slides: [] } });
+  expect(state.analysis).toHaveLength(2);
+  expect(await saveProjectState('missing', { themeId: 'dark' })).toBeNull();
+});
+
+test('loadProject reports pages that were still being analyzed as cancelled', async () => {
+  const project = await createProject([pdf('a.pdf')]);
+  await saveProjectState(project.id, {
+    analysis: [
+      { page: 1, status: 'done', error: null },
+      { page: 2, status: 'running', error: null },
+      { page: 3, status: 'pending', error: null },
+      { page: 4, status: 'error', error: 'timeout' }
+    ]
+  });
+  const { state } = await loadProject(project.id);
+  expect(state.analysis.map(a => a.status)).toEqual(['done', 'cancelled', 'cancelled', 'error']);
+  expect(state.analysis[3].error).toBe('timeout');
+});
+
+test('duplicateProject copies state and PDFs; deleteProject removes everything', async () => {
+  const project = await createProject([pdf('a.pdf')], { name: 'Deck' });
+  await saveProjectState(project.id, { themeId: 'dark' });
+  const copy = await duplicateProject(project.id);
+  expect(copy).toMatchObject({ name: 'Deck (copy)', fileName: 'a.pdf' });
+  expect(copy.id).not.toBe(project.id);
+
+  const loaded = await loadProject(copy.id);
+  expect(loaded.state).toMatchObject({ id: copy.id, themeId: 'dark' });
+  expect(loaded.files.map(f => f.name)).toEqual(['a.pdf']);
+
+  await deleteProject(project.id);
+  expect(await loadProject(project.id)).toBeNull();
+  expect((await listProjects()).map(p => p.id)).toEqual([copy.id]);
+  expect(await duplicateProject(project.id)).toBeNull();
+});
+
+test('addProjectFiles appends documents after the ones the project has', async () => {
+  const project = await createProject([pdf('a.pdf')]);
+  const updated = await addProjectFiles(project.id, [pdf('b.pdf'), pdf('c.pdf')]);
+  expect(updated.fileName).toBe('a.pdf, b.pdf, c.pdf');
+  expect((await loadProject(project.id)).files.map(f => f.name)).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+  expect(await addProjectFiles('missing', [pdf('d.pdf')])).toBeNull();
+});
+
+test('the active project id is kept in localStorage', () => {
+  expect(getActiveProjectId()).toBeNull();
+  setActiveProjectId('p1');
+  expect(getActiveProjectId()).toBe('p1');
+  setActiveProjectId(null);
+  expect(getActiveProjectId()).toBeNull();
+});
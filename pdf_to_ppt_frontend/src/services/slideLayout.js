@@ -0,0 +1,610 @@
+/**
+ * Slide layout model shared by the deck writers (services/ppt.js, handoutPdf.js,
+ * htmlSlideshow.js, odp.js) and the in-browser preview (components/SlidePreview.js).
+ * Positions are in inches on pptxgenjs' default 16:9 slide (10 x 5.625 in);
+ * font sizes are in points. Fonts and colors come from the deck theme (src/themes).
+ */
+import { DEFAULT_THEME_ID, getTheme } from '../themes';
+import { fitRect, getDataUrlImageSize } from '../utils/image';
+import { imageRefKey, imageRefPage, isWholePageRef } from '../utils/outline';
+import { formatSourceNotes } from '../utils/sources';
+
+export const SLIDE_WIDTH_IN = 10;
+export const SLIDE_HEIGHT_IN = 5.625;
+
+// Series colors after the theme accent; chosen to stay distinguishable on light and dark backgrounds.
+const CHART_COLORS = ['F59E0B', '10B981', 'EF4444', '8B5CF6', '64748B', 'EC4899'];
+
+// Rough text metrics for overflow estimates: average glyph width and line height relative to font size.
+const AVG_CHAR_WIDTH_EM = 0.5;
+const LINE_HEIGHT_EM = 1.2;
+const POINTS_PER_INCH = 72;
+
+/**
+ * @typedef {Object} TextElement
+ * @property {'text'} kind
+ * @property {'title'|'subtitle'|'bullets'|'heading'|'quote'|'caption'} role
+ * @property {string[]} lines - one entry per paragraph (bullets are already prefixed)
+ * @property {number} x @property {number} y @property {number} w @property {number} h
+ * @property {number} fontSize
+ * @property {string} [fontFace]
+ * @property {boolean} [bold]
+ * @property {boolean} [italic]
+ * @property {string} [color] - hex without '#'
+ * @property {{color: string, transparency?: number}} [fill] - background band behind the text
+ * @property {'left'|'center'|'right'} [align]
+ */
+
+/**
+ * @typedef {Object} ImageElement
+ * @property {'image'} kind
+ * @property {string} data - image data URL
+ * @property {number} page - source PDF page
+ * @property {'contain'|'cover'} [fit] - how the image fills its box (default contain)
+ * @property {number} x @property {number} y @property {number} w @property {number} h
+ */
+
+/**
+ * @typedef {Object} TableElement - native table built from the page analysis
+ * @property {'table'} kind
+ * @property {number} page - source PDF page
+ * @property {string[]} [header]
+ * @property {string[][]} rows
+ * @property {number} fontSize
+ * @property {string} fontFace
+ * @property {string} color - body text hex without '#'
+ * @property {string} headerFill - header background hex without '#'
+ * @property {string} borderColor - hex without '#'
+ * @property {number} x @property {number} y @property {number} w @property {number} h
+ */
+
+/**
+ * @typedef {Object} ChartElement - native chart built from the page analysis
+ * @property {'chart'} kind
+ * @property {number} page - source PDF page
+ * @property {'bar'|'line'|'pie'} chartType
+ * @property {string} [title]
+ * @property {string[]} categories
+ * @property {Array<{name: string, values: number[]}>} series
+ * @property {string[]} colors - one hex per series (per category for pie)
+ * @property {string} fontFace
+ * @property {string} color - label text hex without '#'
+ * @property {number} x @property {number} y @property {number} w @property {number} h
+ */
+
+/**
+ * @typedef {Object} RectElement
+ * @property {'rect'} kind
+ * @property {string} fill - hex without '#'
+ * @property {number} x @property {number} y @property {number} w @property {number} h
+ */
+
+/**
+ * @typedef {Object} SlideMaster
+ * @property {string} name - unique per theme and kind, used as the pptxgenjs master title
+ * @property {string} background - hex without '#'
+ * @property {Array<RectElement|ImageElement>} elements - decorations drawn behind slide content
+ * @property {{x:number, y:number, w:number, h:number, fontSize:number, fontFace:string, color:string}|null} slideNumber
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * layoutMaster
+ * Describes the slide master (background, accent bar, logo, slide number) for a theme.
+ * @param {object} theme - see src/themes
+ * @param {'title'|'content'} kind
+ * @returns {SlideMaster}
+ */
+export function layoutMaster(theme, kind) {
+  const isTitle = kind === 'title';
+  const elements = [];
+
+  if (theme.accentBar) {
+    elements.push(isTitle
+      ? { kind: 'rect', fill: theme.colors.accent, x: 0, y: SLIDE_HEIGHT_IN - 0.15, w: SLIDE_WIDTH_IN, h: 0.15 }
+      : { kind: 'rect', fill: theme.colors.accent, x: 0, y: 0, w: SLIDE_WIDTH_IN, h: 0.08 });
+  }
+
+  if (theme.logo) {
+    const { w, h, position } = theme.logo;
+    const margin = 0.25;
+    elements.push({
+      kind: 'image',
+      data: theme.logo.src,
+      x: position.endsWith('left') ? margin : SLIDE_WIDTH_IN - w - margin,
+      y: position.startsWith('top') ? margin : SLIDE_HEIGHT_IN - h - margin,
+      w,
+      h
+    });
+  }
+
+  // Slide numbers sit in the bottom corner the logo does not use.
+  const numberOnLeft = theme.logo?.position === 'bottom-right';
+  const slideNumber = !isTitle && theme.slideNumbers
+    ? {
+      x: numberOnLeft ? 0.25 : SLIDE_WIDTH_IN - 0.75,
+      y: SLIDE_HEIGHT_IN - 0.4,
+      w: 0.5,
+      h: 0.3,
+      fontSize: 10,
+      fontFace: theme.fonts.body,
+      color: theme.colors.muted
+    }
+    : null;
+
+  return {
+    name: `${theme.id}-${kind}`,
+    background: isTitle ? theme.titleSlide.background : theme.colors.background,
+    elements,
+    slideNumber
+  };
+}
+
+/**
+ * @typedef {Object} DeckLayout
+ * @property {string} title
+ * @property {Record<string, SlideMaster>} masters - by master name
+ * @property {Array<{master: string, elements: Array<object>, notes?: string}>} slides - title slide first
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * layoutDeck
+ * Lays out a whole deck from an outline: the title slide, then one slide per outline slide.
+ * Every export format draws this same model.
+ * @param {{slides: Array<object>}} outline
+ * @param {Record<string,string>} imagesByPage - map of imageRefKey -> image dataUrl
+ * @param {string} deckTitle
+ * @param {object} [theme] - defaults to the Classic theme
+ * @param {Record<string,{table?:object, chart?:object}>} [visualsByPage]
+ * @returns {DeckLayout}
+ */
+export function layoutDeck(outline, imagesByPage, deckTitle, theme = getTheme(DEFAULT_THEME_ID), visualsByPage = {}) {
+  const slides = (outline?.slides || []).map(s => layoutOutlineSlide(s, imagesByPage, theme, visualsByPage));
+  return { title: deckTitle, masters: deckMasters(theme), slides: [layoutTitleSlide(deckTitle, theme), ...slides] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * layoutImageDeck
+ * Lays out a deck of full-page image slides (used when there is no outline).
+ * @param {Array<object>} items - see layoutImageSlide
+ * @param {string} deckTitle
+ * @param {object} [theme] - defaults to the Classic theme
+ * @returns {DeckLayout}
+ */
+export function layoutImageDeck(items, deckTitle, theme = getTheme(DEFAULT_THEME_ID)) {
+  return { title: deckTitle, masters: deckMasters(theme), slides: [layoutTitleSlide(deckTitle, theme), ...items.map(item => layoutImageSlide(item, theme))] };
+}
+
+function deckMasters(theme) {
+  const list = [layoutMaster(theme, 'title'), layoutMaster(theme, 'content')];
+  return Object.fromEntries(list.map(m => [m.name, m]));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * layoutTitleSlide
+ * @param {string} title
+ * @param {object} [theme] - defaults to the Classic theme
+ * @returns {{master: string, elements: Array<TextElement>}}
+ */
+export function layoutTitleSlide(title, theme = getTheme(DEFAULT_THEME_ID)) {
+  return {
+    master: layoutMaster(theme, 'title').name,
+    elements: [
+      {
+        kind: 'text', role: 'title', lines: [title],
+        x: 0.5, y: 1.5, w: 9, h: 1,
+        fontSize: 36, fontFace: theme.fonts.heading, bold: true, color: theme.titleSlide.title, align: 'center'
+      }
+    ]
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * layoutOutlineSlide
+ * Lays out one outline slide according to its `layout` (see SLIDE_LAYOUTS in outlineSchema.js).
+ * The speaker notes are the slide's notes followed by its bullet sources (utils/sources formatSourceNotes).
+ * @param {{layout?:string, title?:string, subtitle?:string, bullets?:string[], columns?:Array<{heading?:string, bullets:string[]}>,
+ *   quote?:string, attribution?:string, imagePages?:number[], notes?:string, sources?:Array<Array<object>>}} slide
+ * @param {Record<string,string>} imagesByPage - map of imageRefKey (page number or crop key) -> image dataUrl
+ * @param {object} [theme] - defaults to the Classic theme
+ * @param {Record<string,{table?:object, chart?:object}>} [visualsByPage] - tables/charts extracted by the
+ *   page analysis; referenced pages that have one are drawn as native objects instead of the page image
+ * @returns {{master: string, elements: Array<TextElement|ImageElement|TableElement|ChartElement|RectElement>, notes?: string}}
+ */
+export function layoutOutlineSlide(slide, imagesByPage, theme = getTheme(DEFAULT_THEME_ID), visualsByPage = {}) {
+  const renderer = LAYOUT_RENDERERS[slide.layout] || LAYOUT_RENDERERS.bullets;
+  const elements = renderer(slide, { images: imagesByPage || {}, visuals: visualsByPage || {} }, theme);
+  const notes = [slide.notes, formatSourceNotes(slide)].filter(Boolean).join('\n\n');
+  return { master: layoutMaster(theme, 'content').name, elements, notes: notes || undefined };
+}
+
+const LAYOUT_RENDERERS = {
+  // Title on top, bullets on the left and the first referenced page (image, table or chart) on the right.
+  bullets(slide, pages, theme) {
+    const elements = slideTitle(slide, theme);
+    if (Array.isArray(slide.bullets) && slide.bullets.length) {
+      elements.push(bulletText(slide.bullets, { x: 0.7, y: 1.2, w: 5.2, h: 4.5 }, theme));
+    }
+    const ref = (slide.imagePages || []).find(r => hasPage(pages, r));
+    if (ref) {
+      elements.push(pageVisual(ref, pages, { x: 6.1, y: 1.2, w: 3.2, h: 4.5 }, theme));
+    }
+    return elements;
+  },
+
+  section(slide, pages, theme) {
+    const subtitle = slide.subtitle || (slide.bullets || [])[0];
+    const elements = [
+      { kind: 'rect', fill: theme.colors.accent, x: 4.25, y: 1.75, w: 1.5, h: 0.06 },
+      {
+        kind: 'text', role: 'title', lines: [slide.title || ''],
+        x: 0.75, y: 1.9, w: 8.5, h: 1.1,
+        fontSize: 36, fontFace: theme.fonts.heading, bold: true, color: theme.colors.title, align: 'center'
+      }
+    ];
+    if (subtitle) {
+      elements.push({
+        kind: 'text', role: 'subtitle', lines: [subtitle],
+        x: 0.75, y: 3.05, w: 8.5, h: 0.7,
+        fontSize: 18, fontFace: theme.fonts.body, color: theme.colors.muted, align: 'center'
+      });
+    }
+    return elements;
+  },
+
+  comparison(slide, pages, theme) {
+    const elements = slideTitle(slide, theme);
+    const columns = comparisonColumns(slide);
+    columns.forEach((column, i) => {
+      const x = i === 0 ? 0.5 : 5.2;
+      if (column.heading) {
+        elements.push({
+          kind: 'text', role: 'heading', lines: [column.heading],
+          x, y: 1.2, w: 4.3, h: 0.5,
+          fontSize: 20, fontFace: theme.fonts.heading, bold: true, color: theme.colors.accent
+        });
+      }
+      if (column.bullets.length) {
+        elements.push(bulletText(column.bullets, { x, y: 1.75, w: 4.3, h: 3.6 }, theme));
+      }
+    });
+    elements.push({ kind: 'rect', fill: theme.colors.muted, x: 4.97, y: 1.3, w: 0.02, h: 3.9 });
+    return elements;
+  },
+
+  // Full-bleed: the image covers the slide and the title sits on a translucent band.
+  image(slide, pages, theme) {
+    const ref = (slide.imagePages || []).find(r => pages.images[imageRefKey(r)]);
+    const elements = [];
+    if (ref) {
+      elements.push({ ...pageImage(ref, pages.images, { x: 0, y: 0, w: SLIDE_WIDTH_IN, h: SLIDE_HEIGHT_IN }), fit: 'cover' });
+    }
+    if (slide.title) {
+      elements.push({
+        kind: 'text', role: 'title', lines: [slide.title],
+        x: 0, y: SLIDE_HEIGHT_IN - 1.0, w: SLIDE_WIDTH_IN, h: 0.8,
+        fontSize: 24, fontFace: theme.fonts.heading, bold: true, color: 'FFFFFF',
+        fill: { color: '000000', transparency: 40 }
+      });
+    }
+    return elements;
+  },
+
+  'image-grid'(slide, pages, theme) {
+    const elements = slideTitle(slide, theme);
+    const shown = (slide.imagePages || []).filter(p => hasPage(pages, p));
+    gridCells(shown.length, { x: 0.5, y: 1.2, w: 9, h: 4.1 }).forEach((cell, i) => {
+      elements.push(pageVisual(shown[i], pages, cell, theme));
+    });
+    return elements;
+  },
+
+  quote(slide, pages, theme) {
+    const quote = slide.quote || (slide.bullets || [])[0] || '';
+    const attribution = slide.attribution || '';
+    const elements = [
+      {
+        kind: 'text', role: 'quote', lines: [`“${quote}”`],
+        x: 1, y: 1.0, w: 8, h: 2.8,
+        fontSize: 28, fontFace: theme.fonts.heading, italic: true, color: theme.colors.title, align: 'center'
+      }
+    ];
+    if (attribution) {
+      elements.push({
+        kind: 'text', role: 'caption', lines: [`— ${attribution}`],
+        x: 1, y: 3.9, w: 8, h: 0.5,
+        fontSize: 16, fontFace: theme.fonts.body, color: theme.colors.muted, align: 'right'
+      });
+    }
+    return elements;
+  },
+
+  agenda(slide, pages, theme) {
+    const elements = slideTitle(slide, theme);
+    const items = slide.bullets || [];
+    if (items.length) {
+      elements.push({
+        kind: 'text', role: 'bullets',
+        lines: items.map((b, i) => `${i + 1}.  ${b}`),
+        x: 0.9, y: 1.2, w: 8.2, h: 4.1,
+        fontSize: 20, fontFace: theme.fonts.body, color: theme.colors.text
+      });
+    }
+    return elements;
+  }
+};
+
+function slideTitle(slide, theme) {
+  if (!slide.title) return [];
+  return [{
+    kind: 'text', role: 'title', lines: [slide.title],
+    x: 0.5, y: 0.4, w: 9, h: 0.6,
+    fontSize: 26, fontFace: theme.fonts.heading, bold: true, color: theme.colors.title
+  }];
+}
+
+function bulletText(bullets, box, theme) {
+  return {
+    kind: 'text',
+    role: 'bullets',
+    lines: bullets.map((b) => `• ${b}`),
+    ...box,
+    fontSize: 16,
+    fontFace: theme.fonts.body,
+    color: theme.colors.text
+  };
+}
+
+function pageImage(ref, imagesByPage, box) {
+  return { kind: 'image', data: imagesByPage[imageRefKey(ref)], page: imageRefPage(ref), fit: 'contain', ...box };
+}
+
+function hasPage(pages, ref) {
+  return Boolean(pages.images[imageRefKey(ref)] || (isWholePageRef(ref) && pages.visuals[imageRefKey(ref)]));
+}
+
+// Whole-page references use the native table/chart when the analysis extracted one;
+// explicit crops and everything else use the (cropped) page image.
+function pageVisual(ref, pages, box, theme) {
+  const visual = isWholePageRef(ref) ? pages.visuals[imageRefKey(ref)] : null;
+  return visualElement(visual, ref, box, theme) || pageImage(ref, pages.images, box);
+}
+
+function visualElement(visual, page, box, theme) {
+  if (visual?.chart) {
+    const { chart } = visual;
+    const palette = [theme.colors.accent, ...CHART_COLORS];
+    const colorCount = chart.type === 'pie' ? chart.categories.length : chart.series.length;
+    return {
+      kind: 'chart', page, chartType: chart.type, title: chart.title,
+      categories: chart.categories, series: chart.series,
+      colors: Array.from({ length: colorCount }, (_, i) => palette[i % palette.length]),
+      fontFace: theme.fonts.body, color: theme.colors.text,
+      ...box
+    };
+  }
+  if (visual?.table) {
+    const { header, rows } = visual.table;
+    const rowCount = rows.length + (header ? 1 : 0);
+    // Shrink the font so every row fits the box (1.6 line height incl. cell padding), within 8-14pt.
+    const fontSize = Math.max(8, Math.min(14, Math.floor((box.h * POINTS_PER_INCH) / (rowCount * 1.6))));
+    return {
+      kind: 'table', page, header, rows, fontSize,
+      fontFace: theme.fonts.body, color: theme.colors.text,
+      headerFill: theme.colors.accent, borderColor: theme.colors.muted,
+      ...box
+    };
+  }
+  return null;
+}
+
+// Two columns from `columns`, or the bullets split in half when the slide has none.
+function comparisonColumns(slide) {
+  if (Array.isArray(slide.columns) && slide.columns.length === 2) {
+    return slide.columns.map(c => ({ heading: c?.heading || '', bullets: c?.bullets || [] }));
+  }
+  const bullets = slide.bullets || [];
+  const half = Math.ceil(bullets.length / 2);
+  return [{ heading: '', bullets: bullets.slice(0, half) }, { heading: '', bullets: bullets.slice(half) }];
+}
+
+// Splits a box into a near-square grid with `count` cells, filled row by row.
+function gridCells(count, box, gap = 0.15) {
+  if (!count) return [];
+  const cols = count <= 3 ? count : Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / cols);
+  const w = (box.w - gap * (cols - 1)) / cols;
+  const h = (box.h - gap * (rows - 1)) / rows;
+  return Array.from({ length: count }, (_, i) => ({
+    x: box.x + (i % cols) * (w + gap),
+    y: box.y + Math.floor(i / cols) * (h + gap),
+    w,
+    h
+  }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * layoutImageSlide
+ * Full-page image with title and caption underneath (used when there is no outline).
+ * A table or chart extracted by the page analysis replaces the image unless `nativeVisual` is false.
+ * @param {{imageDataUrl: string, page?: number, title?: string, caption?: string, table?: object, chart?: object, nativeVisual?: boolean}} item
+ * @param {object} [theme] - defaults to the Classic theme
+ * @returns {{master: string, elements: Array<TextElement|ImageElement|TableElement|ChartElement>}}
+ */
+export function layoutImageSlide(item, theme = getTheme(DEFAULT_THEME_ID)) {
+  const box = { x: 0.5, y: 0.3, w: 9, h: 4.1 };
+  const elements = [
+    (item.nativeVisual !== false && visualElement(item, item.page, box, theme))
+      || { kind: 'image', data: item.imageDataUrl, page: item.page, fit: 'contain', ...box }
+  ];
+  if (item.title) {
+    elements.push({
+      kind: 'text', role: 'title', lines: [item.title],
+      x: 0.5, y: 4.45, w: 9, h: 0.45,
+      fontSize: 20, fontFace: theme.fonts.heading, bold: true, color: theme.colors.title
+    });
+  }
+  if (item.caption) {
+    elements.push({
+      kind: 'text', role: 'caption', lines: [item.caption],
+      x: 0.5, y: 4.9, w: 9, h: 0.6,
+      fontSize: 14, fontFace: theme.fonts.body, color: theme.colors.muted
+    });
+  }
+  return { master: layoutMaster(theme, 'content').name, elements };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * estimateTextFit
+ * Estimates whether a text element's lines fit inside its box, assuming word wrap.
+ * This is a heuristic (no font metrics), tuned to flag clearly overflowing bullet lists.
+ * @param {TextElement} element
+ * @returns {{fits: boolean, lineCount: number, capacity: number, overflowFrom: number}}
+ *   overflowFrom is the index of the first paragraph that starts past the bottom (lines.length when it fits)
+ */
+export function estimateTextFit(element) {
+  const charsPerLine = Math.max(1, Math.floor((element.w * POINTS_PER_INCH) / (element.fontSize * AVG_CHAR_WIDTH_EM)));
+  const capacity = Math.floor((element.h * POINTS_PER_INCH) / (element.fontSize * LINE_HEIGHT_EM));
+
+  let lineCount = 0;
+  let overflowFrom = element.lines.length;
+  element.lines.forEach((line, i) => {
+    const wrapped = Math.max(1, Math.ceil(line.length / charsPerLine));
+    if (lineCount + wrapped > capacity && overflowFrom === element.lines.length) {
+      overflowFrom = i;
+    }
+    lineCount += wrapped;
+  });
+
+  return { fits: lineCount <= capacity, lineCount, capacity, overflowFrom };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * placeImage
+ * Resolves an image element to the rectangle the picture actually occupies.
+ * - contain: the fitted, letterboxed rectangle (no cropping needed)
+ * - cover: the oversized rectangle that fills the box; `crop` is the box to clip it to
+ * Falls back to the element box when the image size cannot be read (non-PNG sources).
+ * @param {ImageElement} el
+ * @returns {{x:number, y:number, w:number, h:number, crop: {x:number, y:number, w:number, h:number}|null}}
+ */
+export function placeImage(el) {
+  const size = getDataUrlImageSize(el.data);
+  const box = { x: el.x, y: el.y, w: el.w, h: el.h };
+  if (!size) return { ...box, crop: null };
+  const rect = fitRect(size, box, el.fit || 'contain');
+  return { ...rect, crop: el.fit === 'cover' ? box : null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * tableCells
+ * Cell boxes of a table element: equal column widths, rows as tall as the font needs
+ * (1.6 line height incl. padding) but never past the element box.
+ * @param {TableElement} el
+ * @returns {Array<{x:number, y:number, w:number, h:number, text:string, header:boolean}>}
+ */
+export function tableCells(el) {
+  const rows = [...(el.header ? [el.header] : []), ...el.rows];
+  const columnCount = Math.max(1, ...rows.map(r => r.length));
+  const w = el.w / columnCount;
+  const h = Math.min(el.h / Math.max(1, rows.length), (el.fontSize * 1.6) / POINTS_PER_INCH);
+  return rows.flatMap((row, r) => Array.from({ length: columnCount }, (_, c) => ({
+    x: el.x + c * w,
+    y: el.y + r * h,
+    w,
+    h,
+    text: String(row[c] ?? ''),
+    header: Boolean(el.header) && r === 0
+  })));
+}
+
+/**
+ * @typedef {Object} ChartShape - in chartShapes coordinates (100 units wide)
+ * @property {'slice'|'polyline'|'rect'|'text'} type
+ * @property {number} [cx] @property {number} [cy] @property {number} [r]
+ * @property {number} [start] @property {number} [end] - slice angles in radians, clockwise from 3 o'clock
+ * @property {Array<[number, number]>} [points]
+ * @property {number} [x] @property {number} [y] @property {number} [w] @property {number} [h]
+ * @property {string} [text] @property {number} [size]
+ * @property {string} [fill] @property {string} [stroke] - hex without '#'
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * chartShapes
+ * Simplified drawing of a chart element: the data shapes, category labels and title,
+ * without axes or gridlines. Used wherever a chart cannot be native (preview, PDF, HTML, ODP).
+ * @param {ChartElement} el
+ * @returns {{width: number, height: number, shapes: ChartShape[]}} width is 100; height keeps the element's aspect ratio
+ */
+export function chartShapes(el) {
+  const width = 100;
+  const height = (el.h / el.w) * width;
+  const top = el.title ? 10 : 3;
+  const bottom = height - 7;
+  const { categories, series, colors } = el;
+  const shapes = [];
+
+  if (el.title) shapes.push({ type: 'text', x: width / 2, y: 6, size: 4, text: el.title, fill: el.color });
+  if (el.chartType === 'pie') {
+    const values = series[0].values.map(v => Math.max(0, v));
+    const total = values.reduce((a, b) => a + b, 0) || 1;
+    const r = Math.min(width, bottom - top) / 2 - 1;
+    let angle = -Math.PI / 2;
+    values.forEach((v, i) => {
+      const start = angle;
+      angle += (v / total) * Math.PI * 2;
+      shapes.push({ type: 'slice', cx: width / 2, cy: (top + bottom) / 2, r, start, end: angle, fill: colors[i] });
+    });
+    return { width, height, shapes };
+  }
+
+  const max = Math.max(0, ...series.flatMap(s => s.values));
+  const min = Math.min(0, ...series.flatMap(s => s.values));
+  const y = v => bottom - ((v - min) / ((max - min) || 1)) * (bottom - top);
+  const slot = width / categories.length;
+  if (el.chartType === 'line') {
+    series.forEach((s, si) => {
+      shapes.push({ type: 'polyline', points: s.values.map((v, i) => [slot * (i + 0.5), y(v)]), stroke: colors[si] });
+    });
+  } else {
+    const barWidth = (slot * 0.7) / series.length;
+    series.forEach((s, si) => s.values.forEach((v, i) => {
+      shapes.push({
+        type: 'rect',
+        x: slot * i + slot * 0.15 + barWidth * si,
+        y: Math.min(y(v), y(0)),
+        w: barWidth,
+        h: Math.abs(y(v) - y(0)),
+        fill: colors[si]
+      });
+    }));
+  }
+  categories.forEach((c, i) => {
+    shapes.push({ type: 'text', x: slot * (i + 0.5), y: height - 2, size: 3, text: c, fill: el.color });
+  });
+  return { width, height, shapes };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * slicePath
+ * SVG path data of a pie slice from chartShapes; a full circle when the slice spans 360°.
+ * @param {ChartShape} slice
+ * @returns {string}
+ */
+export function slicePath({ cx, cy, r, start, end }) {
+  if (end - start >= Math.PI * 2 - 1e-9) {
+    return `M ${cx - r} ${cy} a ${r} ${r} 0 1 0 ${2 * r} 0 a ${r} ${r} 0 1 0 ${-2 * r} 0`;
+  }
+  const large = end - start > Math.PI ? 1 : 0;
+  return `M ${cx} ${cy} L ${cx + r * Math.cos(start)} ${cy + r * Math.sin(start)} A ${r} ${r} 0 ${large} 1 ${cx + r * Math.cos(end)} ${cy + r * Math.sin(end)} Z`;
+}
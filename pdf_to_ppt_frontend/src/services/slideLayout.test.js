@@ -0,0 +1,84 @@
+import { validatePageAnalysis } from './outlineSchema';
+import { estimateTextFit, layoutDeck, layoutImageSlide, layoutOutlineSlide, tableCells } from './slideLayout';
+import { getTheme } from '../themes';
+import { imageRefKey } from '../utils/outline';
+
+// 1x1 transparent PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const theme = getTheme('ocean');
+const slide = { title: 'Results', layout: 'bullets', bullets: ['Revenue grew'], imagePages: [2] };
+const kinds = layout => layout.elements.map(el => el.role || el.kind);
+
+test('layoutDeck starts with the title slide and places title, bullets and page image like the PPTX', () => {
+  const deck = layoutDeck({ slides: [slide] }, { 2: PIXEL }, 'Q3 review', theme);
+  expect(deck.title).toBe('Q3 review');
+  expect(deck.slides).toHaveLength(2);
+  expect(deck.slides[0].master).toBe('ocean-title');
+  expect(deck.slides[0].elements[0]).toMatchObject({ role: 'title', lines: ['Q3 review'] });
+
+  const [title, bullets, image] = deck.slides[1].elements;
+  expect(deck.slides[1].master).toBe('ocean-content');
+  expect(title).toMatchObject({ lines: ['Results'], x: 0.5, y: 0.4, w: 9 });
+  expect(bullets).toMatchObject({ lines: ['• Revenue grew'], x: 0.7, w: 5.2 });
+  expect(image).toMatchObject({ kind: 'image', data: PIXEL, page: 2, x: 6.1 });
+});
+
+test('estimateTextFit wraps long lines and reports the first paragraph past the bottom', () => {
+  const box = { kind: 'text', x: 0, y: 0, w: 5.2, h: 1, fontSize: 16 };
+  expect(estimateTextFit({ ...box, lines: ['• Short', '• Also short'] })).toMatchObject({ fits: true, lineCount: 2, overflowFrom: 2 });
+
+  const fit = estimateTextFit({ ...box, lines: ['• Short', `• ${'word '.repeat(30)}`, '• Last'] });
+  expect(fit.fits).toBe(false);
+  expect(fit.lineCount).toBeGreaterThan(fit.capacity);
+  expect(fit.overflowFrom).toBe(1);
+});
+
+test('a referenced page with an extracted table becomes a native table next to the bullets', () => {
+  const { value } = validatePageAnalysis({
+    include: true,
+    table: { header: ['Region', 'Q3'], rows: [['EU', 40], ['US', '60', null]] }
+  });
+  const layout = layoutOutlineSlide(slide, { 2: PIXEL }, theme, { 2: value });
+  expect(kinds(layout)).toEqual(['title', 'bullets', 'table']);
+
+  const table = layout.elements[2];
+  expect(table).toMatchObject({ page: 2, header: ['Region', 'Q3', ''], rows: [['EU', '40', ''], ['US', '60', '']], headerFill: theme.colors.accent });
+  const cells = tableCells(table);
+  expect(cells).toHaveLength(9);
+  expect(cells.filter(c => c.header).map(c => c.text)).toEqual(['Region', 'Q3', '']);
+  expect(Math.max(...cells.map(c => c.y + c.h))).toBeLessThanOrEqual(table.y + table.h + 1e-9);
+});
+
+test('a referenced page with an extracted chart becomes a native chart with its series', () => {
+  const { value } = validatePageAnalysis({
+    include: true,
+    chart: { type: 'bar', title: 'Revenue', categories: ['Q1', 'Q2'], series: [{ name: 'EU', values: ['1,200', 1400] }, { values: [900, 950] }] }
+  });
+  const layout = layoutOutlineSlide(slide, {}, theme, { 2: value });
+  expect(kinds(layout)).toEqual(['title', 'bullets', 'chart']);
+  expect(layout.elements[2]).toMatchObject({
+    chartType: 'bar',
+    title: 'Revenue',
+    categories: ['Q1', 'Q2'],
+    series: [{ name: 'EU', values: [1200, 1400] }, { name: 'Series 2', values: [900, 950] }]
+  });
+  expect(layout.elements[2].colors).toHaveLength(2);
+
+  const image = layoutImageSlide({ imageDataUrl: PIXEL, page: 2, ...value, nativeVisual: false }, theme);
+  expect(image.elements[0]).toMatchObject({ kind: 'image', data: PIXEL });
+});
+
+test('invalid table or chart data leaves the slide with its bullets and page image', () => {
+  for (const data of [{ table: { rows: [] } }, { chart: { type: 'radar', categories: ['a'], series: [{ values: ['x'] }] } }]) {
+    const { value, errors } = validatePageAnalysis({ include: true, ...data });
+    expect(value).toBeNull();
+    expect(errors.length).toBeGreaterThan(0);
+  }
+  // The page analysis is rejected, so no visual reaches the layout.
+  expect(kinds(layoutOutlineSlide(slide, { 2: PIXEL }, theme, {}))).toEqual(['title', 'bullets', 'image']);
+  expect(kinds(layoutOutlineSlide(slide, {}, theme, {}))).toEqual(['title', 'bullets']);
+  // Crops always use the page image.
+  const ref = { page: 2, bbox: { x: 0, y: 0, w: 1, h: 0.5 } };
+  expect(kinds(layoutOutlineSlide({ ...slide, imagePages: [ref] }, { [imageRefKey(ref)]: PIXEL }, theme, { 2: { table: { rows: [['a']] } } })).pop()).toBe('image');
+});
@@ -0,0 +1,39 @@
+/**
+ * Speaker script export: the speaker notes of the outline as a standalone Markdown document
+ * to rehearse from or print, with each slide's estimated speaking time and when it starts.
+ */
+import { deckTiming, formatDuration, WORDS_PER_MINUTE } from '../utils/speakingTime';
+
+// PUBLIC_INTERFACE
+/**
+ * renderSpeakerScript
+ * @param {{slides: Array<{title?: string, bullets?: string[], notes?: string}>}} outline
+ * @param {{title?: string, targetMinutes?: number}} [options]
+ * @returns {string} Markdown: one "## n. Title" section per slide with its time range, the
+ *   points on the slide and the notes
+ */
+export function renderSpeakerScript(outline, { title = 'Presentation', targetMinutes } = {}) {
+  const timing = deckTiming(outline);
+  const target = targetMinutes ? ` (target ${formatDuration(targetMinutes * 60)})` : '';
+  const lines = [
+    `# ${title}: speaker script`,
+    '',
+    `Estimated talk: ${formatDuration(timing.total)}${target}, ${outline.slides.length} slides, at ${WORDS_PER_MINUTE} words per minute.`
+  ];
+
+  let start = 0;
+  outline.slides.forEach((slide, i) => {
+    const seconds = timing.slides[i];
+    const points = (slide.bullets || []).map(b => b.trim()).filter(Boolean);
+    lines.push(
+      '',
+      `## ${i + 1}. ${(slide.title || '').trim() || 'Untitled'} (${formatDuration(start)}–${formatDuration(start + seconds)})`,
+      ''
+    );
+    if (points.length) lines.push(`On the slide: ${points.join(' · ')}`, '');
+    lines.push((slide.notes || '').trim() || '_No notes for this slide._');
+    start += seconds;
+  });
+
+  return `${lines.join('\n')}\n`;
+}
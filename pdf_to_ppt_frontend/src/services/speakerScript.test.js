@@ -0,0 +1,19 @@
+import { renderSpeakerScript } from './speakerScript';
+import { WORDS_PER_MINUTE } from '../utils/speakingTime';
+
+test('the script lists every slide with its time range, points and notes', () => {
+  const minute = Array.from({ length: WORDS_PER_MINUTE }, () => 'word').join(' ');
+  const script = renderSpeakerScript({
+    slides: [
+      { title: 'Intro', bullets: ['Why', ' '], notes: minute },
+      { title: 'Results', bullets: ['Up 12%', 'Margins'], notes: `${minute} ${minute}` },
+      { title: '', bullets: [] }
+    ]
+  }, { title: 'Q3 review', targetMinutes: 3 });
+
+  expect(script).toContain('# Q3 review: speaker script');
+  expect(script).toContain('Estimated talk: 3:00 (target 3:00), 3 slides');
+  expect(script).toContain('## 1. Intro (0:00–1:00)\n\nOn the slide: Why\n\nword word');
+  expect(script).toContain('## 2. Results (1:00–3:00)\n\nOn the slide: Up 12% · Margins');
+  expect(script).toContain('## 3. Untitled (3:00–3:00)\n\n_No notes for this slide._\n');
+});
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsPDF (the handout export) needs TextEncoder/TextDecoder, which jsdom does not provide.
+import { TextDecoder, TextEncoder } from 'util';
+
+Object.assign(window, { TextDecoder, TextEncoder });
@@ -0,0 +1,72 @@
+/**
+ * Test helper: a minimal in-memory IndexedDB for services/projectStore. Requests succeed on a
+ * later tick and a transaction completes once a tick passes with none outstanding, which is
+ * enough for the store's transaction helper.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * fakeIndexedDb
+ * @returns {{stores: Map<string, Map<string, object>>, open: () => object}} install as window.indexedDB;
+ *   `stores` holds the rows by object store name
+ */
+export function fakeIndexedDb() {
+  const stores = new Map();
+  const later = fn => window.setTimeout(fn, 0);
+
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: name => stores.set(name, new Map()),
+    transaction() {
+      let pending = 0;
+      let finished = false;
+      const settle = () => later(() => {
+        if (!finished && pending === 0) {
+          finished = true;
+          tx.oncomplete?.();
+        }
+      });
+      const request = (run) => {
+        const req = {};
+        pending += 1;
+        later(() => {
+          req.result = run();
+          pending -= 1;
+          req.onsuccess?.();
+          settle();
+        });
+        return req;
+      };
+      const tx = {
+        objectStore(name) {
+          const rows = stores.get(name);
+          return {
+            get: id => request(() => (rows.has(id) ? { ...rows.get(id) } : undefined)),
+            getAll: () => request(() => [...rows.values()].map(row => ({ ...row }))),
+            put: row => request(() => { rows.set(row.id, { ...row }); }),
+            delete: id => request(() => { rows.delete(id); })
+          };
+        },
+        abort() {
+          finished = true;
+          later(() => tx.onabort?.());
+        }
+      };
+      settle();
+      return tx;
+    }
+  };
+
+  return {
+    stores,
+    open() {
+      const req = {};
+      later(() => {
+        req.result = db;
+        if (!stores.size) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+}
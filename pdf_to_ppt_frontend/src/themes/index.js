@@ -0,0 +1,144 @@
+/**
+ * Deck theme registry.
+ * Built-in themes live next to this file as JSON. Additional (e.g. corporate)
+ * themes use the same JSON format and are registered at runtime from the URLs
+ * in REACT_APP_THEME_URLS (see config/env.js getThemeSettings), so they can be
+ * deployed without rebuilding the app.
+ *
+ * Theme JSON:
+ * {
+ *   "id": "acme", "name": "ACME Corp",
+ *   "fonts": { "heading": "Arial", "body": "Arial" },
+ *   "colors": { "background": "FFFFFF", "title": "000000", "text": "363636", "muted": "666666", "accent": "1976D2" },
+ *   "titleSlide": { "background": "FFFFFF", "title": "000000" },
+ *   "accentBar": false, "slideNumbers": false,
+ *   "logo": { "src": "/themes/acme-logo.png", "position": "bottom-right", "w": 1.2, "h": 0.4 } | null
+ * }
+ * Colors are 6-digit hex without '#'. Omitted styling fields inherit from the Classic theme.
+ */
+import { getThemeSettings } from '../config/env';
+import classic from './classic.json';
+import ocean from './ocean.json';
+import midnight from './midnight.json';
+
+export const DEFAULT_THEME_ID = classic.id;
+
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const HEX_COLOR = /^[0-9A-Fa-f]{6}$/;
+
+const registry = new Map();
+[classic, ocean, midnight].forEach(t => registry.set(t.id, t));
+
+// PUBLIC_INTERFACE
+/**
+ * validateTheme
+ * Fills defaults from the Classic theme and checks every field.
+ * @param {any} json
+ * @returns {{value: object|null, errors: string[]}}
+ */
+export function validateTheme(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    return { value: null, errors: ['Theme must be a JSON object.'] };
+  }
+
+  const errors = [];
+  const value = {
+    ...classic,
+    ...json,
+    fonts: { ...classic.fonts, ...(json.fonts || {}) },
+    colors: { ...classic.colors, ...(json.colors || {}) },
+    titleSlide: { ...classic.titleSlide, ...(json.titleSlide || {}) },
+    logo: json.logo ? { position: 'bottom-right', w: 1.2, h: 0.4, ...json.logo } : null
+  };
+
+  // id and name identify the theme, so unlike styling fields they are never inherited.
+  if (typeof json.id !== 'string' || !/^[\w-]+$/.test(json.id)) {
+    errors.push('"id" must be a non-empty string of letters, digits, "-" or "_".');
+  }
+  if (typeof json.name !== 'string' || !json.name.trim()) {
+    errors.push('"name" must be a non-empty string.');
+  }
+  for (const key of ['heading', 'body']) {
+    if (typeof value.fonts[key] !== 'string' || !value.fonts[key].trim()) {
+      errors.push(`"fonts.${key}" must be a font name.`);
+    }
+  }
+  for (const [group, colors] of [['colors', value.colors], ['titleSlide', value.titleSlide]]) {
+    for (const [key, color] of Object.entries(colors)) {
+      if (!HEX_COLOR.test(String(color))) {
+        errors.push(`"${group}.${key}" must be a 6-digit hex color without "#".`);
+      }
+    }
+  }
+  if (value.logo) {
+    if (typeof value.logo.src !== 'string' || !value.logo.src) {
+      errors.push('"logo.src" must be an image URL or data URL.');
+    }
+    if (!LOGO_POSITIONS.includes(value.logo.position)) {
+      errors.push(`"logo.position" must be one of: ${LOGO_POSITIONS.join(', ')}.`);
+    }
+    if (!(value.logo.w > 0) || !(value.logo.h > 0)) {
+      errors.push('"logo.w" and "logo.h" must be positive sizes in inches.');
+    }
+  }
+
+  return { value: errors.length ? null : value, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * registerTheme
+ * Adds or replaces a theme. Throws with the validation errors if the JSON is invalid.
+ * @param {object} json
+ * @returns {object} the normalized theme
+ */
+export function registerTheme(json) {
+  const { value, errors } = validateTheme(json);
+  if (!value) {
+    throw new Error(`Invalid theme${json?.id ? ` "${json.id}"` : ''}: ${errors.join(' ')}`);
+  }
+  registry.set(value.id, value);
+  return value;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * listThemes
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function listThemes() {
+  return [...registry.values()].map(t => ({ id: t.id, name: t.name }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getTheme
+ * @param {string} id
+ * @returns {object} the theme, or Classic when the id is unknown
+ */
+export function getTheme(id) {
+  return registry.get(id) || registry.get(DEFAULT_THEME_ID);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * loadRuntimeThemes
+ * Fetches and registers every theme JSON listed in REACT_APP_THEME_URLS.
+ * Failures are collected instead of thrown so one bad file does not hide the others.
+ * @returns {Promise<{loaded: string[], errors: string[]}>}
+ */
+export async function loadRuntimeThemes() {
+  const { themeUrls } = getThemeSettings();
+  const loaded = [];
+  const errors = [];
+  for (const url of themeUrls) {
+    try {
+      const res = await window.fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      loaded.push(registerTheme(await res.json()).id);
+    } catch (err) {
+      errors.push(`${url}: ${err.message}`);
+    }
+  }
+  return { loaded, errors };
+}
@@ -0,0 +1,63 @@
+import { DEFAULT_THEME_ID, getTheme, listThemes, loadRuntimeThemes, registerTheme, validateTheme } from './index';
+import { layoutMaster } from '../services/slideLayout';
+
+afterEach(() => {
+  delete window.__RUNTIME_CONFIG__;
+});
+
+test('built-in themes are listed and unknown ids fall back to Classic', () => {
+  expect(listThemes().map(t => t.id)).toEqual(expect.arrayContaining(['classic', 'ocean', 'midnight']));
+  expect(DEFAULT_THEME_ID).toBe('classic');
+  expect(getTheme('nope').id).toBe('classic');
+});
+
+test('validateTheme inherits styling from Classic and reports every invalid field', () => {
+  const { value } = validateTheme({ id: 'acme', name: 'ACME', colors: { accent: 'FF0000' }, logo: { src: '/logo.png' } });
+  expect(value.colors).toEqual({ ...getTheme('classic').colors, accent: 'FF0000' });
+  expect(value.fonts).toEqual(getTheme('classic').fonts);
+  expect(value.logo).toEqual({ src: '/logo.png', position: 'bottom-right', w: 1.2, h: 0.4 });
+
+  expect(validateTheme({ id: 'a b', colors: { accent: '#FF0000' }, logo: { src: '', position: 'middle', w: 0 } }).errors).toEqual([
+    '"id" must be a non-empty string of letters, digits, "-" or "_".',
+    '"name" must be a non-empty string.',
+    '"colors.accent" must be a 6-digit hex color without "#".',
+    '"logo.src" must be an image URL or data URL.',
+    '"logo.position" must be one of: top-left, top-right, bottom-left, bottom-right.',
+    '"logo.w" and "logo.h" must be positive sizes in inches.'
+  ]);
+  expect(validateTheme([]).errors).toEqual(['Theme must be a JSON object.']);
+  expect(() => registerTheme({ id: 'bad', name: 'Bad', fonts: { body: '' } })).toThrow('Invalid theme "bad": "fonts.body" must be a font name.');
+});
+
+test('slide masters place the logo and keep the slide number in the other corner', () => {
+  const theme = registerTheme({ id: 'logo-test', name: 'Logo', slideNumbers: true, logo: { src: '/logo.png', position: 'bottom-right' } });
+  const content = layoutMaster(theme, 'content');
+  expect(content.name).toBe('logo-test-content');
+  expect(content.elements).toEqual([{ kind: 'image', data: '/logo.png', x: 8.55, y: 4.975, w: 1.2, h: 0.4 }]);
+  expect(content.slideNumber).toMatchObject({ x: 0.25 });
+
+  const title = layoutMaster(getTheme('ocean'), 'title');
+  expect(title.background).toBe(getTheme('ocean').titleSlide.background);
+  expect(title.slideNumber).toBeNull();
+});
+
+test('runtime themes are fetched and registered; failures are collected', async () => {
+  window.__RUNTIME_CONFIG__ = { REACT_APP_THEME_URLS: '/themes/acme.json,/themes/missing.json,/themes/broken.json' };
+  const originalFetch = window.fetch;
+  window.fetch = jest.fn()
+    .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 'acme', name: 'ACME Corp', colors: { accent: '00AA00' } }) })
+    .mockResolvedValueOnce({ ok: false, status: 404 })
+    .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 'broken' }) });
+  try {
+    const { loaded, errors } = await loadRuntimeThemes();
+    expect(loaded).toEqual(['acme']);
+    expect(errors).toEqual([
+      '/themes/missing.json: HTTP 404',
+      '/themes/broken.json: Invalid theme "broken": "name" must be a non-empty string.'
+    ]);
+    expect(getTheme('acme').colors.accent).toBe('00AA00');
+    expect(listThemes()).toContainEqual({ id: 'acme', name: 'ACME Corp' });
+  } finally {
+    window.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,261 @@
+/**
+ * Page references for decks built from several PDFs. Every document keeps its own page
+ * numbers. Documents are numbered from 1 in the order they were added and are never
+ * renumbered. Pages of the first document are referred to by their page number alone, exactly
+ * as in single-PDF decks (and in projects saved before decks could have several documents);
+ * pages of the other documents also name their document:
+ * - outline imagePages: 3, { page: 3, bbox }, { doc: 2, page: 3 }, { doc: 2, page: 3, bbox }
+ * - bullet sources: { page: 3, quote }, { doc: 2, page: 3, quote }
+ * - pageTexts and analysis entries: { page: 3, ... }, { doc: 2, page: 3, ... }
+ *
+ * The LLM sees one running page number across all documents (createDeckNumbering), so its
+ * prompts, schemas and the mock provider stay those of a single PDF.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * pageDoc
+ * @param {number|{doc?: number, page: number}} ref - a page reference or a page record
+ * @returns {number} the document the page belongs to (1 when the reference does not say)
+ */
+export function pageDoc(ref) {
+  return ref !== null && typeof ref === 'object' && Number.isInteger(ref.doc) && ref.doc > 1 ? ref.doc : 1;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * pageNumber
+ * @param {number|{page: number}} ref
+ * @returns {number} the page number within its document
+ */
+export function pageNumber(ref) {
+  return ref !== null && typeof ref === 'object' ? ref.page : ref;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * pageKey
+ * Stable string key of a page across documents: "3" for page 3 of the first document,
+ * "2:3" for page 3 of document 2. Used to key page cards, images and extracted visuals.
+ * @param {number|{doc?: number, page: number}} ref
+ * @returns {string}
+ */
+export function pageKey(ref) {
+  const doc = pageDoc(ref);
+  return doc > 1 ? `${doc}:${pageNumber(ref)}` : String(pageNumber(ref));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * samePage
+ * @param {number|object} a
+ * @param {number|object} b
+ * @returns {boolean} whether both refer to the same page of the same document
+ */
+export function samePage(a, b) {
+  return pageKey(a) === pageKey(b);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * pageRef
+ * The whole-page reference for a page: its number in the first document, { doc, page } in the others.
+ * @param {number} doc
+ * @param {number} page
+ * @returns {number|{doc: number, page: number}}
+ */
+export function pageRef(doc, page) {
+  return doc > 1 ? { doc, page } : page;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * pageFields
+ * The fields that identify a page in a record such as a pageTexts entry or a bullet source.
+ * @param {number} doc
+ * @param {number} page
+ * @returns {{doc?: number, page: number}}
+ */
+export function pageFields(doc, page) {
+  return doc > 1 ? { doc, page } : { page };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * comparePages
+ * Sort order of pages: by document, then by page.
+ * @param {number|object} a
+ * @param {number|object} b
+ * @returns {number}
+ */
+export function comparePages(a, b) {
+  return pageDoc(a) - pageDoc(b) || pageNumber(a) - pageNumber(b);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatPageLabel
+ * Short label for source chips and speaker notes: "p. 3" in the first document, "doc 2 p. 3" elsewhere.
+ * @param {number|{doc?: number, page: number}} ref
+ * @returns {string}
+ */
+export function formatPageLabel(ref) {
+  const doc = pageDoc(ref);
+  return `${doc > 1 ? `doc ${doc} ` : ''}p. ${pageNumber(ref)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatPageRef
+ * Page reference in a sentence: "page 3" in the first document, "page 3 of document 2" elsewhere.
+ * @param {number|{doc?: number, page: number}} ref
+ * @param {Array<{doc: number, name: string}>} [documents] - names to use instead of "document N"
+ * @returns {string}
+ */
+export function formatPageRef(ref, documents = []) {
+  const doc = pageDoc(ref);
+  return `page ${pageNumber(ref)}${doc > 1 ? ` of ${documentName(doc, documents)}` : ''}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatPageList
+ * Page references as ranges per document, e.g. "1-3, 7" for a single PDF or
+ * "report.pdf 1-3, 7; appendix.pdf 2" when the pages come from several documents.
+ * @param {Array<number|{doc?: number, page: number}>} refs
+ * @param {Array<{doc: number, name: string}>} [documents] - names to use; "document N" otherwise
+ * @returns {string}
+ */
+export function formatPageList(refs, documents = []) {
+  const byDoc = new Map();
+  [...refs].sort(comparePages).forEach((ref) => {
+    const doc = pageDoc(ref);
+    if (!byDoc.has(doc)) byDoc.set(doc, []);
+    byDoc.get(doc).push(pageNumber(ref));
+  });
+  const named = byDoc.size > 1 || [...byDoc.keys()].some(doc => doc > 1);
+  return [...byDoc.entries()]
+    .map(([doc, pages]) => (named ? `${documentName(doc, documents)} ${formatRanges(pages)}` : formatRanges(pages)))
+    .join('; ');
+}
+
+// PUBLIC_INTERFACE
+/**
+ * documentName
+ * @param {number} doc
+ * @param {Array<{doc: number, name: string}>} [documents]
+ * @returns {string} the document's file name, or "document N" when it is not known
+ */
+export function documentName(doc, documents = []) {
+  return documents.find(d => d.doc === doc)?.name || `document ${doc}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * createDeckNumbering
+ * Numbers the pages of all documents one after the other, the first document's pages first,
+ * for the LLM: page 2 of a second document that follows a 10-page PDF is deck page 12. Its
+ * page labels still name the document and the page within it. With only the first document,
+ * deck page numbers are the page numbers and every conversion returns its input unchanged.
+ * @param {Array<{doc?: number, page: number}>} pages - the pages the LLM gets; a document's
+ *   page count is taken as its highest page number among them
+ * @param {Array<{doc: number, name: string}>} [documents] - names for the page labels
+ * @returns {{
+ *   multiple: boolean,
+ *   pages: Array<object>, - `pages` with deck page numbers and, with several documents, an `origin` label
+ *   toDeck: (ref: number|object) => number|undefined,
+ *   fromDeck: (n: number) => number|{doc: number, page: number},
+ *   outlineToDeck: (outline: object) => object,
+ *   outlineFromDeck: (outline: object) => object,
+ *   slideFromDeck: (slide: object) => object,
+ *   actionsFromDeck: (actions: Array<object>) => Array<object>
+ * }}
+ */
+export function createDeckNumbering(pages, documents = []) {
+  const counts = new Map();
+  pages.forEach(p => counts.set(pageDoc(p), Math.max(counts.get(pageDoc(p)) || 0, p.page)));
+  if ([...counts.keys()].every(doc => doc === 1)) return { ...SINGLE_DOCUMENT, pages };
+
+  const offsets = new Map();
+  let offset = 0;
+  [...counts.keys()].sort((a, b) => a - b).forEach((doc) => {
+    offsets.set(doc, offset);
+    offset += counts.get(doc);
+  });
+  const descending = [...offsets.entries()].sort((a, b) => b[1] - a[1]);
+
+  const toDeck = ref => (offsets.has(pageDoc(ref)) ? offsets.get(pageDoc(ref)) + pageNumber(ref) : undefined);
+  const fromDeck = (n) => {
+    const [doc, start] = descending.find(([, first]) => n > first) || [1, 0];
+    return pageRef(doc, n - start);
+  };
+
+  // imagePages entries and sources keep everything but their page. Whole-page references
+  // become plain deck page numbers; sources and crops stay objects.
+  const refToDeck = (ref) => {
+    if (ref === null || typeof ref !== 'object') return toDeck(ref);
+    return ref.bbox || ref.quote !== undefined ? { page: toDeck(ref), ...withoutPage(ref) } : toDeck(ref);
+  };
+  const refFromDeck = (ref) => {
+    if (ref === null || typeof ref !== 'object') return fromDeck(ref);
+    const target = fromDeck(ref.page);
+    return { ...pageFields(pageDoc(target), pageNumber(target)), ...withoutPage(ref) };
+  };
+  const convertSlide = (slide, convert) => ({
+    ...slide,
+    ...(Array.isArray(slide.imagePages) ? { imagePages: slide.imagePages.map(convert).filter(r => r !== undefined) } : {}),
+    ...(Array.isArray(slide.sources) ? { sources: slide.sources.map(list => (list || []).map(convert)) } : {})
+  });
+  const slideFromDeck = slide => convertSlide(slide, refFromDeck);
+
+  return {
+    multiple: true,
+    pages: pages.map((p) => {
+      const deckPage = { ...p, page: toDeck(p), origin: `${documentName(pageDoc(p), documents)}, page ${p.page}` };
+      delete deckPage.doc;
+      return deckPage;
+    }),
+    toDeck,
+    fromDeck,
+    outlineToDeck: outline => ({ ...outline, slides: outline.slides.map(s => convertSlide(s, refToDeck)) }),
+    outlineFromDeck: outline => ({ ...outline, slides: outline.slides.map(slideFromDeck) }),
+    slideFromDeck,
+    actionsFromDeck: actions => actions.map((action) => {
+      const converted = { ...action };
+      if (action.page !== undefined) converted.page = fromDeck(action.page);
+      if (action.with !== undefined) converted.with = fromDeck(action.with);
+      if (Array.isArray(action.imagePages)) converted.imagePages = action.imagePages.map(fromDeck);
+      return converted;
+    })
+  };
+}
+
+const identity = value => value;
+
+const SINGLE_DOCUMENT = {
+  multiple: false,
+  toDeck: pageNumber,
+  fromDeck: identity,
+  outlineToDeck: identity,
+  outlineFromDeck: identity,
+  slideFromDeck: identity,
+  actionsFromDeck: identity
+};
+
+function withoutPage(record) {
+  const rest = { ...record };
+  delete rest.doc;
+  delete rest.page;
+  return rest;
+}
+
+// [1, 2, 3, 7, 9, 10] -> "1-3, 7, 9-10"
+function formatRanges(pages) {
+  const ranges = [];
+  pages.forEach((page) => {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) last[1] = page;
+    else if (!last || page !== last[1]) ranges.push([page, page]);
+  });
+  return ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)).join(', ');
+}
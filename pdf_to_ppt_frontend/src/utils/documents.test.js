@@ -0,0 +1,53 @@
+import { createDeckNumbering, formatPageList, formatPageRef, pageKey, samePage } from './documents';
+
+const documents = [{ doc: 1, name: 'report.pdf' }, { doc: 2, name: 'appendix.pdf' }];
+
+test('pages of the first document keep their plain numbers', () => {
+  expect(pageKey(3)).toBe('3');
+  expect(pageKey({ page: 3, bbox: {} })).toBe('3');
+  expect(pageKey({ doc: 2, page: 3 })).toBe('2:3');
+  expect(samePage(3, { doc: 1, page: 3 })).toBe(true);
+  expect(samePage(3, { doc: 2, page: 3 })).toBe(false);
+  expect(formatPageRef({ doc: 2, page: 3 }, documents)).toBe('page 3 of appendix.pdf');
+});
+
+test('formatPageList names the documents only when there are several', () => {
+  expect(formatPageList([7, 1, 2, 3, 9, 10])).toBe('1-3, 7, 9-10');
+  expect(formatPageList([2, { doc: 2, page: 1 }, 1, { doc: 2, page: 2 }], documents)).toBe('report.pdf 1-2; appendix.pdf 1-2');
+});
+
+test('deck numbering runs through the documents and converts outlines both ways', () => {
+  const pages = [{ page: 1 }, { page: 2 }, { doc: 2, page: 1 }, { doc: 2, page: 2 }];
+  const numbering = createDeckNumbering(pages, documents);
+
+  expect(numbering.pages.map(p => [p.page, p.origin])).toEqual([
+    [1, 'report.pdf, page 1'], [2, 'report.pdf, page 2'], [3, 'appendix.pdf, page 1'], [4, 'appendix.pdf, page 2']
+  ]);
+  expect(numbering.fromDeck(4)).toEqual({ doc: 2, page: 2 });
+  expect(numbering.fromDeck(2)).toBe(2);
+
+  const outline = {
+    slides: [{
+      title: 'Mixed',
+      bullets: ['a'],
+      sources: [[{ doc: 2, page: 1, quote: 'q' }, { page: 2, quote: 'r' }]],
+      imagePages: [1, { doc: 2, page: 2 }, { doc: 2, page: 1, bbox: { x: 0, y: 0, w: 1, h: 0.5 } }]
+    }]
+  };
+  const deck = numbering.outlineToDeck(outline);
+  expect(deck.slides[0].imagePages).toEqual([1, 4, { page: 3, bbox: { x: 0, y: 0, w: 1, h: 0.5 } }]);
+  expect(deck.slides[0].sources).toEqual([[{ page: 3, quote: 'q' }, { page: 2, quote: 'r' }]]);
+  expect(numbering.outlineFromDeck(deck)).toEqual(outline);
+  expect(numbering.actionsFromDeck([{ type: 'replace_image', slide: 1, page: 3, with: 1 }]))
+    .toEqual([{ type: 'replace_image', slide: 1, page: { doc: 2, page: 1 }, with: 1 }]);
+});
+
+test('a single document needs no conversion', () => {
+  const pages = [{ page: 1 }, { page: 2 }];
+  const numbering = createDeckNumbering(pages);
+  const outline = { slides: [{ title: 'A', bullets: [], imagePages: [2] }] };
+
+  expect(numbering.multiple).toBe(false);
+  expect(numbering.pages).toBe(pages);
+  expect(numbering.outlineToDeck(outline)).toBe(outline);
+});
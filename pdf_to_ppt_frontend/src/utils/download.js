@@ -0,0 +1,34 @@
+// PUBLIC_INTERFACE
+/**
+ * downloadBlob
+ * Creates a temporary object URL and programmatically clicks an anchor to download the blob.
+ * This is a robust fallback when pptx.writeFile may be blocked or unavailable in the environment.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = window.URL.createObjectURL(blob);
+  try {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.rel = 'noopener';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  } finally {
+    // Revoke the object URL to avoid memory leaks
+    window.setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * safeFileName
+ * Replaces characters that are not letters, digits, "_" or "-" with "_".
+ * @param {string} name
+ * @returns {string}
+ */
+export function safeFileName(name) {
+  return String(name).replace(/[^\w-]+/g, '_');
+}
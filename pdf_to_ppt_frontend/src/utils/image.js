@@ -0,0 +1,52 @@
+/**
+ * Small image helpers that work on data URLs without touching the DOM,
+ * so they can run in layout code shared by the preview and the PPTX writer.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * getDataUrlImageSize
+ * Reads the pixel size of a PNG data URL from its IHDR header.
+ * @param {string} dataUrl
+ * @returns {{width: number, height: number}|null} null for non-PNG or unparsable input
+ */
+export function getDataUrlImageSize(dataUrl) {
+  const match = /^data:image\/png;base64,/.exec(String(dataUrl || ''));
+  if (!match) return null;
+  try {
+    // 8-byte signature + IHDR length/type (8) + width (4) + height (4) = 24 bytes = 32 base64 chars
+    const head = window.atob(dataUrl.slice(match[0].length, match[0].length + 32));
+    const readUint32 = (offset) => (
+      ((head.charCodeAt(offset) << 24) >>> 0) +
+      (head.charCodeAt(offset + 1) << 16) +
+      (head.charCodeAt(offset + 2) << 8) +
+      head.charCodeAt(offset + 3)
+    );
+    if (head.slice(12, 16) !== 'IHDR') return null;
+    const width = readUint32(16);
+    const height = readUint32(20);
+    return width > 0 && height > 0 ? { width, height } : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * fitRect
+ * Computes where an image of the given size lands inside a box.
+ * - contain: the whole image is visible, centered, letterboxed
+ * - cover: the box is filled, overflow is cropped equally on both sides
+ * @param {{width: number, height: number}} size - intrinsic image size
+ * @param {{x: number, y: number, w: number, h: number}} box
+ * @param {'contain'|'cover'} fit
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function fitRect(size, box, fit = 'contain') {
+  const scaleW = box.w / size.width;
+  const scaleH = box.h / size.height;
+  const scale = fit === 'cover' ? Math.max(scaleW, scaleH) : Math.min(scaleW, scaleH);
+  const w = size.width * scale;
+  const h = size.height * scale;
+  return { x: box.x + (box.w - w) / 2, y: box.y + (box.h - h) / 2, w, h };
+}
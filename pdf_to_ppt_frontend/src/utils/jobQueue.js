@@ -0,0 +1,103 @@
+/**
+ * Small async job helpers: a bounded-concurrency queue and retry with exponential
+ * backoff. Both honor an AbortSignal so long runs can be cancelled cleanly.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * runJobQueue
+ * Runs `worker` over `items` with at most `concurrency` jobs in flight. A failing job
+ * never stops the others; every item gets a result in input order.
+ * Once `signal` aborts, jobs that have not started are reported as cancelled, and
+ * running jobs are expected to reject with an AbortError (e.g. from fetch).
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @param {{concurrency?: number, signal?: AbortSignal,
+ *   onStart?: (item: T, index: number) => void,
+ *   onSettled?: (result: {status: 'done'|'error'|'cancelled', value?: R, error?: any}, item: T, index: number) => void}} [options]
+ * @returns {Promise<Array<{status: 'done'|'error'|'cancelled', value?: R, error?: any}>>}
+ */
+export async function runJobQueue(items, worker, { concurrency = 3, signal, onStart, onSettled } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const settle = (index, result) => {
+    results[index] = result;
+    if (onSettled) onSettled(result, items[index], index);
+  };
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      if (signal?.aborted) {
+        settle(index, { status: 'cancelled' });
+        continue;
+      }
+      if (onStart) onStart(items[index], index);
+      try {
+        settle(index, { status: 'done', value: await worker(items[index], index) });
+      } catch (error) {
+        settle(index, signal?.aborted || error?.name === 'AbortError' ? { status: 'cancelled', error } : { status: 'error', error });
+      }
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * retryWithBackoff
+ * Calls `fn` until it resolves, `shouldRetry` rejects the error, or `retries` retries
+ * are used up. Waits baseDelayMs * 2^attempt (with jitter, capped at maxDelayMs)
+ * between attempts, or the error's `retryAfterMs` when the server sent one.
+ * @template R
+ * @param {(attempt: number) => Promise<R>} fn - attempt starts at 0
+ * @param {{retries?: number, baseDelayMs?: number, maxDelayMs?: number, signal?: AbortSignal,
+ *   shouldRetry?: (error: any) => boolean,
+ *   onRetry?: (error: any, attempt: number, delayMs: number) => void,
+ *   sleep?: (ms: number, signal?: AbortSignal) => Promise<void>}} [options]
+ * @returns {Promise<R>}
+ */
+export async function retryWithBackoff(fn, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  signal,
+  shouldRetry = () => true,
+  onRetry,
+  sleep = abortableSleep
+} = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) throw error;
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delayMs = Math.min(maxDelayMs, error?.retryAfterMs ?? backoff);
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      window.clearTimeout(timer);
+      reject(new window.DOMException('The wait was aborted.', 'AbortError'));
+    };
+    const timer = window.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
@@ -0,0 +1,46 @@
+import { retryWithBackoff, runJobQueue } from './jobQueue';
+
+test('runJobQueue limits concurrency and keeps failures per item', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await runJobQueue([1, 2, 3, 4, 5], async (n) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await Promise.resolve();
+    running -= 1;
+    if (n === 3) throw new Error('boom');
+    return n * 10;
+  }, { concurrency: 2 });
+
+  expect(peak).toBe(2);
+  expect(results.map(r => r.status)).toEqual(['done', 'done', 'error', 'done', 'done']);
+  expect(results[4].value).toBe(50);
+  expect(results[2].error.message).toBe('boom');
+});
+
+test('runJobQueue reports unstarted jobs as cancelled after abort', async () => {
+  const controller = new window.AbortController();
+  const results = await runJobQueue([1, 2, 3], async (n) => {
+    if (n === 1) controller.abort();
+    return n;
+  }, { concurrency: 1, signal: controller.signal });
+  expect(results.map(r => r.status)).toEqual(['done', 'cancelled', 'cancelled']);
+});
+
+test('retryWithBackoff retries retryable errors with growing delays', async () => {
+  const sleep = jest.fn().mockResolvedValue();
+  const fn = jest.fn()
+    .mockRejectedValueOnce(Object.assign(new Error('429'), { status: 429 }))
+    .mockRejectedValueOnce(Object.assign(new Error('503'), { status: 503, retryAfterMs: 5000 }))
+    .mockResolvedValueOnce('ok');
+
+  await expect(retryWithBackoff(fn, { retries: 3, baseDelayMs: 100, sleep })).resolves.toBe('ok');
+  expect(fn).toHaveBeenCalledTimes(3);
+  expect(sleep.mock.calls[0][0]).toBeGreaterThanOrEqual(50);
+  expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(100);
+  expect(sleep.mock.calls[1][0]).toBe(5000);
+
+  const fatal = jest.fn().mockRejectedValue(Object.assign(new Error('400'), { status: 400 }));
+  await expect(retryWithBackoff(fatal, { shouldRetry: e => e.status >= 500, sleep })).rejects.toThrow('400');
+  expect(fatal).toHaveBeenCalledTimes(1);
+});
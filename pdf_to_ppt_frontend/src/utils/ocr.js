@@ -0,0 +1,79 @@
+import { getOcrSettings } from '../config/env';
+
+/**
+ * In-browser OCR for scanned pages, using tesseract.js. The engine (worker script and WASM core)
+ * and the English language data are served from public/tesseract/ (copied by scripts/copy-workers.js)
+ * and only loaded once a page actually needs OCR. Other languages come from REACT_APP_OCR_LANG_PATH.
+ */
+const ENGINE_PATH = `${process.env.PUBLIC_URL || ''}/tesseract`;
+const LANG_PATH = `${ENGINE_PATH}/lang`;
+
+// PUBLIC_INTERFACE
+/**
+ * needsOcr
+ * True when a page's text layer is empty or too sparse to be the page's real content,
+ * as in scanned documents.
+ * @param {string} text - text extracted from the PDF text layer
+ * @param {number} [minTextChars] - minimum non-whitespace characters (default from getOcrSettings)
+ * @returns {boolean}
+ */
+export function needsOcr(text, minTextChars = getOcrSettings().minTextChars) {
+  return (text || '').replace(/\s+/g, '').length < minTextChars;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * ocrPageText
+ * Page text from an OCR result, marked as OCR-derived with its confidence for the planner
+ * (see openaiClient ocr_confidence). OCR has no layout blocks.
+ * @param {{doc?: number, page: number}} ref
+ * @param {{text: string, confidence: number}} result - from createOcrEngine recognize()
+ * @param {number} maxChars - truncate the text to this many characters
+ * @returns {{doc?: number, page: number, text: string, blocks: Array, textSource: 'ocr', ocrConfidence: number}}
+ */
+export function ocrPageText(ref, { text, confidence }, maxChars) {
+  return { ...ref, text: text.slice(0, maxChars), blocks: [], textSource: 'ocr', ocrConfidence: confidence };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * createOcrEngine
+ * Lazily starts one tesseract.js worker; recognition runs there, off the UI thread, one image
+ * at a time. Call terminate() when done to free the worker and its WASM memory.
+ * @param {{language?: string, langPath?: string}} [options] - defaults from getOcrSettings()
+ * @returns {{
+ *   recognize: (image: string) => Promise<{text: string, confidence: number}>,
+ *   terminate: () => Promise<void>
+ * }} confidence is tesseract's mean word confidence scaled to 0-1
+ */
+export function createOcrEngine({ language = 'eng', langPath = LANG_PATH } = getOcrSettings()) {
+  let worker = null;
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = import('tesseract.js').then(({ createWorker }) => createWorker(language, undefined, {
+        workerPath: `${ENGINE_PATH}/worker.min.js`,
+        corePath: ENGINE_PATH,
+        langPath
+      }));
+    }
+    return worker;
+  };
+
+  return {
+    async recognize(image) {
+      const { data } = await (await getWorker()).recognize(image);
+      return {
+        text: (data.text || '').replace(/\s+/g, ' ').trim(),
+        confidence: Math.round(data.confidence) / 100
+      };
+    },
+
+    async terminate() {
+      if (!worker) return;
+      const pending = worker;
+      worker = null;
+      await (await pending).terminate();
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import { createWorker } from 'tesseract.js';
+import { createOcrEngine, needsOcr, ocrPageText } from './ocr';
+
+jest.mock('tesseract.js', () => ({ createWorker: jest.fn() }));
+
+test('needsOcr flags empty and near-empty text layers only', () => {
+  expect(needsOcr('', 20)).toBe(true);
+  expect(needsOcr('  \n 12  ', 20)).toBe(true);
+  expect(needsOcr('Scanned by ACME Copier 3000', 20)).toBe(false);
+  expect(needsOcr('Quarterly revenue grew 12% on subscription sales.', 20)).toBe(false);
+  expect(needsOcr('anything', 0)).toBe(false);
+});
+
+test('createOcrEngine reads scans with the bundled engine and English data, marking pages as OCR text', async () => {
+  const worker = {
+    recognize: jest.fn().mockResolvedValue({ data: { text: 'Quarterly\n  revenue grew\n', confidence: 87.4 } }),
+    terminate: jest.fn().mockResolvedValue()
+  };
+  createWorker.mockResolvedValue(worker);
+
+  const engine = createOcrEngine({ language: 'eng' });
+  expect(createWorker).not.toHaveBeenCalled();
+  const first = await engine.recognize('data:image/png;base64,AAA');
+  await engine.recognize('data:image/png;base64,BBB');
+  expect(createWorker).toHaveBeenCalledTimes(1);
+  expect(createWorker).toHaveBeenCalledWith('eng', undefined, {
+    workerPath: '/tesseract/worker.min.js',
+    corePath: '/tesseract',
+    langPath: '/tesseract/lang'
+  });
+  expect(first).toEqual({ text: 'Quarterly revenue grew', confidence: 0.87 });
+  expect(ocrPageText({ doc: 2, page: 3 }, first, 9)).toEqual({
+    doc: 2, page: 3, text: 'Quarterly', blocks: [], textSource: 'ocr', ocrConfidence: 0.87
+  });
+
+  await engine.terminate();
+  await engine.terminate();
+  expect(worker.terminate).toHaveBeenCalledTimes(1);
+});
+
+test('a configured language path replaces the bundled data', async () => {
+  createWorker.mockResolvedValue({ recognize: async () => ({ data: { text: '', confidence: 0 } }) });
+  await createOcrEngine({ language: 'eng+deu', langPath: '/ocr-data' }).recognize('data:image/png;base64,AAA');
+  expect(createWorker.mock.calls[0][0]).toBe('eng+deu');
+  expect(createWorker.mock.calls[0][2].langPath).toBe('/ocr-data');
+});
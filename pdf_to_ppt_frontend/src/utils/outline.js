@@ -0,0 +1,342 @@
+/**
+ * Pure helpers for editing a slide outline ({ slides: [...], summary? }).
+ * Every function returns a new outline and never mutates its input, so React
+ * state updates stay predictable.
+ */
+import { comparePages, pageKey, samePage } from './documents';
+
+// PUBLIC_INTERFACE
+/**
+ * createEmptySlide
+ * @param {string} [title]
+ * @returns {{layout: string, title: string, bullets: string[], imagePages: number[], notes: string}}
+ */
+export function createEmptySlide(title = 'New slide') {
+  return { layout: 'bullets', title, bullets: [''], imagePages: [], notes: '' };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * updateSlide
+ * Shallow-merges `patch` into the slide at `index`.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ * @param {object} patch
+ */
+export function updateSlide(outline, index, patch) {
+  return withSlides(outline, outline.slides.map((s, i) => (i === index ? { ...s, ...patch } : s)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * moveSlide
+ * Moves the slide at `from` so it ends up at position `to`.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} from
+ * @param {number} to
+ */
+export function moveSlide(outline, from, to) {
+  const count = outline.slides.length;
+  if (from === to || from < 0 || from >= count || to < 0 || to >= count) return outline;
+  const slides = [...outline.slides];
+  const [moved] = slides.splice(from, 1);
+  slides.splice(to, 0, moved);
+  return withSlides(outline, slides);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * insertSlide
+ * Inserts `slide` (default: an empty slide) at `index`.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ * @param {object} [slide]
+ */
+export function insertSlide(outline, index, slide = createEmptySlide()) {
+  const slides = [...outline.slides];
+  slides.splice(Math.max(0, Math.min(index, slides.length)), 0, slide);
+  return withSlides(outline, slides);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * deleteSlide
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ */
+export function deleteSlide(outline, index) {
+  return withSlides(outline, outline.slides.filter((_, i) => i !== index));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * splitSlide
+ * Splits a slide's bullets into two consecutive slides. The second slide gets
+ * the bullets from `at` onward (default: the second half), their sources and a "(cont.)" title.
+ * Images stay on the first slide; notes are kept on both.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ * @param {number} [at]
+ */
+export function splitSlide(outline, index, at) {
+  const slide = outline.slides[index];
+  const bullets = slide?.bullets || [];
+  if (!slide || bullets.length < 2) return outline;
+  const cut = at ?? Math.ceil(bullets.length / 2);
+  if (cut <= 0 || cut >= bullets.length) return outline;
+
+  const sources = alignedSources(slide);
+  const first = { ...slide, bullets: bullets.slice(0, cut), ...(sources ? { sources: sources.slice(0, cut) } : {}) };
+  const second = {
+    ...slide,
+    title: `${slide.title || 'Untitled'} (cont.)`,
+    bullets: bullets.slice(cut),
+    ...(sources ? { sources: sources.slice(cut) } : {}),
+    imagePages: []
+  };
+  const slides = [...outline.slides];
+  slides.splice(index, 1, first, second);
+  return withSlides(outline, slides);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * mergeWithNext
+ * Merges the slide at `index` with the one after it: bullets (and their sources) are
+ * concatenated, image pages are unioned and notes are joined. The first slide's title wins.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ */
+export function mergeWithNext(outline, index) {
+  const a = outline.slides[index];
+  const b = outline.slides[index + 1];
+  if (!a || !b) return outline;
+
+  const merged = {
+    ...b,
+    ...a,
+    bullets: [...(a.bullets || []), ...(b.bullets || [])],
+    ...(a.sources || b.sources ? { sources: [...alignedSources(a, true), ...alignedSources(b, true)] } : {}),
+    imagePages: uniqueImageRefs([...(a.imagePages || []), ...(b.imagePages || [])]),
+    notes: [a.notes, b.notes].filter(Boolean).join('\n\n')
+  };
+  const slides = [...outline.slides];
+  slides.splice(index, 2, merged);
+  return withSlides(outline, slides);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * addBullet
+ * Appends an empty bullet (with no sources) to the slide at `index`.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ */
+export function addBullet(outline, index) {
+  const slide = outline.slides[index];
+  if (!slide) return outline;
+  const sources = alignedSources(slide);
+  return updateSlide(outline, index, { bullets: [...(slide.bullets || []), ''], ...(sources ? { sources: [...sources, []] } : {}) });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * removeBullet
+ * Removes bullet `bulletIndex` and its sources from the slide at `index`.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ * @param {number} bulletIndex
+ */
+export function removeBullet(outline, index, bulletIndex) {
+  const slide = outline.slides[index];
+  if (!slide) return outline;
+  const sources = alignedSources(slide);
+  return updateSlide(outline, index, {
+    bullets: (slide.bullets || []).filter((_, i) => i !== bulletIndex),
+    ...(sources ? { sources: sources.filter((_, i) => i !== bulletIndex) } : {})
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * toggleImagePage
+ * Adds or removes the whole-page reference `ref` (a page number, or { doc, page } for a page
+ * of another document, see utils/documents.js) from a slide's imagePages, keeping them sorted
+ * by document and page. Explicit crops are left alone.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ * @param {number|{doc: number, page: number}} ref
+ */
+export function toggleImagePage(outline, index, ref) {
+  const current = outline.slides[index]?.imagePages || [];
+  const isRef = r => isWholePageRef(r) && samePage(r, ref);
+  const imagePages = current.some(isRef)
+    ? current.filter(r => !isRef(r))
+    : [...current, ref].sort(comparePages);
+  return updateSlide(outline, index, { imagePages });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * isWholePageRef
+ * @param {number|object} ref - an imagePages entry
+ * @returns {boolean} true for a whole page (shown with its crop from the app, if any), false for an explicit crop
+ */
+export function isWholePageRef(ref) {
+  return typeof ref !== 'object' || ref === null || !ref.bbox;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * imageRefPage
+ * @param {number|{doc?:number, page:number, bbox?:object}} ref - an imagePages entry
+ * @returns {number} the page the reference points to, within its document
+ */
+export function imageRefPage(ref) {
+  return typeof ref === 'object' && ref !== null ? ref.page : ref;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * imageRefKey
+ * Stable string key for an imagePages entry: "3" for a page, "3@0.1,0.2,0.5,0.4" for a crop,
+ * "2:3" and "2:3@0.1,0.2,0.5,0.4" for the same in document 2.
+ * Used to look images up in imagesByPage, which holds both.
+ * @param {number|{doc?:number, page:number, bbox?:{x:number, y:number, w:number, h:number}}} ref
+ * @returns {string}
+ */
+export function imageRefKey(ref) {
+  if (isWholePageRef(ref)) return pageKey(ref);
+  const { x, y, w, h } = ref.bbox;
+  return `${pageKey(ref)}@${x},${y},${w},${h}`;
+}
+
+function uniqueImageRefs(refs) {
+  const seen = new Set();
+  return refs.filter((ref) => {
+    const key = imageRefKey(ref);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * setSlideLayout
+ * Switches a slide's layout. Switching to "comparison" without columns seeds
+ * them from the bullets (split in half) so no content is lost; the bullets are
+ * left in place and still used if the slide is switched back.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ * @param {string} layout - one of SLIDE_LAYOUTS (services/outlineSchema.js)
+ */
+export function setSlideLayout(outline, index, layout) {
+  const slide = outline.slides[index];
+  if (!slide) return outline;
+  const patch = { layout };
+  if (layout === 'comparison' && !(Array.isArray(slide.columns) && slide.columns.length === 2)) {
+    const bullets = slide.bullets || [];
+    const half = Math.ceil(bullets.length / 2);
+    patch.columns = [
+      { heading: '', bullets: bullets.slice(0, half) },
+      { heading: '', bullets: bullets.slice(half) }
+    ];
+  }
+  return updateSlide(outline, index, patch);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * togglePinned
+ * Pins or unpins a slide. Whole-deck refinement leaves pinned slides exactly as they are
+ * (see keepPinnedSlides); manual edits and per-slide rewrites still apply.
+ * @param {{slides: Array<object>}} outline
+ * @param {number} index
+ */
+export function togglePinned(outline, index) {
+  const slide = outline.slides[index];
+  if (!slide) return outline;
+  const { pinned, ...rest } = slide;
+  return withSlides(outline, outline.slides.map((s, i) => (i === index ? (pinned ? rest : { ...rest, pinned: true }) : s)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * keepPinnedSlides
+ * Makes sure a refined outline keeps the pinned slides of `before` unchanged: `after` may hold
+ * them (the same objects) anywhere, once; any it dropped go back at their old index. Slides
+ * that are not one of them lose any `pinned` flag, since only the user pins slides.
+ * @param {{slides: Array<object>}} before
+ * @param {{slides: Array<object>}} after
+ * @returns {{slides: Array<object>}}
+ */
+export function keepPinnedSlides(before, after) {
+  const pinned = before.slides.filter(s => s.pinned);
+  const seen = new Set();
+  const slides = after.slides
+    .filter((s) => {
+      if (!pinned.includes(s)) return true;
+      if (seen.has(s)) return false;
+      seen.add(s);
+      return true;
+    })
+    .map((s) => {
+      if (seen.has(s) || !s.pinned) return s;
+      const unpinned = { ...s };
+      delete unpinned.pinned;
+      return unpinned;
+    });
+  before.slides.forEach((s, index) => {
+    if (s.pinned && !seen.has(s)) slides.splice(Math.min(index, slides.length), 0, s);
+  });
+  return withSlides(after, slides);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * slideSourcePages
+ * Pages a slide is built from: the pages its bullets cite and its image pages.
+ * Page numbers only, so call it on a single-document or deck-numbered outline (utils/documents.js).
+ * @param {object} slide
+ * @returns {number[]} sorted page numbers
+ */
+export function slideSourcePages(slide) {
+  const cited = (slide.sources || []).flat().map(source => source?.page);
+  const images = (slide.imagePages || []).map(imageRefPage);
+  return [...new Set([...cited, ...images].filter(Number.isInteger))].sort((a, b) => a - b);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * cleanOutline
+ * Drops empty bullets (with their sources, and including comparison column bullets) and trims text, e.g. before rendering a PPTX from an edited outline.
+ * @param {{slides: Array<object>}} outline
+ */
+export function cleanOutline(outline) {
+  return withSlides(outline, outline.slides.map(s => ({
+    ...s,
+    title: (s.title || '').trim(),
+    bullets: cleanBullets(s.bullets),
+    ...(s.sources ? { sources: alignedSources(s).filter((_, i) => (s.bullets[i] || '').trim()) } : {}),
+    ...(Array.isArray(s.columns)
+      ? { columns: s.columns.map(c => ({ heading: (c.heading || '').trim(), bullets: cleanBullets(c.bullets) })) }
+      : {}),
+    notes: (s.notes || '').trim()
+  })));
+}
+
+function cleanBullets(bullets) {
+  return (bullets || []).map(b => b.trim()).filter(Boolean);
+}
+
+// slide.sources has one list of { page, quote } per bullet; pads or trims it to the bullets.
+// Returns null for slides without sources unless `always` is set.
+function alignedSources(slide, always = false) {
+  if (!slide.sources && !always) return null;
+  return (slide.bullets || []).map((_, i) => (slide.sources || [])[i] || []);
+}
+
+function withSlides(outline, slides) {
+  return { ...outline, slides };
+}
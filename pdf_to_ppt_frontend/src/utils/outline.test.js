@@ -0,0 +1,117 @@
+import {
+  addBullet,
+  cleanOutline,
+  deleteSlide,
+  imageRefKey,
+  insertSlide,
+  keepPinnedSlides,
+  mergeWithNext,
+  moveSlide,
+  removeBullet,
+  setSlideLayout,
+  slideSourcePages,
+  splitSlide,
+  toggleImagePage,
+  togglePinned
+} from './outline';
+
+const outline = {
+  summary: 'S',
+  slides: [
+    { title: 'A', bullets: ['a1', 'a2', 'a3'], imagePages: [2], notes: 'na' },
+    { title: 'B', bullets: ['b1'], imagePages: [2, 5], notes: 'nb' },
+    { title: 'C', bullets: [], imagePages: [] }
+  ]
+};
+
+const titles = o => o.slides.map(s => s.title);
+
+test('moveSlide, insertSlide and deleteSlide reorder without mutating', () => {
+  expect(titles(moveSlide(outline, 0, 2))).toEqual(['B', 'C', 'A']);
+  expect(titles(insertSlide(outline, 1))).toEqual(['A', 'New slide', 'B', 'C']);
+  expect(titles(deleteSlide(outline, 1))).toEqual(['A', 'C']);
+  expect(moveSlide(outline, 0, 5)).toBe(outline);
+  expect(titles(outline)).toEqual(['A', 'B', 'C']);
+});
+
+test('splitSlide moves the second half of the bullets to a continuation slide', () => {
+  const split = splitSlide(outline, 0);
+  expect(split.slides[0]).toMatchObject({ title: 'A', bullets: ['a1', 'a2'], imagePages: [2] });
+  expect(split.slides[1]).toMatchObject({ title: 'A (cont.)', bullets: ['a3'], imagePages: [] });
+  expect(splitSlide(outline, 1)).toBe(outline);
+});
+
+test('mergeWithNext concatenates bullets and unions images', () => {
+  const merged = mergeWithNext(outline, 0);
+  expect(merged.summary).toBe('S');
+  expect(merged.slides).toHaveLength(2);
+  expect(merged.slides[0]).toEqual({ title: 'A', bullets: ['a1', 'a2', 'a3', 'b1'], imagePages: [2, 5], notes: 'na\n\nnb' });
+});
+
+test('toggleImagePage and cleanOutline', () => {
+  expect(toggleImagePage(outline, 2, 3).slides[2].imagePages).toEqual([3]);
+  expect(toggleImagePage(outline, 1, 2).slides[1].imagePages).toEqual([5]);
+  const cleaned = cleanOutline({ slides: [{ title: ' T ', bullets: [' x ', ''], notes: undefined }] });
+  expect(cleaned.slides[0]).toEqual({ title: 'T', bullets: ['x'], notes: '' });
+});
+
+test('setSlideLayout seeds comparison columns from the bullets', () => {
+  const comparison = setSlideLayout(outline, 0, 'comparison');
+  expect(comparison.slides[0].layout).toBe('comparison');
+  expect(comparison.slides[0].columns).toEqual([
+    { heading: '', bullets: ['a1', 'a2'] },
+    { heading: '', bullets: ['a3'] }
+  ]);
+  expect(comparison.slides[0].bullets).toEqual(['a1', 'a2', 'a3']);
+  expect(setSlideLayout(outline, 1, 'quote').slides[1]).not.toHaveProperty('columns');
+});
+
+test('crop references merge by key and keep their place when pages are toggled', () => {
+  const crop = { page: 4, bbox: { x: 0, y: 0.5, w: 1, h: 0.5 } };
+  const withCrops = {
+    slides: [
+      { title: 'A', bullets: [], imagePages: [crop] },
+      { title: 'B', bullets: [], imagePages: [{ ...crop }, 4] }
+    ]
+  };
+  expect(imageRefKey(crop)).toBe('4@0,0.5,1,0.5');
+  expect(mergeWithNext(withCrops, 0).slides[0].imagePages).toEqual([crop, 4]);
+  expect(toggleImagePage(withCrops, 0, 2).slides[0].imagePages).toEqual([2, crop]);
+});
+
+test('bullet sources stay aligned through split, merge, bullet edits and cleanup', () => {
+  const cited = {
+    slides: [
+      { title: 'A', bullets: ['a1', '', 'a3'], sources: [[{ page: 1, quote: 'q1' }], [], [{ page: 2, quote: 'q3' }]] },
+      { title: 'B', bullets: ['b1'] }
+    ]
+  };
+  const src = o => o.slides.map(s => (s.sources || []).map(list => list.map(x => x.quote).join()));
+
+  expect(src(splitSlide(cited, 0, 2))).toEqual([['q1', ''], ['q3'], []]);
+  expect(src(mergeWithNext(cited, 0))).toEqual([['q1', '', 'q3', '']]);
+  expect(src(removeBullet(cited, 0, 0))).toEqual([['', 'q3'], []]);
+  expect(src(addBullet(cited, 0))).toEqual([['q1', '', 'q3', ''], []]);
+  expect(addBullet(cited, 1).slides[1]).toEqual({ title: 'B', bullets: ['b1', ''] });
+  expect(src(cleanOutline(cited))).toEqual([['q1', 'q3'], []]);
+});
+
+test('pinned slides survive a refinement that drops, repeats or imitates them', () => {
+  const pinned = togglePinned(outline, 1);
+  expect(pinned.slides[1].pinned).toBe(true);
+  expect(togglePinned(pinned, 1).slides[1]).not.toHaveProperty('pinned');
+
+  const kept = keepPinnedSlides(pinned, { slides: [{ title: 'A2' }, { title: 'Fake', pinned: true }] });
+  expect(kept.slides.map(s => s.title)).toEqual(['A2', 'B', 'Fake']);
+  expect(kept.slides[1]).toBe(pinned.slides[1]);
+  expect(kept.slides[2]).not.toHaveProperty('pinned');
+
+  const once = keepPinnedSlides(pinned, { slides: [pinned.slides[1], { title: 'X' }, pinned.slides[1]] });
+  expect(once.slides.map(s => s.title)).toEqual(['B', 'X']);
+});
+
+test('slideSourcePages lists cited and image pages once', () => {
+  const slide = { sources: [[{ page: 4, quote: 'q' }], [], [{ page: 2, quote: 'r' }]], imagePages: [4, { page: 7, bbox: { x: 0, y: 0, w: 1, h: 1 } }] };
+  expect(slideSourcePages(slide)).toEqual([2, 4, 7]);
+  expect(slideSourcePages({ title: 'Empty' })).toEqual([]);
+});
@@ -0,0 +1,163 @@
+/**
+ * Applies the chat assistant's outline actions (services/outlineSchema.js OUTLINE_ACTIONS)
+ * to an outline. Like utils/outline.js, nothing is mutated and a new outline is returned.
+ *
+ * Slide numbers in every action refer to the outline the assistant was shown, not to the
+ * outline after the earlier actions of the same reply: "merge 2 and 3, then delete 5"
+ * deletes the slide that was fifth, even though it is fourth by then.
+ *
+ * Page references in actions ("page", "with", "imagePages") are page references of the app
+ * (utils/documents.js): the LLM client converts the model's deck page numbers back first.
+ */
+import { formatPageRef, samePage } from './documents';
+import { createEmptySlide, imageRefKey, mergeWithNext, setSlideLayout } from './outline';
+
+// PUBLIC_INTERFACE
+/**
+ * applyOutlineActions
+ * Applies the validated actions in order. An action that no longer applies (e.g. it names a
+ * slide an earlier action deleted) is skipped with an error instead of failing the rest.
+ * @param {{slides: Array<object>}} outline
+ * @param {Array<object>} actions - validateOutlineActions output
+ * @returns {{outline: {slides: Array<object>}, applied: string[], errors: string[]}}
+ *   applied/errors hold one description per action, see describeOutlineAction
+ */
+export function applyOutlineActions(outline, actions) {
+  // Each working slide remembers which original slide numbers it stands for.
+  let entries = outline.slides.map((slide, i) => ({ slide, numbers: [i + 1] }));
+  const applied = [];
+  const errors = [];
+
+  const find = (n) => {
+    const index = entries.findIndex(e => e.numbers.includes(n));
+    if (index === -1) throw new Error(`slide ${n} was removed by an earlier change`);
+    return index;
+  };
+  const update = (n, patch) => {
+    const index = find(n);
+    entries = entries.map((e, i) => (i === index ? { ...e, slide: { ...e.slide, ...patch(e.slide) } } : e));
+  };
+
+  for (const action of actions) {
+    try {
+      switch (action.type) {
+        case 'rewrite_bullets':
+          update(action.slide, slide => rewrittenBullets(slide, action.bullets));
+          break;
+        case 'set_title':
+          update(action.slide, () => ({ title: action.title }));
+          break;
+        case 'set_notes':
+          update(action.slide, () => ({ notes: action.notes }));
+          break;
+        case 'set_layout':
+          update(action.slide, slide => setSlideLayout({ slides: [slide] }, 0, action.layout).slides[0]);
+          break;
+        case 'replace_image':
+          update(action.slide, slide => ({ imagePages: replacedImages(slide, action) }));
+          break;
+        case 'merge_slides': {
+          const indexes = action.slides.map(find).sort((a, b) => a - b);
+          const first = indexes[0];
+          if (new Set(indexes).size !== indexes.length || indexes.some((index, k) => index !== first + k)) {
+            throw new Error(`slides ${action.slides.join(', ')} are not next to each other`);
+          }
+          let merged = { slides: entries.slice(first, first + indexes.length).map(e => e.slide) };
+          while (merged.slides.length > 1) merged = mergeWithNext(merged, 0);
+          const slide = action.title ? { ...merged.slides[0], title: action.title } : merged.slides[0];
+          const numbers = entries.slice(first, first + indexes.length).flatMap(e => e.numbers);
+          entries = [...entries.slice(0, first), { slide, numbers }, ...entries.slice(first + indexes.length)];
+          break;
+        }
+        case 'delete_slide': {
+          const index = find(action.slide);
+          entries = entries.filter((_, i) => i !== index);
+          break;
+        }
+        case 'move_slide': {
+          if (action.after === action.slide) throw new Error(`slide ${action.slide} cannot move after itself`);
+          const moved = entries[find(action.slide)];
+          entries = entries.filter(e => e !== moved);
+          const at = action.after === 0 ? 0 : find(action.after) + 1;
+          entries = [...entries.slice(0, at), moved, ...entries.slice(at)];
+          break;
+        }
+        case 'add_slide': {
+          const at = action.after === 0 ? 0 : find(action.after) + 1;
+          const slide = {
+            ...createEmptySlide(action.title),
+            layout: action.layout,
+            bullets: action.bullets,
+            imagePages: action.imagePages,
+            notes: action.notes
+          };
+          entries = [...entries.slice(0, at), { slide, numbers: [] }, ...entries.slice(at)];
+          break;
+        }
+        default:
+          throw new Error(`unknown action "${action.type}"`);
+      }
+      applied.push(describeOutlineAction(action));
+    } catch (err) {
+      errors.push(`${describeOutlineAction(action)}: ${err.message}.`);
+    }
+  }
+
+  return { outline: { ...outline, slides: entries.map(e => e.slide) }, applied, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * describeOutlineAction
+ * One-line description of an action for the chat, e.g. "Merged slides 2–3".
+ * @param {object} action
+ * @returns {string}
+ */
+export function describeOutlineAction(action) {
+  switch (action.type) {
+    case 'rewrite_bullets':
+      return `Rewrote the bullets of slide ${action.slide}`;
+    case 'set_title':
+      return `Renamed slide ${action.slide} to "${action.title}"`;
+    case 'set_notes':
+      return `Updated the speaker notes of slide ${action.slide}`;
+    case 'set_layout':
+      return `Changed slide ${action.slide} to the ${action.layout} layout`;
+    case 'replace_image':
+      return action.page
+        ? `Replaced the ${formatPageRef(action.page)} image on slide ${action.slide} with ${formatPageRef(action.with)}`
+        : `Made ${formatPageRef(action.with)} the image of slide ${action.slide}`;
+    case 'merge_slides':
+      return `Merged slides ${formatRange(action.slides)}`;
+    case 'delete_slide':
+      return `Deleted slide ${action.slide}`;
+    case 'move_slide':
+      return action.after === 0 ? `Moved slide ${action.slide} to the start` : `Moved slide ${action.slide} after slide ${action.after}`;
+    case 'add_slide':
+      return `Added "${action.title}" ${action.after === 0 ? 'at the start' : `after slide ${action.after}`}`;
+    default:
+      return `Unknown change "${action.type}"`;
+  }
+}
+
+// Bullets kept word for word keep their sources; new wording has none until it is cited.
+function rewrittenBullets(slide, bullets) {
+  if (!slide.sources) return { bullets };
+  const byText = new Map((slide.bullets || []).map((b, i) => [b, slide.sources[i] || []]));
+  return { bullets, sources: bullets.map(b => byText.get(b) || []) };
+}
+
+function replacedImages(slide, action) {
+  const current = slide.imagePages || [];
+  if (!action.page) return [action.with];
+  if (!current.some(ref => samePage(ref, action.page))) {
+    throw new Error(`slide ${action.slide} has no image from ${formatPageRef(action.page)}`);
+  }
+  const replaced = current.map(ref => (samePage(ref, action.page) ? action.with : ref));
+  return replaced.filter((ref, i) => replaced.findIndex(r => imageRefKey(r) === imageRefKey(ref)) === i);
+}
+
+// [2, 3] -> "2–3", [2, 3, 4] -> "2–4"; merged slides are always consecutive.
+function formatRange(numbers) {
+  return numbers.length > 1 ? `${numbers[0]}–${numbers[numbers.length - 1]}` : String(numbers[0]);
+}
@@ -0,0 +1,56 @@
+import { applyOutlineActions } from './outlineActions';
+
+const slide = (title, extra = {}) => ({ layout: 'bullets', title, bullets: [`${title} point`], imagePages: [], notes: '', ...extra });
+const outline = {
+  summary: 'Deck',
+  slides: [
+    slide('Intro'),
+    slide('Revenue', { sources: [[{ page: 2, quote: 'Revenue point' }]], imagePages: [2, { page: 3, bbox: { x: 0, y: 0, w: 0.5, h: 0.5 } }] }),
+    slide('Costs', { imagePages: [4] }),
+    slide('Risks'),
+    slide('Outlook')
+  ]
+};
+
+test('actions refer to the slide numbers the assistant was shown', () => {
+  const { outline: next, applied, errors } = applyOutlineActions(outline, [
+    { type: 'merge_slides', slides: [2, 3], title: 'Revenue and costs' },
+    { type: 'delete_slide', slide: 5 },
+    { type: 'move_slide', slide: 4, after: 0 },
+    { type: 'add_slide', after: 3, title: 'Summary', layout: 'bullets', bullets: ['Wrap up'], imagePages: [], notes: '' }
+  ]);
+
+  expect(errors).toEqual([]);
+  expect(applied).toEqual(['Merged slides 2–3', 'Deleted slide 5', 'Moved slide 4 to the start', 'Added "Summary" after slide 3']);
+  expect(next.summary).toBe('Deck');
+  expect(next.slides.map(s => s.title)).toEqual(['Risks', 'Intro', 'Revenue and costs', 'Summary']);
+  expect(next.slides[2]).toMatchObject({
+    bullets: ['Revenue point', 'Costs point'],
+    sources: [[{ page: 2, quote: 'Revenue point' }], []],
+    imagePages: [2, { page: 3, bbox: { x: 0, y: 0, w: 0.5, h: 0.5 } }, 4]
+  });
+  expect(outline.slides).toHaveLength(5);
+});
+
+test('rewrites, images and layouts; stale references are reported and skipped', () => {
+  const { outline: next, applied, errors } = applyOutlineActions(outline, [
+    { type: 'rewrite_bullets', slide: 2, bullets: ['New claim', 'Revenue point'] },
+    { type: 'replace_image', slide: 2, page: 3, with: 7 },
+    { type: 'set_layout', slide: 1, layout: 'comparison' },
+    { type: 'delete_slide', slide: 4 },
+    { type: 'set_title', slide: 4, title: 'Gone' },
+    { type: 'replace_image', slide: 3, page: 9, with: 1 }
+  ]);
+
+  expect(applied).toHaveLength(4);
+  expect(errors).toEqual([
+    'Renamed slide 4 to "Gone": slide 4 was removed by an earlier change.',
+    'Replaced the page 9 image on slide 3 with page 1: slide 3 has no image from page 9.'
+  ]);
+  expect(next.slides[1]).toMatchObject({
+    bullets: ['New claim', 'Revenue point'],
+    sources: [[], [{ page: 2, quote: 'Revenue point' }]],
+    imagePages: [2, 7]
+  });
+  expect(next.slides[0].columns).toEqual([{ heading: '', bullets: ['Intro point'] }, { heading: '', bullets: [] }]);
+});
@@ -0,0 +1,224 @@
+/**
+ * Outline version history: a linear timeline of outlines with undo/redo, plus a
+ * slide-level diff between any two versions. Like utils/outline.js, every function
+ * returns new objects and never mutates its input.
+ *
+ * History shape: { versions: [{ id, outline, source, label?, at }], index }
+ * where `index` points at the current version. `source` records who made the change:
+ * - 'plan': LLM planning from the analyzed pages
+ * - 'refine': LLM refinement from chat feedback
+ * - 'edit': manual edit in the outline editor
+ * - 'restore': an earlier version restored by the user
+ * - 'import': an outline file imported by the user (services/outlineFormats)
+ * - 'chat': changes the chat assistant applied (utils/outlineActions)
+ * - 'rewrite': one slide rewritten by the LLM from the outline editor
+ * - 'notes': speaker notes written for every slide by the speaker-notes pass
+ */
+
+// Manual edits closer together than this are one version, so typing a bullet is one undo step.
+const EDIT_COALESCE_MS = 1500;
+const MAX_VERSIONS = 50;
+
+// PUBLIC_INTERFACE
+/**
+ * OUTLINE_CHANGE_SOURCES
+ * Display names of the version sources.
+ */
+export const OUTLINE_CHANGE_SOURCES = {
+  plan: 'LLM planning',
+  refine: 'LLM refinement',
+  edit: 'Manual edit',
+  restore: 'Restored',
+  import: 'Imported file',
+  chat: 'Chat assistant',
+  rewrite: 'Slide rewrite',
+  notes: 'Speaker notes'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * recordVersion
+ * Makes `outline` the current version. Versions after the current one (the redo branch)
+ * are dropped. Consecutive manual edits within a short time replace each other instead of
+ * piling up, and only the newest MAX_VERSIONS versions are kept.
+ * @param {{versions: Array<object>, index: number}|null} history - null starts a new history
+ * @param {object} outline
+ * @param {{source: 'plan'|'refine'|'edit'|'restore'|'import'|'chat'|'rewrite'|'notes', label?: string, at?: number}} change
+ * @returns {{versions: Array<object>, index: number}}
+ */
+export function recordVersion(history, outline, { source, label, at = Date.now() }) {
+  const kept = history ? history.versions.slice(0, history.index + 1) : [];
+  const last = kept[kept.length - 1];
+  if (last && last.outline === outline) return history;
+
+  const version = { id: last ? last.id + 1 : 1, outline, source, ...(label ? { label } : {}), at };
+  // Right after an undo the current version is one the user went back to on purpose: keep it.
+  const atLatest = history && history.index === history.versions.length - 1;
+  if (atLatest && source === 'edit' && last.source === 'edit' && at - last.at < EDIT_COALESCE_MS) {
+    kept[kept.length - 1] = { ...version, id: last.id };
+  } else {
+    kept.push(version);
+  }
+  const versions = kept.slice(-MAX_VERSIONS);
+  return { versions, index: versions.length - 1 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * undo / redo
+ * Move the current version one step back or forward; unchanged at either end.
+ * @param {{versions: Array<object>, index: number}} history
+ */
+export function undo(history) {
+  return history && history.index > 0 ? { ...history, index: history.index - 1 } : history;
+}
+
+// PUBLIC_INTERFACE
+export function redo(history) {
+  return history && history.index < history.versions.length - 1 ? { ...history, index: history.index + 1 } : history;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * restoreVersion
+ * Makes a copy of version `index` the newest version, so the restore itself can be undone
+ * and nothing later in the timeline is lost.
+ * @param {{versions: Array<object>, index: number}} history
+ * @param {number} index
+ */
+export function restoreVersion(history, index) {
+  const version = history?.versions[index];
+  if (!version || index === history.index) return history;
+  const latest = { ...history, index: history.versions.length - 1 };
+  return recordVersion(latest, version.outline, { source: 'restore', label: `version ${version.id}` });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * currentOutline
+ * @param {{versions: Array<object>, index: number}|null} history
+ * @returns {object|null}
+ */
+export function currentOutline(history) {
+  return history ? history.versions[history.index].outline : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * diffOutlines
+ * Slide-level diff from `before` to `after`. Slides are matched in order by title (falling
+ * back to position for renamed slides), and bullets within matched slides line by line:
+ * a removed bullet directly followed by an added one is reported as changed.
+ * @param {{slides: Array<object>}|null} before
+ * @param {{slides: Array<object>}|null} after
+ * @returns {Array<{status: 'added'|'removed'|'changed'|'unchanged', title: string, previousTitle?: string,
+ *   bullets: Array<{status: 'added'|'removed'|'changed'|'unchanged', text: string, previous?: string}>,
+ *   fields: string[]}>} one entry per slide in `after` order, with removed slides where they used to be;
+ *   `fields` lists other changed fields (title, layout, notes, imagePages, sources, ...)
+ */
+export function diffOutlines(before, after) {
+  const a = before?.slides || [];
+  const b = after?.slides || [];
+  const pairs = alignSlides(a, b);
+
+  return pairs.map(([x, y]) => {
+    if (!x) return { status: 'added', title: y.title || '', bullets: bulletsOnly(y, 'added'), fields: [] };
+    if (!y) return { status: 'removed', title: x.title || '', bullets: bulletsOnly(x, 'removed'), fields: [] };
+
+    const bullets = diffLines(x.bullets || [], y.bullets || []);
+    const fields = Object.keys({ ...x, ...y })
+      .filter(key => key !== 'bullets' && JSON.stringify(x[key] ?? null) !== JSON.stringify(y[key] ?? null));
+    const changed = fields.length > 0 || bullets.some(l => l.status !== 'unchanged');
+    return {
+      status: changed ? 'changed' : 'unchanged',
+      title: y.title || '',
+      ...(x.title !== y.title ? { previousTitle: x.title || '' } : {}),
+      bullets,
+      fields
+    };
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * summarizeDiff
+ * One-line summary of diffOutlines output, e.g. "3 slides: 1 added, 2 changed".
+ * @param {Array<{status: string}>} diff
+ * @returns {string}
+ */
+export function summarizeDiff(diff) {
+  const count = status => diff.filter(d => d.status === status).length;
+  const parts = [
+    [count('added'), 'added'],
+    [count('removed'), 'removed'],
+    [count('changed'), 'changed']
+  ].filter(([n]) => n > 0).map(([n, what]) => `${n} ${what}`);
+  if (!parts.length) return 'No changes';
+  const total = diff.filter(d => d.status !== 'unchanged').length;
+  return `${total === 1 ? '1 slide' : `${total} slides`}: ${parts.join(', ')}`;
+}
+
+// Pairs slides of `a` and `b` ([x, y], [x, null] for removed, [null, y] for added) in `b` order.
+// Titles are matched with a longest common subsequence; unmatched slides between two matches
+// are paired by position, which treats a renamed slide as changed rather than removed + added.
+function alignSlides(a, b) {
+  const key = s => String(s?.title || '').trim().toLowerCase();
+  const matches = lcs(a.map(key), b.map(key));
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  for (const [mi, mj] of [...matches, [a.length, b.length]]) {
+    while (i < mi && j < mj) pairs.push([a[i++], b[j++]]);
+    while (i < mi) pairs.push([a[i++], null]);
+    while (j < mj) pairs.push([null, b[j++]]);
+    if (mi < a.length) pairs.push([a[i++], b[j++]]);
+  }
+  return pairs;
+}
+
+function diffLines(a, b) {
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  for (const [mi, mj] of [...lcs(a, b), [a.length, b.length]]) {
+    const removed = a.slice(i, mi);
+    const added = b.slice(j, mj);
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k += 1) lines.push({ status: 'changed', text: added[k], previous: removed[k] });
+    removed.slice(paired).forEach(text => lines.push({ status: 'removed', text }));
+    added.slice(paired).forEach(text => lines.push({ status: 'added', text }));
+    if (mi < a.length) lines.push({ status: 'unchanged', text: b[mj] });
+    i = mi + 1;
+    j = mj + 1;
+  }
+  return lines;
+}
+
+function bulletsOnly(slide, status) {
+  return (slide.bullets || []).map(text => ({ status, text }));
+}
+
+// Index pairs [i, j] of a longest common subsequence of a and b (compared with ===), in order.
+function lcs(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return pairs;
+}
@@ -0,0 +1,61 @@
+import { currentOutline, diffOutlines, recordVersion, redo, restoreVersion, summarizeDiff, undo } from './outlineHistory';
+
+const v1 = { slides: [{ title: 'A', bullets: ['a1', 'a2'] }, { title: 'B', bullets: ['b1'] }] };
+const v2 = { slides: [{ title: 'A', bullets: ['a1', 'a2 reworded', 'a3'] }, { title: 'C', bullets: ['c1'] }] };
+const v3 = { slides: [{ title: 'A', bullets: ['a1'] }] };
+
+test('recordVersion, undo and redo move through the timeline and drop the redo branch', () => {
+  let history = recordVersion(null, v1, { source: 'plan', at: 0 });
+  history = recordVersion(history, v2, { source: 'refine', label: 'shorter', at: 10000 });
+  expect(history.versions.map(v => [v.id, v.source])).toEqual([[1, 'plan'], [2, 'refine']]);
+
+  history = undo(history);
+  expect(currentOutline(history)).toBe(v1);
+  expect(undo(history)).toBe(history);
+  expect(currentOutline(redo(history))).toBe(v2);
+
+  history = recordVersion(history, v3, { source: 'edit', at: 20000 });
+  expect(history.versions.map(v => v.id)).toEqual([1, 2]);
+  expect(currentOutline(history)).toBe(v3);
+  expect(redo(history)).toBe(history);
+});
+
+test('quick consecutive manual edits are one version', () => {
+  let history = recordVersion(null, v1, { source: 'plan', at: 0 });
+  history = recordVersion(history, v2, { source: 'edit', at: 5000 });
+  history = recordVersion(history, v3, { source: 'edit', at: 5500 });
+  expect(history.versions).toHaveLength(2);
+  expect(currentOutline(history)).toBe(v3);
+  history = recordVersion(history, v1, { source: 'edit', at: 9000 });
+  expect(history.versions).toHaveLength(3);
+});
+
+test('restoreVersion appends a copy of an earlier version', () => {
+  let history = recordVersion(null, v1, { source: 'plan', at: 0 });
+  history = recordVersion(history, v2, { source: 'refine', at: 1 });
+  history = restoreVersion(history, 0);
+  expect(history.versions).toHaveLength(3);
+  expect(history.versions[2]).toMatchObject({ source: 'restore', label: 'version 1' });
+  expect(currentOutline(history)).toBe(v1);
+  expect(currentOutline(undo(history))).toBe(v2);
+});
+
+test('diffOutlines reports added, removed and changed slides and bullets', () => {
+  const diff = diffOutlines(v1, v2);
+  expect(diff.map(d => [d.status, d.title])).toEqual([['changed', 'A'], ['changed', 'C']]);
+  expect(diff[0].bullets).toEqual([
+    { status: 'unchanged', text: 'a1' },
+    { status: 'changed', text: 'a2 reworded', previous: 'a2' },
+    { status: 'added', text: 'a3' }
+  ]);
+  expect(diff[1]).toMatchObject({ previousTitle: 'B', fields: ['title'] });
+
+  const moved = diffOutlines(v1, { slides: [{ title: 'New', bullets: [] }, ...v1.slides.slice(1)] });
+  expect(moved.map(d => d.status)).toEqual(['changed', 'unchanged']);
+
+  const shrunk = diffOutlines(v2, { slides: [v2.slides[1]] });
+  expect(shrunk.map(d => [d.status, d.title])).toEqual([['removed', 'A'], ['unchanged', 'C']]);
+  expect(summarizeDiff(shrunk)).toBe('1 slide: 1 removed');
+  expect(summarizeDiff(diffOutlines(null, v1))).toBe('2 slides: 2 added');
+  expect(summarizeDiff(diffOutlines(v1, v1))).toBe('No changes');
+});
@@ -1,70 +1,157 @@
-import { GlobalWorkerOptions, getDocument } from 'pdfjs-dist';
+import { GlobalWorkerOptions, getDocument, version } from 'pdfjs-dist';
+import { blocksToMarkdown, extractTextBlocks } from './textLayout';
 
 /**
- * Configure pdf.js worker via CDN to avoid bundler worker issues in CRA.
- * If you pin a different pdfjs-dist version, update the URL below accordingly.
+ * The pdf.js worker ships with the app: scripts/copy-workers.js copies it from the installed
+ * pdfjs-dist into public/ before start/build, so it always matches the library version. The
+ * version query keeps browsers from reusing a cached worker after an upgrade.
  */
-GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+const WORKER_SRC = `${process.env.PUBLIC_URL || ''}/pdf.worker.min.js?v=${version}`;
+GlobalWorkerOptions.workerSrc = WORKER_SRC;
+
+let workerSetup = null;
+
+/**
+ * Parsing runs off the UI thread in a Web Worker when the browser supports workers and the
+ * worker file is served. Otherwise the worker code is loaded as a lazily bundled chunk and
+ * pdf.js runs it on the main thread (its "fake worker"): slower for big files, but PDFs open.
+ * Checked once per page load.
+ * @returns {Promise<void>}
+ */
+function ensurePdfWorker() {
+  if (!workerSetup) {
+    workerSetup = isWorkerScriptAvailable().then(async (available) => {
+      if (available) return;
+      window.console.warn(`pdf.js worker not available at ${WORKER_SRC}; parsing PDFs on the main thread.`);
+      await import('pdfjs-dist/build/pdf.worker.entry');
+    });
+  }
+  return workerSetup;
+}
+
+async function isWorkerScriptAvailable() {
+  if (typeof window.Worker !== 'function') return false;
+  try {
+    // Static hosts with a single-page-app fallback answer unknown paths with index.html.
+    const res = await window.fetch(WORKER_SRC, { method: 'HEAD' });
+    return res.ok && /javascript/.test(res.headers.get('content-type') || '');
+  } catch {
+    return false;
+  }
+}
 
 /**
  * PUBLIC_INTERFACE
- * pdfToImages
- * Converts a PDF File into an array of page images as data URLs.
+ * openPdfSession
+ * Parses a PDF File once and hands out its pages on demand, so large documents are never
+ * rendered in full up front. Every page object and canvas is released as soon as its
+ * text or image has been read; call close() when the document is no longer needed.
  * @param {File} pdfFile - the input PDF file (from input[type=file])
- * @param {number} maxWidth - maximum width of rendered page image
- * @returns {Promise<Array<{page: number, dataUrl: string}>>}
+ * @returns {Promise<{
+ *   numPages: number,
+ *   pages: (options?: {thumbnailWidth?: number, maxCharsPerPage?: number}) => AsyncGenerator<{page: number, text: string, blocks: import('./textLayout').TextBlock[], thumbnailUrl: string}>,
+ *   getText: (pageNumber: number, maxCharsPerPage?: number) => Promise<string>,
+ *   renderPage: (pageNumber: number, options?: {maxWidth?: number, maxScale?: number}) => Promise<string>,
+ *   close: () => Promise<void>
+ * }>}
  */
-export async function pdfToImages(pdfFile, maxWidth = 1024) {
-  if (!pdfFile) return [];
+export async function openPdfSession(pdfFile) {
+  await ensurePdfWorker();
   const ab = await pdfFile.arrayBuffer();
-  const loadingTask = getDocument({ data: ab });
-  const pdf = await loadingTask.promise;
+  const pdf = await getDocument({ data: ab }).promise;
+  let closed = false;
 
-  const results = [];
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum += 1) {
+  const withPage = async (pageNum, fn) => {
+    if (closed) throw new Error('The PDF session is closed.');
     const page = await pdf.getPage(pageNum);
-    const viewport = page.getViewport({ scale: 1 });
+    try {
+      return await fn(page);
+    } finally {
+      page.cleanup();
+    }
+  };
 
-    const scale = Math.min(maxWidth / viewport.width, 2.0);
-    const scaledViewport = page.getViewport({ scale: scale || 1 });
+  return {
+    numPages: pdf.numPages,
 
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    canvas.width = Math.floor(scaledViewport.width);
-    canvas.height = Math.floor(scaledViewport.height);
+    // Yields pages in order with their text (structured as Markdown, see textLayout), its
+    // layout blocks and a low-resolution JPEG thumbnail.
+    async *pages({ thumbnailWidth = 240, maxCharsPerPage = 4000 } = {}) {
+      for (let pageNum = 1; pageNum <= pdf.numPages && !closed; pageNum += 1) {
+        yield await withPage(pageNum, async (page) => ({
+          page: pageNum,
+          ...(await extractPageText(page, maxCharsPerPage)),
+          thumbnailUrl: await renderToDataUrl(page, thumbnailWidth, 'image/jpeg')
+        }));
+      }
+    },
 
-    await page.render({ canvasContext: ctx, viewport: scaledViewport }).promise;
-    const dataUrl = canvas.toDataURL('image/png', 0.92);
+    async getText(pageNum, maxCharsPerPage = 4000) {
+      return (await withPage(pageNum, page => extractPageText(page, maxCharsPerPage))).text;
+    },
 
-    results.push({ page: pageNum, dataUrl });
-  }
+    // Full-resolution PNG of one page, for analysis, crops, OCR and the generated deck.
+    // maxScale caps the zoom over the page's natural size (1 = 72 dpi).
+    renderPage(pageNum, { maxWidth = 1024, maxScale = 2 } = {}) {
+      return withPage(pageNum, page => renderToDataUrl(page, maxWidth, 'image/png', maxScale));
+    },
 
-  return results;
+    async close() {
+      if (closed) return;
+      closed = true;
+      await pdf.destroy();
+    }
+  };
+}
+
+async function extractPageText(page, maxCharsPerPage) {
+  const textContent = await page.getTextContent();
+  const blocks = extractTextBlocks(textContent.items, page.view);
+  return { text: blocksToMarkdown(blocks).slice(0, Math.max(0, maxCharsPerPage)), blocks };
+}
+
+async function renderToDataUrl(page, maxWidth, type, maxScale = 2) {
+  const viewport = page.getViewport({ scale: 1 });
+  const scale = Math.min(maxWidth / viewport.width, maxScale);
+  const scaledViewport = page.getViewport({ scale: scale || 1 });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.floor(scaledViewport.width);
+  canvas.height = Math.floor(scaledViewport.height);
+  try {
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport: scaledViewport }).promise;
+    return canvas.toDataURL(type, 0.85);
+  } finally {
+    // Shrinking the canvas frees its backing store right away instead of at garbage collection.
+    canvas.width = 0;
+    canvas.height = 0;
+  }
 }
 
 /**
  * PUBLIC_INTERFACE
- * pdfToText
- * Extracts text from each page of the provided PDF file.
- * @param {File} pdfFile - the input PDF file (from input[type=file])
- * @param {number} maxCharsPerPage - truncate each page's extracted text to this many characters
- * @returns {Promise<Array<{ page: number, text: string }>>}
+ * cropPageImage
+ * Crops a region out of a rendered page image, at the same resolution.
+ * @param {string} dataUrl - page image data URL
+ * @param {{x:number, y:number, w:number, h:number}} bbox - region as fractions (0-1) of the page size
+ * @returns {Promise<string>} PNG data URL of the region
  */
-export async function pdfToText(pdfFile, maxCharsPerPage = 4000) {
-  if (!pdfFile) return [];
-  const ab = await pdfFile.arrayBuffer();
-  const loadingTask = getDocument({ data: ab });
-  const pdf = await loadingTask.promise;
+export async function cropPageImage(dataUrl, bbox) {
+  const image = await new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load the page image to crop.'));
+    img.src = dataUrl;
+  });
 
-  const results = [];
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum += 1) {
-    const page = await pdf.getPage(pageNum);
-    const textContent = await page.getTextContent();
-    // Join text items with spaces, and normalize whitespace
-    const raw = textContent.items.map((it) => (it.str || '')).join(' ');
-    const normalized = raw.replace(/\s+/g, ' ').trim();
-    const truncated = normalized.slice(0, Math.max(0, maxCharsPerPage));
-    results.push({ page: pageNum, text: truncated });
-  }
-  return results;
+  const sx = Math.round(bbox.x * image.naturalWidth);
+  const sy = Math.round(bbox.y * image.naturalHeight);
+  const sw = Math.max(1, Math.min(image.naturalWidth - sx, Math.round(bbox.w * image.naturalWidth)));
+  const sh = Math.max(1, Math.min(image.naturalHeight - sy, Math.round(bbox.h * image.naturalHeight)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = sw;
+  canvas.height = sh;
+  canvas.getContext('2d').drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh);
+  return canvas.toDataURL('image/png');
 }
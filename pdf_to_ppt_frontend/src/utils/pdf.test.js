@@ -0,0 +1,150 @@
+const mockWorkerEntry = jest.fn();
+
+jest.mock('pdfjs-dist', () => ({ GlobalWorkerOptions: {}, version: '3.11.174', getDocument: jest.fn() }));
+jest.mock('pdfjs-dist/build/pdf.worker.entry', () => {
+  mockWorkerEntry();
+  return {};
+});
+
+const originalFetch = window.fetch;
+const pdfFile = { arrayBuffer: async () => new ArrayBuffer(8) };
+
+// A parsed PDF whose pages are 600 x 800 pt, with every page object it hands out.
+function mockDocument(numPages = 2) {
+  const pages = [];
+  const doc = {
+    numPages,
+    getPage: jest.fn(async () => {
+      const page = {
+        view: [0, 0, 600, 800],
+        getViewport: ({ scale }) => ({ width: 600 * scale, height: 800 * scale }),
+        getTextContent: async () => ({ items: [] }),
+        render: jest.fn(() => ({ promise: Promise.resolve() })),
+        cleanup: jest.fn()
+      };
+      pages.push(page);
+      return page;
+    }),
+    destroy: jest.fn(async () => {})
+  };
+  return { doc, pages };
+}
+
+// A fresh copy of utils/pdf, so the one-time worker check runs again.
+async function loadPdfModule(doc = mockDocument().doc) {
+  jest.resetModules();
+  const pdfjs = await import('pdfjs-dist');
+  pdfjs.getDocument.mockReturnValue({ promise: Promise.resolve(doc) });
+  return { pdfjs, ...(await import('./pdf')) };
+}
+
+// jsdom has no canvas: record the canvases and encode their size in the data URL.
+function mockCanvas() {
+  const canvases = [];
+  jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({});
+  jest.spyOn(window.HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(function toDataURL(type) {
+    canvases.push(this);
+    return `data:${type};${this.width}x${this.height}`;
+  });
+  return canvases;
+}
+
+function serveWorker(contentType, ok = true) {
+  window.fetch = jest.fn().mockResolvedValue({ ok, headers: { get: () => contentType } });
+}
+
+beforeEach(() => {
+  mockWorkerEntry.mockClear();
+  window.Worker = function Worker() {};
+  jest.spyOn(window.console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  window.fetch = originalFetch;
+  delete window.Worker;
+  jest.restoreAllMocks();
+});
+
+test('a session parses the file once and reads pages only as they are asked for', async () => {
+  serveWorker('application/javascript');
+  mockCanvas();
+  const { doc, pages } = mockDocument(3);
+  const { pdfjs, openPdfSession } = await loadPdfModule(doc);
+  const session = await openPdfSession(pdfFile);
+  expect(session.numPages).toBe(3);
+  expect(doc.getPage).not.toHaveBeenCalled();
+
+  const iterator = session.pages();
+  expect((await iterator.next()).value).toMatchObject({ page: 1, text: '', blocks: [], thumbnailUrl: 'data:image/jpeg;240x320' });
+  expect(doc.getPage.mock.calls).toEqual([[1]]);
+  expect(pages[0].cleanup).toHaveBeenCalledTimes(1);
+
+  expect(await session.getText(3)).toBe('');
+  expect(doc.getPage.mock.calls).toEqual([[1], [3]]);
+  expect(pdfjs.getDocument).toHaveBeenCalledTimes(1);
+});
+
+test('thumbnails are small JPEGs and full renders PNGs capped at twice the page size', async () => {
+  serveWorker('application/javascript');
+  const canvases = mockCanvas();
+  const { doc, pages } = mockDocument(2);
+  const { openPdfSession } = await loadPdfModule(doc);
+  const session = await openPdfSession(pdfFile);
+
+  expect((await session.pages({ thumbnailWidth: 120 }).next()).value.thumbnailUrl).toBe('data:image/jpeg;120x160');
+  expect(await session.renderPage(2)).toBe('data:image/png;1024x1365');
+  expect(await session.renderPage(2, { maxWidth: 4000 })).toBe('data:image/png;1200x1600');
+  expect(await session.renderPage(1, { maxWidth: 4000, maxScale: 1 })).toBe('data:image/png;600x800');
+
+  // Canvases and page objects are released as soon as the image is read.
+  expect(canvases.map(c => [c.width, c.height])).toEqual(Array(4).fill([0, 0]));
+  pages.forEach(page => expect(page.cleanup).toHaveBeenCalledTimes(1));
+});
+
+test('close destroys the document and ends the session', async () => {
+  serveWorker('application/javascript');
+  mockCanvas();
+  const { doc } = mockDocument(3);
+  const { openPdfSession } = await loadPdfModule(doc);
+  const session = await openPdfSession(pdfFile);
+  const iterator = session.pages();
+  await iterator.next();
+
+  await session.close();
+  await session.close();
+  expect(doc.destroy).toHaveBeenCalledTimes(1);
+  expect((await iterator.next()).done).toBe(true);
+  await expect(session.renderPage(2)).rejects.toThrow('The PDF session is closed.');
+});
+
+test('the worker is served from the app build and versioned by the installed pdf.js', async () => {
+  serveWorker('application/javascript');
+  const { pdfjs, openPdfSession } = await loadPdfModule();
+  expect(pdfjs.GlobalWorkerOptions.workerSrc).toBe('/pdf.worker.min.js?v=3.11.174');
+
+  const session = await openPdfSession(pdfFile);
+  await openPdfSession(pdfFile);
+  expect(session.numPages).toBe(2);
+  expect(window.fetch).toHaveBeenCalledTimes(1);
+  expect(window.fetch).toHaveBeenCalledWith('/pdf.worker.min.js?v=3.11.174', { method: 'HEAD' });
+  expect(mockWorkerEntry).not.toHaveBeenCalled();
+  expect(window.console.warn).not.toHaveBeenCalled();
+});
+
+test('PDFs are parsed on the main thread when the worker file is not served', async () => {
+  // A single-page-app fallback answers the missing worker with index.html.
+  serveWorker('text/html');
+  const { openPdfSession } = await loadPdfModule();
+  expect((await openPdfSession(pdfFile)).numPages).toBe(2);
+  expect(mockWorkerEntry).toHaveBeenCalledTimes(1);
+  expect(window.console.warn.mock.calls[0][0]).toMatch(/parsing PDFs on the main thread/);
+});
+
+test('PDFs are parsed on the main thread when the browser has no Web Workers', async () => {
+  delete window.Worker;
+  serveWorker('application/javascript');
+  const { openPdfSession } = await loadPdfModule();
+  await openPdfSession(pdfFile);
+  expect(window.fetch).not.toHaveBeenCalled();
+  expect(mockWorkerEntry).toHaveBeenCalledTimes(1);
+});
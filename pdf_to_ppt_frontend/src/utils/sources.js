@@ -0,0 +1,130 @@
+/**
+ * Source traceability for outline bullets. The planner cites, per bullet, the pages and
+ * quoted text it relied on (slide.sources, aligned with slide.bullets). These helpers check
+ * the quotes against the extracted page text locally, so grounded bullets can be told apart
+ * from invented ones without another model call.
+ */
+import { formatPageLabel, pageKey } from './documents';
+
+// Quotes shorter than this (in words) are too generic to count as a loose match.
+const MIN_FUZZY_WORDS = 4;
+// Share of a quote's words that must occur on the page for a loose match.
+const FUZZY_WORD_SHARE = 0.8;
+// Layouts whose bullets are claims about the document; agenda bullets only list the deck's parts.
+const CHECKED_LAYOUTS = ['bullets'];
+
+// PUBLIC_INTERFACE
+/**
+ * findQuote
+ * Looks for `quote` in a page's text. Matching ignores case, punctuation, Markdown markers and
+ * whitespace. An exact match also returns the region of the text blocks it spans.
+ * @param {string} quote
+ * @param {{text?: string, blocks?: Array<{text: string, bbox?: {x:number, y:number, w:number, h:number}}>}} pageText
+ *   - an entry of the app's pageTexts (blocks from utils/textLayout, text as Markdown or OCR output)
+ * @returns {{match: 'exact'|'fuzzy'|'none', bbox?: {x:number, y:number, w:number, h:number}}}
+ */
+export function findQuote(quote, pageText) {
+  const needle = normalize(quote);
+  if (!needle || !pageText) return { match: 'none' };
+
+  // Blocks hold the page's full text; `text` may have been shortened for the prompt.
+  const blocks = (pageText.blocks || []).filter(b => b.text);
+  const parts = blocks.length ? blocks.map(b => normalize(b.text)) : [normalize(pageText.text)];
+  const haystack = parts.join(' ');
+
+  const at = haystack.indexOf(needle);
+  if (at !== -1) {
+    return blocks.length ? { match: 'exact', bbox: spanBbox(blocks, parts, at, at + needle.length) } : { match: 'exact' };
+  }
+
+  const words = needle.split(' ').filter(w => w.length > 2);
+  if (words.length < MIN_FUZZY_WORDS) return { match: 'none' };
+  const pageWords = new Set(haystack.split(' '));
+  const found = words.filter(w => pageWords.has(w)).length;
+  return found / words.length >= FUZZY_WORD_SHARE ? { match: 'fuzzy' } : { match: 'none' };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * checkSources
+ * Verifies every cited source of the outline against the page texts. Returns a copy of the
+ * outline whose sources carry `match` (and `bbox` for exact matches), plus a per-slide,
+ * per-bullet `support` list:
+ * - 'supported': at least one quote was found verbatim on its page
+ * - 'partial': quotes were only found loosely (reworded or misread)
+ * - 'unsupported': no citation, or no cited quote was found
+ * - null: the slide's layout has no factual bullets (agenda, section, ...)
+ * @param {{slides: Array<{layout?: string, bullets?: string[], sources?: Array<Array<{doc?:number, page:number, quote:string}>>}>}} outline
+ * @param {Array<{doc?:number, page:number, text?:string, blocks?:Array<object>}>} pageTexts
+ * @returns {{outline: object, support: Array<Array<'supported'|'partial'|'unsupported'|null>>}}
+ */
+export function checkSources(outline, pageTexts) {
+  const byPage = new Map((pageTexts || []).map(t => [pageKey(t), t]));
+  const support = [];
+  const slides = (outline?.slides || []).map((slide) => {
+    const bullets = slide.bullets || [];
+    const sources = bullets.map((_, i) => ((slide.sources || [])[i] || []).map(source => ({
+      ...source,
+      ...findQuote(source.quote, byPage.get(pageKey(source)))
+    })));
+    const checked = CHECKED_LAYOUTS.includes(slide.layout || 'bullets');
+    support.push(sources.map(list => (checked ? bulletSupport(list) : null)));
+    return { ...slide, sources };
+  });
+  return { outline: { ...outline, slides }, support };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatSourceNotes
+ * Speaker-notes text listing each bullet's sources, e.g.
+ * "Sources:\n- Revenue grew 12%: p. 3 “Revenue grew 12% year over year”" ("doc 2 p. 3" for a page of a second PDF).
+ * Quotes that were checked and not found are marked, so presenters know what to double-check.
+ * @param {{bullets?: string[], sources?: Array<Array<{doc?:number, page:number, quote:string, match?: string}>>}} slide
+ * @returns {string} empty when the slide cites nothing
+ */
+export function formatSourceNotes(slide) {
+  const lines = (slide.bullets || []).flatMap((bullet, i) => {
+    const cited = ((slide.sources || [])[i] || []).map(s => (
+      `${formatPageLabel(s)} “${s.quote}”${s.match === 'none' ? ' (not found on the page)' : s.match === 'fuzzy' ? ' (approximate)' : ''}`
+    ));
+    return cited.length ? [`- ${bullet}: ${cited.join('; ')}`] : [];
+  });
+  return lines.length ? ['Sources:', ...lines].join('\n') : '';
+}
+
+function bulletSupport(sources) {
+  if (sources.some(s => s.match === 'exact')) return 'supported';
+  if (sources.some(s => s.match === 'fuzzy')) return 'partial';
+  return 'unsupported';
+}
+
+// Lowercase words and numbers only: drops Markdown markers, punctuation, quote styles and
+// the "…" of shortened quotes, so formatting differences do not break a match.
+function normalize(text) {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}%]+/gu, ' ')
+    .trim();
+}
+
+// Union of the bboxes of the blocks that the character range [start, end) of the joined text covers.
+function spanBbox(blocks, parts, start, end) {
+  let offset = 0;
+  const hit = [];
+  parts.forEach((part, i) => {
+    if (offset < end && offset + part.length > start && blocks[i].bbox) hit.push(blocks[i].bbox);
+    offset += part.length + 1;
+  });
+  if (!hit.length) return undefined;
+  const x = Math.min(...hit.map(b => b.x));
+  const y = Math.min(...hit.map(b => b.y));
+  const round = v => Math.round(v * 1000) / 1000;
+  return {
+    x: round(x),
+    y: round(y),
+    w: round(Math.max(...hit.map(b => b.x + b.w)) - x),
+    h: round(Math.max(...hit.map(b => b.y + b.h)) - y)
+  };
+}
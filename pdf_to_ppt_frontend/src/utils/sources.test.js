@@ -0,0 +1,59 @@
+import { checkSources, findQuote, formatSourceNotes } from './sources';
+
+const page = {
+  page: 3,
+  text: '# Results\nRevenue grew 12% year over year…',
+  blocks: [
+    { role: 'heading', text: 'Results', bbox: { x: 0.1, y: 0.1, w: 0.3, h: 0.05 } },
+    { role: 'paragraph', text: 'Revenue grew 12% year over year, driven by “subscriptions”.', bbox: { x: 0.1, y: 0.2, w: 0.8, h: 0.1 } },
+    { role: 'paragraph', text: 'Hiring slowed in Europe and Asia during the second half.', bbox: { x: 0.1, y: 0.35, w: 0.7, h: 0.1 } }
+  ]
+};
+
+test('findQuote matches quotes regardless of case, punctuation and block breaks', () => {
+  expect(findQuote('revenue grew 12% year over year, driven by "subscriptions"', page))
+    .toEqual({ match: 'exact', bbox: page.blocks[1].bbox });
+  expect(findQuote('driven by subscriptions. Hiring slowed', page).bbox).toEqual({ x: 0.1, y: 0.2, w: 0.8, h: 0.25 });
+  expect(findQuote('Hiring in Europe and Asia slowed during the second half', page).match).toBe('fuzzy');
+  expect(findQuote('Revenue fell sharply in every region', page).match).toBe('none');
+  expect(findQuote('Revenue grew', undefined).match).toBe('none');
+});
+
+test('checkSources rates each bullet and formatSourceNotes lists the sources', () => {
+  const outline = {
+    slides: [
+      {
+        layout: 'bullets',
+        title: 'Results',
+        bullets: ['Revenue up 12%', 'Costs fell', 'Margins improved'],
+        sources: [[{ page: 3, quote: 'Revenue grew 12% year over year' }], [{ page: 3, quote: 'Costs fell by a third' }]]
+      },
+      { layout: 'agenda', title: 'Agenda', bullets: ['Results'] }
+    ]
+  };
+
+  const { outline: checked, support } = checkSources(outline, [page]);
+
+  expect(support).toEqual([['supported', 'unsupported', 'unsupported'], [null]]);
+  expect(checked.slides[0].sources[2]).toEqual([]);
+  expect(formatSourceNotes(checked.slides[0])).toBe([
+    'Sources:',
+    '- Revenue up 12%: p. 3 “Revenue grew 12% year over year”',
+    '- Costs fell: p. 3 “Costs fell by a third” (not found on the page)'
+  ].join('\n'));
+  expect(formatSourceNotes(checked.slides[1])).toBe('');
+});
+
+test('sources are checked against the page of their own document', () => {
+  const appendix = { ...page, doc: 2, text: 'Hiring plan for 2025.', blocks: [] };
+  const slide = {
+    title: 'Hiring',
+    bullets: ['Hiring plan', 'Revenue'],
+    sources: [[{ doc: 2, page: 3, quote: 'Hiring plan for 2025' }], [{ doc: 2, page: 3, quote: 'Revenue grew 12%' }]]
+  };
+
+  const { outline, support } = checkSources({ slides: [slide] }, [page, appendix]);
+
+  expect(support).toEqual([['supported', 'unsupported']]);
+  expect(formatSourceNotes(outline.slides[0])).toContain('- Hiring plan: doc 2 p. 3 “Hiring plan for 2025”');
+});
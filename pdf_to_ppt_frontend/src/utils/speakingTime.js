@@ -0,0 +1,86 @@
+/**
+ * Speaking-time estimates for speaker notes. A slide takes as long as its notes take to say at
+ * a normal presenting pace; slides without notes take no time.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * WORDS_PER_MINUTE
+ * Presenting pace used for every estimate.
+ */
+export const WORDS_PER_MINUTE = 130;
+
+// Dividers only need a sentence or two; they get this much and the rest is shared by content.
+const DIVIDER_SECONDS = 15;
+const MIN_SLIDE_SECONDS = 10;
+
+// PUBLIC_INTERFACE
+/**
+ * speakingSeconds
+ * @param {string} [text]
+ * @returns {number} whole seconds needed to say `text`
+ */
+export function speakingSeconds(text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.round((words / WORDS_PER_MINUTE) * 60);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * deckTiming
+ * Estimated speaking time per slide from its notes, and for the whole deck.
+ * @param {{slides: Array<{notes?: string}>}} outline
+ * @returns {{slides: number[], total: number, withoutNotes: number}} seconds; withoutNotes counts slides with empty notes
+ */
+export function deckTiming(outline) {
+  const slides = outline.slides.map(s => speakingSeconds(s.notes));
+  return {
+    slides,
+    total: slides.reduce((sum, seconds) => sum + seconds, 0),
+    withoutNotes: outline.slides.filter(s => !(s.notes || '').trim()).length
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * planTalkTime
+ * Splits a talk of `minutes` over the slides for the speaker-notes pass. Section dividers get a
+ * short fixed share and pinned slides with notes keep the time their notes take; the other
+ * slides share the rest by how much they show (bullets, columns, images).
+ * @param {{slides: Array<object>}} outline
+ * @param {number} minutes - target length of the whole talk
+ * @returns {Array<{seconds: number, words: number}>} one target per slide
+ */
+export function planTalkTime(outline, minutes) {
+  const fixed = outline.slides.map((s) => {
+    if (s.pinned && (s.notes || '').trim()) return speakingSeconds(s.notes);
+    return s.layout === 'section' ? DIVIDER_SECONDS : null;
+  });
+  const weights = outline.slides.map((s, i) => (fixed[i] === null ? contentWeight(s) : 0));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const remaining = Math.max(0, minutes * 60 - fixed.reduce((sum, seconds) => sum + (seconds || 0), 0));
+
+  return outline.slides.map((s, i) => {
+    const seconds = fixed[i] !== null
+      ? fixed[i]
+      : Math.max(MIN_SLIDE_SECONDS, Math.round((remaining * weights[i]) / totalWeight));
+    return { seconds, words: Math.round((seconds / 60) * WORDS_PER_MINUTE) };
+  });
+}
+
+function contentWeight(slide) {
+  const bullets = (slide.bullets || []).filter(b => b.trim()).length
+    + (slide.columns || []).reduce((sum, c) => sum + (c.bullets || []).length, 0);
+  return 1 + bullets + ((slide.imagePages || []).length ? 1 : 0) + (slide.quote ? 1 : 0);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatDuration
+ * @param {number} seconds
+ * @returns {string} "m:ss", e.g. 75 -> "1:15"
+ */
+export function formatDuration(seconds) {
+  const whole = Math.max(0, Math.round(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
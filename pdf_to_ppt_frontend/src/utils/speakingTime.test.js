@@ -0,0 +1,28 @@
+import { deckTiming, formatDuration, planTalkTime, speakingSeconds, WORDS_PER_MINUTE } from './speakingTime';
+
+const words = n => Array.from({ length: n }, () => 'word').join(' ');
+
+test('speaking time follows the word count of the notes', () => {
+  expect(speakingSeconds(words(WORDS_PER_MINUTE))).toBe(60);
+  expect(speakingSeconds('')).toBe(0);
+  const timing = deckTiming({ slides: [{ notes: words(WORDS_PER_MINUTE / 2) }, { notes: ' ' }, {}] });
+  expect(timing).toEqual({ slides: [30, 0, 0], total: 30, withoutNotes: 2 });
+  expect(formatDuration(75)).toBe('1:15');
+  expect(formatDuration(600)).toBe('10:00');
+});
+
+test('planTalkTime shares the target by content, after dividers and pinned notes', () => {
+  const outline = {
+    slides: [
+      { layout: 'section', title: 'Part 1', bullets: [] },
+      { title: 'Dense', bullets: ['a', 'b', 'c', 'd', 'e'], imagePages: [2] },
+      { title: 'Light', bullets: ['a'] },
+      { title: 'Pinned', bullets: ['a', 'b'], pinned: true, notes: words(WORDS_PER_MINUTE) }
+    ]
+  };
+
+  const plan = planTalkTime(outline, 5);
+
+  expect(plan.map(p => p.seconds)).toEqual([15, 175, 50, 60]);
+  expect(plan[1].words).toBe(Math.round((175 / 60) * WORDS_PER_MINUTE));
+});
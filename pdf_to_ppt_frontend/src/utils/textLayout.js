@@ -0,0 +1,328 @@
+/**
+ * Layout-aware text extraction. Rebuilds a page's text blocks (headings, paragraphs, list items,
+ * table cells, running headers and footers) in reading order from pdf.js text items, using each
+ * item's transform (position, font size) instead of joining the items as one string. Multi-column
+ * pages are read column by column; lines that span the columns (titles, full-width figures'
+ * captions) split the page into bands that are read top to bottom.
+ */
+
+const BULLET_GLYPH = /^[•◦▪▫‣∙·●○■□➢►✓✔\-–—*]$/;
+const BULLET_PREFIX = /^[•◦▪▫‣∙·●○■□➢►✓✔\-–—*]\s+/;
+const ENUMERATOR = /^(\(?\d{1,3}[.)]|\(?[a-zA-Z][.)]|\(?[ivxIVX]{1,4}[.)])$/;
+const ENUMERATOR_PREFIX = /^(\(?\d{1,3}[.)]|\(?[a-zA-Z][.)]|\(?[ivxIVX]{1,4}[.)])\s+/;
+
+// Gaps wider than this (in font sizes) separate cells/columns rather than words.
+const CELL_GAP_EM = 1.2;
+// Text this much larger than the page's body text is a heading.
+const HEADING_RATIO = 1.2;
+// Body-size lines within this share of the page height from the top/bottom edge are running
+// headers/footers; larger type there (a slide-style title) stays a heading.
+const HEADER_ZONE = 0.08;
+const FOOTER_ZONE = 0.08;
+
+/**
+ * @typedef {Object} TextBlock
+ * @property {'heading'|'paragraph'|'list-item'|'table-cell'|'header'|'footer'} role
+ * @property {string} text
+ * @property {number} [level] - heading level, 1 for the largest headings on the page
+ * @property {number} [row] - table-cell: row index, counted across the page's tables
+ * @property {number} [column] - table-cell: cell index within its row
+ * @property {{x:number, y:number, w:number, h:number}} bbox - fractions (0-1) of the page, top-left origin
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * extractTextBlocks
+ * Rebuilds text blocks in reading order from a page's pdf.js text content.
+ * @param {Array<{str?: string, transform?: number[], width?: number}>} items - textContent.items
+ * @param {number[]} [view] - the page's view box [x0, y0, x1, y1] in PDF units (page.view)
+ * @returns {TextBlock[]}
+ */
+export function extractTextBlocks(items, view = [0, 0, 612, 792]) {
+  const [x0, y0, x1, y1] = view;
+  const page = { width: (x1 - x0) || 1, height: (y1 - y0) || 1 };
+
+  const pieces = (items || [])
+    .filter(it => typeof it.str === 'string' && it.str.trim() && Array.isArray(it.transform))
+    .map((it) => {
+      const [a, b, c, d, e, f] = it.transform;
+      const size = Math.hypot(c, d) || Math.hypot(a, b) || 1;
+      const baseline = y1 - f;
+      return { text: it.str, x: e - x0, right: e - x0 + (it.width || 0), top: baseline - size, bottom: baseline, size };
+    });
+  if (pieces.length === 0) return [];
+
+  const rows = groupRows(pieces).map(row => splitSegments(row));
+  const segments = rows.flat();
+  const gutters = findGutters(segments, page.width);
+  const lines = readingOrder(rows, gutters);
+  return buildBlocks(lines, page);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * blocksToMarkdown
+ * Serializes text blocks as compact Markdown for LLM prompts: "#" headings, "- " list items,
+ * "| a | b |" table rows and plain paragraphs. Running headers and footers are left out.
+ * @param {TextBlock[]} blocks
+ * @returns {string}
+ */
+export function blocksToMarkdown(blocks) {
+  const out = [];
+  let row = null;
+  (blocks || []).forEach((block) => {
+    if (block.role === 'table-cell') {
+      if (row && row.index === block.row) {
+        row.cells.push(block.text);
+        return;
+      }
+      row = { index: block.row, cells: [block.text] };
+      out.push(row);
+      return;
+    }
+    row = null;
+    if (block.role === 'heading') out.push(`${'#'.repeat(block.level || 1)} ${block.text}`);
+    else if (block.role === 'list-item') out.push(`- ${block.text}`);
+    else if (block.role === 'paragraph') out.push(block.text);
+  });
+  return out.map(line => (typeof line === 'string' ? line : `| ${line.cells.join(' | ')} |`)).join('\n');
+}
+
+// Pieces sharing a baseline (within a fraction of their font size), top to bottom.
+function groupRows(pieces) {
+  const sorted = [...pieces].sort((p, q) => p.bottom - q.bottom || p.x - q.x);
+  const rows = [];
+  sorted.forEach((piece) => {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(piece.bottom - row.bottom) <= 0.3 * Math.min(piece.size, row.size)) {
+      row.pieces.push(piece);
+      row.size = Math.max(row.size, piece.size);
+    } else {
+      rows.push({ bottom: piece.bottom, size: piece.size, pieces: [piece] });
+    }
+  });
+  return rows;
+}
+
+// Splits a row at wide gaps into segments (column lines or table cells), joining words with spaces.
+function splitSegments(row) {
+  const pieces = [...row.pieces].sort((p, q) => p.x - q.x);
+  const segments = [];
+  let current = null;
+  pieces.forEach((piece) => {
+    const gap = current ? piece.x - current.right : Infinity;
+    if (current && gap <= CELL_GAP_EM * Math.max(piece.size, current.size)) {
+      const space = gap > 0.1 * piece.size && !/\s$/.test(current.text) && !/^\s/.test(piece.text);
+      current.text += (space ? ' ' : '') + piece.text;
+      current.right = Math.max(current.right, piece.right);
+      current.top = Math.min(current.top, piece.top);
+      current.bottom = Math.max(current.bottom, piece.bottom);
+      current.size = Math.max(current.size, piece.size);
+      current.chars += piece.text.length;
+      return;
+    }
+    current = { ...piece, chars: piece.text.length };
+    segments.push(current);
+  });
+
+  // A bullet glyph or "1." set apart from its text by a tab stop belongs to the following segment.
+  for (let i = segments.length - 2; i >= 0; i -= 1) {
+    const marker = segments[i].text.trim();
+    if (BULLET_GLYPH.test(marker) || ENUMERATOR.test(marker)) {
+      const next = segments[i + 1];
+      segments.splice(i, 2, { ...segments[i], text: `${marker} ${next.text.trim()}`, right: next.right, size: Math.max(segments[i].size, next.size), chars: segments[i].chars + next.chars });
+    }
+  }
+  return segments
+    .map(s => ({ ...s, text: s.text.replace(/\s+/g, ' ').trim() }))
+    .filter(s => s.text);
+}
+
+// Vertical gutters between text columns: x positions (almost) no segment crosses, with wide
+// columns on both sides whose lines fill them the way prose does (table columns do not qualify).
+function findGutters(segments, width) {
+  const BINS = 100;
+  const counts = new Array(BINS).fill(0);
+  segments.forEach((s) => {
+    const from = Math.max(0, Math.floor((s.x / width) * BINS));
+    const to = Math.min(BINS - 1, Math.floor((s.right / width) * BINS));
+    for (let b = from; b <= to; b += 1) counts[b] += 1;
+  });
+
+  const tolerance = Math.max(1, Math.floor(segments.length * 0.05));
+  const candidates = [];
+  let runStart = null;
+  for (let b = 15; b <= 85; b += 1) {
+    const open = counts[b] <= tolerance;
+    if (open && runStart === null) runStart = b;
+    if ((!open || b === 85) && runStart !== null) {
+      const runEnd = open ? b : b - 1;
+      if (runEnd - runStart >= 1) candidates.push(((runStart + runEnd + 1) / 2 / BINS) * width);
+      runStart = null;
+    }
+  }
+  if (candidates.length === 0) return [];
+
+  const bounds = [0, ...candidates, width];
+  const columnsLookLikeProse = bounds.slice(0, -1).every((left, i) => {
+    const right = bounds[i + 1];
+    const inside = segments.filter(s => s.x >= left && s.right <= right);
+    if (inside.length < 3) return false;
+    const span = Math.max(...inside.map(s => s.right)) - Math.min(...inside.map(s => s.x));
+    const widths = inside.map(s => s.right - s.x).sort((a, b) => a - b);
+    return span >= 0.2 * width && widths[Math.floor(widths.length / 2)] >= 0.5 * span;
+  });
+  return columnsLookLikeProse ? candidates : [];
+}
+
+// Orders rows into lines: within a band, column by column; rows crossing a gutter end the band.
+function readingOrder(rows, gutters) {
+  const columnOf = s => gutters.filter(g => s.x >= g).length;
+  const spans = s => gutters.some(g => s.x < g && s.right > g);
+  const lines = [];
+  let band = [];
+
+  const flush = () => {
+    for (let column = 0; column <= gutters.length; column += 1) {
+      band.forEach((row) => {
+        const cells = row.filter(s => columnOf(s) === column);
+        if (cells.length) lines.push(toLine(cells, column));
+      });
+    }
+    band = [];
+  };
+
+  rows.forEach((segments) => {
+    if (segments.some(spans)) {
+      flush();
+      lines.push(toLine(segments, -1));
+    } else {
+      band.push(segments);
+    }
+  });
+  flush();
+  return lines;
+}
+
+function toLine(cells, column) {
+  return {
+    cells,
+    column,
+    text: cells.map(c => c.text).join(' '),
+    x: Math.min(...cells.map(c => c.x)),
+    right: Math.max(...cells.map(c => c.right)),
+    top: Math.min(...cells.map(c => c.top)),
+    bottom: Math.max(...cells.map(c => c.bottom)),
+    size: Math.max(...cells.map(c => c.size)),
+    chars: cells.reduce((n, c) => n + c.chars, 0)
+  };
+}
+
+// Classifies lines and merges consecutive lines of the same paragraph, list item or heading.
+function buildBlocks(lines, page) {
+  const bodySize = weightedMedianSize(lines);
+  const headingSizes = [...new Set(lines
+    .filter(l => l.size >= bodySize * HEADING_RATIO)
+    .map(l => Math.round(l.size * 2) / 2))].sort((a, b) => b - a);
+
+  // Rows of two or more cells form a table when at least two of them follow each other.
+  const tableRow = lines.map((l, i) => l.cells.length >= 2 && (
+    lines[i - 1]?.cells.length >= 2 || lines[i + 1]?.cells.length >= 2
+  ));
+
+  const blocks = [];
+  let open = null; // the block the next line may continue
+  let tableRowIndex = -1;
+
+  lines.forEach((line, i) => {
+    const inHeader = line.top < page.height * HEADER_ZONE;
+    if ((inHeader || line.bottom > page.height * (1 - FOOTER_ZONE)) && line.size <= bodySize * 1.05) {
+      blocks.push(block(inHeader ? 'header' : 'footer', line.text, [line], page));
+      open = null;
+      return;
+    }
+
+    if (tableRow[i]) {
+      tableRowIndex += 1;
+      line.cells.forEach((cell, column) => {
+        blocks.push({ ...block('table-cell', cell.text, [cell], page), row: tableRowIndex, column });
+      });
+      open = null;
+      return;
+    }
+
+    const size = Math.round(line.size * 2) / 2;
+    if (line.size >= bodySize * HEADING_RATIO && line.text.length <= 150) {
+      const level = Math.min(3, headingSizes.indexOf(size) + 1 || 1);
+      if (open?.role === 'heading' && open.level === level && continues(open, line)) {
+        extend(open, line, page);
+        return;
+      }
+      open = { ...block('heading', line.text, [line], page), level };
+      blocks.push(open);
+      return;
+    }
+
+    const bullet = line.text.match(BULLET_PREFIX);
+    if (bullet || ENUMERATOR_PREFIX.test(line.text)) {
+      open = block('list-item', bullet ? line.text.slice(bullet[0].length) : line.text, [line], page);
+      blocks.push(open);
+      return;
+    }
+
+    if ((open?.role === 'paragraph' || open?.role === 'list-item') && continues(open, line)) {
+      extend(open, line, page);
+      return;
+    }
+    open = block('paragraph', line.text, [line], page);
+    blocks.push(open);
+  });
+
+  // Line geometry was only needed while merging.
+  blocks.forEach((b) => { delete b.lines; });
+  return blocks;
+}
+
+// The next line of the same block: same column, similar type size, normal line spacing.
+function continues(open, line) {
+  const last = open.lines[open.lines.length - 1];
+  const gap = line.top - last.bottom;
+  return last.column === line.column
+    && Math.abs(line.size - last.size) <= 0.15 * last.size
+    && gap <= 0.8 * last.size
+    && gap > -0.5 * last.size;
+}
+
+function extend(open, line, page) {
+  // Re-join words hyphenated across the line break.
+  open.text = /[A-Za-z]-$/.test(open.text) && /^[a-z]/.test(line.text)
+    ? open.text.slice(0, -1) + line.text
+    : `${open.text} ${line.text}`;
+  open.lines.push(line);
+  open.bbox = bboxOf(open.lines, page);
+}
+
+function block(role, text, lines, page) {
+  return { role, text, lines, bbox: bboxOf(lines, page) };
+}
+
+function bboxOf(lines, page) {
+  const x = Math.min(...lines.map(l => l.x));
+  const y = Math.min(...lines.map(l => l.top));
+  const right = Math.max(...lines.map(l => l.right));
+  const bottom = Math.max(...lines.map(l => l.bottom));
+  const round = v => Math.round(Math.min(1, Math.max(0, v)) * 1000) / 1000;
+  return { x: round(x / page.width), y: round(y / page.height), w: round((right - x) / page.width), h: round((bottom - y) / page.height) };
+}
+
+// The type size most of the page's characters are set in.
+function weightedMedianSize(lines) {
+  const sorted = [...lines].sort((a, b) => a.size - b.size);
+  const total = sorted.reduce((n, l) => n + l.chars, 0);
+  let seen = 0;
+  for (const line of sorted) {
+    seen += line.chars;
+    if (seen >= total / 2) return line.size;
+  }
+  return sorted[sorted.length - 1]?.size || 1;
+}
@@ -0,0 +1,60 @@
+import { blocksToMarkdown, extractTextBlocks } from './textLayout';
+
+// pdf.js-style text item: `top` is the baseline measured from the top of a 600x800 page.
+const item = (str, x, top, size = 10, width = str.length * size * 0.5) => ({
+  str,
+  transform: [size, 0, 0, size, x, 800 - top],
+  width
+});
+
+test('extractTextBlocks finds headings, list items, paragraphs and footers', () => {
+  const blocks = extractTextBlocks([
+    item('Quarterly Review', 50, 100, 24),
+    item('Revenue grew in every region this quarter, led by', 50, 140),
+    item('subscriptions and services.', 50, 152),
+    item('•', 50, 180),
+    item('Churn fell to 2%', 70, 180),
+    item('2.', 50, 194),
+    item('Margins improved', 70, 194),
+    item('Page 3', 280, 780, 8)
+  ], [0, 0, 600, 800]);
+
+  expect(blocks.map(b => b.role)).toEqual(['heading', 'paragraph', 'list-item', 'list-item', 'footer']);
+  expect(blocks[0]).toMatchObject({ text: 'Quarterly Review', level: 1 });
+  expect(blocks[1].text).toBe('Revenue grew in every region this quarter, led by subscriptions and services.');
+  expect(blocks[2].text).toBe('Churn fell to 2%');
+  expect(blocks[3].text).toBe('2. Margins improved');
+  expect(blocks[0].bbox.x).toBeCloseTo(50 / 600, 2);
+
+  expect(blocksToMarkdown(blocks)).toBe([
+    '# Quarterly Review',
+    'Revenue grew in every region this quarter, led by subscriptions and services.',
+    '- Churn fell to 2%',
+    '- 2. Margins improved'
+  ].join('\n'));
+});
+
+test('extractTextBlocks reads two-column pages column by column below a spanning title', () => {
+  const left = ['The left column starts here and', 'continues on the next line of it', 'and ends with a third long line.'];
+  const right = ['The right column comes second', 'even though it shares baselines', 'with the left column text lines.'];
+  const items = [item('A title that runs across both columns of the page', 60, 80, 16, 480)];
+  left.forEach((line, i) => items.push(item(line, 40, 140 + i * 12, 10, 240)));
+  right.forEach((line, i) => items.push(item(line, 320, 140 + i * 12, 10, 240)));
+
+  const blocks = extractTextBlocks(items, [0, 0, 600, 800]);
+
+  expect(blocks.map(b => b.role)).toEqual(['heading', 'paragraph', 'paragraph']);
+  expect(blocks[1].text).toBe(left.join(' '));
+  expect(blocks[2].text).toBe(right.join(' '));
+});
+
+test('extractTextBlocks keeps table rows as cells', () => {
+  const blocks = extractTextBlocks([
+    item('Region', 50, 200), item('Q1', 250, 200), item('Q2', 400, 200),
+    item('North', 50, 214), item('12', 250, 214), item('15', 400, 214),
+    item('South', 50, 228), item('9', 250, 228), item('11', 400, 228)
+  ], [0, 0, 600, 800]);
+
+  expect(blocks.every(b => b.role === 'table-cell')).toBe(true);
+  expect(blocksToMarkdown(blocks)).toBe('| Region | Q1 | Q2 |\n| North | 12 | 15 |\n| South | 9 | 11 |');
+});
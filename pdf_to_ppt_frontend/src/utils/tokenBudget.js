@@ -0,0 +1,92 @@
+/**
+ * Rough token accounting for prompts. The estimate does not need a tokenizer: it
+ * only has to keep requests under the model's context window, so it errs high.
+ */
+
+// CJK scripts average about one token per character; other text about four characters per token.
+const WIDE_CHARS = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+// PUBLIC_INTERFACE
+/**
+ * estimateTokens
+ * Approximate token count of `text`.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  const str = String(text ?? '');
+  const wide = (str.match(WIDE_CHARS) || []).length;
+  return wide + Math.ceil((str.length - wide) / 4);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * fitTextsToBudget
+ * Shortens the `text` of items so that, together with each item's fixed overhead, they
+ * fit in `budgetTokens`. Short texts are kept whole and the budget they leave is shared
+ * by the longer ones, so one dense item never crowds out the rest.
+ * @template {{text?: string}} T
+ * @param {T[]} items
+ * @param {number} budgetTokens
+ * @param {{overheadOf?: (item: T) => number}} [options] - tokens each item costs besides its text
+ * @returns {{items: T[], truncated: T[]}} copies with shortened text (ending in "…"), and the originals that were cut
+ */
+export function fitTextsToBudget(items, budgetTokens, { overheadOf = () => 0 } = {}) {
+  const sizes = items.map(item => estimateTokens(item.text));
+  const available = Math.max(0, budgetTokens - items.reduce((sum, item) => sum + overheadOf(item), 0));
+  if (sizes.reduce((a, b) => a + b, 0) <= available) {
+    return { items: items.slice(), truncated: [] };
+  }
+
+  // Find the largest per-item cap whose total fits: sizes below it are kept whole.
+  const sorted = sizes.slice().sort((a, b) => a - b);
+  let remaining = available;
+  let cap = 0;
+  for (let i = 0; i < sorted.length; i += 1) {
+    const share = Math.floor(remaining / (sorted.length - i));
+    if (sorted[i] > share) {
+      cap = share;
+      break;
+    }
+    remaining -= sorted[i];
+  }
+
+  const truncated = [];
+  const fitted = items.map((item, i) => {
+    if (sizes[i] <= cap) return item;
+    truncated.push(item);
+    const text = String(item.text ?? '');
+    const keep = Math.max(0, Math.floor(text.length * (cap / sizes[i])) - 1);
+    return { ...item, text: keep ? `${text.slice(0, keep).trimEnd()}…` : '' };
+  });
+  return { items: fitted, truncated };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * chunkByTokens
+ * Splits items into consecutive chunks whose total size stays within `budgetTokens`.
+ * An item larger than the budget gets a chunk of its own.
+ * @template T
+ * @param {T[]} items
+ * @param {number} budgetTokens
+ * @param {(item: T) => number} sizeOf - tokens the item costs in a prompt
+ * @returns {T[][]}
+ */
+export function chunkByTokens(items, budgetTokens, sizeOf) {
+  const chunks = [];
+  let current = [];
+  let used = 0;
+  for (const item of items) {
+    const size = sizeOf(item);
+    if (current.length && used + size > budgetTokens) {
+      chunks.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push(item);
+    used += size;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
@@ -0,0 +1,27 @@
+import { chunkByTokens, estimateTokens, fitTextsToBudget } from './tokenBudget';
+
+test('estimateTokens counts about four characters per token, and one per CJK character', () => {
+  expect(estimateTokens('')).toBe(0);
+  expect(estimateTokens('abcdefgh')).toBe(2);
+  expect(estimateTokens('売上高')).toBe(3);
+});
+
+test('fitTextsToBudget keeps short texts whole and shares the rest among long ones', () => {
+  const items = [
+    { page: 1, text: 'a'.repeat(40) },
+    { page: 2, text: 'b'.repeat(800) },
+    { page: 3, text: 'c'.repeat(800) }
+  ];
+  const { items: fitted, truncated } = fitTextsToBudget(items, 110);
+
+  expect(fitted[0].text).toBe(items[0].text);
+  expect(truncated.map(i => i.page)).toEqual([2, 3]);
+  expect(fitted[1].text.endsWith('…')).toBe(true);
+  expect(fitted.reduce((sum, i) => sum + estimateTokens(i.text), 0)).toBeLessThanOrEqual(110);
+  expect(fitTextsToBudget(items, 1000).truncated).toEqual([]);
+});
+
+test('chunkByTokens groups consecutive items within the budget', () => {
+  const chunks = chunkByTokens([3, 4, 5, 20, 1], 10, n => n);
+  expect(chunks).toEqual([[3, 4], [5], [20], [1]]);
+});
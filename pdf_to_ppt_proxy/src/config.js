@@ -0,0 +1,48 @@
+/**
+ * Proxy configuration read from environment variables.
+ * See .env.example for the full list and defaults.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * loadConfig
+ * @param {Record<string, string|undefined>} env - usually process.env
+ * @returns {{
+ *   port: number,
+ *   apiKey: string|undefined,
+ *   upstreamBaseUrl: string,
+ *   model: string,
+ *   visionModel: string,
+ *   allowedOrigins: string[],
+ *   rateLimit: { windowMs: number, max: number, analyzeMax: number, planningMax: number },
+ *   maxBodyBytes: number
+ * }}
+ */
+export function loadConfig(env = process.env) {
+  const model = env.MODEL || 'gpt-4o-mini';
+  return {
+    port: toInt(env.PORT, 8787),
+    apiKey: env.OPENAI_API_KEY,
+    upstreamBaseUrl: (env.UPSTREAM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    model,
+    visionModel: env.VISION_MODEL || model,
+    allowedOrigins: (env.ALLOWED_ORIGINS || 'http://localhost:3000')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean),
+    rateLimit: {
+      windowMs: toInt(env.RATE_LIMIT_WINDOW_MS, 60000),
+      max: toInt(env.RATE_LIMIT_MAX, 20),
+      // Page analysis runs once per PDF page, so it gets its own, larger allowance.
+      analyzeMax: toInt(env.RATE_LIMIT_ANALYZE_MAX, 120),
+      // A long document is planned by summarizing it in chunks (one call each), then organizing the sections.
+      planningMax: toInt(env.RATE_LIMIT_PLANNING_MAX, 60)
+    },
+    maxBodyBytes: toInt(env.MAX_BODY_BYTES, 12000000)
+  };
+}
+
+function toInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
@@ -0,0 +1,14 @@
+/**
+ * Entry point: `npm start` (or `node --env-file=.env src/index.js` on Node 20.6+).
+ */
+import { loadConfig } from './config.js';
+import { createProxyServer } from './server.js';
+
+const config = loadConfig();
+if (!config.apiKey) {
+  console.warn('OPENAI_API_KEY is not set; LLM endpoints will return 500 until it is.');
+}
+
+createProxyServer(config).listen(config.port, () => {
+  console.log(`PDF to PPT proxy listening on http://localhost:${config.port} (model ${config.model})`);
+});
@@ -0,0 +1,39 @@
+/**
+ * Fixed-window rate limiter keyed by an arbitrary string (session id, IP, ...).
+ * State is in memory, which is enough for a single proxy instance.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * createRateLimiter
+ * @param {{windowMs: number, max: number, now?: () => number}} options
+ * @returns {{ take: (key: string) => { allowed: boolean, remaining: number, retryAfterMs: number } }}
+ */
+export function createRateLimiter({ windowMs, max, now = Date.now }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  function prune(t) {
+    for (const [key, w] of windows) {
+      if (w.resetAt <= t) windows.delete(key);
+    }
+  }
+
+  function take(key) {
+    const t = now();
+    if (windows.size > 10000) prune(t);
+
+    let w = windows.get(key);
+    if (!w || w.resetAt <= t) {
+      w = { count: 0, resetAt: t + windowMs };
+      windows.set(key, w);
+    }
+
+    if (w.count >= max) {
+      return { allowed: false, remaining: 0, retryAfterMs: w.resetAt - t };
+    }
+    w.count += 1;
+    return { allowed: true, remaining: max - w.count, retryAfterMs: 0 };
+  }
+
+  return { take };
+}
@@ -0,0 +1,259 @@
+/**
+ * HTTP server for the LLM proxy.
+ * The browser sends OpenAI-style messages; the proxy adds the server-held key and
+ * the configured model, forwards to the upstream Chat Completions API, and returns
+ * `{ content }`. Every endpoint is rate-limited per session and per client IP.
+ * With `stream: true`, /api/chat instead answers with server-sent events: `{ delta }`
+ * per piece of text, `{ error }` if the upstream fails midway, then `[DONE]`.
+ */
+import http from 'node:http';
+import { createRateLimiter } from './rateLimit.js';
+
+// `limit` names the rate-limit budget: page analysis and the steps of planning a long document
+// run once per page or chunk, so they do not draw on the chat budget.
+const ROUTES = {
+  '/api/chat': { task: 'chat', vision: false, stream: true, limit: 'default' },
+  '/api/analyze-page': { task: 'analyze', vision: true, limit: 'analyze' },
+  '/api/plan': { task: 'plan', vision: false, limit: 'default' },
+  '/api/summarize': { task: 'summarize', vision: false, limit: 'planning' },
+  '/api/sections': { task: 'sections', vision: false, limit: 'planning' },
+  '/api/refine': { task: 'refine', vision: false, limit: 'default' }
+};
+
+const ALLOWED_ROLES = new Set(['system', 'user', 'assistant']);
+const MAX_MESSAGES = 60;
+// A client can mint new session ids freely; the IP budget caps what one machine can use overall.
+const IP_LIMIT_MULTIPLIER = 5;
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * createProxyServer
+ * @param {ReturnType<import('./config.js').loadConfig>} config
+ * @param {{ fetchImpl?: typeof fetch, now?: () => number }} [deps] - injectable for tests
+ * @returns {http.Server}
+ */
+export function createProxyServer(config, { fetchImpl = fetch, now = Date.now } = {}) {
+  const { windowMs, max, analyzeMax, planningMax } = config.rateLimit;
+  const budgets = { default: max, analyze: analyzeMax, planning: planningMax };
+  const limiters = Object.fromEntries(Object.entries(budgets).map(([name, budget]) => [name, {
+    session: createRateLimiter({ windowMs, max: budget, now }),
+    ip: createRateLimiter({ windowMs, max: budget * IP_LIMIT_MULTIPLIER, now })
+  }]));
+
+  return http.createServer(async (req, res) => {
+    applyCors(req, res, config.allowedOrigins);
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      const path = new URL(req.url, 'http://localhost').pathname;
+      if (req.method === 'GET' && path === '/api/health') {
+        sendJson(res, 200, { ok: true, model: config.model });
+        return;
+      }
+
+      const route = ROUTES[path];
+      if (!route) throw new HttpError(404, `Unknown endpoint ${path}`);
+      if (req.method !== 'POST') throw new HttpError(405, 'Use POST');
+      if (!config.apiKey) throw new HttpError(500, 'Proxy is missing OPENAI_API_KEY');
+
+      const remaining = enforceRateLimit(req, route, limiters);
+      const body = validateBody(await readJson(req, config.maxBodyBytes), route);
+      if (body.stream) {
+        await streamUpstream(config, route, body, fetchImpl, res, { 'X-RateLimit-Remaining': String(remaining) });
+        return;
+      }
+      const content = await callUpstream(config, route, body, fetchImpl);
+      sendJson(res, 200, { content }, { 'X-RateLimit-Remaining': String(remaining) });
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status >= 500) console.error(err);
+      sendJson(res, status, { error: err.message || 'Proxy error' }, err.headers);
+    }
+  });
+}
+
+function enforceRateLimit(req, route, limiters) {
+  const ip = req.socket.remoteAddress || 'unknown';
+  const session = String(req.headers['x-session-id'] || 'anonymous').slice(0, 100);
+  const limiter = limiters[route.limit];
+
+  const checks = [
+    limiter.ip.take(ip),
+    limiter.session.take(`${ip}|${session}`)
+  ];
+  const blocked = checks.find(c => !c.allowed);
+  if (blocked) {
+    const seconds = Math.ceil(blocked.retryAfterMs / 1000);
+    throw new HttpError(429, `Rate limit reached. Try again in ${seconds}s.`, { 'Retry-After': String(seconds) });
+  }
+  return Math.min(...checks.map(c => c.remaining));
+}
+
+function validateBody(body, route) {
+  if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new HttpError(400, 'Body must include a non-empty "messages" array');
+  }
+  if (body.messages.length > MAX_MESSAGES) {
+    throw new HttpError(400, `Too many messages (max ${MAX_MESSAGES})`);
+  }
+
+  const messages = body.messages.map((m, i) => {
+    if (!m || !ALLOWED_ROLES.has(m.role)) {
+      throw new HttpError(400, `messages[${i}].role must be system, user or assistant`);
+    }
+    if (typeof m.content === 'string') return { role: m.role, content: m.content };
+    if (!Array.isArray(m.content)) {
+      throw new HttpError(400, `messages[${i}].content must be a string or an array of parts`);
+    }
+    const content = m.content.map((part, j) => {
+      if (part?.type === 'text' && typeof part.text === 'string') return { type: 'text', text: part.text };
+      if (part?.type === 'image_url' && route.vision && typeof part.image_url?.url === 'string') {
+        return { type: 'image_url', image_url: { url: part.image_url.url } };
+      }
+      throw new HttpError(400, `messages[${i}].content[${j}] is not allowed on this endpoint`);
+    });
+    return { role: m.role, content };
+  });
+
+  if (body.stream !== undefined && (typeof body.stream !== 'boolean' || (body.stream && !route.stream))) {
+    throw new HttpError(400, '"stream" must be a boolean and is only supported by /api/chat');
+  }
+
+  const temperature = Number(body.temperature);
+  return {
+    messages,
+    temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 1) : 0.3,
+    stream: body.stream === true
+  };
+}
+
+async function callUpstream(config, route, body, fetchImpl) {
+  const upstream = await requestUpstream(config, route, body, fetchImpl);
+  const data = await upstream.json();
+  return data?.choices?.[0]?.message?.content ?? '';
+}
+
+// Relays the upstream's streamed deltas as `{ delta }` events. Once the 200 is sent, a failure
+// can only be reported in the stream itself.
+async function streamUpstream(config, route, body, fetchImpl, res, headers) {
+  const upstream = await requestUpstream(config, route, body, fetchImpl);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    ...headers
+  });
+  const send = payload => res.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+
+  try {
+    const decoder = new TextDecoder();
+    let buffered = '';
+    const relay = (line) => {
+      const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+      if (!payload || payload === '[DONE]') return;
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        return;
+      }
+      const delta = data?.choices?.[0]?.delta?.content;
+      if (delta) send({ delta });
+    };
+    for await (const chunk of upstream.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split(/\r?\n/);
+      buffered = lines.pop();
+      lines.forEach(relay);
+    }
+    relay(buffered + decoder.decode());
+  } catch (err) {
+    console.error(`Upstream ${route.task} stream error: ${err.message}`);
+    send({ error: `Upstream ${route.task} stream interrupted` });
+  }
+  send('[DONE]');
+  res.end();
+}
+
+async function requestUpstream(config, route, body, fetchImpl) {
+  const upstream = await fetchImpl(`${config.upstreamBaseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${config.apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: route.vision ? config.visionModel : config.model,
+      messages: body.messages,
+      temperature: body.temperature,
+      ...(body.stream ? { stream: true } : {})
+    })
+  });
+
+  if (!upstream.ok) {
+    const text = await upstream.text().catch(() => '');
+    console.error(`Upstream ${route.task} error: ${upstream.status} ${text}`);
+    // Do not echo upstream bodies to the browser; they can include account details.
+    const status = upstream.status === 429 ? 429 : 502;
+    throw new HttpError(status, `Upstream ${route.task} error: ${upstream.status}`);
+  }
+  return upstream;
+}
+
+function readJson(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(new HttpError(400, 'Body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function applyCors(req, res, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (origin && (allowedOrigins.includes('*') || allowedOrigins.includes(origin))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Remaining');
+  }
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../src/rateLimit.js';
+
+test('allows up to max requests per window and reports retry time', () => {
+  let t = 1000;
+  const limiter = createRateLimiter({ windowMs: 60000, max: 2, now: () => t });
+
+  assert.equal(limiter.take('a').allowed, true);
+  assert.equal(limiter.take('a').remaining, 0);
+  const blocked = limiter.take('a');
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfterMs, 60000);
+
+  // Other keys are independent.
+  assert.equal(limiter.take('b').allowed, true);
+
+  t += 60000;
+  assert.equal(limiter.take('a').allowed, true);
+});
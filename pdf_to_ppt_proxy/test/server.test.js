@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+import { createProxyServer } from '../src/server.js';
+
+async function withServer(env, fetchImpl, fn) {
+  const server = createProxyServer(loadConfig(env), { fetchImpl });
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn(base);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function post(base, path, body, session = 's1') {
+  return fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Session-Id': session },
+    body: JSON.stringify(body)
+  });
+}
+
+const okUpstream = async (url, init) => {
+  const sent = JSON.parse(init.body);
+  return new Response(JSON.stringify({ choices: [{ message: { content: `${sent.model}:${init.headers.Authorization}` } }] }));
+};
+
+test('forwards messages upstream with the server-held key and model', async () => {
+  await withServer({ OPENAI_API_KEY: 'sk-test', MODEL: 'm1', VISION_MODEL: 'v1' }, okUpstream, async (base) => {
+    const chat = await post(base, '/api/chat', { messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(chat.status, 200);
+    assert.deepEqual(await chat.json(), { content: 'm1:Bearer sk-test' });
+
+    const page = await post(base, '/api/analyze-page', {
+      messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:image/png;base64,AA' } }] }]
+    });
+    assert.deepEqual(await page.json(), { content: 'v1:Bearer sk-test' });
+  });
+});
+
+test('rejects images outside analyze-page and malformed bodies', async () => {
+  await withServer({ OPENAI_API_KEY: 'sk-test' }, okUpstream, async (base) => {
+    const image = await post(base, '/api/plan', {
+      messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'x' } }] }]
+    });
+    assert.equal(image.status, 400);
+
+    const empty = await post(base, '/api/refine', {});
+    assert.equal(empty.status, 400);
+  });
+});
+
+test('rate-limits per session', async () => {
+  await withServer({ OPENAI_API_KEY: 'sk-test', RATE_LIMIT_MAX: '1' }, okUpstream, async (base) => {
+    const body = { messages: [{ role: 'user', content: 'hi' }] };
+    assert.equal((await post(base, '/api/chat', body, 'a')).status, 200);
+    const limited = await post(base, '/api/chat', body, 'a');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await post(base, '/api/chat', body, 'b')).status, 200);
+  });
+});
+
+test('long-document planning steps have their own budget', async () => {
+  await withServer({ OPENAI_API_KEY: 'sk-test', RATE_LIMIT_MAX: '1', RATE_LIMIT_PLANNING_MAX: '2' }, okUpstream, async (base) => {
+    const body = { messages: [{ role: 'user', content: 'hi' }] };
+    assert.equal((await post(base, '/api/summarize', body)).status, 200);
+    assert.equal((await post(base, '/api/sections', body)).status, 200);
+    assert.equal((await post(base, '/api/summarize', body)).status, 429);
+    assert.equal((await post(base, '/api/chat', body)).status, 200);
+  });
+});
+
+test('streams chat deltas as server-sent events', async () => {
+  let sent;
+  const streamingUpstream = async (url, init) => {
+    sent = JSON.parse(init.body);
+    const events = ['Hel', 'lo'].map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+    return new Response([...events, 'data: [DONE]\n\n'].join(''));
+  };
+  await withServer({ OPENAI_API_KEY: 'sk-test' }, streamingUpstream, async (base) => {
+    const chat = await post(base, '/api/chat', { messages: [{ role: 'user', content: 'hi' }], stream: true });
+    assert.equal(chat.status, 200);
+    assert.match(chat.headers.get('content-type'), /^text\/event-stream/);
+    assert.equal(await chat.text(), 'data: {"delta":"Hel"}\n\ndata: {"delta":"lo"}\n\ndata: [DONE]\n\n');
+    assert.equal(sent.stream, true);
+
+    const plan = await post(base, '/api/plan', { messages: [{ role: 'user', content: 'hi' }], stream: true });
+    assert.equal(plan.status, 400);
+  });
+});